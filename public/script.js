@@ -18,6 +18,13 @@ import { initHotkeys } from "./src/hotkeys.js";
 import promptInsertionKillswitches from "./src/promptInsertionKillswitches.js";
 import lorebookUI from "./src/lorebook.js";
 import characterEditor from "./src/characterEditor.js";
+import sessionVariablesUI from "./src/sessionVariables.js";
+import chatSummaryUI from "./src/chatSummary.js";
+import memorySettingsUI from "./src/memorySettings.js";
+import banListUI from "./src/banList.js";
+import accountManagerUI from "./src/accountManager.js";
+import slashCommandsUI from "./src/slashCommands.js";
+import lobby from "./src/lobby.js";
 
 export var username,
   isAutoResponse,
@@ -39,7 +46,11 @@ export var isUserScrollingUserChat = false;
 let userChatScrollTimeout, AIChatScrollTimeout;
 
 export var isHost;
+export var myPermissions = []; //moderation actions this role may take, see src/permissions.js on the server
+var myRole;
+var isLoggedIn = false; //logged in to a registered account
 var AIChatDelay, userChatDelay, guestInputPermissionState, allowImages;
+var guestEditWindow = 0; //minutes guests may edit or delete their own messages
 
 //this prevents selectors from firing off when being initially populated
 var initialLoad = true;
@@ -216,11 +227,20 @@ function updateUserList(listType, userList) {
   });
 
   //console.debug('userList: ', userList)
-  userList.forEach(({ username, role, color, entity }) => {
+  userList.forEach(({ user_id, username, role, color, entity, muted }) => {
     let isAI = entity === "AI" ? true : false;
-    const usernameDecorator = listType === "AIChatUserList" && isAI ? ` 🤖` : role === "host" ? `👑` : null;
+    const usernameDecorator = listType === "AIChatUserList" && isAI ? ` 🤖` : role === "host" ? `👑` : role === "mod" ? `🛡️` : null;
     const usernameColor = listType === "AIChatUserList" && isAI ? "white" : color;
-    const usernameHTML = usernameDecorator === null ? username : `${username}<span class="usernameDecorator">${usernameDecorator}</span>`;
+    let usernameHTML = usernameDecorator === null ? username : `${username}<span class="usernameDecorator">${usernameDecorator}</span>`;
+    if (muted) usernameHTML += `<span class="usernameDecorator" title="Muted">🔇</span>`;
+    if (listType === "userList" && user_id && outranks(role)) {
+      if (myPermissions.includes('muteUsers')) usernameHTML += `<i data-userid="${user_id}" class="userMute messageButton fa-solid fa-volume-xmark bgTransparent textshadow textBrightUp transition250" title="${muted ? 'Unmute' : 'Mute'} ${username}"></i>`;
+      if (myPermissions.includes('kickUsers')) usernameHTML += `<i data-userid="${user_id}" class="userKick messageButton fa-solid fa-right-from-bracket bgTransparent textshadow textBrightUp transition250" title="Kick ${username}"></i>`;
+      if (myPermissions.includes('banUsers')) {
+        usernameHTML += `<i data-userid="${user_id}" class="userTimeout messageButton fa-solid fa-clock bgTransparent textshadow textBrightUp transition250" title="Time out ${username}"></i>`;
+        usernameHTML += `<i data-userid="${user_id}" class="userBan messageButton fa-solid fa-ban bgTransparent textshadow textBrightUp transition250" title="Ban ${username}"></i>`;
+      }
+    }
     //console.warn(usernameText);
     const listItem = `<li data-foruser="${username}" title="${username}" style="color: ${usernameColor};">${usernameHTML}</li>`;
     //console.log(listItem);
@@ -229,6 +249,12 @@ function updateUserList(listType, userList) {
 }
 
 
+// Moderators act only on users ranked below them: hosts on mods and guests, mods on guests
+function outranks(targetRole) {
+  const ranks = { host: 2, mod: 1 };
+  return (ranks[myRole] || 0) > (ranks[targetRole] || 0);
+}
+
 //MARK: processConnection
 async function processConfirmedConnection(parsedMessage) {
   console.debug("[processConfirmedConnection()]>> GO");
@@ -236,7 +262,7 @@ async function processConfirmedConnection(parsedMessage) {
   //process universal stuff for guests
   const {
     clientUUID, role, selectedCharacterDisplayName,
-    chatHistory, AIChatHistory, userList, sessionID, AIChatSessionID, crowdControl, color
+    chatHistory, AIChatHistory, userList, sessionID, AIChatSessionID, crowdControl, color, permissions, loggedIn
   } = parsedMessage;
 
   console.debug(crowdControl)
@@ -245,6 +271,7 @@ async function processConfirmedConnection(parsedMessage) {
   AIChatDelay = crowdControl.AIChatDelay * 1000;
   userChatDelay = crowdControl.userChatDelay * 1000;
   guestInputPermissionState = crowdControl.guestInputPermissionState;
+  guestEditWindow = Number(crowdControl.guestEditWindow) || 0;
   //console.warn('guestInputPermissionState: ', guestInputPermissionState)
 
 
@@ -254,9 +281,12 @@ async function processConfirmedConnection(parsedMessage) {
   $("#userChatUserNameHolder").css('color', myUserColor).text(myUsername);
   localStorage.setItem("UUID", myUUID);
   isHost = role === "host" ? true : false;
+  myRole = role;
+  myPermissions = permissions || [];
+  isLoggedIn = !!loggedIn;
   try { window.isHost = isHost; } catch (_) { /* noop */ }
   //console.debug(`my UUID is: ${myUUID}`);
-  var userRole = isHost ? "Host" : "Guest";
+  var userRole = isHost ? "Host" : role === "mod" ? "Mod" : "Guest";
   // (Moved) disableGuestInput state will be applied after UI config processing for consistent animation timing.
   $("#userRole").text(userRole);
   $("#charName").text(selectedCharacterDisplayName);
@@ -312,6 +342,10 @@ async function processConfirmedConnection(parsedMessage) {
   } else { // is Guest
     //hide control panel and host controls for guests
     $(".guestSpacing").css('display', 'block')
+    //mods keep the controls their permissions cover, and only those out of a host controls group
+    const $permitted = $("[data-permission]").filter(function () { return myPermissions.includes($(this).data('permission')) });
+    $permitted.parent('.hostControls').each(function () { $(this).children().not($permitted).remove() });
+    $permitted.add($permitted.parent('.hostControls')).removeClass('hostControls');
     $(".hostControls").remove();
 
 
@@ -333,6 +367,11 @@ async function processConfirmedConnection(parsedMessage) {
 
   updateUserList("userList", userList);
 
+  if (parsedMessage.room) {
+    localStorage.setItem("roomId", parsedMessage.room.room_id);
+    lobby.handleRoomJoined({ room: parsedMessage.room, members: parsedMessage.roomMembers });
+  }
+
   if (chatHistory) {
     console.debug(`[updateChatHistory(#userChat)]>> GO`);
     $("#userChat").empty()
@@ -351,22 +390,45 @@ async function processConfirmedConnection(parsedMessage) {
 
   initialLoad = false;
 }
+// Rooms can run their own roster and API, so the guest-facing character/model labels follow the room
+function updateRoomCharacterDisplay({ selectedCharacterDisplayName, selectedModelForGuestDisplay }) {
+  if (selectedCharacterDisplayName) $("#charName").text(selectedCharacterDisplayName);
+  if (selectedModelForGuestDisplay) $("#charName").parent().prop('title', `Powered by ${selectedModelForGuestDisplay}`);
+}
+
+// Empties everything tied to the room being left, the lobby takes over from here
+function leaveRoomDisplay() {
+  localStorage.removeItem("roomId");
+  $("#userChat").empty();
+  $("#AIChat").empty();
+  $("#AIChatUserList ul").empty();
+  $("#pastChatsList").empty();
+  $("#userList ul").empty();
+}
+
+// Guests only get edit/delete on their own messages while the host's edit window is open; the server checks again
+function canGuestChangeMessage(entity, timestamp) {
+  if (!guestEditWindow || entity !== "user") return false;
+  return Date.now() - Date.parse(timestamp) <= guestEditWindow * 60 * 1000;
+}
+
 //MARK:appendMessages
 
 //elementSelector (string): is #AIChat" or "#userChat" for 
 //messages (array of objs): [{username:"user", userColor:"#color", content:"message text", messageID:"id", entity:"user or AI"}]
 function appendMessages(messages, elementSelector, sessionID) {
 
-  messages.forEach(({ username, userColor, content, messageID, entity, role, timestamp }) => {
+  messages.forEach(({ username, userColor, content, messageID, entity, role, timestamp, swipeIndex, swipeCount }) => {
 
     let dataEntityTypeString = "";
     let isAI = entity === "AI" ? true : false;
+    const isDiceRoll = entity === "dice";
     let usernameToShow = username;
     const usernameDecorator = isAI ? ` 🤖` : role === "host" ? ` 👑` : null;
     //usernameHTML = role === "host" ? `${usernameToShow} 👑` : usernameToShow;
     const usernameHTML = usernameDecorator === null ? usernameToShow : `<span>${usernameToShow}<span class="usernameDecorator">${usernameDecorator}</span></span>`;
     userColor = isAI ? "white" : userColor;
-    let inferredEntity = elementSelector === "#AIChat" ? entity : "user";
+    let inferredEntity = elementSelector === "#AIChat" || isDiceRoll ? entity : "user";
     elementSelector === "#AIChat" ? dataEntityTypeString = `data-entityType="${entity}"` : dataEntityTypeString = `data-entityType="user"`;
     let containerTypeClass = elementSelector === "#AIChat" ? "forAIChat" : "forUserChat"; //this is used as an identifier for message deletion/editing
     let entityAndNameVal = `${usernameToShow}-${inferredEntity}`;
@@ -386,6 +448,7 @@ function appendMessages(messages, elementSelector, sessionID) {
           <div class="messageControls transition250">
               <i data-messageid="${messageID}" data-sessionid="${sessionID}" ${dataEntityTypeString} class="messageEdit ${containerTypeClass} messageButton fa-solid fa-edit bgTransparent  textshadow textBrightUp transition250"></i>
               <i data-messageid="${messageID}" data-sessionid="${sessionID}" ${dataEntityTypeString} class="messageDelete ${containerTypeClass} messageButton fa-solid fa-trash bgTransparent  textshadow textBrightUp transition250"></i>
+              <i data-messageid="${messageID}" data-sessionid="${sessionID}" ${dataEntityTypeString} title="Branch from here" class="messageBranch ${containerTypeClass} messageButton fa-solid fa-code-branch bgTransparent  textshadow textBrightUp transition250"></i>
           </div>
           <small class="messageTime">${formattedTimestamp}</small>
         </span>
@@ -397,9 +460,22 @@ function appendMessages(messages, elementSelector, sessionID) {
     `);
 
     //console.warn(newDiv.find('.messageHeader').html())
-    if (!isHost) newDiv.find('.messageControls').remove();
-    if (elementSelector == "#userChat") newDiv.find('.messageEdit').remove();
+    const isOwnMessage = entity !== "AI" && username === (elementSelector == "#AIChat" ? myAIChatUsername : myUsername);
+    const canModerate = !isOwnMessage && entity !== "AI" && myPermissions.includes('moderateMessages') && outranks(role);
+    if (!isHost) {
+      if (canModerate || (isOwnMessage && canGuestChangeMessage(entity, ts))) {
+        newDiv.find('.messageBranch').remove();
+      } else {
+        newDiv.find('.messageControls').remove();
+      }
+    }
+    if (elementSelector == "#userChat" && !isOwnMessage && !canModerate) newDiv.find('.messageEdit').remove();
+    if (elementSelector == "#userChat") newDiv.find('.messageBranch').remove();
     if (elementSelector == "#userChat") newDiv.find('.messageContinue').remove();
+    if (isDiceRoll) {
+      newDiv.addClass('diceRoll');
+      newDiv.find('.messageEdit').remove();
+    }
     //console.debug('newDiv content: ', content, 'elementSelector: ', elementSelector);
 
     //check if the last message in the relevant chat contains the same header information for name and entity
@@ -427,6 +503,10 @@ function appendMessages(messages, elementSelector, sessionID) {
       insertInlineContinueButton($(newDiv));
     }
 
+    if (isAI && elementSelector === "#AIChat") {
+      renderSwipeControls($(newDiv), swipeIndex, swipeCount);
+    }
+
     addMessageEditListeners(newDiv);
 
   });
@@ -512,6 +592,49 @@ function ensureStreamTarget($messageDiv) {
   return $target;
 }
 
+//MARK: swipes
+// Alternate generations of an AI message: everyone sees the counter, the host gets the arrows
+function renderSwipeControls($messageDiv, swipeIndex = 0, swipeCount = 1) {
+  $messageDiv.find('.swipeControls').remove();
+  if (!swipeCount || swipeCount < 2) return;
+
+  const $controls = $(`
+    <span class="swipeControls flexbox alignItemsCenter marginRight5">
+      <i class="swipeLeft messageButton fa-solid fa-chevron-left bgTransparent textshadow textBrightUp transition250" title="Previous swipe"></i>
+      <small class="swipeCounter mutedColor marginLeft5 marginRight5">${swipeIndex + 1}/${swipeCount}</small>
+      <i class="swipeRight messageButton fa-solid fa-chevron-right bgTransparent textshadow textBrightUp transition250" title="Next swipe"></i>
+    </span>
+  `);
+  if (!isHost) $controls.find('i').remove();
+  $messageDiv.find('.msgControlsAndTimeBlock').first().prepend($controls);
+
+  $controls.find('.swipeLeft').on('click', function () {
+    if (swipeIndex > 0) requestSwipe($messageDiv, swipeIndex - 1);
+  });
+  $controls.find('.swipeRight').on('click', function () {
+    if (swipeIndex < swipeCount - 1) {
+      requestSwipe($messageDiv, swipeIndex + 1);
+    } else if ($("#AIChat").children("div").last().is($messageDiv)) {
+      // Swiping past the newest alternative of the last reply generates another one
+      doAIRetry();
+    }
+  });
+}
+
+function requestSwipe($messageDiv, swipeIndex) {
+  if (currentlyStreaming) {
+    console.debug("currentlyStreaming = true, canceling swipe.");
+    return;
+  }
+  util.messageServer({
+    type: 'swipeAIChatMessage',
+    UUID: myUUID,
+    mesID: $messageDiv.attr('data-messageid'),
+    sessionID: $messageDiv.attr('data-sessionid'),
+    swipeIndex
+  });
+}
+
 // Helper: insert inline Continue button at end of final <p> (or content) of a message div
 function insertInlineContinueButton($messageDiv) {
   try {
@@ -557,9 +680,12 @@ function addMessageEditListeners(newDiv) {
     }
     const mesID = $(this).data('messageid')
     const sessionID = $(this).data('sessionid')
+    const editType = $(this).hasClass('forUserChat') ? "userChat" : "AIChat";
 
     //first we get the message content from server as it's saved in the database
     let currentMessageData = await getMessageContent(mesID)
+    //a refused guest edit comes back as messageEditError, which the main switch shows
+    if (currentMessageData.type !== 'messageContentResponse') return
 
     await editMessage(currentMessageData.content)
 
@@ -571,7 +697,8 @@ function addMessageEditListeners(newDiv) {
         type: 'messageContentRequest',
         UUID: myUUID,
         mesID: mesID,
-        sessionID: sessionID
+        sessionID: sessionID,
+        editType: editType
       };
       console.debug('outgoing messsage content request', messageContentRequest)
       return new Promise((resolve, reject) => {
@@ -580,6 +707,7 @@ function addMessageEditListeners(newDiv) {
           //parse the response, extract the mesage contents
           console.debug(response)
           let responseDataJSON = JSON.parse(response.data)
+          if (responseDataJSON.type !== 'messageContentResponse' && responseDataJSON.type !== 'messageEditError') return
           console.debug('messageContentResponse: ', responseDataJSON)
           //and remove listener once we have it
           socket.removeEventListener('message', messageContentHandler);
@@ -623,10 +751,11 @@ function addMessageEditListeners(newDiv) {
                 UUID: myUUID,
                 mesID: mesID,
                 sessionID: sessionID,
+                editType: editType,
                 newMessageContent: newMessageContent
               }
               //send a 'mesasgeEdit' outgoing message to server
-              //this resolves with a 'pastChatToLoad' response, which the main switch will handle.
+              //this resolves with a 'pastChatToLoad' (or 'userChatUpdate') response, which the main switch will handle.
               console.debug('mesEditRequest', mesEditRequest)
               util.messageServer(mesEditRequest)
             },
@@ -693,6 +822,22 @@ function addMessageEditListeners(newDiv) {
     util.messageServer(mesDelRequest)
   })
 
+  // Branch button handler (Host only, AI Chat): fork a new chat that ends at this message
+  $newdiv.find(`.messageBranch`).off('click').on('click', async function () {
+    if (!isHost) return;
+    if (currentlyStreaming) {
+      alert('Can not branch the chat while streaming.');
+      return;
+    }
+    const branchRequest = {
+      type: 'branchChat',
+      UUID: myUUID,
+      mesID: $(this).data('messageid'),
+      sessionID: $(this).data('sessionid')
+    }
+    util.messageServer(branchRequest)
+  })
+
   // Continue button handler (Host only, AI messages)
   $newdiv.find(`.messageContinue`).off('click').on('click', async function () {
     if (!isHost) return;
@@ -731,7 +876,11 @@ async function connectWebSocket(username) {
   myAIChatUsername = localStorage.getItem("AIChatUsername") !== null ? localStorage.getItem("AIChatUsername") : ({ username, AIChatUsername } = await startupUsernames());
   myUUID = localStorage.getItem("UUID") !== null ? localStorage.getItem("UUID") : "";
   console.log(`trying to connect to ${serverUrl} with ${myUUID}, ${myUsername} or ${username}`);
-  socket = new WebSocket(serverUrl + "?uuid=" + myUUID + "&username=" + encodeURIComponent(username));
+  const lastRoomId = localStorage.getItem("roomId") || "";
+  // accounts, hosts and mods prove who they are with the session token the server gave them
+  const sessionToken = localStorage.getItem("sessionToken") || "";
+  const AIChatUsernameParam = encodeURIComponent(localStorage.getItem("AIChatUsername") || "");
+  socket = new WebSocket(serverUrl + "?uuid=" + myUUID + "&username=" + encodeURIComponent(username) + "&AIChatUsername=" + AIChatUsernameParam + "&roomId=" + encodeURIComponent(lastRoomId) + "&token=" + encodeURIComponent(sessionToken));
   window._stmpSocket = socket; // Expose for modules to avoid circular imports
   //console.log("socket connected!");
 
@@ -772,6 +921,11 @@ async function connectWebSocket(username) {
       case "toggleGuestInputState":
         disableGuestInput.toggleState(parsedMessage.allowed);
         break;
+      case "kicked":
+      case "banned":
+      case "accountChanged":
+        alert(parsedMessage.message);
+        break;
       case 'inputDisabledWarning':
         hostToast.showHostToast(parsedMessage.message, 'System', 500);
         break;
@@ -797,8 +951,36 @@ async function connectWebSocket(username) {
       case 'lorebookEntryCreated':
       case 'lorebookEntryUpdated':
       case 'lorebookEntryDeleted':
+      case 'lorebookEntryError':
+      case 'lorebookError':
+      case 'lorebookExport':
+      case 'lorebookLinkTargets':
+      case 'worldInfoActivation':
         lorebookUI.handleLorebookMessage(parsedMessage);
         break;
+      case 'sessionVariables':
+        sessionVariablesUI.handleSessionVariablesMessage(parsedMessage);
+        break;
+      case 'chatSummary':
+      case 'chatSummaryError':
+        chatSummaryUI.handleChatSummaryMessage(parsedMessage);
+        break;
+      case 'memorySettings':
+        memorySettingsUI.handleMemorySettingsMessage(parsedMessage);
+        break;
+      case 'banList':
+        banListUI.handleBanListMessage(parsedMessage);
+        break;
+      case 'accountList':
+      case 'accountResetCode':
+      case 'accountError':
+        accountManagerUI.handleAccountManagerMessage(parsedMessage);
+        break;
+      case 'slashCommandList':
+      case 'slashCommandsChanged':
+      case 'commandResult':
+        slashCommandsUI.handleSlashCommandsMessage(parsedMessage);
+        break;
       
       // User Authentication response handlers
       case 'loginResponse':
@@ -807,6 +989,8 @@ async function connectWebSocket(username) {
           // Store user data
           const user = parsedMessage.user;
           localStorage.setItem('UUID', user.user_id);
+          localStorage.setItem('sessionToken', parsedMessage.token || '');
+          isLoggedIn = true;
           localStorage.setItem('username', user.username);
           localStorage.setItem('AIChatUsername', user.username);
           
@@ -834,6 +1018,7 @@ async function connectWebSocket(username) {
             type: 'identityUpdate',
             oldUUID: myUUID,
             newUUID: user.user_id,
+            token: parsedMessage.token,
             username: user.username,
             persona: user.persona || ''
           });
@@ -852,6 +1037,40 @@ async function connectWebSocket(username) {
         }
         break;
       
+      case 'passwordChangeResponse':
+      case 'accountDeleteResponse':
+        if (!parsedMessage.success) {
+          $('#accountError').text(parsedMessage.error || 'An error occurred');
+          break;
+        }
+        if (window._accountDialog) {
+          window._accountDialog.dialog('close');
+          window._accountDialog = null;
+        }
+        if (parsedMessage.type === 'passwordChangeResponse') {
+          alert('Password changed. Your other logins have been logged out.');
+          break;
+        }
+        alert('Your account has been deleted.');
+      // falls through
+      case 'logoutResponse':
+      case 'sessionInvalid':
+        // start over as a new guest
+        localStorage.removeItem('UUID');
+        localStorage.removeItem('sessionToken');
+        if (parsedMessage.message) alert(parsedMessage.message);
+        location.reload();
+        break;
+
+      case 'passwordResetResponse':
+        if (parsedMessage.success) {
+          $('#authLoginTab').trigger('click');
+          $('#authError').text('Password reset. You can log in with your new password now.');
+        } else {
+          $('#authError').text(parsedMessage.error || 'An error occurred');
+        }
+        break;
+
       case 'checkUsernameResponse':
         // Can be used for real-time username availability checking
         console.debug('Username availability:', parsedMessage.username, parsedMessage.available);
@@ -924,6 +1143,51 @@ async function connectWebSocket(username) {
       case "forceDisconnect":
         disconnectWebSocket();
         break;
+      //MARK: rooms
+      case "roomsList":
+        lobby.renderRoomsList(parsedMessage.rooms);
+        break;
+      case "roomCreated":
+        lobby.handleRoomCreated(parsedMessage);
+        break;
+      case "roomJoined":
+        localStorage.setItem("roomId", parsedMessage.room.room_id);
+        lobby.handleRoomJoined(parsedMessage);
+        updateRoomCharacterDisplay(parsedMessage);
+        $("#userChat").empty();
+        appendMessages(parsedMessage.chatHistory, "#userChat", parsedMessage.sessionID);
+        $("#AIChat").empty();
+        $("#AIChatUserList ul").empty();
+        appendMessages(parsedMessage.AIChatHistory, "#AIChat", parsedMessage.AIChatSessionID);
+        try { streamUpdater.resetContextBoundary(); } catch (_) { /* noop */ }
+        util.unkindlyScrollDivToBottom($("#userChat"));
+        util.unkindlyScrollDivToBottom($("#AIChat"));
+        if (isHost) $("#showPastChats").trigger("click");
+        break;
+      case "roomLeft":
+        leaveRoomDisplay();
+        lobby.handleRoomLeft(parsedMessage);
+        break;
+      case "roomDeleted":
+        if (lobby.getCurrentRoomId() === parsedMessage.roomId) {
+          leaveRoomDisplay();
+        }
+        lobby.handleRoomDeleted(parsedMessage);
+        break;
+      case "memberJoined":
+        lobby.handleMemberJoined(parsedMessage);
+        break;
+      case "memberLeft":
+        lobby.handleMemberLeft(parsedMessage);
+        break;
+      case "roomSettingsChanged":
+        lobby.handleRoomSettingsChanged(parsedMessage);
+        updateRoomCharacterDisplay(parsedMessage);
+        break;
+      case "roomError":
+        lobby.handleRoomError(parsedMessage);
+        hostToast.showHostToast(parsedMessage.error, 'System', 500);
+        break;
       case "guestConnectionConfirmed":
       case "connectionConfirmed":
         //console.info(parsedMessage.liveConfig)
@@ -947,6 +1211,7 @@ async function connectWebSocket(username) {
         let state = parsedMessage.state
         let selectedCharacter
         ({ selectedCharacter, AIChatDelay, userChatDelay } = state)
+        guestEditWindow = Number(state.guestEditWindow) || 0
         userChatDelay = userChatDelay * 1000
         AIChatDelay = AIChatDelay * 1000
         $("#charName").text(selectedCharacter);
@@ -984,6 +1249,7 @@ async function connectWebSocket(username) {
         $("#charName").text(newCharDisplayName);
         break;
       case "keyAccepted":
+        if (parsedMessage.token) localStorage.setItem('sessionToken', parsedMessage.token);
         //refresh page to get new info, could be done differently in the future
         await util.flashElement("roleKeyInput", "good");
         console.debug("key accepted, refreshing page...");
@@ -1014,6 +1280,10 @@ async function connectWebSocket(username) {
         console.debug('about to append messages: ', pastChatHistory, "#AIChat", parsedMessage.sessionID)
         appendMessages(pastChatHistory, "#AIChat", parsedMessage.sessionID)
         util.unkindlyScrollDivToBottom($("#AIChat"))
+        if (isHost) {
+          sessionVariablesUI.refreshSessionVariables();
+          chatSummaryUI.refreshChatSummary();
+        }
         break;
       case "pastChatDeleted":
         let wasActive = parsedMessage?.wasActive;
@@ -1023,6 +1293,15 @@ async function connectWebSocket(username) {
         }
         $("#showPastChats").trigger("click");
         break;
+      case "chatExport":
+        util.downloadFile(parsedMessage.filename, parsedMessage.data, parsedMessage.mimeType);
+        break;
+      case "chatIOError":
+        alert(parsedMessage.error);
+        break;
+      case "messageEditError":
+        alert(parsedMessage.error);
+        break;
       case "testAPIResult":
         let result = parsedMessage.result;
         console.debug(result);
@@ -1077,6 +1356,12 @@ async function connectWebSocket(username) {
           }
         } else {
           //console.warn('not a continue, so add a new message div')
+          if (!$incomingDiv.length && parsedMessage.isSwipe) {
+            // A new swipe streams over the text of the message it belongs to
+            $incomingDiv = $("#AIChat").find(`div[data-messageid='${targetMesID}'][data-entitytype='AI']`);
+            $incomingDiv.find('.messageContent').empty().append('<span class="streamTarget"></span>');
+            $incomingDiv.addClass("incomingStreamDiv");
+          }
           if (!$incomingDiv.length) { // the div here is a temporary container for the streamed content. it will be replaced on stream end with the final server-canonical HTML
           const newStreamDivSpan = $(`
             <div class="incomingStreamDiv transition250" data-sessionid="${parsedMessage.sessionID}" data-messageid="${parsedMessage.messageID}" data-entityType="AI">
@@ -1086,6 +1371,7 @@ async function connectWebSocket(username) {
                       <div class="messageControls transition250">
                         <i data-messageid="${parsedMessage.messageID}" data-sessionid="${parsedMessage.sessionID}" class="fromStreamedResponse messageEdit messageButton fa-solid fa-edit bgTransparent greyscale textshadow textBrightUp transition250"></i>
                         <i data-messageid="${parsedMessage.messageID}" data-sessionid="${parsedMessage.sessionID}" class="fromStreamedResponse messageDelete messageButton fa-solid fa-trash bgTransparent greyscale textshadow textBrightUp transition250"></i>
+                        <i data-messageid="${parsedMessage.messageID}" data-sessionid="${parsedMessage.sessionID}" title="Branch from here" class="fromStreamedResponse messageBranch messageButton fa-solid fa-code-branch bgTransparent greyscale textshadow textBrightUp transition250"></i>
                       </div>
                       <small class="messageTime"></small>
                     </span>
@@ -1147,6 +1433,9 @@ async function connectWebSocket(username) {
         if (isHost) {
           insertInlineContinueButton($(".incomingStreamDiv"));
         }
+        if (parsedMessage.swipeCount) {
+          renderSwipeControls($(".incomingStreamDiv"), parsedMessage.swipeIndex, parsedMessage.swipeCount);
+        }
         // Restore visibility for all inline continue buttons after streaming finishes
         $("#AIChat i.inlineContinue").removeClass("hidden");
         accumulatedContent = "";
@@ -1208,6 +1497,14 @@ async function connectWebSocket(username) {
 
         isAIResponse = false;
         break;
+      case "AIChatSwipe": { // a swipe was selected, or a non-streamed regeneration finished
+        const $swipeDiv = $("#AIChat").find(`div[data-messageid='${parsedMessage.messageID}'][data-entitytype='AI']`);
+        if (!$swipeDiv.length) break;
+        $swipeDiv.find('.messageContent').html(parsedMessage.content);
+        if (isHost) insertInlineContinueButton($swipeDiv);
+        renderSwipeControls($swipeDiv, parsedMessage.swipeIndex, parsedMessage.swipeCount);
+        break;
+      }
       case 'hostToastResponse':
         hostToast.showHostToast(parsedMessage.content, parsedMessage.username);
         break;
@@ -1269,6 +1566,7 @@ function handleSocketOpening(socket) {
     .prop("placeholder", "Message the AI Chat")
     .removeClass("disconnected");
   util.heartbeat(socket);
+  slashCommandsUI.requestSlashCommands();
 }
 
 function disconnectWebSocket() {
@@ -1579,6 +1877,7 @@ const disableableButtons = [
   "#toggleMode",
   ".messageEdit",
   ".messageDelete",
+  ".messageBranch",
   "#clearAIChat",
   "#clearUserChat"
 
@@ -1752,20 +2051,101 @@ $(async function () {
     });
   });
 
+  // A small form for a change to the logged-in account; the server's reply lands in #accountError
+  function openAccountDialog(title, fieldsHtml, onSubmit) {
+    const $dialog = $("<div>").html(`
+        <form class="flexbox flexFlowCol">
+            ${fieldsHtml}
+            <div id="accountError" style="color: #ff6b6b; min-height: 1.5em;"></div>
+        </form>
+    `);
+    $dialog.dialog({
+      title: title,
+      modal: true,
+      width: 350,
+      buttons: {
+        "Submit": function () {
+          $("#accountError").text("Processing...");
+          onSubmit();
+        },
+        "Cancel": function () {
+          $(this).dialog("close");
+        }
+      },
+      open: function () {
+        $(".ui-button").trigger("blur");
+      },
+      close: function () {
+        window._accountDialog = null;
+        $(this).dialog("destroy").remove();
+      }
+    });
+    window._accountDialog = $dialog;
+  }
+
   // Login / Register button handler
   $("#loginButton").off("click").on("click", function () {
-    let isLoginMode = true;
+    if (isLoggedIn) {
+      $("<div>").text(`You are logged in as ${myUsername}.`).dialog({
+        title: "Account",
+        modal: true,
+        width: 350,
+        buttons: {
+          "Log Out": function () {
+            util.messageServer({ type: 'logout' });
+            $(this).dialog("close");
+          },
+          "Log Out Everywhere": function () {
+            util.messageServer({ type: 'logout', everywhere: true });
+            $(this).dialog("close");
+          },
+          "Change Password": function () {
+            $(this).dialog("close");
+            openAccountDialog("Change Password", `
+                <input type="password" id="accountCurrentPassword" class="marginBot5" placeholder="Current password">
+                <input type="password" id="accountNewPassword" class="marginBot5" placeholder="New password" minlength="6">`,
+              function () {
+                const newPassword = $("#accountNewPassword").val();
+                if (newPassword.length < 6) {
+                  $("#accountError").text("Password must be at least 6 characters");
+                  return;
+                }
+                util.messageServer({ type: 'changePassword', currentPassword: $("#accountCurrentPassword").val(), newPassword });
+              });
+          },
+          "Delete Account": function () {
+            $(this).dialog("close");
+            openAccountDialog("Delete Account", `
+                <p>Your login, persona and role are removed. Your messages stay, under "Deleted user". This can't be undone.</p>
+                <input type="password" id="accountDeletePassword" class="marginBot5" placeholder="Password">`,
+              function () {
+                util.messageServer({ type: 'deleteAccount', password: $("#accountDeletePassword").val() });
+              });
+          },
+          "Cancel": function () {
+            $(this).dialog("close");
+          }
+        },
+        open: function () {
+          $(".ui-button").trigger("blur");
+        }
+      });
+      return;
+    }
+    let authMode = 'login'; // 'login', 'register' or 'reset'
     
     const $dialog = $("<div>").html(`
         <div id="authFormContainer">
             <div class="flexbox justifySpaceAround marginBot5">
                 <button id="authLoginTab" class="authTab active" style="flex:1;">Login</button>
                 <button id="authRegisterTab" class="authTab" style="flex:1;">Register</button>
+                <button id="authResetTab" class="authTab" style="flex:1;" title="Set a new password with a reset code from the host">Reset</button>
             </div>
             <form id="authForm" class="flexbox flexFlowCol">
                 <input type="text" id="authUsername" class="marginBot5" placeholder="Username" required minlength="3" maxlength="20">
                 <input type="password" id="authPassword" class="marginBot5" placeholder="Password" required minlength="6">
                 <input type="email" id="authEmail" class="marginBot5" placeholder="Email (optional)" style="display:none;">
+                <input type="text" id="authResetCode" class="marginBot5" placeholder="Reset code from the host" style="display:none;">
                 <div id="authError" style="color: #ff6b6b; min-height: 1.5em;"></div>
             </form>
         </div>
@@ -1780,6 +2160,7 @@ $(async function () {
                 const username = $("#authUsername").val().trim();
                 const password = $("#authPassword").val();
                 const email = $("#authEmail").val().trim();
+                const code = $("#authResetCode").val().trim();
                 
                 if (!username || username.length < 3) {
                     $("#authError").text("Username must be at least 3 characters");
@@ -1790,9 +2171,21 @@ $(async function () {
                     return;
                 }
                 
+                if (authMode === 'reset' && !code) {
+                    $("#authError").text("Enter the reset code the host gave you");
+                    return;
+                }
+                
                 $("#authError").text("Processing...");
                 
-                if (isLoginMode) {
+                if (authMode === 'reset') {
+                    util.messageServer({
+                        type: 'resetPassword',
+                        username: username,
+                        code: code,
+                        newPassword: password
+                    });
+                } else if (authMode === 'login') {
                     util.messageServer({
                         type: 'loginUser',
                         username: username,
@@ -1815,23 +2208,19 @@ $(async function () {
             $(".ui-button").trigger("blur");
             
             // Tab switching
-            $("#authLoginTab").on("click", function() {
-                isLoginMode = true;
+            const switchAuthMode = function(mode, title) {
+                authMode = mode;
+                $(".authTab").removeClass("active");
                 $(this).addClass("active");
-                $("#authRegisterTab").removeClass("active");
-                $("#authEmail").hide();
-                $dialog.dialog("option", "title", "Login");
+                $("#authEmail").toggle(mode === 'register');
+                $("#authResetCode").toggle(mode === 'reset');
+                $("#authPassword").attr("placeholder", mode === 'reset' ? "New password" : "Password");
+                $dialog.dialog("option", "title", title);
                 $("#authError").text("");
-            });
-            
-            $("#authRegisterTab").on("click", function() {
-                isLoginMode = false;
-                $(this).addClass("active");
-                $("#authLoginTab").removeClass("active");
-                $("#authEmail").show();
-                $dialog.dialog("option", "title", "Register");
-                $("#authError").text("");
-            });
+            };
+            $("#authLoginTab").on("click", function() { switchAuthMode.call(this, 'login', "Login"); });
+            $("#authRegisterTab").on("click", function() { switchAuthMode.call(this, 'register', "Register"); });
+            $("#authResetTab").on("click", function() { switchAuthMode.call(this, 'reset', "Reset Password"); });
         }
     });
     
@@ -1892,6 +2281,33 @@ $(async function () {
 
   });
 
+  // Mute and kick buttons in the user list, for hosts and mods
+  $("#userList").off("click", ".userMute, .userKick").on("click", ".userMute, .userKick", function () {
+    const isKick = $(this).hasClass('userKick');
+    if (isKick && !confirm(`Kick ${$(this).closest('li').data('foruser')}?`)) return;
+    util.messageServer({
+      type: isKick ? 'kickUser' : 'muteUser',
+      UUID: myUUID,
+      targetID: $(this).data('userid')
+    });
+  });
+
+  // Time out and ban buttons; a timeout asks how long, a ban asks for a reason and whether to include their IP address
+  $("#userList").off("click", ".userTimeout, .userBan").on("click", ".userTimeout, .userBan", function () {
+    const username = $(this).closest('li').data('foruser');
+    const targetID = $(this).data('userid');
+    if ($(this).hasClass('userTimeout')) {
+      const minutes = Number(prompt(`Time out ${username} for how many minutes?`, '10'));
+      if (!(minutes > 0)) return;
+      util.messageServer({ type: 'timeoutUser', UUID: myUUID, targetID, minutes });
+      return;
+    }
+    const reason = prompt(`Ban ${username}? They will be disconnected and can't come back until unbanned.\nReason (optional):`, '');
+    if (reason === null) return;
+    const byIP = confirm(`Also ban ${username}'s IP address? Anyone connecting from it will be turned away.`);
+    util.messageServer({ type: 'banUser', UUID: myUUID, targetID, reason, byIP });
+  });
+
   $("#AIRetry").off("click").on("click", function () {
     console.debug('saw AI retry click')
 
@@ -2059,6 +2475,25 @@ $(async function () {
     util.messageServer(pastChatListRequest);
   });
 
+  $("#importPastChatBtn").on("click", function () {
+    $("#pastChatImportInput").val('').trigger('click');
+  });
+
+  $("#pastChatImportInput").on("change", function () {
+    const file = this.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = function (event) {
+      util.messageServer({
+        UUID: myUUID,
+        type: "importChat",
+        filename: file.name,
+        content: event.target.result
+      });
+    };
+    reader.readAsText(file);
+  });
+
   $(document).on("mouseup", async function (e) {
     var $target = $(e.target);
     if (!$target.is("#roleKeyInput") && $("#roleKeyInputDiv").hasClass("needsReset")) {
@@ -2364,8 +2799,9 @@ $(async function () {
     }
 
     for (let file of files) {
-      if (file.type !== "image/png") {
-        hostToast.showHostToast(`${file.name} failed: Only PNG files allowed.`, 'System');
+      // CHARX files come through with no MIME type, so go by extension
+      if (!/\.(png|json|charx)$/i.test(file.name)) {
+        hostToast.showHostToast(`${file.name} failed: Only PNG, JSON or CHARX cards allowed.`, 'System');
         continue;
       }
       if (file.size > 1024 * 1024) {
@@ -2379,7 +2815,7 @@ $(async function () {
           type: "fileUpload",
           UUID: myUUID,
           filename: file.name,
-          mimeType: file.type,
+          mimeType: file.type || 'application/octet-stream',
           size: file.size,
           content: event.target.result.split(',')[1]
         };
@@ -2421,8 +2857,25 @@ $(async function () {
 
   // Initialize Lorebook / World Info UI
   lorebookUI.initLorebookUI();
+  lobby.initLobby();
 
   // Initialize Character Editor UI
   characterEditor.initCharacterEditor();
+
+  // Initialize Chat Variables UI
+  sessionVariablesUI.initSessionVariablesUI();
+
+  // Initialize Chat Summary UI
+  chatSummaryUI.initChatSummaryUI();
+
+  // Initialize Long-term Memory UI
+  memorySettingsUI.initMemorySettingsUI();
+
+  // Initialize Ban List UI
+  banListUI.initBanListUI();
+  accountManagerUI.initAccountManagerUI();
+
+  // Initialize slash command autocomplete
+  slashCommandsUI.initSlashCommandsUI();
 });
 
@@ -0,0 +1,122 @@
+/**
+ * Account Manager Client UI Handler
+ *
+ * The host's list of registered accounts, with their role and when they were last seen.
+ * From here the host promotes, demotes, disables or deletes accounts and makes password reset codes.
+ */
+
+import util from './utils.js';
+
+const ACTION_BUTTONS = [
+    { action: 'promote', icon: 'fa-arrow-up', title: 'Promote (user → mod → host)' },
+    { action: 'demote', icon: 'fa-arrow-down', title: 'Demote (host → mod → user)' },
+    { action: 'resetCode', icon: 'fa-key', title: 'Make a password reset code' },
+    { action: 'disable', icon: 'fa-user-slash', title: 'Disable: they can\'t log in until enabled again' },
+    { action: 'enable', icon: 'fa-user-check', title: 'Enable' },
+    { action: 'delete', icon: 'fa-trash', title: 'Delete the account; its messages stay as "Deleted user"' }
+];
+
+const CONFIRMATIONS = {
+    disable: name => `Disable ${name}? They will be logged out and can't log in until you enable the account.`,
+    delete: name => `Delete the account of ${name}? This can't be undone.`
+};
+
+// Get socket reference from window (set by script.js) to avoid circular import
+function getSocket() {
+    return window._stmpSocket || null;
+}
+
+function sendToServer(message) {
+    const socket = getSocket();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Initialize account manager handlers
+ */
+export function initAccountManagerUI() {
+    $('#accountManagerToggle').on('click', function () {
+        util.toggleControlPanelBlocks($(this).find('i'), 'single');
+        sendToServer({ type: 'accountListRequest' });
+    });
+
+    $('#accountList').on('click', '.accountAction', function () {
+        const $account = $(this).closest('li');
+        const action = $(this).data('action');
+        const confirmation = CONFIRMATIONS[action];
+        if (confirmation && !confirm(confirmation($account.data('username')))) return;
+        sendToServer({ type: 'accountUpdate', accountID: $account.data('accountid'), action });
+    });
+}
+
+// SQLite's own timestamps are UTC without saying so; registration writes ISO strings
+function formatAccountTime(timestamp) {
+    if (!timestamp) return 'never';
+    return util.formatSQLTimestamp(timestamp.includes('T') ? timestamp : `${timestamp.replace(' ', 'T')}Z`);
+}
+
+function populateAccountList(accounts) {
+    const $list = $('#accountList').empty();
+    $('#accountListEmpty').toggle(accounts.length === 0);
+    for (const account of accounts) {
+        const status = [account.role, account.disabled ? 'disabled' : null, account.online ? 'online' : `last seen ${formatAccountTime(account.lastSeenAt)}`]
+            .filter(Boolean).join(' · ');
+        const $actions = $('<span class="accountActions">');
+        for (const { action, icon, title } of ACTION_BUTTONS) {
+            if (action === 'promote' && account.role === 'host') continue;
+            if (action === 'demote' && !['mod', 'host'].includes(account.role)) continue;
+            if (action === (account.disabled ? 'disable' : 'enable')) continue;
+            $('<i class="accountAction messageButton fa-solid bgTransparent textshadow textBrightUp transition250">')
+                .addClass(icon)
+                .attr({ 'data-action': action, title })
+                .appendTo($actions);
+        }
+        $('<li class="flexbox alignItemsCenter">')
+            .attr({ 'data-accountid': account.accountID, 'data-username': account.username, title: `Registered ${formatAccountTime(account.createdAt)}` })
+            .append($('<span>').css('color', account.color).text(account.username))
+            .append($('<small class="mutedColor marginLeft5">').text(status))
+            .append($actions)
+            .appendTo($list);
+    }
+}
+
+// The code is only shown once, so it goes in a dialog the host can copy it from
+function showResetCode({ username, code, expiresAt }) {
+    $('<div>')
+        .append($('<p>').text(`Give this code to ${username}. They can use it once, from the Reset tab of the login dialog, until ${formatAccountTime(expiresAt)}.`))
+        .append($('<h3>').css('text-align', 'center').text(code))
+        .dialog({
+            title: 'Password Reset Code',
+            modal: true,
+            width: 350,
+            buttons: {
+                "OK": function () {
+                    $(this).dialog('close');
+                }
+            },
+            close: function () {
+                $(this).dialog('destroy').remove();
+            }
+        });
+}
+
+export function handleAccountManagerMessage(parsedMessage) {
+    switch (parsedMessage.type) {
+        case 'accountList':
+            populateAccountList(parsedMessage.accounts || []);
+            break;
+        case 'accountResetCode':
+            showResetCode(parsedMessage);
+            break;
+        case 'accountError':
+            alert(parsedMessage.error);
+            break;
+    }
+}
+
+export default {
+    initAccountManagerUI,
+    handleAccountManagerMessage
+};
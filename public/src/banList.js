@@ -0,0 +1,71 @@
+/**
+ * Ban List Client UI Handler
+ *
+ * Shows the bans and timeouts still in force to hosts and mods, who can lift them from here.
+ * Bans themselves are made from the user list or with /timeout, /ban and /banip.
+ */
+
+import util from './utils.js';
+
+const TARGET_LABELS = { uuid: 'user', account: 'account', ip: 'IP' };
+
+// Get socket reference from window (set by script.js) to avoid circular import
+function getSocket() {
+    return window._stmpSocket || null;
+}
+
+function sendToServer(message) {
+    const socket = getSocket();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Initialize ban list handlers
+ */
+export function initBanListUI() {
+    $('#showBanList').on('click', function () {
+        const isOpen = $(this).attr('aria-pressed') !== 'true';
+        $(this).toggleClass('toggleButtonOn', isOpen).attr('aria-pressed', isOpen ? 'true' : 'false');
+        $('#banList').toggle(isOpen);
+        if (isOpen) sendToServer({ type: 'banListRequest' });
+    });
+
+    $('#banList').on('click', '.unban', function () {
+        const $ban = $(this).closest('li');
+        if (!confirm(`Lift the ban on ${$ban.data('username')}?`)) return;
+        sendToServer({ type: 'unbanUser', banId: $ban.data('banid') });
+    });
+}
+
+// SQLite timestamps are UTC without saying so
+function formatBanTime(timestamp) {
+    return util.formatSQLTimestamp(`${timestamp.replace(' ', 'T')}Z`);
+}
+
+function populateBanList(bans) {
+    const $list = $('#banList ul').empty();
+    $('#banListEmpty').toggle(bans.length === 0);
+    for (const ban of bans) {
+        const kind = ban.expiresAt ? `timed out until ${formatBanTime(ban.expiresAt)}` : `${TARGET_LABELS[ban.targetType] || ban.targetType} ban`;
+        const details = [`by ${ban.bannedBy}`, formatBanTime(ban.createdAt), ban.reason].filter(Boolean).join(' · ');
+        $('<li>')
+            .attr({ 'data-banid': ban.banId, 'data-username': ban.username, title: details })
+            .append($('<span>').text(ban.username))
+            .append($('<small class="mutedColor marginLeft5">').text(kind))
+            .append('<i class="unban messageButton fa-solid fa-xmark bgTransparent textshadow textBrightUp transition250" title="Lift ban"></i>')
+            .appendTo($list);
+    }
+}
+
+export function handleBanListMessage(parsedMessage) {
+    if (parsedMessage.type === 'banList') {
+        populateBanList(parsedMessage.bans || []);
+    }
+}
+
+export default {
+    initBanListUI,
+    handleBanListMessage
+};
@@ -1,7 +1,7 @@
 /**
  * Character Editor Module
  * Provides a dedicated tab UI for viewing and editing SillyTavern character card metadata.
- * Supports full v2 character card spec including alternate greetings.
+ * Supports v2 and v3 character card fields including alternate and group-only greetings.
  */
 
 import util from './utils.js';
@@ -66,6 +66,12 @@ function initCharacterEditor() {
         isDirty = true;
     });
 
+    // Add group-only greeting
+    $('#charEditorAddGroupGreeting').off('click.charEditor').on('click.charEditor', function() {
+        addGreetingField('', null, '#charEditorGroupGreetingsList');
+        isDirty = true;
+    });
+
     // Track changes for dirty state
     $('#charEditorFields').on('input change', 'input, textarea', function() {
         isDirty = true;
@@ -202,6 +208,7 @@ function populateFields(charData) {
     
     // Core fields
     $('#charEditorName').val(data.name || '');
+    $('#charEditorNickname').val(data.nickname || '');
     $('#charEditorDescription').val(data.description || '');
     $('#charEditorFirstMes').val(data.first_mes || '');
     
@@ -219,15 +226,23 @@ function populateFields(charData) {
     altGreetings.forEach((greeting, index) => {
         addGreetingField(greeting, index);
     });
+
+    // Group-only greetings (v3)
+    $('#charEditorGroupGreetingsList').empty();
+    const groupGreetings = data.group_only_greetings || [];
+    groupGreetings.forEach((greeting, index) => {
+        addGreetingField(greeting, index, '#charEditorGroupGreetingsList');
+    });
 }
 
 /**
  * Add an alternate greeting field to the UI
  * @param {string} text - Greeting text
  * @param {number} index - Optional index for labeling
+ * @param {string} listSelector - Greeting list to add to (default: alternate greetings)
  */
-function addGreetingField(text = '', index = null) {
-    const $list = $('#charEditorGreetingsList');
+function addGreetingField(text = '', index = null, listSelector = '#charEditorGreetingsList') {
+    const $list = $(listSelector);
     const count = $list.children().length;
     const label = index !== null ? index + 1 : count + 1;
     
@@ -249,11 +264,12 @@ function addGreetingField(text = '', index = null) {
 
 /**
  * Collect all greeting texts from the UI
+ * @param {string} listSelector - Greeting list to read (default: alternate greetings)
  * @returns {Array<string>} - Array of greeting strings
  */
-function collectGreetings() {
+function collectGreetings(listSelector = '#charEditorGreetingsList') {
     const greetings = [];
-    $('#charEditorGreetingsList .charEditorGreetingText').each(function() {
+    $(`${listSelector} .charEditorGreetingText`).each(function() {
         const text = $(this).val().trim();
         if (text) {
             greetings.push(text);
@@ -276,6 +292,7 @@ async function saveCharacterData() {
     // Build updated character data object
     const updatedData = {
         name: $('#charEditorName').val().trim(),
+        nickname: $('#charEditorNickname').val().trim(),
         description: $('#charEditorDescription').val(),
         first_mes: $('#charEditorFirstMes').val(),
         personality: $('#charEditorPersonality').val(),
@@ -284,7 +301,8 @@ async function saveCharacterData() {
         post_history_instructions: $('#charEditorPostHistory').val(),
         creator_notes: $('#charEditorCreatorNotes').val(),
         mes_example: $('#charEditorMesExample').val(),
-        alternate_greetings: collectGreetings()
+        alternate_greetings: collectGreetings(),
+        group_only_greetings: collectGreetings('#charEditorGroupGreetingsList')
     };
     
     try {
@@ -322,6 +340,7 @@ async function saveCharacterData() {
  */
 function clearEditorFields() {
     $('#charEditorName').val('');
+    $('#charEditorNickname').val('');
     $('#charEditorDescription').val('');
     $('#charEditorFirstMes').val('');
     $('#charEditorPersonality').val('');
@@ -331,6 +350,7 @@ function clearEditorFields() {
     $('#charEditorCreatorNotes').val('');
     $('#charEditorMesExample').val('');
     $('#charEditorGreetingsList').empty();
+    $('#charEditorGroupGreetingsList').empty();
     currentCharPath = null;
     currentCharData = null;
     isDirty = false;
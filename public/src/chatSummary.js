@@ -0,0 +1,102 @@
+/**
+ * Chat Summary Client UI Handler
+ *
+ * Shows the host the running summary of the current chat's older messages, lets them
+ * edit or regenerate it, and holds the summarization settings.
+ */
+
+import util from './utils.js';
+
+// Get socket reference from window (set by script.js) to avoid circular import
+function getSocket() {
+    return window._stmpSocket || null;
+}
+
+function sendToServer(message) {
+    const socket = getSocket();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Initialize chat summary panel handlers
+ */
+export function initChatSummaryUI() {
+    $('#chatSummaryToggle').on('click', function () {
+        util.toggleControlPanelBlocks($(this).find('i'), 'single');
+        requestChatSummary();
+    });
+
+    $('#saveChatSummaryBtn').on('click', function () {
+        sendToServer({ type: 'chatSummaryUpdate', summary: $('#chatSummaryText').val() });
+    });
+
+    $('#regenerateChatSummaryBtn').on('click', function () {
+        $(this).prop('disabled', true).text('Writing...');
+        sendToServer({ type: 'chatSummaryRegenerate' });
+    });
+
+    $('#chatSummaryEnabled, #chatSummaryPosition, #chatSummaryDepth, #chatSummaryInterval').on('change', function () {
+        sendToServer({
+            type: 'summarySettingsUpdate',
+            settings: {
+                enabled: $('#chatSummaryEnabled').prop('checked'),
+                position: $('#chatSummaryPosition').val(),
+                depth: Number($('#chatSummaryDepth').val()),
+                interval: Number($('#chatSummaryInterval').val())
+            }
+        });
+    });
+}
+
+// Ask for the summary again, e.g. after another chat was loaded; only while the panel is open
+export function refreshChatSummary() {
+    if ($('#chatSummaryBlock').is(':visible')) {
+        requestChatSummary();
+    }
+}
+
+function requestChatSummary() {
+    sendToServer({ type: 'chatSummaryRequest' });
+}
+
+function resetRegenerateButton() {
+    $('#regenerateChatSummaryBtn').prop('disabled', false).text('Regenerate');
+}
+
+function populateChatSummary(parsedMessage) {
+    const settings = parsedMessage.settings || {};
+    $('#chatSummaryEnabled').prop('checked', !!settings.enabled);
+    $('#chatSummaryPosition').val(settings.position);
+    $('#chatSummaryDepth').val(settings.depth).prop('disabled', settings.position !== 'atDepth');
+    $('#chatSummaryInterval').val(settings.interval);
+
+    // don't throw away what the host is typing when a summarization pass lands
+    if (!$('#chatSummaryText').is(':focus')) {
+        $('#chatSummaryText').val(parsedMessage.summary || '');
+    }
+    const coverage = parsedMessage.summarizedThrough !== null && parsedMessage.summarizedThrough !== undefined
+        ? `Covers messages up to #${parsedMessage.summarizedThrough}${parsedMessage.updatedAt ? `, updated ${parsedMessage.updatedAt}` : ''}`
+        : 'No summary yet';
+    $('#chatSummaryCoverage').text(coverage);
+    resetRegenerateButton();
+}
+
+export function handleChatSummaryMessage(parsedMessage) {
+    switch (parsedMessage.type) {
+        case 'chatSummary':
+            populateChatSummary(parsedMessage);
+            break;
+        case 'chatSummaryError':
+            resetRegenerateButton();
+            alert(parsedMessage.error);
+            break;
+    }
+}
+
+export default {
+    initChatSummaryUI,
+    refreshChatSummary,
+    handleChatSummaryMessage
+};
@@ -172,22 +172,44 @@ function showPastChats(chatList) {
         return;
     }
 
-    for (let i = 0; i < chatArray.length; i++) {
-        const item = chatArray[i];
+    // Branches are listed under the chat they were forked from; orphans (parent deleted) show as roots
+    const sessionIDs = new Set(chatArray.map(item => item.session_id));
+    const branchesOf = {};
+    const roots = [];
+    for (const item of chatArray) {
+        if (item.parent_session_id && sessionIDs.has(item.parent_session_id)) {
+            (branchesOf[item.parent_session_id] ??= []).unshift(item); // oldest branch first
+        } else {
+            roots.push(item);
+        }
+    }
+
+    const appendChatItem = (item, depth) => {
         const divElement = $(`<div class="pastChatItem flexbox Vcentered transition250" data-session_id="${item.session_id}">`);
         if (item.is_active) {
             divElement.addClass('activeChat');
         }
+        if (depth > 0) {
+            divElement.css('margin-left', `${depth * 15}px`);
+        }
         const formattedTimestamp = util.formatSQLTimestamp(item.latestTimestamp);
-        const sessionText = $(`<span>${item.aiName}</span>`);
+        const sessionText = $(`<span>${depth > 0 ? '↳ ' : ''}${item.aiName}</span>`);
         const nameAndTimestampDiv = $(`<div data-session_id="${item.session_id}" class="pastChatInfo noGap flexbox flexFlowCol flex1">`);
         const timestampText = $(`<small>${formattedTimestamp}</small>`);
         const messageCount = $(`<span> ${item.messageCount}</span>`);
+        const exportButton = $(`<button data-session_id="${item.session_id}" class="fontSize1p25em pastChatExportButton opacityHalf bgTransparent" title="Export chat">📤</button>`);
         const delButton = $(`<button data-session_id="${item.session_id}" class="fontSize1p25em pastChatDelButton opacityHalf bgTransparent">🗑️</button>`);
-        divElement.append(nameAndTimestampDiv).append(messageCount).append(delButton);
+        divElement.append(nameAndTimestampDiv).append(messageCount).append(exportButton).append(delButton);
         nameAndTimestampDiv.append(sessionText).append(timestampText);
+        if (item.parent_session_id) {
+            divElement.attr('title', `Branched from chat ${item.parent_session_id} at message ${item.branch_point_message_id}`);
+        }
         $pastChatsList.append(divElement);
-    }
+        for (const branch of branchesOf[item.session_id] || []) {
+            appendChatItem(branch, depth + 1);
+        }
+    };
+    roots.forEach(item => appendChatItem(item, 0));
 
     $pastChatsList.off('click', '.pastChatDelButton').on('click', '.pastChatDelButton', async function (e) {
         const $parent = $(this).parent();
@@ -209,6 +231,16 @@ function showPastChats(chatList) {
         });
     });
 
+    $pastChatsList.off('click', '.pastChatExportButton').on('click', '.pastChatExportButton', function () {
+        const pastChatExportRequest = {
+            type: 'exportChat',
+            UUID: myUUID,
+            sessionID: $(this).data('session_id'),
+            format: $('#pastChatExportFormat').val()
+        };
+        util.messageServer(pastChatExportRequest);
+    });
+
     $pastChatsList.off('click', '.pastChatInfo').on('click', '.pastChatInfo', function () {
         const sessionID = $(this).data('session_id');
         console.debug(`requesting to load chat from session ${sessionID}...`);
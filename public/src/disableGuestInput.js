@@ -1,5 +1,5 @@
 import util from './utils.js';
-import { myUUID, isHost } from '../script.js';
+import { myUUID, myPermissions } from '../script.js';
 
 const $button = $('#disableGuestInput');
 const $body = $('body');
@@ -21,7 +21,7 @@ async function sendToggleRequest(nextAllowed) {
 function toggleState(allowed) {
     // allowed: boolean - whether guests are allowed to input
     console.debug('[disableGuestInput.toggleState] allowed:', allowed);
-    if (!isHost) {
+    if (!myPermissions.includes('toggleGuestInput')) {
         if (!allowed) {
             $body.addClass('disableGuestInput');
             $('.inputAndIconsWrapper ').prop('title', 'Guest Input Disabled by Host');
@@ -39,7 +39,7 @@ export default { toggleState };
 $(function () {
     if (!$button.length) return;
     $button.on('click', function () {
-        if (!isHost) return; // guests shouldn't trigger
+        if (!myPermissions.includes('toggleGuestInput')) return; // guests shouldn't trigger
         // Derive next state from aria-pressed (pressed means currently disabled)
     const isPressed = $button.attr('aria-pressed') === 'true';
         const nextAllowed = isPressed; // if pressed (disabled), clicking will allow
@@ -48,6 +48,7 @@ Based on the following array sent from server:
       crowdControl: {
           userChatDelay,      //number input value
           AIChatDelay,           //number input value
+          guestEditWindow,    //number input value, minutes
           allowImages,        //checkbox
           guestInputPermissionState, //boolean to toggle body class
       },
@@ -122,7 +123,7 @@ async function processLiveConfig(configArray) {
   //console.log(promptConfig)
   //console.log(crowdControl)
 
-  const { userChatDelay, AIChatDelay, allowImages } = liveConfig.crowdControl;
+  const { userChatDelay, AIChatDelay, guestEditWindow, allowImages } = liveConfig.crowdControl;
   selectedModelForGuestDisplay = liveConfig.APIConfig.selectedModel || liveConfig.selectedModelForGuestDisplay
 
 
@@ -214,6 +215,7 @@ async function processLiveConfig(configArray) {
 
   await populateInput(userChatDelay, "userChatDelay");
   await populateInput(AIChatDelay, "AIChatDelay");
+  await populateInput(guestEditWindow, "guestEditWindow");
   // allowImages now a button toggle (not checkbox)
   setButtonToggleState('#allowImages', allowImages);
 
@@ -29,6 +29,9 @@ const roomSettingsDialog = document.getElementById('roomSettingsDialog');
 const roomSettingsName = document.getElementById('roomSettingsName');
 const roomSettingsDescription = document.getElementById('roomSettingsDescription');
 const roomCharacterSelect = document.getElementById('roomCharacterSelect');
+const roomAPISelect = document.getElementById('roomAPISelect');
+const roomInstructSelect = document.getElementById('roomInstructSelect');
+const roomSamplerPresetSelect = document.getElementById('roomSamplerPresetSelect');
 const cancelRoomSettings = document.getElementById('cancelRoomSettings');
 const saveRoomSettings = document.getElementById('saveRoomSettings');
 const deleteRoomBtn = document.getElementById('deleteRoomBtn');
@@ -103,13 +106,15 @@ export function initLobby() {
 
 // Show the lobby overlay
 export function showLobby() {
+    if (!lobbyOverlay) return;
     lobbyOverlay.style.display = 'flex';
-    currentRoomHeader.style.display = 'none';
+    if (currentRoomHeader) currentRoomHeader.style.display = 'none';
     requestRoomsList();
 }
 
 // Hide the lobby overlay
 export function hideLobby() {
+    if (!lobbyOverlay) return;
     lobbyOverlay.style.display = 'none';
 }
 
@@ -123,6 +128,7 @@ function showCreateRoomDialog() {
 
 // Hide create room dialog
 function hideCreateRoomDialog() {
+    if (!createRoomDialog) return;
     createRoomDialog.style.display = 'none';
 }
 
@@ -146,8 +152,12 @@ function showRoomSettingsDialog() {
         ? JSON.parse(currentRoom.settings || '{}') 
         : (currentRoom.settings || {});
     
-    // Populate character selector
-    populateCharacterSelect(settings.selectedCharacter || '');
+    // Populate the room's overrides; an empty choice means "follow the host's control panel"
+    const roster = (settings.selectedCharacters || []).map(c => c.value);
+    populateSelectFromMain(roomCharacterSelect, 'cardList', roster);
+    populateSelectFromMain(roomAPISelect, 'APIList', [settings.selectedAPI]);
+    populateSelectFromMain(roomInstructSelect, 'instructList', [settings.selectedInstruct]);
+    populateSelectFromMain(roomSamplerPresetSelect, 'samplerPresetList', [settings.selectedSamplerPreset]);
     
     roomSettingsDialog.style.display = 'flex';
 }
@@ -159,27 +169,26 @@ function hideRoomSettingsDialog() {
     }
 }
 
-// Populate character select dropdown
-function populateCharacterSelect(selectedValue = '') {
-    if (!roomCharacterSelect) return;
-    
-    // Get cards from the main cardList selector if available
-    const mainCardList = document.getElementById('cardList');
-    if (mainCardList) {
-        // Copy options from main card list
-        roomCharacterSelect.innerHTML = '<option value="">Use server default</option>';
-        Array.from(mainCardList.options).forEach(opt => {
-            if (opt.value) {
-                const option = document.createElement('option');
-                option.value = opt.value;
-                option.textContent = opt.textContent;
-                if (opt.value === selectedValue) {
-                    option.selected = true;
-                }
-                roomCharacterSelect.appendChild(option);
+// Copy the options of one of the control panel selectors into a room settings selector
+function populateSelectFromMain(targetSelect, mainSelectId, selectedValues = []) {
+    if (!targetSelect) return;
+    
+    const mainSelect = document.getElementById(mainSelectId);
+    if (!mainSelect) return;
+    
+    // The roster is a multi-select, where selecting nothing means the same as the default option
+    targetSelect.innerHTML = targetSelect.multiple ? '' : '<option value="">Use server default</option>';
+    Array.from(mainSelect.options).forEach(opt => {
+        if (opt.value && opt.value !== 'None') {
+            const option = document.createElement('option');
+            option.value = opt.value;
+            option.textContent = opt.textContent;
+            if (selectedValues.includes(opt.value)) {
+                option.selected = true;
             }
-        });
-    }
+            targetSelect.appendChild(option);
+        }
+    });
 }
 
 // Save room settings
@@ -193,11 +202,21 @@ function saveRoomSettingsHandler() {
     }
     
     const description = roomSettingsDescription.value.trim();
-    const selectedCharacter = roomCharacterSelect?.value || '';
     
-    // Build settings object
+    // Keep mute states for characters that stay on the roster
+    const previousRoster = currentRoom?.settings?.selectedCharacters || [];
+    const selectedCharacters = Array.from(roomCharacterSelect?.selectedOptions || []).map(opt => ({
+        value: opt.value,
+        displayName: opt.textContent,
+        isMuted: previousRoster.find(c => c.value === opt.value)?.isMuted || false
+    }));
+    
+    // Build settings object, empty values clear the room's override
     const settings = {
-        selectedCharacter: selectedCharacter
+        selectedCharacters: selectedCharacters,
+        selectedAPI: roomAPISelect?.value || null,
+        selectedInstruct: roomInstructSelect?.value || null,
+        selectedSamplerPreset: roomSamplerPresetSelect?.value || null
     };
     
     if (socket && socket.readyState === WebSocket.OPEN) {
@@ -297,19 +316,10 @@ export function handleRoomJoined(data) {
     currentRoom = data.room;
     
     // Hide lobby, show room header
+    // (the room's chat history is rendered by script.js through the normal appendMessages flow)
     hideLobby();
     showRoomHeader(data.room, data.members);
     
-    // Update chat display with room's chat history
-    if (data.chatHistory) {
-        // Clear existing chat and load room chat
-        const AIChatEl = document.getElementById('AIChat');
-        if (AIChatEl) {
-            AIChatEl.innerHTML = '';
-            // The chat history will be handled by the normal appendMessages flow
-        }
-    }
-    
     console.log(`[Lobby] Joined room: ${data.room.name}`);
 }
 
@@ -404,7 +414,7 @@ export function handleMemberLeft(data) {
 export function handleRoomSettingsChanged(data) {
     if (currentRoomId === data.room.room_id) {
         currentRoom = data.room;
-        showRoomHeader(data.room, []);
+        showRoomHeader(data.room, currentRoomMembers);
     }
 }
 
@@ -16,6 +16,11 @@ function getSocket() {
 let lorebooks = [];
 let selectedLorebookId = null;
 let entries = [];
+// Open entry editor dialog, kept open after Save until the server accepts the entry
+let $entryEditor = null;
+let entryEditorSaving = false;
+// Open link dialog, filled in once the server sends what can be linked
+let $linkDialog = null;
 
 
 /**
@@ -41,12 +46,14 @@ export function initLorebookUI() {
         if (lorebookId) {
             selectedLorebookId = lorebookId;
             $('#lorebookSettingsBlock').show();
+            $('#lorebookLinksBlock').show();
             $('#lorebookEntriesBlock').show();
             requestLorebookEntries(lorebookId);
             updateSettingsFromLorebook(lorebookId);
         } else {
             selectedLorebookId = null;
             $('#lorebookSettingsBlock').hide();
+            $('#lorebookLinksBlock').hide();
             $('#lorebookEntriesBlock').hide();
             $('#lorebookEntryList').empty();
         }
@@ -71,6 +78,39 @@ export function initLorebookUI() {
         }
     });
 
+    // Import a SillyTavern World Info file as a new lorebook
+    $('#importLorebookBtn').on('click', function() {
+        $('#lorebookImportInput').val('').trigger('click');
+    });
+
+    $('#lorebookImportInput').on('change', function() {
+        const file = this.files?.[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = function(event) {
+            importLorebook(file.name, event.target.result);
+        };
+        reader.readAsText(file);
+    });
+
+    // Export selected lorebook
+    $('#exportLorebookBtn').on('click', function() {
+        if (!selectedLorebookId) {
+            alert('Please select a lorebook first.');
+            return;
+        }
+        exportLorebook(selectedLorebookId);
+    });
+
+    // Link selected lorebook to a character, user or chat
+    $('#addLorebookLinkBtn').on('click', function() {
+        if (!selectedLorebookId) {
+            alert('Please select a lorebook first.');
+            return;
+        }
+        openLinkDialog();
+    });
+
     // Create new entry
     $('#newEntryBtn').on('click', function() {
         if (!selectedLorebookId) {
@@ -81,11 +121,13 @@ export function initLorebookUI() {
     });
 
     // Settings changes
-    $('#lorebookScanDepth, #lorebookTokenBudget').on('change', function() {
+    $('#lorebookScanDepth, #lorebookTokenBudget, #lorebookMaxRecursion').on('change', function() {
         if (selectedLorebookId) {
+            const maxRecursion = parseInt($('#lorebookMaxRecursion').val());
             updateLorebook(selectedLorebookId, {
                 scan_depth: parseInt($('#lorebookScanDepth').val()) || 5,
-                token_budget: parseInt($('#lorebookTokenBudget').val()) || 500
+                token_budget: parseInt($('#lorebookTokenBudget').val()) || 500,
+                max_recursion: Number.isNaN(maxRecursion) ? 3 : Math.min(10, Math.max(0, maxRecursion))
             });
         }
     });
@@ -113,6 +155,17 @@ export function handleLorebookMessage(parsedMessage) {
             const idx = lorebooks.findIndex(l => l.lorebook_id === parsedMessage.lorebook.lorebook_id);
             if (idx !== -1) lorebooks[idx] = parsedMessage.lorebook;
             populateLorebookDropdown();
+            if (parsedMessage.lorebook.lorebook_id === selectedLorebookId) {
+                populateLinkList();
+            }
+            break;
+
+        case 'lorebookLinkTargets':
+            populateLinkTargets(parsedMessage);
+            break;
+
+        case 'worldInfoActivation':
+            renderActivationReport(parsedMessage);
             break;
 
         case 'lorebookDeleted':
@@ -121,6 +174,7 @@ export function handleLorebookMessage(parsedMessage) {
             if (selectedLorebookId === parsedMessage.lorebookId) {
                 selectedLorebookId = null;
                 $('#lorebookSettingsBlock').hide();
+                $('#lorebookLinksBlock').hide();
                 $('#lorebookEntriesBlock').hide();
                 $('#lorebookEntryList').empty();
             }
@@ -134,12 +188,31 @@ export function handleLorebookMessage(parsedMessage) {
         case 'lorebookEntryCreated':
             entries.push(parsedMessage.entry);
             populateEntryList();
+            closeSavedEntryEditor();
             break;
 
         case 'lorebookEntryUpdated':
             const entryIdx = entries.findIndex(e => e.entry_id === parsedMessage.entry.entry_id);
             if (entryIdx !== -1) entries[entryIdx] = parsedMessage.entry;
             populateEntryList();
+            closeSavedEntryEditor();
+            break;
+
+        case 'lorebookExport':
+            downloadJSON(parsedMessage.filename, parsedMessage.data);
+            break;
+
+        case 'lorebookError':
+            alert(parsedMessage.error);
+            break;
+
+        case 'lorebookEntryError':
+            if ($entryEditor) {
+                entryEditorSaving = false;
+                $entryEditor.find('#entryEditorError').text(parsedMessage.error).show();
+            } else {
+                alert(parsedMessage.error);
+            }
             break;
 
         case 'lorebookEntryDeleted':
@@ -149,6 +222,30 @@ export function handleLorebookMessage(parsedMessage) {
     }
 }
 
+function downloadJSON(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 4)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const $link = $('<a>').attr({ href: url, download: filename }).appendTo('body');
+    $link[0].click();
+    $link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function closeSavedEntryEditor() {
+    if ($entryEditor && entryEditorSaving) {
+        $entryEditor.dialog('close');
+    }
+}
+
+/**
+ * Split a comma-separated key list, keeping /regex/flags keys whole even if they contain commas
+ */
+function splitKeys(value) {
+    return (value.match(/\s*\/(?:\\.|[^\\/])+\/[a-z]*\s*(?=,|$)|[^,]+/g) || [])
+        .map(k => k.trim())
+        .filter(Boolean);
+}
+
 // WebSocket request functions
 function requestLorebooks() {
     const socket = getSocket();
@@ -185,6 +282,41 @@ function deleteLorebook(lorebookId) {
     }
 }
 
+function requestLinkTargets() {
+    const socket = getSocket();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'getLorebookLinkTargets' }));
+    }
+}
+
+function linkLorebook(lorebookId, targetType, targetId) {
+    const socket = getSocket();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'linkLorebook', lorebookId, targetType, targetId }));
+    }
+}
+
+function unlinkLorebook(lorebookId, linkId) {
+    const socket = getSocket();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'unlinkLorebook', lorebookId, linkId }));
+    }
+}
+
+function importLorebook(filename, content) {
+    const socket = getSocket();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'importLorebook', filename, content }));
+    }
+}
+
+function exportLorebook(lorebookId) {
+    const socket = getSocket();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'exportLorebook', lorebookId }));
+    }
+}
+
 function createLorebookEntry(lorebookId, entryData) {
     const socket = getSocket();
     if (socket && socket.readyState === WebSocket.OPEN) {
@@ -229,7 +361,175 @@ function updateSettingsFromLorebook(lorebookId) {
     if (lb) {
         $('#lorebookScanDepth').val(lb.scan_depth || 5);
         $('#lorebookTokenBudget').val(lb.token_budget || 500);
+        $('#lorebookMaxRecursion').val(lb.max_recursion ?? 3);
+    }
+    populateLinkList();
+}
+
+/**
+ * Show what the latest generation's World Info scan activated, skipped for budget, rolled out, or held back by timers
+ */
+function renderActivationReport(report) {
+    const matched = report.matched || [];
+    const skipped = report.skippedForBudget || [];
+    const failed = report.failedRolls || [];
+    const blocked = report.blockedByTimers || [];
+    const time = new Date(report.timestamp || Date.now()).toLocaleTimeString();
+    $('#worldInfoInspectorSummary').text(`${report.character || '?'} @ ${time} · ~${report.totalTokens}/${report.tokenBudget} tokens`);
+
+    const $list = $('#worldInfoInspectorList');
+    $list.empty();
+
+    if (matched.length === 0 && skipped.length === 0 && failed.length === 0 && blocked.length === 0) {
+        $list.append('<div class="mutedColor padding5 alignSelfCenter">Nothing activated</div>');
+        return;
+    }
+
+    const addRow = (icon, item, detail) => {
+        const $row = $(`
+            <div class="flexbox justifySpaceBetween alignItemsCenter padding5 borderRad5 marginBot5 bgBrightUp">
+                <span class="fontWeightBold"></span>
+                <small class="mutedColor"></small>
+            </div>
+        `);
+        $row.find('span').text(`${icon} ${item.title || '(Untitled)'}`);
+        $row.find('small').text(detail);
+        if (item.lorebook) $row.attr('title', `From ${item.lorebook}`);
+        $list.append($row);
+    };
+
+    matched.forEach(item => {
+        const where = item.position === 'atDepth' ? `depth ${item.depth ?? 4}` : item.position;
+        const recursion = item.recursionLevel > 0 ? `, recursion ${item.recursionLevel}` : '';
+        addRow('✅', item, `${item.key} · ${where} · ~${item.tokens}t${recursion}`);
+    });
+    skipped.forEach(item => addRow('💰', item, `${item.key} · over budget (~${item.tokens}t)`));
+    failed.forEach(item => addRow('🎲', item, `${item.key} · rolled ${item.roll} > ${item.chance}%`));
+    blocked.forEach(item => addRow('⏳', item, `${item.key} · ${item.reason}`));
+}
+
+// Labels for the kinds of thing a lorebook can be linked to
+const linkTypeLabels = {
+    character: '🎭 Character',
+    user: '👤 User',
+    session: '💬 Chat'
+};
+
+function populateLinkList() {
+    const $list = $('#lorebookLinkList');
+    $list.empty();
+
+    const lb = lorebooks.find(l => l.lorebook_id === selectedLorebookId);
+    const links = lb?.links || [];
+    if (links.length === 0) {
+        $list.append('<small class="mutedColor padding5">Everywhere (not linked)</small>');
+        return;
     }
+
+    links.forEach(link => {
+        const typeIcon = (linkTypeLabels[link.target_type] || '').split(' ')[0];
+        const label = link.target_type === 'session' ? `Chat #${link.label}` : link.label;
+        const $chip = $(`
+            <span class="flexbox alignItemsCenter bgBrightUp padding5 borderRad5 marginRight5 marginBot5">
+                <small></small>
+                <button class="removeLinkBtn bgTransparent marginLeft5" title="Remove Link">✕</button>
+            </span>
+        `);
+        $chip.find('small').text(`${typeIcon} ${label}`);
+        $chip.find('.removeLinkBtn').on('click', function() {
+            unlinkLorebook(selectedLorebookId, link.link_id);
+        });
+        $list.append($chip);
+    });
+}
+
+/**
+ * Open the link dialog; its target list is filled when lorebookLinkTargets arrives
+ */
+function openLinkDialog() {
+    const $content = $(`
+        <div class="flexbox flexFlowCol">
+            <label class="marginBot5">
+                Link To:
+                <select id="linkTargetType" class="width100p">
+                    ${Object.entries(linkTypeLabels).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+            </label>
+            <label class="marginBot5">
+                Target:
+                <select id="linkTargetId" class="width100p">
+                    <option value="">Loading...</option>
+                </select>
+            </label>
+        </div>
+    `);
+
+    $linkDialog = $content;
+    $content.data('targets', null);
+    $content.find('#linkTargetType').on('change', function() {
+        renderLinkTargetOptions();
+    });
+
+    $content.dialog({
+        title: 'Link Lorebook',
+        modal: true,
+        width: 400,
+        buttons: {
+            'Link': function() {
+                const targetType = $('#linkTargetType').val();
+                const targetId = $('#linkTargetId').val();
+                if (!targetId) return;
+                linkLorebook(selectedLorebookId, targetType, targetId);
+                $(this).dialog('close');
+            },
+            'Cancel': function() {
+                $(this).dialog('close');
+            }
+        },
+        close: function() {
+            $linkDialog = null;
+            $(this).dialog('destroy').remove();
+        }
+    });
+
+    requestLinkTargets();
+}
+
+function populateLinkTargets(targets) {
+    if (!$linkDialog) return;
+    $linkDialog.data('targets', targets);
+    renderLinkTargetOptions();
+}
+
+function renderLinkTargetOptions() {
+    if (!$linkDialog) return;
+    const targets = $linkDialog.data('targets');
+    const $select = $linkDialog.find('#linkTargetId').empty();
+    if (!targets) {
+        $select.append('<option value="">Loading...</option>');
+        return;
+    }
+
+    let options = [];
+    switch ($linkDialog.find('#linkTargetType').val()) {
+        case 'character':
+            options = targets.characters || [];
+            break;
+        case 'user':
+            options = targets.users || [];
+            break;
+        case 'session':
+            options = targets.sessionId ? [{ id: targets.sessionId, label: `Current chat (#${targets.sessionId})` }] : [];
+            break;
+    }
+
+    if (options.length === 0) {
+        $select.append('<option value="">Nothing to link</option>');
+        return;
+    }
+    options.forEach(option => {
+        $select.append($('<option>').val(option.id).text(option.label));
+    });
 }
 
 function populateEntryList() {
@@ -281,6 +581,24 @@ function populateEntryList() {
     });
 }
 
+// Insertion points offered in the entry editor, matching the positions the server understands
+const entryPositions = [
+    ['beforeSystem', 'Before System Prompt'],
+    ['afterSystem', 'After System Prompt'],
+    ['beforeCharDefs', 'Before Char Defs'],
+    ['afterCharDefs', 'After Char Defs'],
+    ['authorsNote', "In Author's Note"],
+    ['atDepth', 'At Chat Depth']
+];
+
+// Secondary key logic, applied after a primary key matches
+const selectiveLogicOptions = [
+    ['andAny', 'AND ANY'],
+    ['andAll', 'AND ALL'],
+    ['notAny', 'NOT ANY'],
+    ['notAll', 'NOT ALL']
+];
+
 /**
  * Open entry editor modal (using jQuery UI dialog)
  */
@@ -291,14 +609,24 @@ function openEntryEditor(entry) {
     // Create modal content
     const $content = $(`
         <div class="flexbox flexFlowCol">
+            <div id="entryEditorError" class="marginBot5" style="display:none; color:red;"></div>
             <label class="marginBot5">
                 Title/Memo:
                 <input type="text" id="entryTitle" class="width100p" value="${entry?.title || ''}" placeholder="Entry title (for your reference)">
             </label>
             <label class="marginBot5">
-                Keys (comma-separated):
+                Keys (comma-separated, /regex/flags allowed):
                 <input type="text" id="entryKeys" class="width100p" value="${(entry?.keys || []).join(', ')}" placeholder="dragon, fire, scales">
             </label>
+            <label class="marginBot5">
+                Secondary Keys (optional):
+                <div class="flexbox alignItemsCenter">
+                    <select id="entrySelectiveLogic" class="marginRight5" title="How secondary keys are checked once a primary key matches">
+                        ${selectiveLogicOptions.map(([value, label]) => `<option value="${value}" ${(entry?.selective_logic || 'andAny') === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <input type="text" id="entrySecondaryKeys" class="width100p" value="${(entry?.secondary_keys || []).join(', ')}" placeholder="cave, mountain">
+                </div>
+            </label>
             <label class="marginBot5">
                 Content:
                 <textarea id="entryContent" class="width100p" rows="5" placeholder="The content to inject when keys are triggered...">${entry?.content || ''}</textarea>
@@ -321,10 +649,57 @@ function openEntryEditor(entry) {
                     <input type="number" id="entryTrigger" class="width3p5em marginLeft5" value="${entry?.trigger_percent || 100}" min="0" max="100">
                 </label>
             </div>
+            <div class="flexbox justifySpaceAround marginTop5">
+                <label class="flexbox alignItemsCenter">
+                    Position:
+                    <select id="entryPosition" class="marginLeft5">
+                        ${entryPositions.map(([value, label]) => `<option value="${value}" ${(entry?.position || 'afterCharDefs') === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </label>
+                <label id="entryDepthLabel" class="flexbox alignItemsCenter">
+                    Depth:
+                    <input type="number" id="entryDepth" class="width3p5em marginLeft5" value="${entry?.depth ?? 4}" min="0" max="999" title="How many messages from the end of the chat to insert this entry">
+                </label>
+                <label class="flexbox alignItemsCenter" title="Don't scan this entry's content for keys of other entries">
+                    <input type="checkbox" id="entryPreventRecursion" ${entry?.prevent_recursion ? 'checked' : ''}>
+                    No Recursion
+                </label>
+            </div>
+            <div class="flexbox justifySpaceAround marginTop5">
+                <label class="flexbox alignItemsCenter" title="Plain keys only match when they aren't part of a longer word">
+                    <input type="checkbox" id="entryWholeWords" ${entry?.match_whole_words !== false ? 'checked' : ''}>
+                    Whole Words
+                </label>
+                <label class="flexbox alignItemsCenter" title="Plain keys must match upper/lower case exactly">
+                    <input type="checkbox" id="entryCaseSensitive" ${entry?.case_sensitive ? 'checked' : ''}>
+                    Case Sensitive
+                </label>
+            </div>
+            <div class="flexbox justifySpaceAround marginTop5">
+                <label class="flexbox alignItemsCenter" title="Stay active for this many messages after triggering">
+                    Sticky:
+                    <input type="number" id="entrySticky" class="width3p5em marginLeft5" value="${entry?.sticky || 0}" min="0" max="999">
+                </label>
+                <label class="flexbox alignItemsCenter" title="Can't trigger again for this many messages afterwards">
+                    Cooldown:
+                    <input type="number" id="entryCooldown" class="width3p5em marginLeft5" value="${entry?.cooldown || 0}" min="0" max="999">
+                </label>
+                <label class="flexbox alignItemsCenter" title="Can't trigger until the chat has at least this many messages">
+                    Delay:
+                    <input type="number" id="entryDelay" class="width3p5em marginLeft5" value="${entry?.delay || 0}" min="0" max="999">
+                </label>
+            </div>
         </div>
     `);
 
+    // Depth only applies to entries inserted into the chat history
+    const $depthLabel = $content.find('#entryDepthLabel');
+    $content.find('#entryPosition').on('change', function() {
+        $depthLabel.toggle($(this).val() === 'atDepth');
+    }).trigger('change');
+
     // Use jQuery UI dialog
+    $entryEditor = $content;
     $content.dialog({
         title: title,
         modal: true,
@@ -333,25 +708,39 @@ function openEntryEditor(entry) {
             'Save': function() {
                 const entryData = {
                     title: $('#entryTitle').val().trim(),
-                    keys: $('#entryKeys').val().split(',').map(k => k.trim()).filter(Boolean),
+                    keys: splitKeys($('#entryKeys').val()),
+                    secondary_keys: splitKeys($('#entrySecondaryKeys').val()),
+                    selective_logic: $('#entrySelectiveLogic').val(),
+                    match_whole_words: $('#entryWholeWords').is(':checked'),
+                    case_sensitive: $('#entryCaseSensitive').is(':checked'),
                     content: $('#entryContent').val(),
                     strategy: $('#entryStrategy').val(),
                     insertion_order: parseInt($('#entryOrder').val()) || 100,
-                    trigger_percent: parseInt($('#entryTrigger').val()) || 100
+                    trigger_percent: parseInt($('#entryTrigger').val()) || 100,
+                    position: $('#entryPosition').val(),
+                    depth: $('#entryPosition').val() === 'atDepth' ? Math.max(0, parseInt($('#entryDepth').val()) || 0) : null,
+                    prevent_recursion: $('#entryPreventRecursion').is(':checked'),
+                    sticky: Math.max(0, parseInt($('#entrySticky').val()) || 0),
+                    cooldown: Math.max(0, parseInt($('#entryCooldown').val()) || 0),
+                    delay: Math.max(0, parseInt($('#entryDelay').val()) || 0)
                 };
 
+                // Stays open until the server accepts it, so key errors can be shown here
+                $('#entryEditorError').hide();
+                entryEditorSaving = true;
                 if (isNew) {
                     createLorebookEntry(selectedLorebookId, entryData);
                 } else {
                     updateLorebookEntry(entry.entry_id, entryData);
                 }
-                $(this).dialog('close');
             },
             'Cancel': function() {
                 $(this).dialog('close');
             }
         },
         close: function() {
+            $entryEditor = null;
+            entryEditorSaving = false;
             $(this).dialog('destroy').remove();
         }
     });
@@ -0,0 +1,65 @@
+/**
+ * Long-term Memory Client UI Handler
+ *
+ * Holds the host's settings for recalling old messages and lorebook entries by meaning.
+ */
+
+import util from './utils.js';
+
+// Get socket reference from window (set by script.js) to avoid circular import
+function getSocket() {
+    return window._stmpSocket || null;
+}
+
+function sendToServer(message) {
+    const socket = getSocket();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Initialize memory settings panel handlers
+ */
+export function initMemorySettingsUI() {
+    $('#memorySettingsToggle').on('click', function () {
+        util.toggleControlPanelBlocks($(this).find('i'), 'single');
+        sendToServer({ type: 'memorySettingsRequest' });
+    });
+
+    $('#memoryEnabled, #memoryIncludeLorebook, #memoryTopK, #memoryMethod, #memoryEmbeddingModel, #memoryPosition, #memoryDepth').on('change', function () {
+        sendToServer({
+            type: 'memorySettingsUpdate',
+            settings: {
+                enabled: $('#memoryEnabled').prop('checked'),
+                includeLorebook: $('#memoryIncludeLorebook').prop('checked'),
+                topK: Number($('#memoryTopK').val()),
+                method: $('#memoryMethod').val(),
+                embeddingModel: $('#memoryEmbeddingModel').val(),
+                position: $('#memoryPosition').val(),
+                depth: Number($('#memoryDepth').val())
+            }
+        });
+    });
+}
+
+function populateMemorySettings(settings) {
+    $('#memoryEnabled').prop('checked', !!settings.enabled);
+    $('#memoryIncludeLorebook').prop('checked', !!settings.includeLorebook);
+    $('#memoryTopK').val(settings.topK);
+    $('#memoryMethod').val(settings.method);
+    $('#memoryEmbeddingModel').val(settings.embeddingModel).prop('disabled', settings.method !== 'api');
+    $('#memoryPosition').val(settings.position);
+    $('#memoryDepth').val(settings.depth).prop('disabled', settings.position !== 'atDepth');
+}
+
+export function handleMemorySettingsMessage(parsedMessage) {
+    if (parsedMessage.type === 'memorySettings') {
+        populateMemorySettings(parsedMessage.settings || {});
+    }
+}
+
+export default {
+    initMemorySettingsUI,
+    handleMemorySettingsMessage
+};
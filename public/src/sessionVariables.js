@@ -0,0 +1,88 @@
+/**
+ * Chat Variables Client UI Handler
+ *
+ * Shows the host the current chat's variables (set by {{setvar}}/{{incvar}} macros)
+ * and lets them add, edit and remove them.
+ */
+
+import util from './utils.js';
+
+// Get socket reference from window (set by script.js) to avoid circular import
+function getSocket() {
+    return window._stmpSocket || null;
+}
+
+function sendToServer(message) {
+    const socket = getSocket();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Initialize chat variables panel handlers
+ */
+export function initSessionVariablesUI() {
+    $('#sessionVariablesToggle').on('click', function () {
+        util.toggleControlPanelBlocks($(this).find('i'), 'single');
+        requestSessionVariables();
+    });
+
+    $('#addSessionVariableBtn').on('click', function () {
+        const name = $('#newSessionVariableName').val().trim();
+        if (!name) return;
+        setSessionVariable(name, $('#newSessionVariableValue').val());
+        $('#newSessionVariableName, #newSessionVariableValue').val('');
+    });
+
+    $('#sessionVariablesList').on('change', '.sessionVariableValue', function () {
+        setSessionVariable($(this).data('name'), $(this).val());
+    });
+
+    $('#sessionVariablesList').on('click', '.sessionVariableDelete', function () {
+        setSessionVariable($(this).data('name'), null);
+    });
+}
+
+// Ask for the variables again, e.g. after another chat was loaded; only while the panel is open
+export function refreshSessionVariables() {
+    if ($('#sessionVariablesBlock').is(':visible')) {
+        requestSessionVariables();
+    }
+}
+
+function requestSessionVariables() {
+    sendToServer({ type: 'sessionVariablesRequest' });
+}
+
+function setSessionVariable(name, value) {
+    sendToServer({ type: 'setSessionVariable', name, value });
+}
+
+function populateSessionVariables(variables) {
+    const $list = $('#sessionVariablesList').empty();
+    const names = Object.keys(variables || {});
+    if (names.length === 0) {
+        $list.append('<small class="mutedColor">No variables in this chat yet</small>');
+        return;
+    }
+    for (const name of names) {
+        const $row = $('<div class="flexbox alignItemsCenter marginBot5"></div>');
+        $row.append($('<span class="flex1 noWrap"></span>').text(name).attr('title', name));
+        $row.append($('<input type="text" class="sessionVariableValue flex1 marginLeft5">').val(variables[name]).data('name', name));
+        $row.append($('<button class="sessionVariableDelete bgBrightUp marginLeft5" title="Remove Variable" style="color:red;">🗑️</button>').data('name', name));
+        $list.append($row);
+    }
+}
+
+export function handleSessionVariablesMessage(parsedMessage) {
+    if (parsedMessage.type === 'sessionVariables') {
+        populateSessionVariables(parsedMessage.variables);
+    }
+}
+
+export default {
+    initSessionVariablesUI,
+    refreshSessionVariables,
+    handleSessionVariablesMessage
+};
@@ -0,0 +1,121 @@
+/**
+ * Slash Commands Client UI Handler
+ *
+ * Suggests the commands this user may run while they type "/" in either chat input,
+ * and shows command results (e.g. /help, /roll) in the chat the command was typed in.
+ */
+
+import util from './utils.js';
+
+const MAX_HINTS = 8;
+
+// Filled from the server's slashCommandList; only holds what this user's role may run
+let availableCommands = [];
+
+// Get socket reference from window (set by script.js) to avoid circular import
+function getSocket() {
+    return window._stmpSocket || null;
+}
+
+function sendToServer(message) {
+    const socket = getSocket();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Initialize autocomplete for both chat inputs
+ */
+export function initSlashCommandsUI() {
+    $('#AIMessageInput, #messageInput')
+        .on('input', function () {
+            showHints($(this));
+        })
+        .on('keydown', function (event) {
+            const $hints = hintsFor($(this));
+            if (!$hints.is(':visible')) return;
+            if (event.key === 'Tab') {
+                event.preventDefault();
+                completeCommand($(this), $hints.children().first().data('name'));
+            } else if (event.key === 'Escape') {
+                $hints.hide();
+            }
+        })
+        .on('blur', function () {
+            // let a click on a hint land before hiding them
+            const $input = $(this);
+            setTimeout(() => hintsFor($input).hide(), 150);
+        });
+}
+
+export function requestSlashCommands() {
+    sendToServer({ type: 'slashCommandsRequest' });
+}
+
+function hintsFor($input) {
+    const $wrapper = $input.closest('.inputAndIconsWrapper');
+    let $hints = $wrapper.find('.slashCommandHints');
+    if ($hints.length === 0) {
+        $hints = $('<div class="slashCommandHints"></div>').hide();
+        $hints.on('mousedown', '.slashCommandHint', function (event) {
+            event.preventDefault();
+            completeCommand($input, $(this).data('name'));
+        });
+        $wrapper.append($hints);
+    }
+    return $hints;
+}
+
+// Hints only show while the command name is being typed, not once arguments start
+function showHints($input) {
+    const $hints = hintsFor($input);
+    const match = /^\/(\S*)$/.exec($input.val());
+    const matching = match ? availableCommands.filter(command => command.name.startsWith(match[1].toLowerCase())) : [];
+    if (matching.length === 0) {
+        $hints.hide();
+        return;
+    }
+    $hints.empty();
+    for (const command of matching.slice(0, MAX_HINTS)) {
+        const $hint = $('<div class="slashCommandHint"></div>').data('name', command.name);
+        $hint.append($('<b></b>').text(command.usage));
+        $hint.append($('<small class="mutedColor marginLeft5"></small>').text(command.description));
+        $hints.append($hint);
+    }
+    $hints.show();
+}
+
+function completeCommand($input, name) {
+    if (!name) return;
+    $input.val(`/${name} `).trigger('focus');
+    hintsFor($input).hide();
+}
+
+function showCommandResult(parsedMessage) {
+    const $chat = parsedMessage.chatID === 'userChat' ? $('#userChat') : $('#AIChat');
+    const $result = $('<div class="commandResult"></div>').text(parsedMessage.content);
+    if (!parsedMessage.isPublic) $result.attr('title', 'Only you can see this');
+    $chat.append($result);
+    util.kindlyScrollDivToBottom($chat);
+}
+
+export function handleSlashCommandsMessage(parsedMessage) {
+    switch (parsedMessage.type) {
+        case 'slashCommandList':
+            availableCommands = parsedMessage.commands || [];
+            break;
+        case 'slashCommandsChanged':
+            requestSlashCommands();
+            break;
+        case 'commandResult':
+            showCommandResult(parsedMessage);
+            break;
+    }
+}
+
+export default {
+    initSlashCommandsUI,
+    requestSlashCommands,
+    handleSlashCommandsMessage
+};
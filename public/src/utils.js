@@ -44,6 +44,16 @@ function getLocalStorage(key) {
     return JSON.parse(localStorage.getItem(key));
 }
 
+//saves text the server sent us as a file in the browser's downloads
+function downloadFile(filename, data, mimeType = 'text/plain') {
+    const blob = new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const $link = $('<a>').attr({ href: url, download: filename }).appendTo('body');
+    $link[0].click();
+    $link.remove();
+    URL.revokeObjectURL(url);
+}
+
 function isValidURL(url) {
     const urlRegex = /^(?:(?:https?|http):\/\/)?(?:\S+(?::\S*)?@)?(?:[a-zA-Z0-9.-]+|\d{1,3}(?:\.\d{1,3}){3})(?::\d+)?(?:\/[\w.-]*)*(?:\/)?$/;
     return urlRegex.test(url);
@@ -490,5 +500,6 @@ export default {
     debounceWithArgs,
     throttle,
     saveLocalStorage,
-    getLocalStorage
+    getLocalStorage,
+    downloadFile
 }    
\ No newline at end of file
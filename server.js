@@ -15,6 +15,16 @@ import fio from './src/file-io.js';
 import api from './src/api-calls.js';
 import converter from './src/purify.js';
 import stream, { responseLifecycleEmitter } from './src/stream.js';
+import lorebook from './src/lorebook.js';
+import chatIO from './src/chat-io.js';
+import macros from './src/macros.js';
+import slashCommands from './src/slash-commands.js';
+import dice from './src/dice.js';
+import summarizer from './src/summarizer.js';
+import memory from './src/memory.js';
+import permissions from './src/permissions.js';
+import rateLimit from './src/rate-limit.js';
+import sessionTokens from './src/session-tokens.js';
 import { logger } from './src/log.js';
 //import $ from 'jquery';
 
@@ -85,21 +95,32 @@ const __dirname = path.dirname(__filename);
 const secretsPath = path.join(__dirname, 'secrets.json');
 let engineMode = 'TC'
 
-// ================= Multi-Character Queue State (New) =================
-// In-memory queue of pending character responses; elements: { value, displayName }
-let responseQueue = [];
-let queueActive = false; // indicates queue processing in progress
-let currentResponder = null; // the character currently generating a response
+// ================= Multi-Character Queue State (per room) =================
+// Each room keeps its own in-memory queue of pending character responses; elements: { value, displayName }
+const roomQueues = {};
+
+function getRoomQueue(roomId = db.DEFAULT_ROOM_ID) {
+    if (!roomQueues[roomId]) {
+        roomQueues[roomId] = {
+            responseQueue: [],
+            queueActive: false, // indicates queue processing in progress
+            currentResponder: null, // the character currently generating a response
+            context: null // last context, reused between queue steps
+        };
+    }
+    return roomQueues[roomId];
+}
 
-function broadcastQueueState() {
+function broadcastQueueState(roomId) {
+    const queue = getRoomQueue(roomId);
     const payload = {
         type: 'responseQueueUpdate',
-        active: queueActive,
-        current: currentResponder ? { value: currentResponder.value, displayName: currentResponder.displayName } : null,
-        remaining: responseQueue.map(c => ({ value: c.value, displayName: c.displayName }))
+        active: queue.queueActive,
+        current: queue.currentResponder ? { value: queue.currentResponder.value, displayName: queue.currentResponder.displayName } : null,
+        remaining: queue.responseQueue.map(c => ({ value: c.value, displayName: c.displayName }))
     };
-    logger.info(`[Queue] Broadcast state: active=${payload.active} current=${payload.current?.displayName || 'none'} remaining=${payload.remaining.map(r=>r.displayName).join(', ')}`);
-    broadcast(payload);
+    logger.info(`[Queue][${roomId}] Broadcast state: active=${payload.active} current=${payload.current?.displayName || 'none'} remaining=${payload.remaining.map(r=>r.displayName).join(', ')}`);
+    broadcast(payload, 'all', roomId);
 }
 
 function migrateSelectedCharactersIfNeeded(liveConfig) {
@@ -193,40 +214,43 @@ function shuffle(arr) {
 }
 
 async function startQueueProcessing(parsedMessage, user, selectedAPI, hordeKey, engineMode, liveConfig) {
-    if (queueActive) return; // already processing
-    queueActive = true;
-    logger.info(`[Queue] Starting queue with ${responseQueue.length} characters.`);
-    broadcastQueueState();
+    const queue = getRoomQueue(parsedMessage.roomId);
+    if (queue.queueActive) return; // already processing
+    queue.queueActive = true;
+    logger.info(`[Queue][${parsedMessage.roomId}] Starting queue with ${queue.responseQueue.length} characters.`);
+    broadcastQueueState(parsedMessage.roomId);
     processNextInQueue(parsedMessage, user, selectedAPI, hordeKey, engineMode, liveConfig);
 }
 
 async function processNextInQueue(parsedMessage, user, selectedAPI, hordeKey, engineMode, liveConfig) {
-    if (responseQueue.length === 0) {
-        queueActive = false;
-        currentResponder = null;
-        logger.info('[Queue] Queue exhausted.');
-        broadcastQueueState();
+    const roomId = parsedMessage.roomId;
+    const queue = getRoomQueue(roomId);
+    if (queue.responseQueue.length === 0) {
+        queue.queueActive = false;
+        queue.currentResponder = null;
+        logger.info(`[Queue][${roomId}] Queue exhausted.`);
+        broadcastQueueState(roomId);
         return;
     }
-    currentResponder = responseQueue.shift();
-    logger.info(`[Queue] Processing next responder: ${currentResponder.displayName}. Remaining after this: ${responseQueue.length}`);
-    broadcastQueueState();
+    queue.currentResponder = queue.responseQueue.shift();
+    logger.info(`[Queue][${roomId}] Processing next responder: ${queue.currentResponder.displayName}. Remaining after this: ${queue.responseQueue.length}`);
+    broadcastQueueState(roomId);
     // Apply legacy single-character fields for downstream API functions (with validation)
-    liveConfig.promptConfig.selectedCharacter = currentResponder.value;
-    liveConfig.promptConfig.selectedCharacterDisplayName = currentResponder.displayName;
-    const stillActive = (liveConfig.promptConfig.selectedCharacters||[]).some(c => c.value === currentResponder.value);
+    liveConfig.promptConfig.selectedCharacter = queue.currentResponder.value;
+    liveConfig.promptConfig.selectedCharacterDisplayName = queue.currentResponder.displayName;
+    const stillActive = (liveConfig.promptConfig.selectedCharacters||[]).some(c => c.value === queue.currentResponder.value);
     if (!stillActive) {
         const fallback = (liveConfig.promptConfig.selectedCharacters||[]).find(c => c.value && c.value !== 'None');
-        logger.warn(`[Queue] Current responder ${currentResponder.displayName} no longer active; falling back to ${fallback?.displayName || 'NONE'}`);
+        logger.warn(`[Queue] Current responder ${queue.currentResponder.displayName} no longer active; falling back to ${fallback?.displayName || 'NONE'}`);
         if (fallback) {
             liveConfig.promptConfig.selectedCharacter = fallback.value;
             liveConfig.promptConfig.selectedCharacterDisplayName = fallback.displayName;
-            currentResponder = fallback; // keep consistency
+            queue.currentResponder = fallback; // keep consistency
         } else {
             logger.warn('[Queue] No fallback available; aborting queue processing.');
-            queueActive = false;
-            currentResponder = null;
-            broadcastQueueState();
+            queue.queueActive = false;
+            queue.currentResponder = null;
+            broadcastQueueState(roomId);
             return;
         }
     }
@@ -246,35 +270,95 @@ async function processNextInQueue(parsedMessage, user, selectedAPI, hordeKey, en
     );
 }
 
-// Listen for completion from stream.js to continue queue
-responseLifecycleEmitter.on('responseComplete', async () => {
-    if (!queueActive) return;
+// Listen for completion from stream.js to continue the queue of the room that just finished
+responseLifecycleEmitter.on('responseComplete', async ({ roomId } = {}) => {
+    const queue = getRoomQueue(roomId);
+    if (!queue.queueActive || !queue.context) return;
+    const { parsedMessage, user, selectedAPI, hordeKey, engineMode, liveConfig } = queue.context;
     // slight delay to avoid tight loop
     setTimeout(() => {
-        processNextInQueue(lastParsedMessageForQueue, lastUserForQueue, lastSelectedAPIForQueue, lastHordeKeyForQueue, lastEngineModeForQueue, lastLiveConfigForQueue);
+        processNextInQueue(parsedMessage, user, selectedAPI, hordeKey, engineMode, liveConfig);
     }, 25);
 });
 
-// Keep last context to reuse between queue steps
-let lastParsedMessageForQueue = null;
-let lastUserForQueue = null;
-let lastSelectedAPIForQueue = null;
-let lastHordeKeyForQueue = null;
-let lastEngineModeForQueue = null;
-let lastLiveConfigForQueue = null;
-
+// Keep last context on the room's queue to reuse between queue steps
 function captureQueueContext(parsedMessage, user, selectedAPI, hordeKey, engineMode, liveConfig) {
-    lastParsedMessageForQueue = parsedMessage;
-    lastUserForQueue = user;
-    lastSelectedAPIForQueue = selectedAPI;
-    lastHordeKeyForQueue = hordeKey;
-    lastEngineModeForQueue = engineMode;
-    lastLiveConfigForQueue = liveConfig;
+    getRoomQueue(parsedMessage.roomId).context = { parsedMessage, user, selectedAPI, hordeKey, engineMode, liveConfig };
+}
+
+// promptConfig values a room may override; anything a room leaves unset falls back to liveConfig
+const roomConfigKeys = ['selectedCharacters', 'selectedAPI', 'selectedInstruct', 'selectedSamplerPreset'];
+
+// Generation rewrites promptConfig.selectedCharacter for every responder, so each request
+// works on its own copy of the config instead of racing other rooms over the shared one
+async function getRoomLiveConfig(roomId) {
+    migrateSelectedCharactersIfNeeded(liveConfig);
+    const roomConfig = { ...liveConfig, promptConfig: { ...liveConfig.promptConfig } };
+    const settings = (await db.getRoom(roomId))?.settings || {};
+
+    for (const key of roomConfigKeys) {
+        if (settings[key] === undefined || settings[key] === null) continue;
+        roomConfig.promptConfig[key] = settings[key];
+    }
+    if (settings.selectedCharacters) {
+        // legacy single-character fields must follow the room's roster, not the global one
+        migrateSelectedCharactersIfNeeded(roomConfig);
+    }
+    if (settings.selectedAPI && settings.selectedAPI !== liveConfig.APIConfig?.name) {
+        const APIConfig = await db.getAPI(settings.selectedAPI);
+        if (APIConfig?.name === settings.selectedAPI) {
+            roomConfig.APIConfig = APIConfig;
+        } else {
+            logger.warn(`[Rooms] API "${settings.selectedAPI}" for room ${roomId} no longer exists; using ${liveConfig.APIConfig?.name}`);
+            roomConfig.promptConfig.selectedAPI = liveConfig.promptConfig.selectedAPI;
+        }
+    }
+    return roomConfig;
+}
+
+// Validates a roomSettingsUpdate payload against what exists on this server and merges it into the room's settings.
+// An empty value clears the override so the room goes back to following liveConfig.
+async function mergeRoomSettings(currentSettings, incomingSettings) {
+    const merged = { ...(currentSettings || {}) };
+    for (const key of roomConfigKeys) {
+        if (!(key in incomingSettings)) continue;
+        const value = incomingSettings[key];
+        if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            delete merged[key];
+            continue;
+        }
+
+        if (key === 'selectedCharacters') {
+            if (!Array.isArray(value)) return { error: 'Character roster must be a list.' };
+            const knownCards = cardList?.length ? cardList : await fio.getCardList();
+            const roster = [];
+            for (const entry of value) {
+                const card = knownCards.find(c => c.value === entry?.value);
+                if (!card) return { error: `Unknown character card: ${entry?.displayName || entry?.value}` };
+                roster.push({ value: card.value, displayName: card.name, isMuted: !!entry.isMuted });
+            }
+            merged[key] = roster;
+        }
+        else if (key === 'selectedAPI') {
+            const APIs = await db.getAPIs();
+            if (!APIs.some(api => api.name === value)) return { error: `Unknown API: ${value}` };
+            merged[key] = value;
+        }
+        else {
+            // instruct and sampler presets are file paths read at generation time, so only listed files are accepted
+            const options = key === 'selectedInstruct' ? await fio.getInstructList() : await fio.getSamplerPresetList();
+            if (!options.some(option => option.value === value)) return { error: `Unknown ${key === 'selectedInstruct' ? 'instruct format' : 'sampler preset'}: ${value}` };
+            merged[key] = value;
+        }
+    }
+    return { settings: merged };
 }
 
 //MARK: requestAIResponse
 async function handleRequestAIResponse(parsedMessage, user, selectedAPI, hordeKey, engineMode, liveConfig, ws) {
-    migrateSelectedCharactersIfNeeded(liveConfig);
+    parsedMessage.roomId = parsedMessage.roomId || db.DEFAULT_ROOM_ID;
+    liveConfig = await getRoomLiveConfig(parsedMessage.roomId);
+    const queue = getRoomQueue(parsedMessage.roomId);
     const trigger = parsedMessage.trigger || 'auto';
     const isManualOrContinue = trigger === 'manual';
     // Ensure username present for macro replacement (no generic fallback)
@@ -290,13 +374,13 @@ async function handleRequestAIResponse(parsedMessage, user, selectedAPI, hordeKe
 
     // Fallback: if no latestUserMessageText provided (e.g., trigger came from userChat or system), attempt retrieval
     if (!context.latestUserMessageText) {
-        context.latestUserMessageText = await getMostRecentUserMessageText();
+        context.latestUserMessageText = await getMostRecentUserMessageText(parsedMessage.roomId);
         if (context.latestUserMessageText) {
             logger.info('[Queue] Fallback populated latestUserMessageText from history.');
         }
     }
 
-    if (queueActive && trigger !== 'force' && trigger !== 'regenerate') {
+    if (queue.queueActive && trigger !== 'force' && trigger !== 'regenerate') {
         ws && ws.send && ws.send(JSON.stringify({ type: 'queueSuppressed', reason: 'queue_active' }));
         logger.info('[Queue] Suppressed new trigger while queue active.');
         return;
@@ -328,7 +412,7 @@ async function handleRequestAIResponse(parsedMessage, user, selectedAPI, hordeKe
     // Continuation behavior: if last chat message was by a specific active AI character, force them first
     if (isManualOrContinue) {
         try {
-            let [aiData] = await db.readAIChat();
+            let [aiData] = await db.readAIChat(null, parsedMessage.roomId);
             const arr = JSON.parse(aiData);
             const last = arr[arr.length - 1];
             if (last?.entity === 'AI' && last?.username) {
@@ -337,23 +421,23 @@ async function handleRequestAIResponse(parsedMessage, user, selectedAPI, hordeKe
                 const active = (liveConfig.promptConfig.selectedCharacters||[]).filter(c => !c.isMuted && c.value && c.value !== 'None');
                 const found = active.find(c => (c.displayName||'').trim() === aiName.trim());
                 if (found) {
-                    responseQueue = buildResponseQueue(trigger, context, liveConfig, { forceFirstDisplayName: aiName });
+                    queue.responseQueue = buildResponseQueue(trigger, context, liveConfig, { forceFirstDisplayName: aiName });
                     // Mark that only the first responder should continue
                     parsedMessage.__continueFirstOnly = true;
                 } else {
-                    responseQueue = buildResponseQueue(trigger, context, liveConfig);
+                    queue.responseQueue = buildResponseQueue(trigger, context, liveConfig);
                 }
             } else {
-                responseQueue = buildResponseQueue(trigger, context, liveConfig);
+                queue.responseQueue = buildResponseQueue(trigger, context, liveConfig);
             }
         } catch (e) {
             logger.debug('[Queue] Continue inspection failed, defaulting queue:', e.message);
-            responseQueue = buildResponseQueue(trigger, context, liveConfig);
+            queue.responseQueue = buildResponseQueue(trigger, context, liveConfig);
         }
     } else {
-        responseQueue = buildResponseQueue(trigger, context, liveConfig);
+        queue.responseQueue = buildResponseQueue(trigger, context, liveConfig);
     }
-    if (responseQueue.length === 0) {
+    if (queue.responseQueue.length === 0) {
         logger.info('[Queue] No characters to enqueue (none selected or all muted).');
         return;
     }
@@ -361,10 +445,10 @@ async function handleRequestAIResponse(parsedMessage, user, selectedAPI, hordeKe
     await startQueueProcessing(parsedMessage, user, selectedAPI, hordeKey, engineMode, liveConfig);
 }
 
-async function getLastUserMessageUsername() {
+async function getLastUserMessageUsername(roomId = db.DEFAULT_ROOM_ID) {
     // Scan AIChat (entity === 'user') for last human user entry
     try {
-        let [data] = await db.readAIChat();
+        let [data] = await db.readAIChat(null, roomId);
         const arr = JSON.parse(data);
         for (let i = arr.length - 1; i >= 0; i--) {
             if (arr[i].entity === 'user' && arr[i].username && arr[i].username !== 'Unknown') return arr[i].username;
@@ -375,10 +459,10 @@ async function getLastUserMessageUsername() {
     return null;
 }
 
-async function getMostRecentUserMessageText() {
+async function getMostRecentUserMessageText(roomId = db.DEFAULT_ROOM_ID) {
     // Try AIChat first (since AI triggers rely on that chain), then userChat
     try {
-        let [aiData] = await db.readAIChat();
+        let [aiData] = await db.readAIChat(null, roomId);
         const arr = JSON.parse(aiData);
         for (let i = arr.length - 1; i >= 0; i--) {
             if (arr[i].entity === 'user' && arr[i].content) return (arr[i].content || '').replace(/<[^>]+>/g,'').trim();
@@ -387,7 +471,7 @@ async function getMostRecentUserMessageText() {
         logger.debug('[Queue] getMostRecentUserMessageText AIChat scan failed:', e.message);
     }
     try {
-        let [userData] = await db.readUserChat();
+        let [userData] = await db.readUserChat(roomId);
         const arr2 = JSON.parse(userData);
         for (let i = arr2.length - 1; i >= 0; i--) {
             if (arr2[i].content) return (arr2[i].content || '').replace(/<[^>]+>/g,'').trim();
@@ -398,10 +482,10 @@ async function getMostRecentUserMessageText() {
     return '';
 }
 
-async function getLastUserChatUsername() {
+async function getLastUserChatUsername(roomId = db.DEFAULT_ROOM_ID) {
     // Scan userChat history for last message username
     try {
-        let [data] = await db.readUserChat();
+        let [data] = await db.readUserChat(roomId);
         const arr = JSON.parse(data);
         for (let i = arr.length - 1; i >= 0; i--) {
             if (arr[i].username && arr[i].username !== 'Unknown') return arr[i].username;
@@ -415,9 +499,9 @@ async function getLastUserChatUsername() {
 async function resolveUsernameHint(parsedMessage, user) {
     if (parsedMessage?.username) return parsedMessage.username;
     if (user?.username) return user.username;
-    const uc = await getLastUserChatUsername();
+    const uc = await getLastUserChatUsername(parsedMessage?.roomId);
     if (uc) return uc;
-    const ai = await getLastUserMessageUsername();
+    const ai = await getLastUserMessageUsername(parsedMessage?.roomId);
     return ai;
 }
 
@@ -569,7 +653,13 @@ async function initFiles() {
             userChatDelay: "2",
             allowImages: true,
             guestInputPermissionState: true, //true = guests can input, false = guests cannot input
-        }
+            guestCommands: slashCommands.DEFAULT_GUEST_COMMANDS, //slash commands guests and mods may use
+            guestEditWindow: "5", //minutes after sending that guests may edit or delete their own messages, 0 = never
+            rateLimits: { ...rateLimit.DEFAULT_LIMITS }, //server-side limits on how fast guests and mods can post, trigger the AI and upload
+        },
+        summarization: { ...summarizer.DEFAULT_SETTINGS }, //running summary of messages that fell out of context
+        memory: { ...memory.DEFAULT_SETTINGS }, //recall of old messages and lorebook entries by meaning
+        trustProxy: false //true behind a tunnel or reverse proxy: guests' IPs are then read from X-Forwarded-For
     };
 
     //MARK: mainInit
@@ -599,6 +689,14 @@ async function initFiles() {
             logger.info('Loading liveConfig from config.json...');
             liveConfig = await fio.readConfig();
         }
+        // config.json files from before guests could edit their own messages
+        if (liveConfig.crowdControl && liveConfig.crowdControl.guestEditWindow === undefined) {
+            liveConfig.crowdControl.guestEditWindow = defaultConfig.crowdControl.guestEditWindow;
+        }
+        // ...and from before the server enforced rate limits
+        if (liveConfig.crowdControl && liveConfig.crowdControl.rateLimits === undefined) {
+            liveConfig.crowdControl.rateLimits = defaultConfig.crowdControl.rateLimits;
+        }
 
         // Check and create secrets.json if it doesn't exist
         if (!(await existsAsync(secretsPath))) {
@@ -634,6 +732,13 @@ async function initFiles() {
         secretsObj = JSON.parse(fs.readFileSync('secrets.json', { encoding: 'utf8' }));
         // TCAPIkey = secretsObj.api_key
         hordeKey = secretsObj?.horde_key;
+        // Signs session tokens; kept in secrets.json so logins survive a restart
+        if (!secretsObj.sessionSecret) {
+            secretsObj.sessionSecret = crypto.randomBytes(32).toString('hex');
+            await writeFileAsync(secretsPath, JSON.stringify(secretsObj, null, 2));
+            logger.info('Added a session token secret to secrets.json.');
+        }
+        sessionTokens.setSecret(secretsObj.sessionSecret);
         logger.info('File initialization complete!');
     }
 
@@ -701,16 +806,51 @@ const unloggedMessageTypes = [ // These message types will not be logged. Add mo
     'heartbeat',
     'pastChatToLoad',
     'userList',
+    'roomsList',
+];
+
+// These act on a room's chats, so clients sitting in the lobby have to join a room first
+const roomScopedMessageTypes = [
+    'chatMessage',
+    'requestAIResponse',
+    'startClearChatTimer',
+    'cancelClearChatTimer',
+    'deleteLast',
+    'AIRetry',
+    'swipeAIChatMessage',
+    'continueFromMessage',
+    'continueFromMessageNoDefs',
+    'pastChatsRequest',
+    'loadPastChat',
+    'branchChat',
+    'pastChatDelete',
+    'exportChat',
+    'importChat',
+    'sessionVariablesRequest',
+    'setSessionVariable',
+    'chatSummaryRequest',
+    'chatSummaryUpdate',
+    'chatSummaryRegenerate',
+    'summarySettingsUpdate',
+    'messageDelete',
+    'messageEdit',
+    'messageContentRequest',
+    'muteUser',
+    'kickUser',
+    'timeoutUser',
+    'banUser',
+    'roomSettingsUpdate',
 ];
 
-export async function broadcast(message, role = 'all') {
+// roomId limits delivery to clients currently in that room; omit it to reach everyone
+export async function broadcast(message, role = 'all', roomId = null) {
     try {
         const clientUUIDs = Object.keys(clientsObject);
 
         const shouldReport = !unloggedMessageTypes.includes(message.type);
 
         if (shouldReport) {
-            logger.info(`Broadcasting "${message.type}" to ${role !== 'all' ? ` users with role "${role}".` : `all ${clientUUIDs.length}  users.`}`);
+            logger.info(`Broadcasting "${message.type}" to ${role !== 'all' ? ` users with role "${role}"` : `all ${clientUUIDs.length}  users`}${roomId ? ` in room ${roomId}.` : '.'}`);
         }
 
         const sentTo = [];
@@ -718,13 +858,18 @@ export async function broadcast(message, role = 'all') {
         const missingUsers = [];
         for (const clientUUID of clientUUIDs) {
             const client = clientsObject[clientUUID];
-            const socket = client.socket;
+            // the client may have disconnected while an earlier send was awaited
+            const socket = client?.socket;
 
             // Skip closed or invalid sockets
             if (!socket || socket.readyState !== WebSocket.OPEN) {
                 continue;
             }
 
+            if (roomId && client.roomId !== roomId) {
+                continue;
+            }
+
             // Check role if not broadcasting to all
             if (role !== 'all') {
                 try {
@@ -776,23 +921,133 @@ export async function broadcast(message, role = 'all') {
     }
 }
 
-// Broadcast the updated array of connected usernames to all clients
+function getRoomUserList(roomId) {
+    return Object.entries(clientsObject)
+        .filter(([, client]) => client.socket && client.roomId === roomId)
+        .map(([clientUUID, client]) => ({
+            user_id: getPublicMemberID(clientUUID),
+            username: client.username,
+            color: client.color,
+            role: client.role,
+            persona: client.persona,
+            muted: !!client.muted
+        }));
+}
+
+// Broadcast the updated array of connected usernames to each room's members
 //gets its own function because sent so often.
-//TODO: could probably have 'userListMessage' split into a global and just use broadcast() instead
-async function broadcastUserList() {
-    const userListMessage = {
-        type: 'userList',
-        userList: connectedUsers
+//no roomId = refresh every occupied room
+async function broadcastUserList(roomId = null) {
+    const roomIds = roomId ? [roomId] : [...new Set(Object.values(clientsObject).map(client => client.roomId).filter(Boolean))];
+    for (const id of roomIds) {
+        const userListMessage = {
+            type: 'userList',
+            userList: getRoomUserList(id)
+        };
+        broadcast(userListMessage, 'all', id);
+        logger.debug(`[UserList BroadCast][${id}]:`);
+        logger.debug(userListMessage.userList);
+    }
+}
+
+//MARK: Rooms
+// Stand-in for a member's UUID in room payloads; UUIDs double as login credentials, so they never go to other clients
+function getPublicMemberID(clientUUID) {
+    return crypto.createHash('sha256').update(String(clientUUID)).digest('hex').slice(0, 16);
+}
+
+// created_by holds the creator's UUID, so rooms get the same stand-in before leaving the server
+function toPublicRoom(room) {
+    return room && { ...room, created_by: room.created_by ? getPublicMemberID(room.created_by) : null };
+}
+
+async function broadcastRoomSettingsChanged(room) {
+    const roomConfig = await getRoomLiveConfig(room.room_id);
+    await broadcast({
+        type: 'roomSettingsChanged',
+        room: toPublicRoom(room),
+        selectedCharacterDisplayName: roomConfig.promptConfig.selectedCharacterDisplayName,
+        selectedModelForGuestDisplay: roomConfig.APIConfig?.selectedModel
+    }, 'all', room.room_id);
+    await broadcastRoomsList();
+}
+
+function getRoomMember(clientUUID) {
+    const client = clientsObject[clientUUID];
+    return {
+        user_id: getPublicMemberID(clientUUID),
+        username: client?.username,
+        username_color: client?.color,
+        role: client?.role
     };
-    broadcast(userListMessage);
-    logger.debug(`[UserList BroadCast]:`);
-    logger.debug(connectedUsers);
+}
+
+function getRoomMembers(roomId) {
+    return Object.keys(clientsObject)
+        .filter(clientUUID => clientsObject[clientUUID].socket && clientsObject[clientUUID].roomId === roomId)
+        .map(getRoomMember);
+}
+
+async function getRoomsListing() {
+    const rooms = await db.getRooms();
+    return rooms.map(room => {
+        const members = getRoomMembers(room.room_id);
+        return {
+            ...toPublicRoom(room),
+            member_count: members.length,
+            member_names: members.map(member => member.username).join(', ')
+        };
+    });
+}
+
+async function broadcastRoomsList() {
+    broadcast({ type: 'roomsList', rooms: await getRoomsListing() });
+}
+
+// Takes a client out of its current room (if any) and tells the members left behind
+async function removeClientFromRoom(clientUUID) {
+    const client = clientsObject[clientUUID];
+    const previousRoomId = client?.roomId;
+    if (!previousRoomId) return null;
+    client.roomId = null;
+    await broadcast({ type: 'memberLeft', user: getRoomMember(clientUUID) }, 'all', previousRoomId);
+    await broadcastUserList(previousRoomId);
+    return previousRoomId;
+}
+
+async function moveClientToRoom(clientUUID, room) {
+    const client = clientsObject[clientUUID];
+    if (client.roomId !== room.room_id) {
+        await removeClientFromRoom(clientUUID);
+        client.roomId = room.room_id;
+        await broadcast({ type: 'memberJoined', user: getRoomMember(clientUUID) }, 'all', room.room_id);
+    }
+    logger.info(`[Rooms] ${client.username} is now in room "${room.name}" (${room.room_id})`);
+
+    const [[AIChatJSON, AISessionID], [userChatJSON, sessionID]] = await Promise.all([
+        db.readAIChat(null, room.room_id),
+        db.readUserChat(room.room_id)
+    ]);
+    const roomConfig = await getRoomLiveConfig(room.room_id);
+    client.socket.send(JSON.stringify({
+        type: 'roomJoined',
+        selectedCharacterDisplayName: roomConfig.promptConfig.selectedCharacterDisplayName,
+        selectedModelForGuestDisplay: roomConfig.APIConfig?.selectedModel,
+        room: toPublicRoom(room),
+        members: getRoomMembers(room.room_id),
+        chatHistory: markdownifyChatHistoriesArray(userChatJSON),
+        sessionID,
+        AIChatHistory: markdownifyChatHistoriesArray(AIChatJSON),
+        AIChatSessionID: AISessionID
+    }));
+    await broadcastUserList(room.room_id);
+    await broadcastRoomsList();
 }
 
 //MARK: removeLastAIChatMsg
-async function removeLastAIChatMessage() {
-    let activeSessionID = await db.removeLastAIChatMessage()
-    let [AIChatJSON, sessionID] = await db.readAIChat();
+async function removeLastAIChatMessage(roomId) {
+    let activeSessionID = await db.removeLastAIChatMessage(roomId)
+    let [AIChatJSON, sessionID] = await db.readAIChat(null, roomId);
     let jsonArray = JSON.parse(AIChatJSON)
     let chatUpdateMessage = {
         type: 'chatUpdate',
@@ -800,15 +1055,15 @@ async function removeLastAIChatMessage() {
         sessionID: sessionID
     }
     logger.info('sending AI Chat Update instruction to clients at the end of removeLastAIChatMessage')
-    broadcast(chatUpdateMessage);
+    broadcast(chatUpdateMessage, 'all', roomId);
     return activeSessionID
 }
 
-async function removeAnyAIChatMessage(parsedMessage) {
+async function removeAnyAIChatMessage(parsedMessage, roomId) {
     const result = await db.deleteAIChatMessage(parsedMessage.mesID)
     if (result === 'ok') {
         logger.info(`Message ${parsedMessage.mesID} was deleted`);
-        let [AIChatJSON, sessionID] = await db.readAIChat();
+        let [AIChatJSON, sessionID] = await db.readAIChat(null, roomId);
         let jsonArray = JSON.parse(AIChatJSON)
         let chatUpdateMessage = {
             type: 'chatUpdate',
@@ -816,15 +1071,15 @@ async function removeAnyAIChatMessage(parsedMessage) {
             sessionID
         }
         logger.info('sending AI Chat Update instruction to clients at the end of removeAnyAIChatMessage')
-        broadcast(chatUpdateMessage);
+        broadcast(chatUpdateMessage, 'all', roomId);
     }
 }
 
-async function removeAnyUserChatMessage(parsedMessage) {
+async function removeAnyUserChatMessage(parsedMessage, roomId) {
     const result = await db.deleteUserChatMessage(parsedMessage.mesID)
     if (result === 'ok') {
         logger.info(`Message ${parsedMessage.mesID} was deleted`);
-        let [chatJSON, sessionID] = await db.readUserChat();
+        let [chatJSON, sessionID] = await db.readUserChat(roomId);
         let jsonArray = JSON.parse(chatJSON)
         let chatUpdateMessage = {
             type: 'userChatUpdate',
@@ -832,24 +1087,595 @@ async function removeAnyUserChatMessage(parsedMessage) {
             sessionID
         }
         logger.info('sending AI Chat Update instruction to clients')
-        broadcast(chatUpdateMessage);
+        broadcast(chatUpdateMessage, 'all', roomId);
+    }
+}
+
+async function editAnyAIChatMessage(sessionID, mesID, newMessage, roomId) {
+    const result = await db.editMessage(sessionID, mesID, newMessage)
+    if (result !== 'ok') {
+        logger.error('could not update message with new edits')
+        return
+    }
+    const [pastChat] = await db.readAIChat(sessionID)
+    let jsonArray = JSON.parse(pastChat)
+    const pastChatsLoadMessage = {
+        type: 'pastChatToLoad',
+        pastChatHistory: markdownifyChatHistoriesArray(jsonArray),
+        sessionID: sessionID
     }
+    await broadcast(pastChatsLoadMessage, 'all', roomId)
 }
 
-async function saveAndClearChat(type) {
+async function editAnyUserChatMessage(mesID, newMessage, roomId) {
+    const result = await db.editUserChatMessage(mesID, newMessage)
+    if (result !== 'ok') {
+        logger.error('could not update user chat message with new edits')
+        return
+    }
+    let [chatJSON, sessionID] = await db.readUserChat(roomId);
+    let jsonArray = JSON.parse(chatJSON)
+    let chatUpdateMessage = {
+        type: 'userChatUpdate',
+        chatHistory: markdownifyChatHistoriesArray(jsonArray),
+        sessionID
+    }
+    broadcast(chatUpdateMessage, 'all', roomId);
+}
+
+// How long guests may edit or delete their own messages, in ms; 0 when the host doesn't allow it
+function getGuestEditWindowMs(config) {
+    const minutes = Number(config?.crowdControl?.guestEditWindow)
+    return Number.isFinite(minutes) && minutes > 0 ? minutes * 60 * 1000 : 0
+}
+
+// SQLite's CURRENT_TIMESTAMP default is UTC without a zone marker; messages written by the server are ISO strings
+function parseMessageTimestamp(timestamp) {
+    if (!timestamp) return NaN
+    const text = String(timestamp)
+    return Date.parse(text.includes('T') ? text : `${text.replace(' ', 'T')}Z`)
+}
+
+/**
+ * Look up a message a guest or mod wants to change and check that they may
+ * Anyone can change their own messages for a while after sending; mods can also moderate guests' messages.
+ * @param {string} chatType - 'AIChat' or 'userChat'
+ * @param {number} mesID - Message to change
+ * @param {Object} actor - { uuid, role, muted } of whoever is asking
+ * @param {string} roomId - Their room
+ * @param {Object} config - liveConfig, for the edit window
+ * @returns {Promise<Object>} - { row, moderated } when allowed, otherwise { error }
+ */
+async function getChangeableMessage(chatType, mesID, actor, roomId, config) {
+    const row = await db.getActiveChatMessageRow(chatType, mesID, roomId)
+    if (row && row.user_id !== actor.uuid && permissions.can(actor.role, 'moderateMessages')) {
+        if (!['user', dice.DICE_ENTITY].includes(row.entity) || !permissions.canActOn(actor.role, row.user_role)) {
+            return { error: 'You can only moderate messages from guests.' }
+        }
+        return { row, moderated: true }
+    }
+
+    const windowMs = getGuestEditWindowMs(config)
+    if (windowMs === 0) return { error: 'The host does not allow editing or deleting messages.' }
+    if (actor.muted) return { error: 'You are muted.' }
+    if (config?.crowdControl?.guestInputPermissionState === false) {
+        return { error: 'Guest input is currently disabled by the host.' }
+    }
+    if (!row || row.user_id !== actor.uuid || row.entity !== 'user') {
+        return { error: 'You can only edit or delete your own messages.' }
+    }
+    if (!(Date.now() - parseMessageTimestamp(row.timestamp) <= windowMs)) {
+        return { error: `Messages can only be edited or deleted for ${windowMs / 60000} minutes after sending.` }
+    }
+    return { row }
+}
+
+async function saveAndClearChat(type, roomId) {
     if (type === 'AIChat') {
-        let newSessionID = await db.newSession();
-        await db.setActiveChat(newSessionID);
+        let newSessionID = await db.newSession(roomId);
+        await db.setActiveChat(newSessionID, roomId);
         return newSessionID
     }
     else if (type === 'userChat') {
-        await db.newUserChatSession();
+        await db.newUserChatSession(roomId);
     }
     else {
         logger.warn('Unknown chat type. Not saving chat history. This should never happen.');
     }
 }
 
+// Generate a new swipe for an AI message, as whichever of the room's characters wrote it
+async function regenerateAIMessage(originalRow, roomId, user, ws, requesterUUID) {
+    const roomConfig = await getRoomLiveConfig(roomId);
+    const scArr = roomConfig.promptConfig.selectedCharacters || [];
+
+    let targetCharEntry = null;
+    if (originalRow) {
+        const uname = (originalRow.username || '').toLowerCase();
+        // 1. Direct displayName match
+        targetCharEntry = scArr.find(c => (c.displayName || '').toLowerCase() === uname) || null;
+        // 2. If no match, attempt match by stripping extension from value path
+        if (!targetCharEntry && uname) {
+            targetCharEntry = scArr.find(c => (c.value || '').toLowerCase().includes(uname));
+        }
+    }
+    // 3. Fallback: use first non-[None] entry
+    if (!targetCharEntry) {
+        targetCharEntry = scArr.find(c => c.value !== 'None') || scArr[0] || null;
+    }
+
+    if (!targetCharEntry) {
+        logger.warn('[AIRetry] Could not resolve character entry; aborting regenerate.');
+        return false;
+    }
+
+    const originatingUser = originalRow?.originalSender || await getLastUserMessageUsername(roomId) || null;
+    if (!originatingUser) logger.warn('[UsernameResolve] AIRetry: could not resolve originating user; {{user}} may be blank.');
+    logger.info(`[AIRetry] Regenerating for character ${targetCharEntry.displayName} (${targetCharEntry.value}) triggered by user ${originatingUser}`);
+    await handleRequestAIResponse({
+        type: 'requestAIResponse',
+        trigger: 'regenerate',
+        character: { value: targetCharEntry.value, displayName: targetCharEntry.displayName },
+        mesID: originalRow.message_id,
+        latestUserMessageID: originalRow.message_id,
+        swipeTarget: { sessionID: originalRow.session_id, mesID: originalRow.message_id },
+        username: originatingUser,
+        UUID: requesterUUID,
+        roomId
+    }, user, selectedAPI, hordeKey, engineMode, liveConfig, ws);
+    return true;
+}
+
+// Counts down, then saves and clears one of a room's chats (target is '#AIChat' or '#userChat').
+// The requester's name and persona fill the macros in the first messages of the new AI chat.
+async function startClearChatTimer(target, secondsLeft, roomId, requester) {
+    const timerKey = `${roomId}:${target}`;
+
+    // If there's already a timer for this target, ignore the new request
+    if (activeClearChatTimers[timerKey]) {
+        logger.warn(`Timer already active for ${target}, ignoring new request.`);
+        return false;
+    }
+
+    const responseMessage = {
+        type: 'startClearTimerResponse',
+        target,
+    };
+    await broadcast(responseMessage, 'all', roomId);
+    logger.warn(`Broadcasted startClearTimerResponse for ${target} in room ${roomId}. Waiting ${secondsLeft}s...`);
+
+    // Start and store the timer
+    activeClearChatTimers[timerKey] = setTimeout(async () => {
+        logger.warn(`Time is up! Clearing chat for ${target} in room ${roomId}`);
+        delete activeClearChatTimers[timerKey]; // Clear the reference
+
+        if (target === '#AIChat') {
+            logger.warn('Saving and clearing AIChat...');
+            const newSessionID = await saveAndClearChat('AIChat', roomId);
+            await broadcast({ type: 'clearAIChat', sessionID: newSessionID }, 'all', roomId);
+
+            const roomConfig = await getRoomLiveConfig(roomId);
+            const scArr = (roomConfig.promptConfig.selectedCharacters || [])
+                .filter(c => c.value && c.value !== 'None' && !c.isMuted);
+            if (scArr.length === 0) {
+                logger.warn('[ClearAIChat] No active characters to seed first messages.');
+            }
+            // First messages can set up the new chat's variables with {{setvar}}
+            const firstMesVariables = { variables: {}, variableUpdates: {} };
+
+            for (const charEntry of scArr) {
+                try {
+                    const charFile = charEntry.value;
+                    const cardData = await fio.charaRead(charFile, 'png');
+                    const cardJSON = JSON.parse(cardData);
+                    const charName = cardJSON.name || charEntry.displayName || 'AI';
+                    const firstMesRaw = cardJSON.first_mes || '';
+                    const firstMes = macros.replaceMacros(firstMesRaw, {
+                        user: requester.username,
+                        char: charName,
+                        persona: requester.persona || '',
+                        group: (roomConfig.promptConfig.selectedCharacters || []).filter(c => c.value && c.value !== 'None').map(c => c.displayName),
+                        chatHistory: [],
+                        ...firstMesVariables
+                    });
+
+                    // Persist message (DB assigns timestamp & message_id)
+                    await db.writeAIChatMessage(charName, charName, firstMes, 'AI', roomId);
+
+                    // Query just-inserted row (fast lookup)
+                    const dbRow = await (async () => {
+                        const [rowsJSON] = await db.readAIChat(newSessionID); // returns [json, sessionID]
+                        const rows = JSON.parse(rowsJSON);
+                        return rows[rows.length - 1];
+                    })();
+
+                    const outMessage = {
+                        type: 'chatMessage',
+                        chatID: 'AIChat',
+                        sessionID: dbRow?.sessionID || newSessionID,
+                        messageID: dbRow?.messageID || null,
+                        content: purifier.makeHtml(firstMes),
+                        username: charName,
+                        entity: 'AI',
+                        timestamp: dbRow?.timestamp || new Date().toISOString(),
+                        AIChatUserList: [{ username: charName, color: 'white', entity: 'AI', role: 'AI' }],
+                    };
+                    await broadcast(outMessage, 'all', roomId);
+                    logger.warn(`[ClearAIChat] Seeded first message for ${charName} (session ${outMessage.sessionID}, messageID ${outMessage.messageID})`);
+                } catch (seedErr) {
+                    logger.error('[ClearAIChat] Error seeding first message for character slot:', charEntry, seedErr);
+                }
+            }
+            if (newSessionID && Object.keys(firstMesVariables.variableUpdates).length > 0) {
+                await db.setSessionVariables(newSessionID, firstMesVariables.variableUpdates);
+            }
+            await broadcast({ type: 'sessionVariables', sessionID: newSessionID, variables: firstMesVariables.variables }, 'host', roomId);
+        }
+
+        if (target === '#userChat') {
+            logger.warn('Saving and clearing userChat...');
+            await saveAndClearChat('userChat', roomId);
+            await broadcast({ type: 'clearChat' }, 'all', roomId);
+        }
+
+    }, secondsLeft * 1000);
+    return true;
+}
+
+function updateConnectedUsers() {
+    const userList = Object.values(clientsObject).map(client => ({
+        username: client.username,
+        color: client.color,
+        role: client.role,
+        persona: client.persona // ADD THIS
+    }));
+    connectedUsers = userList;
+}
+
+// Saves a user's persona; user is the connection's own copy of the user row, kept in step for macros
+async function setUserPersona(userId, username, color, persona, user) {
+    await db.upsertUser(userId, username, color, persona);
+    if (clientsObject[userId]) {
+        clientsObject[userId].persona = persona;
+    }
+    if (user) user.persona = persona;
+    updateConnectedUsers();
+    await broadcastUserList();
+}
+
+// Flips a character's mute in the room's own roster, or in the global one when the room doesn't override it
+async function toggleCharacterMute(roomId, displayName) {
+    const room = await db.getRoom(roomId);
+    const roomRoster = room?.settings?.selectedCharacters;
+    migrateSelectedCharactersIfNeeded(liveConfig);
+    const roster = roomRoster || liveConfig.promptConfig.selectedCharacters || [];
+    const wanted = displayName.trim().toLowerCase();
+    const target = roster.find(c => c.value && c.value !== 'None' && (c.displayName || '').toLowerCase() === wanted);
+    if (!target) return null;
+
+    const updatedRoster = roster.map(c => c === target ? { ...c, isMuted: !c.isMuted } : c);
+    if (roomRoster) {
+        const updatedRoom = await db.updateRoom(roomId, { settings: { ...room.settings, selectedCharacters: updatedRoster } });
+        if (updatedRoom) await broadcastRoomSettingsChanged(updatedRoom);
+    } else {
+        liveConfig.promptConfig.selectedCharacters = updatedRoster;
+        migrateSelectedCharactersIfNeeded(liveConfig);
+        await fio.writeConfig(liveConfig);
+        await broadcast({ type: 'hostStateChange', value: liveConfig }, 'host');
+    }
+    return { displayName: target.displayName, isMuted: !target.isMuted };
+}
+
+// The member of a room with this public id or username
+function findRoomClientUUID(roomId, target) {
+    const wanted = String(target).trim().toLowerCase();
+    return Object.keys(clientsObject).find(clientUUID => {
+        const client = clientsObject[clientUUID];
+        return client.socket && client.roomId === roomId &&
+            (getPublicMemberID(clientUUID) === target || (client.username || '').toLowerCase() === wanted);
+    }) || null;
+}
+
+// The room member a moderator wants to act on, as { targetUUID, client } or { error }
+function getModerationTarget(actor, roomId, target, action) {
+    const targetUUID = findRoomClientUUID(roomId, target);
+    if (!targetUUID) return { error: `No user named "${target}" in this room.` };
+    const client = clientsObject[targetUUID];
+    if (!permissions.canActOn(actor.role, client.role)) return { error: `You can't ${action} ${client.username}.` };
+    return { targetUUID, client };
+}
+
+/**
+ * Mute or unmute a room member; muted users can't post or change their messages
+ * @param {Object} actor - { username, role } of the moderator
+ * @param {string} roomId - The moderator's room
+ * @param {string} target - Public id or username of the member
+ * @returns {Promise<Object>} - { username, isMuted } or { error }
+ */
+async function toggleUserMute(actor, roomId, target) {
+    const { targetUUID, client, error } = getModerationTarget(actor, roomId, target, 'mute');
+    if (error) return { error };
+    client.muted = !client.muted;
+    await db.setUserMuted(targetUUID, client.muted);
+    logger.info(`[Moderation] ${actor.username} (${actor.role}) ${client.muted ? 'muted' : 'unmuted'} ${client.username}`);
+    await broadcast({ type: 'commandResult', chatID: 'userChat', content: `🔇 ${actor.username} ${client.muted ? 'muted' : 'unmuted'} ${client.username}.`, isPublic: true }, 'all', roomId);
+    await broadcastUserList(roomId);
+    return { username: client.username, isMuted: client.muted };
+}
+
+// Disconnects a room member; they can come back with the reconnect button
+async function kickUser(actor, roomId, target) {
+    const { targetUUID, client, error } = getModerationTarget(actor, roomId, target, 'kick');
+    if (error) return { error };
+    logger.info(`[Moderation] ${actor.username} (${actor.role}) kicked ${client.username} (${targetUUID})`);
+    client.socket.send(JSON.stringify({ type: 'kicked', message: `You were kicked by ${actor.username}.` }));
+    client.socket.close();
+    await broadcast({ type: 'commandResult', chatID: 'userChat', content: `👢 ${actor.username} kicked ${client.username}.`, isPublic: true }, 'all', roomId);
+    return { username: client.username };
+}
+
+/**
+ * Ban a room member, or time them out for a while, and disconnect them
+ * Registered users are banned by account, anyone else by the UUID they connect with.
+ * @param {Object} actor - { uuid, username, role } of the moderator
+ * @param {string} roomId - The moderator's room
+ * @param {string} target - Public id or username of the member
+ * @param {Object} [options]
+ * @param {number|null} [options.minutes] - How long a timeout lasts; null bans until the ban is lifted
+ * @param {boolean} [options.byIP] - Also turn away anyone connecting from their IP address
+ * @param {string} [options.reason] - Shown to them when they try to come back
+ * @returns {Promise<Object>} - { username, bans } or { error }
+ */
+async function banUser(actor, roomId, target, { minutes = null, byIP = false, reason = '' } = {}) {
+    const { targetUUID, client, error } = getModerationTarget(actor, roomId, target, minutes ? 'time out' : 'ban');
+    if (error) return { error };
+    // Guests sharing the host's connection (a tunnel, the same network) would take the host's address down with them
+    if (byIP && (!client.ip || client.ip === clientsObject[actor.uuid]?.ip)) {
+        return { error: `${client.username} connects from the same IP address as you; ban them without it.` };
+    }
+
+    const account = await db.getUserByUsername(client.username);
+    const targetType = account?.user_id === targetUUID && account.password_hash ? 'account' : 'uuid';
+    const banDetails = { username: client.username, reason: reason.trim(), bannedBy: actor.username, bannedByRole: actor.role, targetRole: client.role, minutes };
+    const bans = [await db.addBan({ ...banDetails, targetType, target: targetUUID })];
+    if (byIP) bans.push(await db.addBan({ ...banDetails, targetType: 'ip', target: client.ip }));
+    if (bans.includes(null)) return { error: `Could not save the ban for ${client.username}.` };
+    // Timeouts end by themselves; a ban also logs them out everywhere
+    if (!minutes) await db.revokeUserSessions(targetUUID);
+
+    logger.info(`[Moderation] ${actor.username} (${actor.role}) ${minutes ? `timed out ${client.username} (${targetUUID}) for ${minutes} minutes` : `banned ${client.username} (${targetUUID}) by ${targetType}${byIP ? ` and IP ${client.ip}` : ''}`}`);
+    const bannedMessage = JSON.stringify({ type: 'banned', message: getBanMessage(bans[0]) });
+    for (const [clientUUID, other] of Object.entries(clientsObject)) {
+        const isCaught = clientUUID === targetUUID || (byIP && other.ip === client.ip && permissions.canActOn(actor.role, other.role));
+        if (!isCaught || !other.socket) continue;
+        other.socket.send(bannedMessage);
+        other.socket.close();
+    }
+    const announcement = minutes
+        ? `⏳ ${actor.username} timed out ${client.username} for ${minutes} minute${minutes === 1 ? '' : 's'}.`
+        : `🚫 ${actor.username} banned ${client.username}.`;
+    await broadcast({ type: 'commandResult', chatID: 'userChat', content: announcement, isPublic: true }, 'all', roomId);
+    await broadcastBanList();
+    return { username: client.username, bans };
+}
+
+//MARK: Accounts
+// Registered users start as 'user'; anything below mod counts as that
+const ACCOUNT_ROLES = ['user', 'mod', 'host'];
+
+// The same rule for registering, changing a password and resetting one
+function getPasswordError(password) {
+    if (typeof password !== 'string' || password.length < 6) return 'Password must be at least 6 characters';
+    return null;
+}
+
+// Registered accounts as the host's account panel shows them, keyed by public id rather than UUID
+async function getAccountList() {
+    return (await db.getAccounts()).map(account => ({
+        accountID: getPublicMemberID(account.user_id),
+        username: account.username,
+        color: account.username_color,
+        role: account.role || 'user',
+        disabled: !!account.disabled,
+        online: !!clientsObject[account.user_id]?.socket,
+        createdAt: account.created_at,
+        lastSeenAt: account.last_seen_at
+    }));
+}
+
+async function broadcastAccountList() {
+    await broadcast({ type: 'accountList', accounts: await getAccountList() }, 'host');
+}
+
+// Sends a connected user off with a message; the client decides whether they can come straight back
+function disconnectUser(userId, message) {
+    const socket = clientsObject[userId]?.socket;
+    if (!socket) return;
+    socket.send(JSON.stringify(message));
+    socket.close();
+}
+
+/**
+ * Carry out a host's change to an account from the account panel
+ * Roles change one step at a time (user, mod, host). Anyone online is disconnected so they come back
+ * with the new role, or, for a disabled or deleted account, logged out.
+ * @param {Object} actor - { uuid, username } of the host
+ * @param {string} accountID - Public id of the account
+ * @param {string} action - 'promote', 'demote', 'disable', 'enable', 'resetCode' or 'delete'
+ * @returns {Promise<Object>} - { username, ... } or { error }
+ */
+async function updateAccount(actor, accountID, action) {
+    const account = (await db.getAccounts()).find(account => getPublicMemberID(account.user_id) === accountID);
+    if (!account) return { error: 'That account no longer exists.' };
+    const { user_id: userId, username } = account;
+    if (userId === actor.uuid && action !== 'resetCode') return { error: 'You cannot change your own account from here.' };
+
+    if (action === 'promote' || action === 'demote') {
+        const currentRole = ACCOUNT_ROLES.includes(account.role) ? account.role : 'user';
+        const role = ACCOUNT_ROLES[ACCOUNT_ROLES.indexOf(currentRole) + (action === 'promote' ? 1 : -1)];
+        if (!role) return { error: `${username} is already ${action === 'promote' ? 'a host' : 'a regular user'}.` };
+        await db.upsertUserRole(userId, role);
+        disconnectUser(userId, { type: 'accountChanged', message: `${actor.username} made you ${role === 'user' ? 'a regular user' : `a ${role}`}. Reconnect to continue.` });
+        logger.info(`[Accounts] ${actor.username} changed ${username} (${userId}) from ${currentRole} to ${role}`);
+    }
+    else if (action === 'disable' || action === 'enable') {
+        await db.setUserDisabled(userId, action === 'disable');
+        if (action === 'disable') {
+            await db.revokeUserSessions(userId);
+            disconnectUser(userId, { type: 'sessionInvalid', message: 'This account has been disabled by the host.' });
+        }
+        logger.info(`[Accounts] ${actor.username} ${action}d ${username} (${userId})`);
+    }
+    else if (action === 'resetCode') {
+        const reset = await db.createPasswordResetCode(userId, actor.username);
+        if (!reset) return { error: `Could not make a reset code for ${username}.` };
+        logger.info(`[Accounts] ${actor.username} made a password reset code for ${username} (${userId})`);
+        return { username, ...reset };
+    }
+    else if (action === 'delete') {
+        if (!await db.deleteAccount(userId)) return { error: `Could not delete ${username}.` };
+        disconnectUser(userId, { type: 'sessionInvalid', message: 'Your account was deleted by the host.' });
+        logger.info(`[Accounts] ${actor.username} deleted the account of ${username} (${userId})`);
+    }
+    else {
+        return { error: `Unknown account action "${action}".` };
+    }
+    await broadcastAccountList();
+    return { username };
+}
+
+// Accounts always need a session token to connect. So do hosts and mods, except on the host port,
+// where any new user becomes the host anyway.
+function requiresSessionToken(user, type) {
+    return !!user.registered || (type !== 'host' && ['host', 'mod'].includes(user.role));
+}
+
+// What someone who is banned or timed out is told when they are turned away
+function getBanMessage(ban) {
+    const reason = ban.reason ? ` Reason: ${ban.reason}` : '';
+    if (!ban.expires_at) return `You are banned from this server.${reason}`;
+    const minutesLeft = Math.max(1, Math.ceil((parseMessageTimestamp(ban.expires_at) - Date.now()) / 60000));
+    return `You are timed out for ${minutesLeft} more minute${minutesLeft === 1 ? '' : 's'}.${reason}`;
+}
+
+// Bans as the ban list shows them; the target is a user's UUID or IP address, so it stays on the server
+async function getBanList() {
+    return (await db.getActiveBans()).map(ban => ({
+        banId: ban.ban_id,
+        targetType: ban.target_type,
+        username: ban.username,
+        reason: ban.reason,
+        bannedBy: ban.banned_by,
+        createdAt: ban.created_at,
+        expiresAt: ban.expires_at
+    }));
+}
+
+// Sends the ban list to everyone who may lift bans
+async function broadcastBanList() {
+    const message = JSON.stringify({ type: 'banList', bans: await getBanList() });
+    for (const client of Object.values(clientsObject)) {
+        if (client.socket && permissions.can(client.role, 'banUsers')) client.socket.send(message);
+    }
+}
+
+// Posts a dice roll as a system message in either chat; rolls in the AI chat become part of the history the AI reads
+async function postDiceRoll(content, chatID, sender) {
+    const { uuid, username, role, color, roomId } = sender;
+    const rollMessage = {
+        type: 'chatMessage',
+        chatID,
+        username,
+        userColor: color,
+        content: purifier.makeHtml(content),
+        role,
+        entity: dice.DICE_ENTITY
+    };
+    if (chatID === 'userChat') {
+        const written = await db.writeUserChatMessage(uuid, content, roomId, dice.DICE_ENTITY);
+        Object.assign(rollMessage, { sessionID: written?.session_id, messageID: written?.message_id, timestamp: written?.timestamp });
+    } else {
+        const written = await db.writeAIChatMessage(username, uuid, content, dice.DICE_ENTITY, roomId);
+        Object.assign(rollMessage, { sessionID: written?.sessionId, messageID: written?.message_id, timestamp: written?.timestamp });
+    }
+    await broadcast(rollMessage, 'all', roomId);
+}
+
+/**
+ * Take rate limit tokens for something a guest or mod is doing; hosts aren't limited
+ * @param {string[]} actions - Some of 'chat', 'AI' and 'upload'
+ * @param {string} uuid - Who is doing it
+ * @param {WebSocket} ws - Their socket, warned when they hit a limit
+ * @returns {boolean} - False if they hit a limit, so the action should be dropped
+ */
+function passesRateLimit(actions, uuid, ws) {
+    const client = clientsObject[uuid];
+    if (!client || client.role === 'host') return true;
+    const limited = rateLimit.take(actions, { uuid, ip: client.ip }, liveConfig);
+    if (!limited) return true;
+    logger.warn(`[RateLimit] ${client.username} (${uuid}, ${client.ip}) hit the ${limited.action} limit; next try in ${limited.retryAfter}s`);
+    ws.send(JSON.stringify({ type: 'inputDisabledWarning', message: rateLimit.describeLimit(limited) }));
+    return false;
+}
+
+// Password and reset code guesses are limited by IP address, since whoever guesses can switch UUIDs freely
+function takeAuthToken(ip) {
+    const limited = rateLimit.take(['auth'], { ip }, liveConfig);
+    if (limited) logger.warn(`[RateLimit] ${ip} hit the auth limit; next try in ${limited.retryAfter}s`);
+    return limited;
+}
+
+// Runs chat input as a slash command if it is one, returning true so the caller doesn't post it.
+// Replies go only to the sender; announcements go to everyone in the room.
+async function runSlashCommand(text, chatID, sender, user, ws) {
+    const { uuid, username, role, color, roomId } = sender;
+    const persona = clientsObject[uuid]?.persona || user?.persona || '';
+    return slashCommands.runCommand(text, {
+        username,
+        role,
+        roomId,
+        chatID,
+        persona,
+        guestCommands: slashCommands.getGuestCommands(liveConfig),
+        reply: (content) => ws.send(JSON.stringify({ type: 'commandResult', chatID, content, isPublic: false })),
+        // What addCharDefsToPrompt would pass to getAllEnabledEntries, for each of the room's characters
+        getLorebookContexts: async () => {
+            const roomConfig = await getRoomLiveConfig(roomId);
+            const sessionId = await db.getActiveChat(roomId);
+            const characterIds = (roomConfig.promptConfig.selectedCharacters || [])
+                .map(c => c.value).filter(value => value && value !== 'None');
+            if (characterIds.length === 0) characterIds.push(roomConfig.promptConfig.selectedCharacter);
+            return characterIds.map(characterId => ({ characterId, userId: uuid, sessionId }));
+        },
+        announce: (content) => broadcast({ type: 'commandResult', chatID, content, isPublic: true }, 'all', roomId),
+        postRoll: (content) => postDiceRoll(content, chatID, sender),
+        setPersona: (newPersona) => setUserPersona(uuid, username, color, newPersona, user),
+        toggleMute: (displayName) => toggleCharacterMute(roomId, displayName),
+        toggleUserMute: (target) => toggleUserMute({ username, role }, roomId, target),
+        kickUser: (target) => kickUser({ username, role }, roomId, target),
+        banUser: (target, options) => banUser({ uuid, username, role }, roomId, target, options),
+        continueChat: () => passesRateLimit(['AI'], uuid, ws) && handleRequestAIResponse({
+            type: 'requestAIResponse',
+            trigger: 'manual',
+            username,
+            UUID: uuid,
+            roomId
+        }, user, selectedAPI, hordeKey, engineMode, liveConfig, ws),
+        retry: async () => {
+            // already warned, so don't also say there is nothing to retry
+            if (!passesRateLimit(['AI'], uuid, ws)) return true;
+            const lastReply = await db.getLastAIChatMessageRow(roomId);
+            return lastReply ? regenerateAIMessage(lastReply, roomId, user, ws, uuid) : false;
+        },
+        // same length as the countdown the clients show
+        clearChat: (target) => startClearChatTimer(target, 5, roomId, { username, persona }),
+        setGuestCommands: async (commands) => {
+            await fio.writeConfig(liveConfig, 'crowdControl.guestCommands', commands);
+            await broadcast({ type: 'slashCommandsChanged' });
+        }
+    });
+}
+
 function duplicateNameToValue(array) {
     return array.map((obj) => ({ ...obj, value: obj.name }));
 }
@@ -900,9 +1726,42 @@ const MAX_CONNECTIONS_PER_IP = 5; // Adjust this limit as needed
 //MARK: handleConnections()
 async function handleConnections(ws, type, request) {
 
-    const clientIP = request.headers['x-forwarded-for']?.split(',')[0]?.trim() || request.socket.remoteAddress;
+    // Anyone can send X-Forwarded-For, so it only counts when the host says a proxy sets it
+    const forwardedIP = liveConfig?.trustProxy === true ? request.headers['x-forwarded-for']?.split(',')[0]?.trim() : null;
+    const clientIP = forwardedIP || request.socket.remoteAddress;
     logger.info(`Connection attempt from IP: ${clientIP}`);
 
+    const urlParams = new URLSearchParams(request.url.split('?')[1]);
+
+    const requestedUUID = urlParams.get('uuid');
+    const knownUser = requestedUUID ? await db.getUser(requestedUUID) : undefined;
+
+    // Turn away banned and timed out users before they take up a connection
+    const ban = await db.findActiveBan(requestedUUID, clientIP);
+    // IP bans never lock out the host, who may share an address with guests
+    if (ban && !(ban.target_type === 'ip' && knownUser?.role === 'host')) {
+        logger.warn(`Connection rejected: ${clientIP} (${requestedUUID}) matches ${ban.target_type} ban ${ban.ban_id}`);
+        ws.send(JSON.stringify({ type: 'banned', message: getBanMessage(ban) }));
+        ws.close(1008, ban.expires_at ? 'Timed out' : 'Banned');
+        return;
+    }
+
+    // A UUID alone doesn't prove who someone is; protected identities also need their session token
+    const session = urlParams.get('token') ? await db.verifySessionToken(urlParams.get('token')) : null;
+    let sessionId = session?.userId === requestedUUID ? session.sessionId : null;
+    if (knownUser && requiresSessionToken(knownUser, type) && !sessionId) {
+        logger.warn(`Connection rejected: ${clientIP} tried to connect as ${knownUser.username} (${requestedUUID}) without a valid session token`);
+        ws.send(JSON.stringify({ type: 'sessionInvalid', message: 'Your login has expired or was ended. Please log in again.' }));
+        ws.close(1008, 'Session token required');
+        return;
+    }
+    if (knownUser?.disabled) {
+        logger.warn(`Connection rejected: ${knownUser.username} (${requestedUUID}) is disabled`);
+        ws.send(JSON.stringify({ type: 'sessionInvalid', message: 'This account has been disabled by the host.' }));
+        ws.close(1008, 'Account disabled');
+        return;
+    }
+
     // Check IP connection limit
     const currentConnections = ipConnectionMap.get(clientIP) || 0;
     if (currentConnections >= MAX_CONNECTIONS_PER_IP) {
@@ -915,7 +1774,6 @@ async function handleConnections(ws, type, request) {
     ipConnectionMap.set(clientIP, currentConnections + 1);
     logger.info(`IP ${clientIP} now has ${currentConnections + 1} active connections`);
 
-    const urlParams = new URLSearchParams(request.url.split('?')[1]);
     const encodedUsername = urlParams.get('username');
     const decodedUsername = decodeURIComponent(encodedUsername || '').trim();
 
@@ -945,6 +1803,7 @@ async function handleConnections(ws, type, request) {
         thisUserColor = user.username_color;
         thisUserUsername = user.username;
         thisUserRole = user.role;
+        await db.updateLastSeen(uuid);
     } else { //make new values for new users
         thisUserColor = usernameColors[Math.floor(Math.random() * usernameColors.length)];
         thisUserUsername = decodedUsername;
@@ -964,12 +1823,20 @@ async function handleConnections(ws, type, request) {
         };
     }
 
+    // Rejoin the room the client asked for (it remembers its last one), otherwise the default room
+    const requestedRoomId = urlParams.get('roomId');
+    const room = (requestedRoomId && await db.getRoom(requestedRoomId)) || await db.getRoom(db.DEFAULT_ROOM_ID);
+
     clientsObject[uuid] = {
         socket: ws,
         color: thisUserColor,
         role: thisUserRole,
         username: thisUserUsername,
-        persona: user?.persona || '' // ADD THIS
+        AIChatUsername: decodeURIComponent(urlParams.get('AIChatUsername') || '').trim() || thisUserUsername, // the name used in the AI chat
+        persona: user?.persona || '', // ADD THIS
+        muted: !!user?.muted,
+        ip: clientIP,
+        roomId: room.room_id
     };
 
     updateConnectedUsers();
@@ -985,10 +1852,11 @@ async function handleConnections(ws, type, request) {
     const [instructList, samplerPresetList, [AIChatJSON, AISessionID], [userChatJSON, sessionID]] = await Promise.all([
         await fio.getInstructList(),
         await fio.getSamplerPresetList(),
-        await db.readAIChat(),
-        await db.readUserChat()
+        await db.readAIChat(null, room.room_id),
+        await db.readUserChat(room.room_id)
     ]);
 
+    const roomConfig = await getRoomLiveConfig(room.room_id);
     const baseMessage = {
         clientUUID: uuid,
         type: thisUserRole === 'host' ? 'connectionConfirmed' : 'guestConnectionConfirmed',
@@ -998,8 +1866,12 @@ async function handleConnections(ws, type, request) {
         AIChatSessionID: AISessionID,
         color: thisUserColor,
         role: thisUserRole,
-        selectedCharacterDisplayName: liveConfig.promptConfig?.selectedCharacterDisplayName,
-        userList: connectedUsers,
+        permissions: permissions.permissionsFor(thisUserRole),
+        loggedIn: !!user?.registered,
+        selectedCharacterDisplayName: roomConfig.promptConfig?.selectedCharacterDisplayName,
+        userList: getRoomUserList(room.room_id),
+        room: toPublicRoom(room),
+        roomMembers: getRoomMembers(room.room_id),
         /*         liveConfig: {
                     crowdControl: {
                         userChatDelay: liveConfig?.crowdControl?.userChatDelay || "2",
@@ -1010,7 +1882,7 @@ async function handleConnections(ws, type, request) {
                     }
                 }, */
         crowdControl: liveConfig.crowdControl,
-        selectedModelForGuestDisplay: liveConfig.APIConfig.selectedModel
+        selectedModelForGuestDisplay: roomConfig.APIConfig?.selectedModel
     };
 
     if (thisUserRole === 'host') {
@@ -1055,20 +1927,12 @@ async function handleConnections(ws, type, request) {
         };
     }
 
+    await broadcast({ type: 'memberJoined', user: getRoomMember(uuid) }, 'all', room.room_id);
     await broadcastUserList();
+    await broadcastRoomsList();
     logger.info('Sending initial message to client:', thisUserUsername);
     ws.send(JSON.stringify(baseMessage));
 
-    function updateConnectedUsers() {
-        const userList = Object.values(clientsObject).map(client => ({
-            username: client.username,
-            color: client.color,
-            role: client.role,
-            persona: client.persona // ADD THIS
-        }));
-        connectedUsers = userList;
-    }
-
     //MARK: WS Msg handling
     // Handle incoming messages from clients
     ws.on('message', async function (message) {
@@ -1086,32 +1950,21 @@ async function handleConnections(ws, type, request) {
                 logger.debug(parsedMessage);
             }
 
-            const senderUUID = parsedMessage.UUID
-            let userColor = await db.getUserColor(senderUUID)
-            let thisClientObj = clientsObject[parsedMessage.UUID];
-
-            //If there is no UUID, then this is a new client and we need to add it to clientsObject
-            if (!thisClientObj) {
-                thisClientObj = {
-                    username: '',
-                    color: '',
-                    role: '',
-                };
-                clientsObject[parsedMessage.UUID] = thisClientObj;
+            // Messages act as the user this connection proved it is; the UUID a client puts in a message is ignored
+            let userColor = await db.getUserColor(uuid)
+            const thisClientObj = clientsObject[uuid] || {};
+
+            // The room this connection is currently in (null while browsing the lobby)
+            const thisRoomId = clientsObject[uuid]?.roomId || null;
+            if (!thisRoomId && roomScopedMessageTypes.includes(parsedMessage.type)) {
+                ws.send(JSON.stringify({ type: 'roomError', error: 'Join a room first.' }));
+                return;
             }
 
             // Handle persona updates from any user
             if (parsedMessage.type === 'updatePersona') {
                 logger.info(`Updating persona for ${thisUserUsername}`);
-                await db.upsertUser(senderUUID, thisUserUsername, userColor, parsedMessage.persona);
-                // Update local memory
-                if (clientsObject[parsedMessage.UUID]) {
-                    clientsObject[parsedMessage.UUID].persona = parsedMessage.persona;
-                }
-                // Update closure variable
-                if (user) user.persona = parsedMessage.persona;
-                updateConnectedUsers();
-                await broadcastUserList();
+                await setUserPersona(uuid, thisUserUsername, userColor, parsedMessage.persona, user);
                 return;
             }
 
@@ -1124,7 +1977,15 @@ async function handleConnections(ws, type, request) {
                     await checkAPIListChanges(liveConfig, parsedMessage)
 
                     logger.info('writing liveConfig to file')
+                    // Guest commands, guest input, summarization and memory settings change through their own messages
+                    // (some of them sent by mods), not the config form, so the host's copy can be stale.
+                    // Rate limits are only set in config.json.
+                    const { guestCommands, guestInputPermissionState, rateLimits } = liveConfig.crowdControl || {}
+                    const { summarization, memory: memorySettings } = liveConfig
                     liveConfig = parsedMessage.value
+                    liveConfig.crowdControl = { ...liveConfig.crowdControl, guestCommands, guestInputPermissionState, rateLimits }
+                    liveConfig.summarization = summarization
+                    liveConfig.memory = memorySettings
                     // After processing API list changes, refresh APIConfig and APIList from DB to avoid dropping fields (e.g., useTokenizer)
                     try {
                         const selected = liveConfig?.promptConfig?.selectedAPI || 'Default';
@@ -1152,6 +2013,7 @@ async function handleConnections(ws, type, request) {
                             selectedCharacter: liveConfig.promptConfig.selectedCharacterDisplayName,
                             userChatDelay: liveConfig.crowdControl.userChatDelay,
                             AIChatDelay: liveConfig.crowdControl.AIChatDelay,
+                            guestEditWindow: liveConfig.crowdControl.guestEditWindow,
                             allowImages: liveConfig.crowdControl.allowImages,
                             selectedModelForGuestDisplay: liveConfig.APIConfig.selectedModel
                         }
@@ -1161,7 +2023,7 @@ async function handleConnections(ws, type, request) {
                     return
                 }
                 else if (parsedMessage.type === 'requestAIResponse') {
-                    await handleRequestAIResponse(parsedMessage, user, selectedAPI, hordeKey, engineMode, liveConfig, ws);
+                    await handleRequestAIResponse({ ...parsedMessage, roomId: thisRoomId }, user, selectedAPI, hordeKey, engineMode, liveConfig, ws);
                     return;
                 }
                 else if (parsedMessage.type === 'modelSelect') {
@@ -1252,95 +2114,21 @@ async function handleConnections(ws, type, request) {
 
                 else if (parsedMessage.type === 'startClearChatTimer') {
                     logger.warn('recognized startClearChatTimer message');
-
-                    const { target, secondsLeft } = parsedMessage;
-
-                    // If there's already a timer for this target, ignore the new request
-                    if (activeClearChatTimers[target]) {
-                        logger.warn(`Timer already active for ${target}, ignoring new request.`);
-                        return;
-                    }
-
-                    const responseMessage = {
-                        type: 'startClearTimerResponse',
-                        target,
-                    };
-                    await broadcast(responseMessage);
-                    logger.warn(`Broadcasted startClearTimerResponse for ${target}. Waiting ${secondsLeft}s...`);
-
-                    // Start and store the timer
-                    activeClearChatTimers[target] = setTimeout(async () => {
-                        logger.warn(`Time is up! Clearing chat for ${target}`);
-                        delete activeClearChatTimers[target]; // Clear the reference
-
-                        if (target === '#AIChat') {
-                            logger.warn('Saving and clearing AIChat...');
-                            const newSessionID = await saveAndClearChat('AIChat');
-                            await broadcast({ type: 'clearAIChat', sessionID: newSessionID });
-
-                            migrateSelectedCharactersIfNeeded(liveConfig);
-                            const scArr = (liveConfig.promptConfig.selectedCharacters || [])
-                                .filter(c => c.value && c.value !== 'None' && !c.isMuted);
-                            if (scArr.length === 0) {
-                                logger.warn('[ClearAIChat] No active characters to seed first messages.');
-                            }
-
-                            for (const charEntry of scArr) {
-                                try {
-                                    const charFile = charEntry.value;
-                                    const cardData = await fio.charaRead(charFile, 'png');
-                                    const cardJSON = JSON.parse(cardData);
-                                    const charName = cardJSON.name || charEntry.displayName || 'AI';
-                                    const firstMesRaw = cardJSON.first_mes || '';
-                                    const firstMes = api.replaceMacros(firstMesRaw, thisUserUsername, charName);
-
-                                    // Persist message (DB assigns timestamp & message_id)
-                                    await db.writeAIChatMessage(charName, charName, firstMes, 'AI');
-
-                                    // Query just-inserted row (fast lookup)
-                                    const dbRow = await (async () => {
-                                        const [rowsJSON] = await db.readAIChat(newSessionID); // returns [json, sessionID]
-                                        const rows = JSON.parse(rowsJSON);
-                                        return rows[rows.length - 1];
-                                    })();
-
-                                    const outMessage = {
-                                        type: 'chatMessage',
-                                        chatID: 'AIChat',
-                                        sessionID: dbRow?.sessionID || newSessionID,
-                                        messageID: dbRow?.messageID || null,
-                                        content: purifier.makeHtml(firstMes),
-                                        username: charName,
-                                        entity: 'AI',
-                                        timestamp: dbRow?.timestamp || new Date().toISOString(),
-                                        AIChatUserList: [{ username: charName, color: 'white', entity: 'AI', role: 'AI' }],
-                                    };
-                                    await broadcast(outMessage);
-                                    logger.warn(`[ClearAIChat] Seeded first message for ${charName} (session ${outMessage.sessionID}, messageID ${outMessage.messageID})`);
-                                } catch (seedErr) {
-                                    logger.error('[ClearAIChat] Error seeding first message for character slot:', charEntry, seedErr);
-                                }
-                            }
-                        }
-
-                        if (target === '#userChat') {
-                            logger.warn('Saving and clearing userChat...');
-                            await saveAndClearChat('userChat');
-                            await broadcast({ type: 'clearChat' });
-                        }
-
-                    }, secondsLeft * 1000);
-
+                    await startClearChatTimer(parsedMessage.target, parsedMessage.secondsLeft, thisRoomId, {
+                        username: thisUserUsername,
+                        persona: clientsObject[uuid]?.persona || ''
+                    });
                     return;
                 }
 
                 else if (parsedMessage.type === 'cancelClearChatTimer') {
                     const { target } = parsedMessage;
+                    const timerKey = `${thisRoomId}:${target}`;
 
                     // Cancel and remove the active timer if it exists
-                    if (activeClearChatTimers[target]) {
-                        clearTimeout(activeClearChatTimers[target]);
-                        delete activeClearChatTimers[target];
+                    if (activeClearChatTimers[timerKey]) {
+                        clearTimeout(activeClearChatTimers[timerKey]);
+                        delete activeClearChatTimers[timerKey];
                         logger.warn(`Canceled timer for ${target}`);
                     } else {
                         logger.warn(`No active timer found for ${target}`);
@@ -1350,12 +2138,12 @@ async function handleConnections(ws, type, request) {
                         type: 'cancelClearTimerResponse',
                         target,
                     };
-                    await broadcast(responseMessage);
+                    await broadcast(responseMessage, 'all', thisRoomId);
                     return;
                 }
 
                 else if (parsedMessage.type === 'deleteLast') {
-                    await removeLastAIChatMessage()
+                    await removeLastAIChatMessage(thisRoomId)
                     return
                 }
                 else if (parsedMessage.type === 'changeCharacterRequest') {
@@ -1397,57 +2185,27 @@ async function handleConnections(ws, type, request) {
                     return
                 }
 
-                else if (parsedMessage.type === 'AIRetry') {
-                    //MARK: AIRetry
-                    if (thisUserRole !== 'host') {
-                        logger.warn('Non-host attempted AIRetry; ignoring.');
+                else if (parsedMessage.type === 'swipeAIChatMessage') {
+                    // Only an AI reply in this room's current chat can be swiped
+                    const row = await db.getActiveChatMessageRow('AIChat', Number(parsedMessage.mesID), thisRoomId);
+                    if (!row || row.entity !== 'AI' || (parsedMessage.sessionID && String(row.session_id) !== String(parsedMessage.sessionID))) {
+                        logger.warn(`[Swipe] Message ${parsedMessage.mesID} is not an AI reply in this room's current chat; ignoring.`);
                         return;
                     }
-                    // Read the AIChat file
-                    try {
-                        // Fetch the original message BEFORE removal so we have its metadata
-                        const originalRow = await db.getAIChatMessageRow(parsedMessage.mesID, parsedMessage.sessionID);
-                        let activeSessionID = await removeLastAIChatMessage();
-
-                        migrateSelectedCharactersIfNeeded(liveConfig);
-                        const scArr = liveConfig.promptConfig.selectedCharacters || [];
-
-                        let targetCharEntry = null;
-                        if (originalRow) {
-                            const uname = (originalRow.username || '').toLowerCase();
-                            // 1. Direct displayName match
-                            targetCharEntry = scArr.find(c => (c.displayName || '').toLowerCase() === uname) || null;
-                            // 2. If no match, attempt match by stripping extension from value path
-                            if (!targetCharEntry && uname) {
-                                targetCharEntry = scArr.find(c => (c.value || '').toLowerCase().includes(uname));
-                            }
-                        }
-                        // 3. Fallback: use first non-[None] entry
-                        if (!targetCharEntry) {
-                            targetCharEntry = scArr.find(c => c.value !== 'None') || scArr[0] || null;
-                        }
-
-                        if (!targetCharEntry) {
-                            logger.warn('[AIRetry] Could not resolve character entry; aborting regenerate.');
-                            return;
-                        }
-
-                        const originatingUser = originalRow?.originalSender || await getLastUserMessageUsername() || null;
-                        if (!originatingUser) logger.warn('[UsernameResolve] AIRetry: could not resolve originating user; {{user}} may be blank.');
-                        logger.info(`[AIRetry] Regenerating for character ${targetCharEntry.displayName} (${targetCharEntry.value}) triggered by user ${originatingUser}`);
-                        await handleRequestAIResponse({
-                            type: 'requestAIResponse',
-                            trigger: 'regenerate',
-                            character: { value: targetCharEntry.value, displayName: targetCharEntry.displayName },
-                            mesID: parsedMessage.mesID,
-                            latestUserMessageID: parsedMessage.mesID,
-                            username: originatingUser
-                        }, user, selectedAPI, hordeKey, engineMode, liveConfig, ws);
-                        return
-                    } catch (parseError) {
-                        logger.error('JSON parse error during AI Retry:', parseError);
+                    const result = await db.selectAIChatSwipe(row.session_id, row.message_id, Number(parsedMessage.swipeIndex));
+                    if (!result) {
+                        logger.warn(`[Swipe] No swipe ${parsedMessage.swipeIndex} on message ${parsedMessage.mesID}`);
                         return;
                     }
+                    await broadcast({
+                        type: 'AIChatSwipe',
+                        sessionID: row.session_id,
+                        messageID: row.message_id,
+                        content: purifier.makeHtml(result.content),
+                        swipeIndex: result.swipeIndex,
+                        swipeCount: result.swipeCount
+                    }, 'all', thisRoomId);
+                    return;
                 }
 
                 else if (parsedMessage.type === 'continueFromMessage') {
@@ -1471,8 +2229,8 @@ async function handleConnections(ws, type, request) {
                     }
 
                     // Identify character entry by displayName
-                    migrateSelectedCharactersIfNeeded(liveConfig);
-                    const scArr = liveConfig.promptConfig.selectedCharacters || [];
+                    const roomConfig = await getRoomLiveConfig(thisRoomId);
+                    const scArr = roomConfig.promptConfig.selectedCharacters || [];
                     const targetDisplay = (targetRow.username || '').trim();
                     let targetEntry = scArr.find(c => (c.displayName || '').trim() === targetDisplay);
                     // If not found among active selections, search the full card list on disk
@@ -1500,22 +2258,24 @@ async function handleConnections(ws, type, request) {
 
                     // Restrict the effective chat context to messages up to (and including) target message
                     // We'll pass a special flag and target ID through parsedMessage so downstream can adjust
-                    const originatingUser = await getLastUserMessageUsername() || null;
+                    const originatingUser = await getLastUserMessageUsername(thisRoomId) || null;
                     const continueMsg = {
                         type: 'requestAIResponse',
                         trigger: 'manual',
                         character: { value: targetEntry.value, displayName: targetEntry.displayName },
                         username: originatingUser,
+                        UUID: uuid,
+                        roomId: thisRoomId,
                         // Special continuation targeting metadata
                         continueTarget: { sessionID, mesID: targetMesID }
                     };
 
                     // Bypass full queue; directly invoke single-character pipeline with shouldContinue true
-                    liveConfig.promptConfig.selectedCharacter = targetEntry.value;
-                    liveConfig.promptConfig.selectedCharacterDisplayName = targetEntry.displayName;
+                    roomConfig.promptConfig.selectedCharacter = targetEntry.value;
+                    roomConfig.promptConfig.selectedCharacterDisplayName = targetEntry.displayName;
                     await stream.handleResponse(
                         { ...continueMsg, chatID: 'AIChat' }, selectedAPI, hordeKey,
-                        engineMode, user, liveConfig, true, sessionID
+                        engineMode, user, roomConfig, true, sessionID
                     );
                     return;
                 }
@@ -1539,22 +2299,25 @@ async function handleConnections(ws, type, request) {
                     const targetDisplay = (targetRow.username || '').trim();
 
                     // Proceed without definitions: we still need a char display name for macros
-                    liveConfig.promptConfig.selectedCharacter = 'None';
-                    liveConfig.promptConfig.selectedCharacterDisplayName = targetDisplay;
-                    const originatingUser = await getLastUserMessageUsername() || null;
+                    const roomConfig = await getRoomLiveConfig(thisRoomId);
+                    roomConfig.promptConfig.selectedCharacter = 'None';
+                    roomConfig.promptConfig.selectedCharacterDisplayName = targetDisplay;
+                    const originatingUser = await getLastUserMessageUsername(thisRoomId) || null;
 
                     const continueMsg = {
                         type: 'requestAIResponse',
                         trigger: 'manual',
                         character: { value: 'None', displayName: targetDisplay },
                         username: originatingUser,
+                        UUID: uuid,
+                        roomId: thisRoomId,
                         continueTarget: { sessionID, mesID: targetMesID },
                         skipCharDefs: true,
                         overrideCharName: targetDisplay
                     };
                     await stream.handleResponse(
                         { ...continueMsg, chatID: 'AIChat' }, selectedAPI, hordeKey,
-                        engineMode, user, liveConfig, true, sessionID
+                        engineMode, user, roomConfig, true, sessionID
                     );
                     return;
                 }
@@ -1576,24 +2339,48 @@ async function handleConnections(ws, type, request) {
                     return
                 }
                 else if (parsedMessage.type === 'pastChatsRequest') {
-                    const pastChats = await db.getPastChats()
+                    const pastChats = await db.getPastChats('AIChat', thisRoomId)
                     const pastChatsListMessage = {
                         type: 'pastChatsList',
                         pastChats: pastChats
                     }
-                    await broadcast(pastChatsListMessage, 'host')
+                    await broadcast(pastChatsListMessage, 'host', thisRoomId)
                     return
                 }
                 else if (parsedMessage.type === 'loadPastChat') {
-                    const [pastChat, sessionID] = await db.readAIChat(parsedMessage.session)
-                    await db.setActiveChat(sessionID)
+                    // Only this room's own past chats can be brought back
+                    if (!parsedMessage.session || !await db.setActiveChat(parsedMessage.session, thisRoomId)) {
+                        logger.warn(`Refused to load session ${parsedMessage.session} into room ${thisRoomId}`)
+                        return
+                    }
+                    const [pastChat, sessionID] = await db.readAIChat(parsedMessage.session, thisRoomId)
                     let jsonArray = JSON.parse(pastChat)
                     const pastChatsLoadMessage = {
                         type: 'pastChatToLoad',
                         pastChatHistory: markdownifyChatHistoriesArray(jsonArray),
                         sessionID: sessionID
                     }
-                    await broadcast(pastChatsLoadMessage)
+                    await broadcast(pastChatsLoadMessage, 'all', thisRoomId)
+                    return
+                }
+                else if (parsedMessage.type === 'branchChat') {
+                    const newSessionID = await db.branchSession(parsedMessage.sessionID, parsedMessage.mesID, thisRoomId)
+                    if (!newSessionID) {
+                        logger.warn(`Could not branch session ${parsedMessage.sessionID} at message ${parsedMessage.mesID}`)
+                        return
+                    }
+                    const [branchChat, sessionID] = await db.readAIChat(newSessionID)
+                    const branchLoadMessage = {
+                        type: 'pastChatToLoad',
+                        pastChatHistory: markdownifyChatHistoriesArray(JSON.parse(branchChat)),
+                        sessionID: sessionID
+                    }
+                    await broadcast(branchLoadMessage, 'all', thisRoomId)
+                    const pastChatsListMessage = {
+                        type: 'pastChatsList',
+                        pastChats: await db.getPastChats('AIChat', thisRoomId)
+                    }
+                    await broadcast(pastChatsListMessage, 'host', thisRoomId)
                     return
                 }
                 else if (parsedMessage.type === 'pastChatDelete') {
@@ -1605,31 +2392,134 @@ async function handleConnections(ws, type, request) {
                             type: 'pastChatDeleted',
                             wasActive: wasActive
                         }
-                        await broadcast(pastChatsDeleteConfirmation, 'host')
+                        await broadcast(pastChatsDeleteConfirmation, 'host', thisRoomId)
                         return
                     } else {
                         return
                     }
                 }
+                else if (parsedMessage.type === 'sessionVariablesRequest') {
+                    const sessionID = await db.getActiveChat(thisRoomId)
+                    const sessionVariablesMessage = {
+                        type: 'sessionVariables',
+                        sessionID: sessionID,
+                        variables: sessionID ? await db.getSessionVariables(sessionID) : {}
+                    }
+                    ws.send(JSON.stringify(sessionVariablesMessage))
+                    return
+                }
+                else if (parsedMessage.type === 'setSessionVariable') {
+                    const sessionID = await db.getActiveChat(thisRoomId)
+                    const name = String(parsedMessage.name || '').trim()
+                    if (!sessionID || !name) return
+                    // a null value removes the variable
+                    const value = parsedMessage.value === null ? null : String(parsedMessage.value ?? '')
+                    await db.setSessionVariables(sessionID, { [name]: value })
+                    const sessionVariablesMessage = {
+                        type: 'sessionVariables',
+                        sessionID: sessionID,
+                        variables: await db.getSessionVariables(sessionID)
+                    }
+                    await broadcast(sessionVariablesMessage, 'host', thisRoomId)
+                    return
+                }
+                else if (parsedMessage.type === 'chatSummaryRequest') {
+                    const sessionID = await db.getActiveChat(thisRoomId)
+                    ws.send(JSON.stringify(await summarizer.buildSummaryMessage(sessionID, liveConfig)))
+                    return
+                }
+                else if (parsedMessage.type === 'chatSummaryUpdate') {
+                    const sessionID = await db.getActiveChat(thisRoomId)
+                    if (!sessionID) return
+                    // a hand edit keeps covering the same messages
+                    await db.setSessionSummary(sessionID, String(parsedMessage.summary ?? '').trim())
+                    await broadcast(await summarizer.buildSummaryMessage(sessionID, liveConfig), 'host', thisRoomId)
+                    return
+                }
+                else if (parsedMessage.type === 'chatSummaryRegenerate') {
+                    const roomConfig = await getRoomLiveConfig(thisRoomId)
+                    if (roomConfig.promptConfig.engineMode === 'horde') {
+                        ws.send(JSON.stringify({ type: 'chatSummaryError', error: 'Summaries can only be written with a Text or Chat Completion API.' }))
+                        return
+                    }
+                    try {
+                        const summary = await summarizer.regenerateSummary(thisRoomId, roomConfig, roomConfig.APIConfig)
+                        if (summary === null) {
+                            ws.send(JSON.stringify({ type: 'chatSummaryError', error: 'No summary could be written. Check that the chat has messages and the API is reachable.' }))
+                        }
+                    } catch (err) {
+                        logger.error('[Summary] Regenerating the summary failed:', err)
+                        ws.send(JSON.stringify({ type: 'chatSummaryError', error: err.message }))
+                    }
+                    return
+                }
+                else if (parsedMessage.type === 'summarySettingsUpdate') {
+                    const settings = summarizer.getSettings({ summarization: { ...summarizer.getSettings(liveConfig), ...(parsedMessage.settings || {}) } })
+                    await fio.writeConfig(liveConfig, 'summarization', settings)
+                    const sessionID = await db.getActiveChat(thisRoomId)
+                    await broadcast(await summarizer.buildSummaryMessage(sessionID, liveConfig), 'host', thisRoomId)
+                    return
+                }
+                else if (parsedMessage.type === 'memorySettingsRequest') {
+                    ws.send(JSON.stringify({ type: 'memorySettings', settings: memory.getSettings(liveConfig) }))
+                    return
+                }
+                else if (parsedMessage.type === 'memorySettingsUpdate') {
+                    const settings = memory.getSettings({ memory: { ...memory.getSettings(liveConfig), ...(parsedMessage.settings || {}) } })
+                    await fio.writeConfig(liveConfig, 'memory', settings)
+                    await broadcast({ type: 'memorySettings', settings }, 'host')
+                    return
+                }
+                else if (parsedMessage.type === 'exportChat') {
+                    try {
+                        const exported = await chatIO.exportChat(parsedMessage.sessionID, parsedMessage.format, purifier.makeHtml)
+                        if (!exported) {
+                            ws.send(JSON.stringify({ type: 'chatIOError', error: 'That chat has no messages to export.' }))
+                            return
+                        }
+                        ws.send(JSON.stringify({ type: 'chatExport', ...exported }))
+                    } catch (err) {
+                        logger.warn(`Chat export failed: ${err.message}`)
+                        ws.send(JSON.stringify({ type: 'chatIOError', error: err.message }))
+                    }
+                    return
+                }
+                else if (parsedMessage.type === 'importChat') {
+                    try {
+                        const { messageCount } = await chatIO.importSTChat(parsedMessage.content, thisRoomId, uuid)
+                        logger.info(`Imported ${parsedMessage.filename} (${messageCount} messages) into room ${thisRoomId}`)
+                        const pastChatsListMessage = {
+                            type: 'pastChatsList',
+                            pastChats: await db.getPastChats('AIChat', thisRoomId)
+                        }
+                        await broadcast(pastChatsListMessage, 'host', thisRoomId)
+                    } catch (err) {
+                        logger.warn(`Chat import failed: ${err.message}`)
+                        ws.send(JSON.stringify({ type: 'chatIOError', error: err.message }))
+                    }
+                    return
+                }
                 //MARK: message Delete
                 else if (parsedMessage.type === 'messageDelete') {
                     logger.info('saw messageDelete request from host', parsedMessage)
                     let result
 
                     if (parsedMessage.deleteType == 'userChat') {
-                        await removeAnyUserChatMessage(parsedMessage);
+                        await removeAnyUserChatMessage(parsedMessage, thisRoomId);
                         return
                     }
 
 
                     if (parsedMessage.deleteType == 'AIChat') {
-                        await removeAnyAIChatMessage(parsedMessage);
+                        await removeAnyAIChatMessage(parsedMessage, thisRoomId);
                         return
                     }
                     return
                 }
                 else if (parsedMessage.type === 'messageContentRequest') {
-                    const messageContent = await db.getMessage(parsedMessage.mesID, parsedMessage.sessionID)
+                    const messageContent = parsedMessage.editType === 'userChat'
+                        ? (await db.getActiveChatMessageRow('userChat', parsedMessage.mesID, thisRoomId))?.message
+                        : await db.getMessage(parsedMessage.mesID, parsedMessage.sessionID)
                     if (!messageContent) {
                         logger.error('No message found for message ID:', parsedMessage.mesID);
                     }
@@ -1645,25 +2535,12 @@ async function handleConnections(ws, type, request) {
                 }
                 else if (parsedMessage.type === 'messageEdit') {
                     //logger.info('saw messageEditRequest for: sessionID', parsedMessage.sessionID, 'and mesID', parsedMessage.mesID)
-                    const mesID = parsedMessage.mesID
-                    const sessionID = parsedMessage.sessionID
-                    const newMessage = parsedMessage.newMessageContent
-
-                    const result = await db.editMessage(sessionID, mesID, newMessage)
-                    if (result === 'ok') {
-                        const [pastChat, uselessSessionID] = await db.readAIChat(sessionID)
-                        let jsonArray = JSON.parse(pastChat)
-                        const pastChatsLoadMessage = {
-                            type: 'pastChatToLoad',
-                            pastChatHistory: markdownifyChatHistoriesArray(jsonArray),
-                            sessionID: sessionID
-                        }
-                        await broadcast(pastChatsLoadMessage)
-                        return
-                    } else {
-                        logger.error('could not update message with new edits')
+                    if (parsedMessage.editType === 'userChat') {
+                        await editAnyUserChatMessage(parsedMessage.mesID, parsedMessage.newMessageContent, thisRoomId)
                         return
                     }
+                    await editAnyAIChatMessage(parsedMessage.sessionID, parsedMessage.mesID, parsedMessage.newMessageContent, thisRoomId)
+                    return
                 }
                 else if (parsedMessage.type === 'hostToastRequest') {
                     const hostToastMessage = {
@@ -1686,29 +2563,6 @@ async function handleConnections(ws, type, request) {
                     return
                 }
 
-                else if (parsedMessage.type === 'disableGuestInput') {
-                    //logger.info('saw disableGuestInput request from host')
-                    liveConfig.crowdControl.guestInputPermissionState = false
-                    await fio.writeConfig(liveConfig, 'crowdControl.guestInputPermissionState', false)
-                    const disableGuestInputMessage = {
-                        type: 'toggleGuestInputState',
-                        allowed: liveConfig.crowdControl.guestInputPermissionState
-                    }
-                    await broadcast(disableGuestInputMessage)
-                    return
-                }
-                else if (parsedMessage.type === 'allowGuestInput') {
-                    liveConfig.crowdControl.guestInputPermissionState = true
-                    await fio.writeConfig(liveConfig, 'crowdControl.guestInputPermissionState', true)
-                    //logger.info('saw allowGuestInput request from host')
-                    const allowGuestInputMessage = {
-                        type: 'toggleGuestInputState',
-                        allowed: liveConfig.crowdControl.guestInputPermissionState
-                    }
-                    await broadcast(allowGuestInputMessage)
-                    return
-                }
-
                 // ================================
                 // LOREBOOK / WORLD INFO HANDLERS
                 // ================================
@@ -1765,6 +2619,11 @@ async function handleConnections(ws, type, request) {
 
                 else if (parsedMessage.type === 'createLorebookEntry') {
                     const { lorebookId, entryData } = parsedMessage;
+                    const keyError = lorebook.validateKeys(entryData?.keys) || lorebook.validateKeys(entryData?.secondary_keys);
+                    if (keyError) {
+                        ws.send(JSON.stringify({ type: 'lorebookEntryError', entryId: null, error: keyError }));
+                        return;
+                    }
                     const entry = await db.createLorebookEntry(lorebookId, entryData);
                     ws.send(JSON.stringify({
                         type: 'lorebookEntryCreated',
@@ -1775,6 +2634,11 @@ async function handleConnections(ws, type, request) {
 
                 else if (parsedMessage.type === 'updateLorebookEntry') {
                     const { entryId, updates } = parsedMessage;
+                    const keyError = lorebook.validateKeys(updates?.keys) || lorebook.validateKeys(updates?.secondary_keys);
+                    if (keyError) {
+                        ws.send(JSON.stringify({ type: 'lorebookEntryError', entryId, error: keyError }));
+                        return;
+                    }
                     const entry = await db.updateLorebookEntry(entryId, updates);
                     ws.send(JSON.stringify({
                         type: 'lorebookEntryUpdated',
@@ -1792,6 +2656,112 @@ async function handleConnections(ws, type, request) {
                     }));
                     return;
                 }
+
+                else if (parsedMessage.type === 'getLorebookLinkTargets') {
+                    cardList = await fio.getCardList();
+                    // Only connected users are offered, under their public id
+                    const users = new Map();
+                    for (const [clientUUID, client] of Object.entries(clientsObject)) {
+                        if (client?.username) {
+                            users.set(getPublicMemberID(clientUUID), client.username);
+                        }
+                    }
+                    ws.send(JSON.stringify({
+                        type: 'lorebookLinkTargets',
+                        characters: (cardList || []).map(card => ({ id: card.value, label: card.name })),
+                        users: [...users].map(([id, label]) => ({ id, label })),
+                        sessionId: thisRoomId ? await db.getActiveChat(thisRoomId) : null
+                    }));
+                    return;
+                }
+
+                else if (parsedMessage.type === 'linkLorebook') {
+                    const { lorebookId, targetType } = parsedMessage;
+                    let targetId = parsedMessage.targetId;
+                    let linkError = null;
+                    if (!(await db.getLorebook(lorebookId))) {
+                        linkError = 'That lorebook no longer exists.';
+                    } else if (targetType === 'character') {
+                        cardList = await fio.getCardList();
+                        if (!(cardList || []).some(card => card.value === targetId)) linkError = 'Unknown character.';
+                    } else if (targetType === 'user') {
+                        targetId = Object.keys(clientsObject).find(clientUUID => getPublicMemberID(clientUUID) === targetId);
+                        if (!targetId) linkError = 'That user is no longer connected.';
+                    } else if (targetType === 'session') {
+                        if (!Number.isInteger(Number(targetId)) || Number(targetId) <= 0) linkError = 'Unknown chat.';
+                    } else {
+                        linkError = 'Lorebooks can only be linked to a character, user or chat.';
+                    }
+                    if (linkError) {
+                        ws.send(JSON.stringify({ type: 'lorebookError', error: linkError }));
+                        return;
+                    }
+                    await db.linkLorebook(lorebookId, targetType, targetId);
+                    ws.send(JSON.stringify({
+                        type: 'lorebookUpdated',
+                        lorebook: await db.getLorebook(lorebookId)
+                    }));
+                    return;
+                }
+
+                else if (parsedMessage.type === 'unlinkLorebook') {
+                    const { lorebookId, linkId } = parsedMessage;
+                    await db.unlinkLorebook(lorebookId, linkId);
+                    ws.send(JSON.stringify({
+                        type: 'lorebookUpdated',
+                        lorebook: await db.getLorebook(lorebookId)
+                    }));
+                    return;
+                }
+
+                else if (parsedMessage.type === 'importLorebook') {
+                    const { filename, content } = parsedMessage;
+                    try {
+                        const data = JSON.parse(content);
+                        const fallbackName = path.basename(String(filename || 'Imported Lorebook'), '.json');
+                        const { lorebook: imported } = await lorebook.importLorebook(data, fallbackName);
+                        ws.send(JSON.stringify({
+                            type: 'lorebookCreated',
+                            lorebook: imported
+                        }));
+                    } catch (err) {
+                        logger.warn(`Lorebook import failed: ${err.message}`);
+                        ws.send(JSON.stringify({
+                            type: 'lorebookError',
+                            error: err instanceof SyntaxError ? 'That file is not valid JSON.' : err.message
+                        }));
+                    }
+                    return;
+                }
+
+                else if (parsedMessage.type === 'accountListRequest') {
+                    ws.send(JSON.stringify({ type: 'accountList', accounts: await getAccountList() }));
+                    return;
+                }
+                else if (parsedMessage.type === 'accountUpdate') {
+                    const result = await updateAccount({ uuid, username: thisUserUsername }, parsedMessage.accountID, parsedMessage.action);
+                    if (result.error) {
+                        ws.send(JSON.stringify({ type: 'accountError', error: result.error }));
+                    } else if (parsedMessage.action === 'resetCode') {
+                        ws.send(JSON.stringify({ type: 'accountResetCode', ...result }));
+                    }
+                    return;
+                }
+
+                else if (parsedMessage.type === 'exportLorebook') {
+                    const { lorebookId } = parsedMessage;
+                    const exported = await lorebook.exportLorebook(lorebookId);
+                    if (!exported) {
+                        ws.send(JSON.stringify({ type: 'lorebookError', error: 'That lorebook no longer exists.' }));
+                        return;
+                    }
+                    ws.send(JSON.stringify({
+                        type: 'lorebookExport',
+                        filename: `${exported.name || 'lorebook'}.json`,
+                        data: exported.data
+                    }));
+                    return;
+                }
             }
 
             //process universal message types that all users can send
@@ -1823,11 +2793,12 @@ async function handleConnections(ws, type, request) {
                     }));
                     return;
                 }
-                if (!password || password.length < 6) {
+                const passwordError = getPasswordError(password);
+                if (passwordError) {
                     ws.send(JSON.stringify({
                         type: 'registerResponse',
                         success: false,
-                        error: 'Password must be at least 6 characters'
+                        error: passwordError
                     }));
                     return;
                 }
@@ -1852,7 +2823,19 @@ async function handleConnections(ws, type, request) {
                     return;
                 }
                 
+                const limited = takeAuthToken(clientIP);
+                if (limited) {
+                    ws.send(JSON.stringify({ type: 'loginResponse', success: false, error: rateLimit.describeLimit(limited) }));
+                    return;
+                }
                 const result = await db.authenticateUser(username, password);
+                const ban = result.success && await db.findActiveBan(result.user.user_id, null);
+                if (ban) {
+                    logger.warn(`[loginUser] Refused login to banned account ${result.user.username} (ban ${ban.ban_id})`);
+                    await db.revokeUserSessions(result.user.user_id);
+                    ws.send(JSON.stringify({ type: 'loginResponse', success: false, error: getBanMessage(ban) }));
+                    return;
+                }
                 ws.send(JSON.stringify({
                     type: 'loginResponse',
                     ...result
@@ -1867,18 +2850,36 @@ async function handleConnections(ws, type, request) {
                 // Update the client's UUID mapping
                 const oldUUID = uuid;
                 const newUUID = parsedMessage.newUUID;
+
+                // Only a login or registration on this server hands out a token for the account
+                const newSession = await db.verifySessionToken(parsedMessage.token);
+                if (!newSession || newSession.userId !== newUUID) {
+                    logger.warn(`[identityUpdate] Refused: ${thisUserUsername} (${oldUUID}) has no valid session token for ${newUUID}`);
+                    ws.send(JSON.stringify({ type: 'sessionInvalid', message: 'Could not switch to that account. Please log in again.' }));
+                    return;
+                }
+
+                const ban = await db.findActiveBan(newUUID, null);
+                if (ban) {
+                    logger.warn(`[identityUpdate] ${newUUID} matches ${ban.target_type} ban ${ban.ban_id}; disconnecting`);
+                    ws.send(JSON.stringify({ type: 'banned', message: getBanMessage(ban) }));
+                    ws.close(1008, ban.expires_at ? 'Timed out' : 'Banned');
+                    return;
+                }
                 
                 // Transfer client data to new UUID while preserving role
                 if (clientsObject[oldUUID]) {
                     clientsObject[newUUID] = {
                         ...clientsObject[oldUUID],
-                        username: parsedMessage.username
+                        username: parsedMessage.username,
+                        AIChatUsername: parsedMessage.username
                     };
                     delete clientsObject[oldUUID];
                 }
                 
                 // Update the closure variables
                 uuid = newUUID;
+                sessionId = newSession.sessionId;
                 thisUserUsername = parsedMessage.username;
                 
                 // Update user in database, preserving their role
@@ -1896,21 +2897,177 @@ async function handleConnections(ws, type, request) {
                 return;
             }
 
+            // Ends this login, or every login of the account; the client then starts over as a new guest
+            else if (parsedMessage.type === 'logout') {
+                if (parsedMessage.everywhere) {
+                    await db.revokeUserSessions(uuid);
+                } else if (sessionId) {
+                    await db.revokeSession(sessionId);
+                }
+                sessionId = null;
+                logger.info(`[logout] ${thisUserUsername} (${uuid}) logged out${parsedMessage.everywhere ? ' everywhere' : ''}`);
+                ws.send(JSON.stringify({ type: 'logoutResponse', success: true }));
+                return;
+            }
+
+            // Other logins of the account end, so whoever knew the old password is logged out
+            else if (parsedMessage.type === 'changePassword') {
+                const { currentPassword, newPassword } = parsedMessage;
+                const passwordError = sessionId ? getPasswordError(newPassword) : 'You are not logged in to an account';
+                const result = passwordError ? { success: false, error: passwordError } : await db.changePassword(uuid, currentPassword, newPassword);
+                if (result.success) {
+                    await db.revokeUserSessions(uuid, sessionId);
+                    logger.info(`[changePassword] ${thisUserUsername} (${uuid}) changed their password`);
+                }
+                ws.send(JSON.stringify({ type: 'passwordChangeResponse', ...result }));
+                return;
+            }
+
+            // For someone who forgot their password and was given a code by the host
+            else if (parsedMessage.type === 'resetPassword') {
+                const { username, code, newPassword } = parsedMessage;
+                const passwordError = getPasswordError(newPassword);
+                const limited = !passwordError && takeAuthToken(clientIP);
+                const result = passwordError ? { success: false, error: passwordError }
+                    : limited ? { success: false, error: rateLimit.describeLimit(limited) }
+                        : await db.resetPasswordWithCode(username, code, newPassword);
+                if (result.success) {
+                    await db.revokeUserSessions(result.userId);
+                    logger.info(`[resetPassword] Password reset with a code for ${username}`);
+                }
+                ws.send(JSON.stringify({ type: 'passwordResetResponse', success: result.success, error: result.error }));
+                return;
+            }
+
+            // Deleting your own account takes the password, like any other change to it
+            else if (parsedMessage.type === 'deleteAccount') {
+                if (!sessionId || !await db.verifyPassword(uuid, parsedMessage.password)) {
+                    ws.send(JSON.stringify({ type: 'accountDeleteResponse', success: false, error: sessionId ? 'Your password is wrong' : 'You are not logged in to an account' }));
+                    return;
+                }
+                await db.deleteAccount(uuid);
+                sessionId = null;
+                logger.info(`[deleteAccount] ${thisUserUsername} (${uuid}) deleted their account`);
+                ws.send(JSON.stringify({ type: 'accountDeleteResponse', success: true }));
+                await broadcastAccountList();
+                return;
+            }
+
+            //MARK: Room handlers
+            else if (parsedMessage.type === 'listRooms') {
+                ws.send(JSON.stringify({ type: 'roomsList', rooms: await getRoomsListing() }));
+                return;
+            }
+
+            else if (parsedMessage.type === 'joinRoom') {
+                const room = await db.getRoom(parsedMessage.roomId);
+                if (!room) {
+                    ws.send(JSON.stringify({ type: 'roomError', error: 'That room no longer exists.' }));
+                    return;
+                }
+                await moveClientToRoom(uuid, room);
+                return;
+            }
+
+            else if (parsedMessage.type === 'leaveRoom') {
+                const previousRoomId = await removeClientFromRoom(uuid);
+                ws.send(JSON.stringify({ type: 'roomLeft', roomId: previousRoomId }));
+                await broadcastRoomsList();
+                return;
+            }
+
+            else if (parsedMessage.type === 'createRoom') {
+                if (thisUserRole !== 'host') {
+                    ws.send(JSON.stringify({ type: 'roomError', error: 'Only the host can create rooms.' }));
+                    return;
+                }
+                const name = (parsedMessage.name || '').trim().slice(0, 100);
+                if (!name) {
+                    ws.send(JSON.stringify({ type: 'roomError', error: 'Room name is required.' }));
+                    return;
+                }
+                const room = await db.createRoom(name, (parsedMessage.description || '').trim().slice(0, 500), uuid);
+                if (!room) {
+                    ws.send(JSON.stringify({ type: 'roomError', error: 'Could not create the room.' }));
+                    return;
+                }
+                ws.send(JSON.stringify({ type: 'roomCreated', room: toPublicRoom(room) }));
+                await moveClientToRoom(uuid, room);
+                return;
+            }
+
+            else if (parsedMessage.type === 'roomSettingsUpdate') {
+                if (thisUserRole !== 'host') {
+                    ws.send(JSON.stringify({ type: 'roomError', error: 'Only the host can change room settings.' }));
+                    return;
+                }
+                const updates = {};
+                if (typeof parsedMessage.name === 'string' && parsedMessage.name.trim()) updates.name = parsedMessage.name.trim().slice(0, 100);
+                if (typeof parsedMessage.description === 'string') updates.description = parsedMessage.description.trim().slice(0, 500);
+                if (parsedMessage.settings && typeof parsedMessage.settings === 'object') {
+                    const current = await db.getRoom(thisRoomId);
+                    const { settings, error } = await mergeRoomSettings(current?.settings, parsedMessage.settings);
+                    if (error) {
+                        ws.send(JSON.stringify({ type: 'roomError', error }));
+                        return;
+                    }
+                    updates.settings = settings;
+                }
+                const room = await db.updateRoom(thisRoomId, updates);
+                if (!room) {
+                    ws.send(JSON.stringify({ type: 'roomError', error: 'Could not update the room.' }));
+                    return;
+                }
+                await broadcastRoomSettingsChanged(room);
+                return;
+            }
+
+            else if (parsedMessage.type === 'deleteRoom') {
+                if (thisUserRole !== 'host') {
+                    ws.send(JSON.stringify({ type: 'roomError', error: 'Only the host can delete rooms.' }));
+                    return;
+                }
+                const roomId = parsedMessage.roomId;
+                const result = await db.deleteRoom(roomId);
+                if (!result?.success) {
+                    ws.send(JSON.stringify({ type: 'roomError', error: result?.error || 'Could not delete the room.' }));
+                    return;
+                }
+                // Everyone still inside drops back to the lobby
+                for (const client of Object.values(clientsObject)) {
+                    if (client.roomId === roomId) client.roomId = null;
+                }
+                for (const key of Object.keys(activeClearChatTimers)) {
+                    if (key.startsWith(`${roomId}:`)) {
+                        clearTimeout(activeClearChatTimers[key]);
+                        delete activeClearChatTimers[key];
+                    }
+                }
+                delete roomQueues[roomId];
+                await broadcast({ type: 'roomDeleted', roomId });
+                await broadcastRoomsList();
+                return;
+            }
+
             if (parsedMessage.type === 'usernameChange') {
 
                 //logger.info(parsedMessage)
                 clientsObject[uuid].username = parsedMessage.newName;
+                if (parsedMessage.AIChatUsername) clientsObject[uuid].AIChatUsername = parsedMessage.AIChatUsername;
                 updateConnectedUsers()
-                await db.upsertUser(parsedMessage.UUID, parsedMessage.newName, user.color ? user.color : thisClientObj.color, user?.persona || clientsObject[parsedMessage.UUID]?.persona || '')
+                await db.upsertUser(uuid, parsedMessage.newName, user.color ? user.color : thisClientObj.color, user?.persona || clientsObject[uuid]?.persona || '')
                 const nameChangeNotification = {
                     type: 'userChangedName',
                     content: `[System]: ${parsedMessage.oldName} >>> ${parsedMessage.newName} (@AI: ${parsedMessage.AIChatUsername})`
                 }
-                logger.debug('Broadcasting username change notification.')
-                await broadcast(nameChangeNotification);
-                await broadcastUserList()
+                if (thisRoomId) {
+                    logger.debug('Broadcasting username change notification.')
+                    await broadcast(nameChangeNotification, 'all', thisRoomId);
+                }
+                await broadcastUserList(thisRoomId)
             }
             else if (parsedMessage.type === "fileUpload") {
+                if (!passesRateLimit(['upload'], uuid, ws)) return
                 const result = await fio.validateAndAcceptPNGUploads(parsedMessage);
                 logger.info('file upload result: ', (result))
                 if (result.status === 'error') {
@@ -1922,9 +3079,18 @@ async function handleConnections(ws, type, request) {
                     return
                 }
                 if (result.status === 'ok') {
+                    let message = result.response
+                    if (result.characterBook) {
+                        try {
+                            const { lorebook: imported, entryCount, alreadyImported } = await lorebook.importLorebook(result.characterBook, `${result.characterName}'s Lorebook`, `card:${result.characterName}`)
+                            message += alreadyImported ? ` (📚 ${imported.name} was already imported)` : ` (📚 ${imported.name}: ${entryCount} entries)`
+                        } catch (err) {
+                            logger.warn(`Could not import the card's embedded lorebook: ${err.message}`)
+                        }
+                    }
                     const response = {
                         type: "fileUploadSuccess",
-                        message: result.response,
+                        message: message,
                     }
                     //console.warn('file upload response: ', response)
                     await ws.send(JSON.stringify(response))
@@ -1942,32 +3108,194 @@ async function handleConnections(ws, type, request) {
                 await ws.send(JSON.stringify(heartbeatResponse))
                 return
             }
+            else if (parsedMessage.type === 'slashCommandsRequest') {
+                ws.send(JSON.stringify({
+                    type: 'slashCommandList',
+                    commands: slashCommands.listCommands(thisUserRole, slashCommands.getGuestCommands(liveConfig))
+                }));
+                return
+            }
             else if (parsedMessage.type === 'submitKey') {
                 if (parsedMessage.key === hostKey) {
+                    await db.upsertUserRole(uuid, 'host');
+                    // the role now needs a token to connect from anywhere but the host port
                     const keyAcceptedMessage = {
                         type: 'keyAccepted',
-                        role: 'host'
+                        role: 'host',
+                        token: await db.createSessionToken(uuid)
                     }
-                    await db.upsertUserRole(uuid, 'host');
                     await ws.send(JSON.stringify(keyAcceptedMessage))
                 }
                 else if (parsedMessage.key === modKey) {
+                    await db.upsertUserRole(uuid, 'mod');
                     const keyAcceptedMessage = {
                         type: 'keyAccepted',
-                        role: 'mod'
+                        role: 'mod',
+                        token: await db.createSessionToken(uuid)
                     }
-                    await db.upsertUserRole(uuid, 'mod');
                     await ws.send(JSON.stringify(keyAcceptedMessage))
                 }
                 else {
                     const keyRejectedMessage = {
                         type: 'keyRejected'
                     }
-                    logger.error(`Key rejected: ${parsedMessage.key} from ${senderUUID}`)
+                    logger.error(`Key rejected: ${parsedMessage.key} from ${uuid}`)
                     await ws.send(JSON.stringify(keyRejectedMessage))
                 }
             }
 
+            //MARK: moderation
+            // Actions mods share with the host; permissions.js says who may take each
+            else if (parsedMessage.type === 'AIRetry') {
+                //MARK: AIRetry
+                if (!permissions.can(thisUserRole, 'retry')) {
+                    logger.warn(`${thisUserUsername} (${thisUserRole}) attempted AIRetry; ignoring.`);
+                    return;
+                }
+                if (!passesRateLimit(['AI'], uuid, ws)) return;
+                // Read the AIChat file
+                try {
+                    // The old reply stays as a swipe; the new one is added next to it.
+                    // Only a reply in this room's current chat can be retried.
+                    const originalRow = await db.getActiveChatMessageRow('AIChat', parsedMessage.mesID, thisRoomId);
+                    if (!originalRow || originalRow.entity !== 'AI' || (parsedMessage.sessionID && String(originalRow.session_id) !== String(parsedMessage.sessionID))) {
+                        logger.warn('[AIRetry] Target message not found or not from AI; aborting regenerate.');
+                        return;
+                    }
+
+                    await regenerateAIMessage(originalRow, thisRoomId, user, ws, uuid);
+                    return
+                } catch (parseError) {
+                    logger.error('JSON parse error during AI Retry:', parseError);
+                    return;
+                }
+            }
+            else if (parsedMessage.type === 'disableGuestInput' || parsedMessage.type === 'allowGuestInput') {
+                if (!permissions.can(thisUserRole, 'toggleGuestInput')) {
+                    logger.warn(`${thisUserUsername} (${thisUserRole}) attempted ${parsedMessage.type}; ignoring.`);
+                    return
+                }
+                const allowed = parsedMessage.type === 'allowGuestInput'
+                logger.info(`[Moderation] ${thisUserUsername} (${thisUserRole}) ${allowed ? 'allowed' : 'disabled'} guest input`)
+                liveConfig.crowdControl.guestInputPermissionState = allowed
+                await fio.writeConfig(liveConfig, 'crowdControl.guestInputPermissionState', allowed)
+                const toggleGuestInputMessage = {
+                    type: 'toggleGuestInputState',
+                    allowed: liveConfig.crowdControl.guestInputPermissionState
+                }
+                await broadcast(toggleGuestInputMessage)
+                return
+            }
+            else if (parsedMessage.type === 'muteUser' || parsedMessage.type === 'kickUser') {
+                const action = parsedMessage.type === 'muteUser' ? 'muteUsers' : 'kickUsers'
+                if (!permissions.can(thisUserRole, action)) {
+                    logger.warn(`${thisUserUsername} (${thisUserRole}) attempted ${parsedMessage.type}; ignoring.`);
+                    return
+                }
+                const actor = { username: clientsObject[uuid]?.username || thisUserUsername, role: thisUserRole }
+                const result = parsedMessage.type === 'muteUser'
+                    ? await toggleUserMute(actor, thisRoomId, parsedMessage.targetID)
+                    : await kickUser(actor, thisRoomId, parsedMessage.targetID)
+                if (result.error) {
+                    ws.send(JSON.stringify({ type: 'commandResult', chatID: 'userChat', content: result.error, isPublic: false }))
+                }
+                return
+            }
+            else if (['timeoutUser', 'banUser', 'banListRequest', 'unbanUser'].includes(parsedMessage.type)) {
+                if (!permissions.can(thisUserRole, 'banUsers')) {
+                    logger.warn(`${thisUserUsername} (${thisUserRole}) attempted ${parsedMessage.type}; ignoring.`);
+                    return
+                }
+                const actor = { uuid, username: clientsObject[uuid]?.username || thisUserUsername, role: thisUserRole }
+                if (parsedMessage.type === 'banListRequest') {
+                    ws.send(JSON.stringify({ type: 'banList', bans: await getBanList() }))
+                    return
+                }
+                if (parsedMessage.type === 'unbanUser') {
+                    // Only someone who outranks both whoever set the ban and whoever it keeps out may lift it,
+                    // so a mod can't undo the host's bans or free a banned mod; hosts can lift any
+                    const ban = await db.getBan(parsedMessage.banId)
+                    if (!ban) return
+                    const mayLift = thisUserRole === 'host'
+                        || (permissions.canActOn(thisUserRole, ban.banned_by_role) && permissions.canActOn(thisUserRole, ban.target_role))
+                    if (!mayLift) {
+                        logger.warn(`${actor.username} (${actor.role}) tried to lift ${ban.banned_by}'s ban ${ban.ban_id} on ${ban.username}; refused.`)
+                        ws.send(JSON.stringify({ type: 'commandResult', chatID: 'userChat', content: `Only the host can lift the ban on ${ban.username}.`, isPublic: false }))
+                        return
+                    }
+                    const lifted = await db.removeBan(ban.ban_id)
+                    if (lifted) {
+                        logger.info(`[Moderation] ${actor.username} (${actor.role}) lifted ${lifted.target_type} ban ${lifted.ban_id} on ${lifted.username}`)
+                    }
+                    await broadcastBanList()
+                    return
+                }
+                let minutes = null
+                if (parsedMessage.type === 'timeoutUser') {
+                    minutes = Math.round(Number(parsedMessage.minutes))
+                    if (!(minutes > 0)) {
+                        ws.send(JSON.stringify({ type: 'commandResult', chatID: 'userChat', content: 'A timeout needs a number of minutes.', isPublic: false }))
+                        return
+                    }
+                }
+                const result = await banUser(actor, thisRoomId, parsedMessage.targetID, {
+                    minutes,
+                    byIP: parsedMessage.type === 'banUser' && parsedMessage.byIP === true,
+                    reason: typeof parsedMessage.reason === 'string' ? parsedMessage.reason : ''
+                })
+                if (result.error) {
+                    ws.send(JSON.stringify({ type: 'commandResult', chatID: 'userChat', content: result.error, isPublic: false }))
+                }
+                return
+            }
+
+            //MARK: guest message edits
+            // Hosts are handled above; everyone else may change their own recent messages, and mods guests' messages too
+            else if (['messageContentRequest', 'messageEdit', 'messageDelete'].includes(parsedMessage.type)) {
+                const chatType = (parsedMessage.editType || parsedMessage.deleteType) === 'userChat' ? 'userChat' : 'AIChat'
+                const username = clientsObject[uuid]?.username || thisUserUsername
+                const actor = { uuid, role: thisUserRole, muted: clientsObject[uuid]?.muted }
+                const { row, moderated, error } = await getChangeableMessage(chatType, parsedMessage.mesID, actor, thisRoomId, liveConfig)
+                if (error) {
+                    logger.warn(`[Messages] Refused ${parsedMessage.type} of ${chatType} message ${parsedMessage.mesID} from ${username}: ${error}`)
+                    ws.send(JSON.stringify({ type: 'messageEditError', mesID: parsedMessage.mesID, error }))
+                    return
+                }
+
+                if (parsedMessage.type === 'messageContentRequest') {
+                    ws.send(JSON.stringify({
+                        type: 'messageContentResponse',
+                        content: row.message,
+                        sessionID: row.session_id,
+                        mesID: row.message_id
+                    }))
+                }
+                else if (parsedMessage.type === 'messageEdit') {
+                    const newMessage = typeof parsedMessage.newMessageContent === 'string' ? parsedMessage.newMessageContent : ''
+                    const editError = row.entity !== 'user' ? 'Dice rolls can not be edited.'
+                        : !newMessage.trim() ? 'A message can not be empty. Delete it instead.' : null
+                    if (editError) {
+                        ws.send(JSON.stringify({ type: 'messageEditError', mesID: row.message_id, error: editError }))
+                        return
+                    }
+                    logger.info(`[${moderated ? 'Moderation' : 'Messages'}] ${username} (${uuid}) edited ${moderated ? `${row.username}'s` : 'their'} ${chatType} message ${row.message_id} from "${row.message}" to "${newMessage}"`)
+                    if (chatType === 'userChat') {
+                        await editAnyUserChatMessage(row.message_id, newMessage, thisRoomId)
+                    } else {
+                        await editAnyAIChatMessage(row.session_id, row.message_id, newMessage, thisRoomId)
+                    }
+                }
+                else {
+                    logger.info(`[${moderated ? 'Moderation' : 'Messages'}] ${username} (${uuid}) deleted ${moderated ? `${row.username}'s` : 'their'} ${chatType} message ${row.message_id}: "${row.message}"`)
+                    if (chatType === 'userChat') {
+                        await removeAnyUserChatMessage({ mesID: row.message_id }, thisRoomId)
+                    } else {
+                        await removeAnyAIChatMessage({ mesID: row.message_id }, thisRoomId)
+                    }
+                }
+                return
+            }
+
             //MARK: 'chatMesasge' type
             else if (parsedMessage.type === 'chatMessage') { //handle normal chat messages
                 //logger.warn('guestInputPermissionState: ', liveConfig.crowdControl.guestInputPermissionState)
@@ -1975,17 +3303,19 @@ async function handleConnections(ws, type, request) {
                 //having this enable sends the user's colors along with the response message if it uses parsedMessage as the base..
                 parsedMessage.userColor = thisUserColor
                 const chatID = parsedMessage.chatID;
-                const username = parsedMessage.username
+                // Names come from the server's record of this connection, not from the message
+                const chatUsername = clientsObject[uuid]?.username || thisUserUsername
+                const username = chatID === 'AIChat' ? clientsObject[uuid]?.AIChatUsername || chatUsername : chatUsername
+                parsedMessage.username = username
                 const userColor = thisUserColor
                 let userInput = parsedMessage?.userInput
                 const hordePrompt = parsedMessage?.userInput
-                const senderUUID = parsedMessage.UUID
                 const canPost = liveConfig.crowdControl.guestInputPermissionState;
                 var userPrompt
 
-                if (!canPost && thisUserRole !== 'host') {
+                if (!canPost && !permissions.can(thisUserRole, 'toggleGuestInput')) {
                     //get their username from the clientsObject
-                    let thisUser = clientsObject[senderUUID];
+                    let thisUser = clientsObject[uuid];
                     logger.warn('Guest input is disabled, ignoring message from:', thisUser.username);
                     const guestInputDisabledMessage = {
                         type: 'inputDisabledWarning',
@@ -1994,6 +3324,33 @@ async function handleConnections(ws, type, request) {
                     await ws.send(JSON.stringify(guestInputDisabledMessage));
                     return
                 }
+                if (clientsObject[uuid]?.muted) {
+                    logger.warn('Ignoring message from muted user:', clientsObject[uuid].username);
+                    await ws.send(JSON.stringify({
+                        type: 'inputDisabledWarning',
+                        message: 'You have been muted by a moderator.'
+                    }));
+                    return
+                }
+
+                // Slash commands run instead of being posted; a leading "//" posts the message with one slash
+                const typedText = chatID === 'AIChat' ? userInput : parsedMessage.content;
+                const sender = { uuid, username, role: thisUserRole, color: thisUserColor, roomId: thisRoomId };
+                // AI chat messages get a reply when auto-response is on, and an empty one continues the AI's last reply;
+                // commands that make the AI write take their own token
+                const isAutoResponse = chatID === 'AIChat' && (await getRoomLiveConfig(thisRoomId)).promptConfig.isAutoResponse
+                const triggersAI = chatID === 'AIChat' && !slashCommands.parseCommand(typedText) && (isAutoResponse || !typedText)
+                if (!passesRateLimit(triggersAI ? ['chat', 'AI'] : ['chat'], uuid, ws)) {
+                    return
+                }
+                if (await runSlashCommand(typedText, chatID, sender, user, ws)) {
+                    return
+                }
+                if (chatID === 'AIChat') {
+                    userInput = parsedMessage.userInput = slashCommands.unescapeSlash(userInput)
+                } else {
+                    parsedMessage.content = slashCommands.unescapeSlash(parsedMessage.content)
+                }
 
                 //setup the userPrompt array in order to send the input into the AIChat box
                 if (chatID === 'AIChat') {
@@ -2001,7 +3358,7 @@ async function handleConnections(ws, type, request) {
                     if (userTryingToContinue) {
                         logger.info('User is trying to continue the AI response...');
                     }
-                    let [currentChat, sessionID] = await db.readAIChat()
+                    let [currentChat, sessionID] = await db.readAIChat(null, thisRoomId)
                     let messageHistory = JSON.parse(currentChat)
                     let lastMessageEntity = messageHistory[messageHistory.length - 1]?.entity || 'Unknown' //in the case of message sent in empty chat
                     let shouldContinue = userTryingToContinue && lastMessageEntity === 'AI' ? true : false
@@ -2010,8 +3367,8 @@ async function handleConnections(ws, type, request) {
                     //the character's firstMessage into the new chat session.
                     if (!shouldContinue && userInput && userInput.length > 0) {
                         userInput = userInput.slice(0, 1000); //force respect the message size limit
-                        await db.writeAIChatMessage(username, senderUUID, userInput, 'user');
-                        let [activeChat, foundSessionID] = await db.readAIChat()
+                        await db.writeAIChatMessage(username, uuid, userInput, 'user', thisRoomId);
+                        let [activeChat, foundSessionID] = await db.readAIChat(null, thisRoomId)
                         var chatJSON = JSON.parse(activeChat)
                         var lastItem = chatJSON[chatJSON.length - 1]
                         var newMessageID = lastItem?.messageID
@@ -2030,12 +3387,12 @@ async function handleConnections(ws, type, request) {
                             role: thisUserRole,
                             timestamp: lastItem?.timestamp || new Date().toISOString(),
                         }
-                        await broadcast(userPrompt)
+                        await broadcast(userPrompt, 'all', thisRoomId)
                     }
 
                     if (
-                        (liveConfig.promptConfig.isAutoResponse) ||
-                        (!liveConfig.promptConfig.isAutoResponse && (!userInput || userInput.length == 0)) ||
+                        (isAutoResponse) ||
+                        (!isAutoResponse && (!userInput || userInput.length == 0)) ||
                         shouldContinue
                     ) {
                         // Multi-character aware auto trigger: treat as 'auto'
@@ -2045,7 +3402,9 @@ async function handleConnections(ws, type, request) {
                             latestUserMessageText: parsedMessage.userInput || '',
                             latestUserMessageID: userPrompt?.messageID,
                             mesID: userPrompt?.messageID,
-                            username: username // preserve user name for macro replacement
+                            username: username, // preserve user name for macro replacement
+                            UUID: uuid, // lorebooks linked to the sender apply
+                            roomId: thisRoomId
                         };
                         await handleRequestAIResponse(aiTriggerMsg, user, selectedAPI, hordeKey, engineMode, liveConfig, ws);
                     }
@@ -2053,8 +3412,8 @@ async function handleConnections(ws, type, request) {
                 //read the current userChat file
                 if (chatID === 'userChat') {
                     parsedMessage.content = parsedMessage.content.slice(0, 1000); //force respect the message size limit
-                    await db.writeUserChatMessage(uuid, parsedMessage.content)
-                    let [newdata, sessionID] = await db.readUserChat()
+                    await db.writeUserChatMessage(uuid, parsedMessage.content, thisRoomId)
+                    let [newdata, sessionID] = await db.readUserChat(thisRoomId)
                     let newJsonArray = JSON.parse(newdata);
                     let lastItem = newJsonArray[newJsonArray.length - 1]
                     let newMessageID = lastItem?.messageID
@@ -2073,7 +3432,7 @@ async function handleConnections(ws, type, request) {
                         timestamp: lastItem?.timestamp || new Date().toISOString(),
                     }
                     //logger.info(newUserChatMessage)
-                    await broadcast(newUserChatMessage)
+                    await broadcast(newUserChatMessage, 'all', thisRoomId)
                 }
 
             } else {
@@ -2083,7 +3442,8 @@ async function handleConnections(ws, type, request) {
             // Global (non-host) direct requestAIResponse support (e.g., future mod actions) - only if host not already processed
             if (parsedMessage.type === 'requestAIResponse' && thisUserRole !== 'host') {
                 logger.info('[Queue] Non-host requestAIResponse received; forwarding to handler (permissions may be restricted in future).');
-                await handleRequestAIResponse(parsedMessage, user, selectedAPI, hordeKey, engineMode, liveConfig, ws);
+                if (!passesRateLimit(['AI'], uuid, ws)) return;
+                await handleRequestAIResponse({ ...parsedMessage, roomId: thisRoomId }, user, selectedAPI, hordeKey, engineMode, liveConfig, ws);
             }
         } catch (error) {
             logger.error('Error parsing message:', error);
@@ -2095,9 +3455,10 @@ async function handleConnections(ws, type, request) {
     ws.on('close', async () => {
         // Remove the disconnected client from the clientsObject
         logger.info(`Client ${uuid} disconnected..removing from clientsObject`);
+        await removeClientFromRoom(uuid);
         delete clientsObject[uuid];
         updateConnectedUsers();
-        await broadcastUserList();
+        await broadcastRoomsList();
 
         // Decrement IP connection count
         const updatedConnections = (ipConnectionMap.get(clientIP) || 1) - 1;
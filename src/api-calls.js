@@ -23,6 +23,11 @@ import {
 } from './localTokenizer.js';
 import { calibrateFactor, tryRemoteTokenize } from './remoteTokenizer.js';
 import lorebook from './lorebook.js';
+import macros from './macros.js';
+import dice from './dice.js';
+import summarizer from './summarizer.js';
+import memory from './memory.js';
+import { broadcast } from '../server.js';
 
 
 function delay(ms) {
@@ -99,7 +104,7 @@ async function getAIResponse(isStreaming, hordeKey, engineMode, user, liveConfig
             }
         } catch (_) { /* noop */ }
 
-        const [fullPrompt, includedChatObjects, lastInContextMessageID] = await addCharDefsToPrompt(liveConfig, charFile, formattedCharName, parsedMessage.username, liveAPI, shouldContinue, continueTarget, user.persona);
+        const [fullPrompt, includedChatObjects, lastInContextMessageID] = await addCharDefsToPrompt(liveConfig, charFile, formattedCharName, parsedMessage.username, liveAPI, shouldContinue, continueTarget, user.persona, parsedMessage?.roomId, parsedMessage?.UUID, parsedMessage?.swipeTarget);
         const samplerData = await fio.readFile(liveConfig.promptConfig.selectedSamplerPreset);
         const samplers = JSON.parse(samplerData);
         //logger.info('[getAIResponse] >> samplers:', samplerData)
@@ -164,11 +169,19 @@ async function getAIResponse(isStreaming, hordeKey, engineMode, user, liveConfig
             return [AIResponse, AIChatUserList];
         } else { //if TC or CC
             AIChatUserList = await makeAIChatUserList(entitiesList, includedChatObjects);
+            // Runs once the reply is complete, so the summary request never overlaps the reply's own
+            const summarizeIfDue = () => {
+                summarizer.summarizeIfDue(parsedMessage?.roomId ?? db.DEFAULT_ROOM_ID, lastInContextMessageID, liveConfig, liveAPI)
+                    .catch(err => logger.error('[Summary] Summarization pass failed:', err));
+            };
             if (preInit) {
-                try { await preInit({ AIChatUserList, lastInContextMessageID }); } catch (_) { /* ignore */ }
+                try { await preInit({ AIChatUserList, lastInContextMessageID, onResponseEnd: summarizeIfDue }); } catch (_) { /* ignore */ }
             }
             //logger.warn('getting rawResponse for stream')
             let rawResponse = await requestToTCorCC(isStreaming, liveAPI, finalApiCallParams, includedChatObjects, false, liveConfig, parsedMessage, formattedCharName, lastInContextMessageID);
+            // Not awaited: the reply shouldn't wait on the summary of what fell out of context.
+            // Streamed replies start it from the text listener when the stream ends.
+            if (!finalApiCallParams.stream) summarizeIfDue();
             //logger.warn('finished getting rawResponse..., moving on..');
 
             //logger.warn('finalApiCallParams.stream (after requestToTCorCC):', finalApiCallParams.stream);
@@ -210,6 +223,8 @@ async function makeAIChatUserList(entitiesList, chatHistoryFromPrompt) {
     const AIChatUserList = [];
 
     for (const entity of chatHistoryEntities) {
+        // dice rolls are system messages, not chat participants
+        if (entity.entity === dice.DICE_ENTITY) continue;
         for (const chat of fullChatDataJSON) {
             if (chat.username === entity.username) {
                 const userColor = chat.userColor;
@@ -288,10 +303,11 @@ function trimIncompleteSentences(input, include_newline = false) {
     return s.trimEnd();
 }
 
-async function ObjectifyChatHistory() {
+// Posted dice rolls are aichats rows too, so the history includes them and the AI can narrate the real results
+async function ObjectifyChatHistory(roomId = db.DEFAULT_ROOM_ID) {
     return new Promise(async (resolve, reject) => {
         await delay(100)
-        let [data, sessionID] = await db.readAIChat();
+        let [data, sessionID] = await db.readAIChat(null, roomId);
         try {
             // Parse the existing contents as a JSON array
             let chatHistory = JSON.parse(data);
@@ -372,17 +388,6 @@ async function setStopStrings(liveConfig, APICallParams, includedChatObjects, li
     return [APICallParams, usernames]
 }
 
-//MARK: replaceMacros
-function replaceMacros(string, username = null, charname = null) {
-    //logger.debug(username, charname)
-    var replacedString = string
-    if (username !== null && charname !== null) {
-        replacedString = replacedString.replace(/{{user}}/g, username);
-        replacedString = replacedString.replace(/{{char}}/g, charname);
-    }
-    return replacedString
-}
-
 function collapseNewlines(x) {
     return x.replaceAll(/\n+/g, '\n');
 }
@@ -417,6 +422,7 @@ async function buildTCPrompt({
     D1JB,
     D4AN,
     D0PostHistory,
+    depthInjections = [],
     responsePrefill,
     chatHistory,
     availableContextForHistory,
@@ -483,6 +489,24 @@ async function buildTCPrompt({
         positionForD0PostHistory -= 1;
     }
 
+    // World Info entries with a chat depth go in front of the Nth most recent message (0 = after the last one).
+    // Deepest first so earlier splices don't move the later targets; the fixed slots below shift past them.
+    const depthInsertIndexes = [];
+    for (const injection of [...depthInjections].sort((a, b) => b.depth - a.depth)) {
+        if (!injection.content) continue;
+        const index = Math.max(0, numOfObjects - injection.depth - (shouldContinue ? 1 : 0));
+        insertedItems.splice(index + depthInsertIndexes.length, 0, `${endSequence}${systemSequence}${injection.content}`);
+        depthInsertIndexes.push(index);
+    }
+    const shiftPastDepthInjections = (position) => {
+        // splice() reads negative positions from the end, which would now count the injections too
+        const fromStart = position < 0 ? Math.max(0, numOfObjects + position) : position;
+        return fromStart + depthInsertIndexes.filter(index => index <= fromStart).length;
+    };
+    positionForD4AN = shiftPastDepthInjections(positionForD4AN);
+    positionForD1JB = shiftPastDepthInjections(positionForD1JB);
+    positionForD0PostHistory = shiftPastDepthInjections(positionForD0PostHistory);
+
     if (!killD4AN && D4AN && D4AN.length > 0) {
         if (insertedItems.length < positionForD4AN) {
             insertedItems.splice(0, 0, `${endSequence}${systemSequence}${D4AN}`);
@@ -529,7 +553,7 @@ async function buildTCPrompt({
 // this function does a lot more than just add character definitions to the prompt.
 // it also crafts the entire prompt, including system message, dynamic insertions, chat history, and the last user message.
 // it contains methods for TC and CC; this really should be split up somehow.
-async function addCharDefsToPrompt(liveConfig, charFile, lastUserMesageAndCharName, username, liveAPI, shouldContinue, continueTarget = null, userPersona = '') {
+async function addCharDefsToPrompt(liveConfig, charFile, lastUserMesageAndCharName, username, liveAPI, shouldContinue, continueTarget = null, userPersona = '', roomId = db.DEFAULT_ROOM_ID, userId = null, swipeTarget = null) {
     //logger.debug(`[addCharDefsToPrompt] >> GO`)
     //logger.debug(liveAPI)
     let isClaude = liveAPI.claude
@@ -561,7 +585,7 @@ async function addCharDefsToPrompt(liveConfig, charFile, lastUserMesageAndCharNa
                 // Minimal stub to allow macro replacement without pulling defs
                 charData = JSON.stringify({ name: liveConfig.promptConfig.selectedCharacterDisplayName || 'Character', description: '', data: { name: liveConfig.promptConfig.selectedCharacterDisplayName || 'Character', description: '', first_mes: '' } });
             }
-            let chatHistory = await ObjectifyChatHistory()
+            let chatHistory = await ObjectifyChatHistory(roomId)
             if (continueTarget && continueTarget.sessionID) {
                 // Truncate chat history to include only messages up to and including the target mesID
                 try {
@@ -578,17 +602,33 @@ async function addCharDefsToPrompt(liveConfig, charFile, lastUserMesageAndCharNa
                     logger.debug('[Continue] Failed to truncate chat history:', e.message);
                 }
             }
+            if (swipeTarget && swipeTarget.sessionID) {
+                // A new swipe is written from the context before the message it replaces
+                const targetId = Number(swipeTarget.mesID);
+                const targetIndex = chatHistory.findIndex(m => m.messageID === targetId);
+                if (targetIndex !== -1) chatHistory = chatHistory.slice(0, targetIndex);
+            }
             let ChatObjsInPrompt = []
 
-            //replace {{user}} and {{char}} for character definitions
             const charJSON = JSON.parse(charData)
             const charName = charJSON.name
             const charDisplayName = (liveConfig?.promptConfig?.selectedCharacterDisplayName) || charName;
-            const jsonString = JSON.stringify(charJSON);
-            let replacedString = postProcessText(replaceMacros(jsonString, username, charJSON.name))
-            const replacedData = JSON.parse(replacedString);
+            const sessionId = chatHistory?.[0]?.sessionID ?? await db.getActiveChat(roomId);
+            // Everything the prompt parts below can reference through {{macros}}
+            const macroContext = {
+                user: username,
+                char: charJSON.name,
+                persona: userPersona,
+                group: (liveConfig?.promptConfig?.selectedCharacters || [])
+                    .filter(c => c.value && c.value !== 'None')
+                    .map(c => c.displayName),
+                chatHistory,
+                variables: sessionId ? await db.getSessionVariables(sessionId) : undefined,
+                variableUpdates: {}
+            };
+            const description = postProcessText(macros.replaceMacros(charJSON.description || '', macroContext))
 
-            let descToAdd = replacedData.description.length > 0 ? `\n${replacedData.description.trim()}` : ''
+            let descToAdd = description.length > 0 ? `\n${description.trim()}` : ''
             
             // Inject User Personas
             const personas = new Map();
@@ -612,7 +652,6 @@ async function addCharDefsToPrompt(liveConfig, charFile, lastUserMesageAndCharNa
             //const personalityToAdd = replacedData.personality.length > 0 ? `\n${replacedData.personality.trim()}` : ''
             //const scenarioToAdd = replacedData.scenario.length > 0 ? `\n${replacedData.scenario.trim()}` : ''
 
-            //replace {{user}} and {{char}} for D1JB
             const ks = liveConfig?.promptConfig || {};
             const killSystemPrompt = !!ks.killSystemPrompt;
             const killD4AN = !!ks.killD4AN;
@@ -620,56 +659,134 @@ async function addCharDefsToPrompt(liveConfig, charFile, lastUserMesageAndCharNa
             const killD0PH = !!ks.killD0PH;
             const killResponsePrefill = !!ks.killResponsePrefill;
 
-            var D1JB = postProcessText(replaceMacros(liveConfig.promptConfig.D1JB, username, charJSON.name)) || ''
-            var D4AN = postProcessText(replaceMacros(liveConfig.promptConfig.D4AN, username, charJSON.name)) || ''
-            var D0PostHistory = postProcessText(replaceMacros(liveConfig.promptConfig.D0PostHistory, username, charJSON.name)) || ''
-            var responsePrefill = postProcessText(replaceMacros(liveConfig.promptConfig.responsePrefill, username, charJSON.name)) || ''
+            var D1JB = postProcessText(macros.replaceMacros(liveConfig.promptConfig.D1JB, macroContext)) || ''
+            var D4AN = postProcessText(macros.replaceMacros(liveConfig.promptConfig.D4AN, macroContext)) || ''
+            var D0PostHistory = postProcessText(macros.replaceMacros(liveConfig.promptConfig.D0PostHistory, macroContext)) || ''
+            var responsePrefill = postProcessText(macros.replaceMacros(liveConfig.promptConfig.responsePrefill, macroContext)) || ''
             
+            // Old messages and lorebook entries that relate to the latest messages (long-term memory)
+            const lorebookContext = { characterId: charFile, userId, sessionId };
+            let memoryRecall = { messages: [], entries: [] };
+            try {
+                memoryRecall = await memory.recall({
+                    liveConfig,
+                    liveAPI,
+                    chatHistory,
+                    sessionId,
+                    historyBudget: availableContextForHistory - approxTokensFromChars(descToAdd),
+                    context: lorebookContext
+                });
+            } catch (memoryErr) {
+                logger.error('[Memory] Error while recalling old messages:', memoryErr.message);
+            }
+
             // ================================
             // WORLD INFO / LOREBOOK ACTIVATION
             // ================================
-            let worldInfoContent = '';
+            let worldInfo = lorebook.buildPositionedWorldInfo([]);
             let worldInfoTokens = 0;
             try {
                 const scanDepth = liveConfig?.lorebook?.scanDepth || 5;
                 const tokenBudget = liveConfig?.lorebook?.tokenBudget || 500;
                 
-                const { activatedEntries, totalTokens, matched } = await lorebook.getActivatedEntries(chatHistory, {
+                const activation = await lorebook.getActivatedEntries(chatHistory, {
                     scanDepth,
                     tokenBudget,
                     caseSensitive: false,
-                    includeNames: true
+                    includeNames: true,
+                    // Only books that are unlinked or linked to this responder, these users or this chat
+                    context: lorebookContext,
+                    // Entries memory found by meaning go through the same timers, trigger rolls and budget as key matches
+                    recalledEntries: memoryRecall.entries
                 });
+                const { totalTokens, activatedEntries } = activation;
+
+                // Hosts in the room get the activation report for the World Info inspector
+                broadcast({
+                    type: 'worldInfoActivation',
+                    roomId,
+                    character: charDisplayName,
+                    timestamp: new Date().toISOString(),
+                    totalTokens: totalTokens || 0,
+                    tokenBudget,
+                    matched: activation.matched || [],
+                    skippedForBudget: activation.skippedForBudget || [],
+                    failedRolls: activation.failedRolls || [],
+                    blockedByTimers: activation.blockedByTimers || []
+                }, 'host', roomId);
                 
                 if (activatedEntries && activatedEntries.length > 0) {
-                    worldInfoContent = lorebook.formatEntriesForPrompt(activatedEntries, {
+                    worldInfo = lorebook.buildPositionedWorldInfo(activatedEntries, {
                         separator: '\n',
                         wrapWithBrackets: true
                     });
-                    worldInfoContent = postProcessText(replaceMacros(worldInfoContent, username, charJSON.name));
-                    worldInfoTokens = totalTokens;
+                    for (const key of Object.keys(worldInfo)) {
+                        if (key === 'depthInjections') continue;
+                        worldInfo[key] = postProcessText(macros.replaceMacros(worldInfo[key], macroContext));
+                    }
+                    worldInfo.depthInjections = worldInfo.depthInjections.map(injection => ({
+                        depth: injection.depth,
+                        content: postProcessText(macros.replaceMacros(injection.content, macroContext))
+                    }));
+                    worldInfoTokens = totalTokens || 0;
                     logger.info(`[WorldInfo] Injecting ${activatedEntries.length} entries (~${worldInfoTokens} tokens) into prompt`);
                 }
             } catch (wiErr) {
                 logger.error('[WorldInfo] Error during activation scan:', wiErr.message);
             }
             
-            // Prepend World Info to D4AN if we have activated entries
-            if (worldInfoContent.length > 0) {
-                D4AN = `${worldInfoContent}\n${D4AN}`;
+            // The chat summary and recalled messages ride along with the World Info at their configured positions
+            const addAtPosition = (text, { position, depth }) => {
+                if (position === 'atDepth') {
+                    worldInfo.depthInjections.push({ depth, content: text });
+                } else {
+                    worldInfo[position] = worldInfo[position] ? `${text}\n${worldInfo[position]}` : text;
+                }
+            };
+            const summarySettings = summarizer.getSettings(liveConfig);
+            const storedSummary = (summarySettings.enabled && sessionId) ? await db.getSessionSummary(sessionId) : null;
+            if (storedSummary?.summary?.trim()) {
+                addAtPosition(`[Summary of earlier events: ${storedSummary.summary.trim()}]`, summarySettings);
+            }
+            const recalledMessages = memory.formatRecalledMessages(memoryRecall.messages);
+            if (recalledMessages) {
+                addAtPosition(recalledMessages, memory.getSettings(liveConfig));
+            }
+
+            // Author's Note entries go at the top of D4AN, char def entries wrap the char defs wherever they end up
+            if (worldInfo.authorsNote.length > 0) {
+                D4AN = `${worldInfo.authorsNote}\n${D4AN}`;
+            }
+            if (worldInfo.beforeCharDefs.length > 0) {
+                descToAdd = `\n${worldInfo.beforeCharDefs}${descToAdd}`;
+            }
+            if (worldInfo.afterCharDefs.length > 0) {
+                descToAdd = `${descToAdd}\n${worldInfo.afterCharDefs}`;
             }
             
             if (doD4CharDefs && descToAdd.length > 0) {
                 D4AN = `${descToAdd}\n${D4AN}`
             }
 
-            var systemMessage = postProcessText(replaceMacros(liveConfig.promptConfig.systemPrompt, username, charJSON.name)) || `You are ${charName}. Write ${charName}'s next response to interact with ${username}.`
+            var systemMessage = postProcessText(macros.replaceMacros(liveConfig.promptConfig.systemPrompt, macroContext)) || `You are ${charName}. Write ${charName}'s next response to interact with ${username}.`
+            if (worldInfo.beforeSystem.length > 0) {
+                systemMessage = `${worldInfo.beforeSystem}\n${systemMessage}`;
+            }
+            if (worldInfo.afterSystem.length > 0) {
+                systemMessage = `${systemMessage}\n${worldInfo.afterSystem}`;
+            }
             const instructData = await fio.readFile(liveConfig.promptConfig.selectedInstruct)
             const instructSequence = JSON.parse(instructData)
-            const inputSequence = replaceMacros(instructSequence.input_sequence, username, charJSON.name)
-            const outputSequence = replaceMacros(instructSequence.output_sequence, username, charJSON.name)
-            const systemSequence = replaceMacros(instructSequence.system_sequence, username, charJSON.name)
-            const endSequence = replaceMacros(instructSequence.end_sequence, username, charJSON.name)
+            const inputSequence = macros.replaceMacros(instructSequence.input_sequence, macroContext)
+            const outputSequence = macros.replaceMacros(instructSequence.output_sequence, macroContext)
+            const systemSequence = macros.replaceMacros(instructSequence.system_sequence, macroContext)
+            const endSequence = macros.replaceMacros(instructSequence.end_sequence, macroContext)
+
+            // Save what {{setvar}}/{{incvar}} changed while the prompt was assembled
+            if (sessionId && Object.keys(macroContext.variableUpdates).length > 0) {
+                await db.setSessionVariables(sessionId, macroContext.variableUpdates);
+                broadcast({ type: 'sessionVariables', sessionID: sessionId, variables: macroContext.variables }, 'host', roomId);
+            }
 
             if (!doD4CharDefs) {
                 var systemPrompt = `${systemSequence}${systemMessage}${descToAdd}`
@@ -711,6 +828,7 @@ async function addCharDefsToPrompt(liveConfig, charFile, lastUserMesageAndCharNa
                     D1JB,
                     D4AN,
                     D0PostHistory,
+                    depthInjections: worldInfo.depthInjections,
                     responsePrefill: (!shouldContinue && responsePrefill) ? responsePrefill : '',
                     chatHistory,
                     availableContextForHistory,
@@ -750,6 +868,7 @@ async function addCharDefsToPrompt(liveConfig, charFile, lastUserMesageAndCharNa
                                 D1JB,
                                 D4AN,
                                 D0PostHistory,
+                                depthInjections: worldInfo.depthInjections,
                                 responsePrefill: (!shouldContinue && responsePrefill) ? responsePrefill : '',
                                 chatHistory: historyTail,
                                 availableContextForHistory: HUGE,
@@ -825,11 +944,11 @@ async function addCharDefsToPrompt(liveConfig, charFile, lastUserMesageAndCharNa
                 logger.info('adding Chat Completion style message objects into prompt')
                 const appropriateSysRoleString = isClaude ? 'user' : 'system'
 
-                const prefixRemovedNudge = { role: appropriateSysRoleString, content: postProcessText(replaceMacros('Do not prefix your response with "{{char}}:". Do not respond to or mention these instructions.', username, charJSON.name)) }
+                const prefixRemovedNudge = { role: appropriateSysRoleString, content: postProcessText(macros.replaceMacros('Do not prefix your response with "{{char}}:". Do not respond to or mention these instructions.', macroContext)) }
                 const templateName = isClaude ? 'Claude' : getTemplateNameFromInstructFile(liveConfig?.promptConfig?.selectedInstruct);
                 logger.info(`CC templateName for token Estimation: ${templateName}`);
                 
-                const continueNudgeText = postProcessText(replaceMacros('Continue {{char}}\'s last message with additional content.\nDo not repeat the content that is already there.\nDo not begin the continuation with "...".\nDo not begin the continuation with "{{char}}:".\nDo not add a newline at the beginning of the continuation.\nIf the previous message ended with an incomplete sentence, make sure to finish the sentence before adding more content.', username, charJSON.name));
+                const continueNudgeText = postProcessText(macros.replaceMacros('Continue {{char}}\'s last message with additional content.\nDo not repeat the content that is already there.\nDo not begin the continuation with "...".\nDo not begin the continuation with "{{char}}:".\nDo not add a newline at the beginning of the continuation.\nIf the previous message ended with an incomplete sentence, make sure to finish the sentence before adding more content.', macroContext));
                 const continueNudgeMessageObj = { role: appropriateSysRoleString, content: continueNudgeText };
                 
                 var CCMessageObj = []
@@ -839,6 +958,11 @@ async function addCharDefsToPrompt(liveConfig, charFile, lastUserMesageAndCharNa
                 D4ANObj = { role: appropriateSysRoleString, content: D4AN, __kind: 'D4' }
                 D1JBObj = { role: appropriateSysRoleString, content: D1JB, __kind: 'D1' }
                 D0PHObj = { role: appropriateSysRoleString, content: D0PostHistory, __kind: 'D0PH' }
+                // World Info entries with a chat depth; each lands in front of the history message at (length - depth)
+                const WIDepthObjs = worldInfo.depthInjections.map(injection => ({
+                    depth: injection.depth + (shouldContinue ? 1 : 0),
+                    obj: { role: appropriateSysRoleString, content: injection.content, __kind: 'WIDepth' }
+                }));
                 // Reserve budget for CC (context minus response and safety margin)
                 const ccBudget = computeCCBudget(liveConfig.promptConfig.contextSize, liveConfig.promptConfig.responseLength, 32);
                 logger.info(`CC context budget: ${ccBudget} tokens (context ${liveConfig.promptConfig.contextSize} - response ${liveConfig.promptConfig.responseLength} - margin 32)`);
@@ -962,6 +1086,15 @@ async function addCharDefsToPrompt(liveConfig, charFile, lastUserMesageAndCharNa
 
                     let newItem, newObj, newItemTokens
 
+                    for (const WIDepth of WIDepthObjs) {
+                        if (!WIDepth.added && i === chatHistory.length - 1 - WIDepth.depth) {
+                            logger.info(`adding World Info at depth ${WIDepth.depth}`)
+                            CCMessageObj.push(WIDepth.obj)
+                            WIDepth.added = true
+                            promptTokens += estimateCCMessageTokensByRender(WIDepth.obj, templateName)
+                        }
+                    }
+
                     if (!isClaude && i === chatHistory.length - D4Loc && D4ANObj.content.length > 0 && D4Added === false) {
                         logger.warn('saw D4 incoming')
                         shouldAddD4 = true
@@ -1082,6 +1215,13 @@ async function addCharDefsToPrompt(liveConfig, charFile, lastUserMesageAndCharNa
                 }
                 // In remote mode, skip local assembly; we'll assemble/cull below
                 if (!remoteMode) {
+                    // Anything deeper than the history we kept sits right under the system prompt
+                    for (const WIDepth of WIDepthObjs) {
+                        if (!WIDepth.added) {
+                            CCMessageObj.push(WIDepth.obj)
+                            WIDepth.added = true
+                        }
+                    }
                     if (systemPromptObject.content.length > 0) {
                         CCMessageObj.push(systemPromptObject)
                     }
@@ -1135,8 +1275,14 @@ async function addCharDefsToPrompt(liveConfig, charFile, lastUserMesageAndCharNa
                                     }
                                 }
                             }
+                            const WIDepthAdded = new Set();
                             for (let j = tailLen - 1; j >= 0; j--) {
                                 const obj = historyTail[j];
+                                WIDepthObjs.forEach((WIDepth, k) => {
+                                    if (!WIDepthAdded.has(k) && j === tailLen - 1 - WIDepth.depth) {
+                                        msgs.push(WIDepth.obj); WIDepthAdded.add(k);
+                                    }
+                                });
                                 if (!isClaude && j === tailLen - D4LocA && D4ANObj.content.length > 0 && !D4Added) {
                                     msgs.push(D4ANObj); D4Added = true; D1LocA += 1; D0PHLocA += 1;
                                 }
@@ -1157,6 +1303,9 @@ async function addCharDefsToPrompt(liveConfig, charFile, lastUserMesageAndCharNa
                                     msgs.push({ role: 'user', content: `${obj.username}: ${contentWithInject}`, __kind: 'history' });
                                 }
                             }
+                            WIDepthObjs.forEach((WIDepth, k) => {
+                                if (!WIDepthAdded.has(k)) msgs.push(WIDepth.obj);
+                            });
                             if (systemPromptObject.content.length > 0) msgs.push(systemPromptObject);
                             msgs = msgs.reverse();
                             if (addPrefill) msgs.push(prefillObjForReserve);
@@ -1574,6 +1723,83 @@ async function tryLoadModel(api, liveConfig, liveAPI) {
     return response
 }
 
+//MARK: requestSummary
+// One-off, non-streamed request for summarizer.js, sent through the selected API like a normal reply
+async function requestSummary(liveConfig, liveAPI, instruction, transcript, maxTokens) {
+    const isCCSelected = liveAPI.type === 'CC';
+    const payload = {
+        stream: false,
+        stop: [],
+        max_tokens: Number(maxTokens)
+    };
+    let requestConfig = liveConfig;
+
+    if (!isCCSelected) {
+        const instructSequence = JSON.parse(await fio.readFile(liveConfig.promptConfig.selectedInstruct));
+        const { system_sequence = '', input_sequence = '', output_sequence = '', end_sequence = '' } = instructSequence;
+        payload.prompt = `${system_sequence}${instruction}${end_sequence}${input_sequence}${transcript}${end_sequence}${output_sequence}`;
+        payload.stop = [input_sequence, end_sequence].filter(sequence => sequence && sequence.trim());
+    } else if (liveAPI.claude) {
+        // Claude takes its system prompt from promptConfig.systemPrompt, see requestToTCorCC
+        requestConfig = { ...liveConfig, promptConfig: { ...liveConfig.promptConfig, systemPrompt: instruction } };
+        payload.messages = [{ role: 'user', content: transcript }];
+    } else {
+        payload.messages = [
+            { role: 'system', content: instruction },
+            { role: 'user', content: transcript }
+        ];
+    }
+
+    const result = await requestToTCorCC(false, liveAPI, payload, [], false, requestConfig, { username: '' }, '');
+    if (typeof result !== 'string') {
+        logger.warn('[Summary] The API did not return a summary:', result);
+        return null;
+    }
+    const summary = postProcessText(result).trim();
+    return summary.length > 0 ? summary : null;
+}
+
+//MARK: requestEmbeddings
+// Embeds texts through an OpenAI-compatible /embeddings endpoint on the given API, for memory.js
+async function requestEmbeddings(liveAPI, model, inputs) {
+    let baseURL = liveAPI.endpoint.trim()
+    if (!/^https?:\/\//i.test(baseURL)) {
+        baseURL = (baseURL.includes("localhost") || baseURL.includes("127.0.0.1") ? "http://" : "https://") + baseURL;
+    }
+    if (!/\/$/.test(baseURL)) {
+        baseURL += "/";
+    }
+    const key = (liveAPI.key || '').trim()
+
+    try {
+        logger.info(`Requesting ${inputs.length} embeddings from ${baseURL}embeddings`);
+        const response = await fetch(baseURL + 'embeddings', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${key}`
+            },
+            body: JSON.stringify({ model, input: inputs })
+        })
+        if (response.status !== 200) {
+            logger.warn(`Embedding request failed with status ${response.status}`)
+            return null
+        }
+        const JSONResponse = await response.json()
+        const data = Array.isArray(JSONResponse?.data) ? [...JSONResponse.data] : []
+        if (data.length !== inputs.length) {
+            logger.warn(`Expected ${inputs.length} embeddings, got ${data.length}`)
+            return null
+        }
+        // OpenAI returns them with an index; don't count on the order
+        data.sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+        return data.map(item => item.embedding)
+    } catch (error) {
+        logger.error('Error while requesting embeddings:', error.message)
+        return null
+    }
+}
+
 //MARK: requestToTCorCC
 async function requestToTCorCC(isStreaming, liveAPI, finalApiCallParams, includedChatObjects, isTest, liveConfig, parsedMessage, charName, lastInContextMessageID) {
     //logger.info('[requestToTCorCC] >> GO')
@@ -1635,7 +1861,7 @@ async function requestToTCorCC(isStreaming, liveAPI, finalApiCallParams, include
         //delete finalApiCallParams.max_tokens
         if (finalApiCallParams.temperature > 1) { finalApiCallParams.temperature = 1 }
         if (liveConfig.promptConfig.systemPrompt.length > 0) {
-            finalApiCallParams.system = postProcessText(replaceMacros(liveConfig.promptConfig.systemPrompt, parsedMessage.username, charName))
+            finalApiCallParams.system = postProcessText(macros.replaceMacros(liveConfig.promptConfig.systemPrompt, { user: parsedMessage.username, char: charName }))
         }
     }
 
@@ -1776,7 +2002,7 @@ async function requestToTCorCC(isStreaming, liveAPI, finalApiCallParams, include
 
         if (response.status === 200) {
             logger.info('Status 200: Ok.')
-            return await processResponse(response, isCCSelected, isTest, isStreaming, liveAPI)
+            return await processResponse(response, isCCSelected, isTest, isStreaming, liveAPI, lastInContextMessageID, parsedMessage?.roomId)
         } else {
             let responseStatus = response.status
             logger.error('API error: ' + responseStatus)
@@ -1812,7 +2038,7 @@ async function requestToTCorCC(isStreaming, liveAPI, finalApiCallParams, include
 }
 
 //MARK: processResponse
-async function processResponse(response, isCCSelected, isTest, isStreaming, liveAPI, lastInContextMessageID = null) {
+async function processResponse(response, isCCSelected, isTest, isStreaming, liveAPI, lastInContextMessageID = null, roomId = db.DEFAULT_ROOM_ID) {
     logger.info('Processing response..')
     let isClaude = liveAPI.claude
 
@@ -1827,7 +2053,7 @@ async function processResponse(response, isCCSelected, isTest, isStreaming, live
         }
     } else {
         if (response.body) {
-            let chunk = await stream.processStreamedResponse(response, isCCSelected, isTest, isClaude, lastInContextMessageID);
+            let chunk = await stream.processStreamedResponse(response, isCCSelected, isTest, isClaude, lastInContextMessageID, roomId);
             //logger.info('chunk: ', chunk)
             if (chunk) {
                 return chunk
@@ -1879,7 +2105,6 @@ async function processResponse(response, isCCSelected, isTest, isStreaming, live
 export default {
     getAIResponse,
     getAPIDefaults,
-    replaceMacros,
     testAPI,
     getModelList,
     processResponse,
@@ -1887,5 +2112,7 @@ export default {
     setStopStrings,
     trimIncompleteSentences,
     getHordeModelList,
-    tryLoadModel
+    tryLoadModel,
+    requestSummary,
+    requestEmbeddings
 }
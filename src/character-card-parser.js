@@ -1,47 +1,49 @@
 import fs from 'fs';
+import zlib from 'zlib';
 import extract from 'png-chunks-extract';
 import PNGtext from 'png-chunk-text';
 import { charLogger as logger } from './log.js';
 
+// v1 fields that v2/v3 cards keep inside `data`; they're mirrored to the top level for older readers
+const V1_FIELDS = ['name', 'description', 'personality', 'scenario', 'first_mes', 'mes_example'];
+
+// Most a CHARX archive may unpack to, across all the entries read from it. Uploads are untrusted,
+// and a small deflated entry can expand to gigabytes.
+const CHARX_MAX_UNPACKED_BYTES = 16 * 1024 * 1024;
+
 /**
- * Parses character data from a PNG file or raw buffer.
+ * Parses character data from a PNG, JSON or CHARX card, from a file or raw buffer.
+ * PNG cards may carry a v2 `chara` chunk, a v3 `ccv3` chunk, or both; `ccv3` wins.
  * 
- * @param {string} cardUrl - Path or URL to the PNG file (ignored if `buffer` is passed).
- * @param {string} format - File format (default: "png").
- * @param {Buffer} [buffer] - Optional: pass raw PNG buffer instead of reading from file.
- * @returns {Promise<string>} - Parsed character data string.
+ * @param {string} cardUrl - Path or URL to the card file (ignored if `buffer` is passed).
+ * @param {string} format - File format: "png" (default), "json" or "charx".
+ * @param {Buffer} [buffer] - Optional: pass raw file buffer instead of reading from file.
+ * @returns {Promise<string>} - Parsed character data string, with v1 fields filled in from `data`.
  */
 const characterCardParser = async (cardUrl, format = 'png', buffer = null) => {
-    if (format !== 'png') return;
+    if (!['png', 'json', 'charx'].includes(format)) return;
 
     try {
-        const pngBuffer = buffer ?? fs.readFileSync(cardUrl);
-        const chunks = extract(pngBuffer);
-
-        // Filter for tEXt chunks with 'chara' keyword
-        const textChunks = chunks
-            .filter(chunk => chunk.name === 'tEXt')
-            .map(chunk => PNGtext.decode(chunk.data))
-            .filter(text => text.keyword === 'chara');
-
-        if (!textChunks.length || !textChunks[0].text) {
-            throw new Error(`No embedded "chara" metadata found in ${cardUrl}.`);
-        }
+        const fileBuffer = buffer ?? fs.readFileSync(cardUrl);
+        let decoded;
 
-        let base64Text = textChunks[0].text.trim();
-
-        // Validate base64 format
-        if (!/^[A-Za-z0-9+/=\s]+$/.test(base64Text)) {
-            throw new Error(`Embedded "chara" data is not valid base64 in ${cardUrl}.`);
+        if (format === 'png') {
+            decoded = readPngCardText(fileBuffer, cardUrl);
+        } else if (format === 'json') {
+            decoded = fileBuffer.toString('utf8').replace(/^\uFEFF/, '');
+        } else {
+            const cardFile = extractCharxFiles(fileBuffer, ['card.json']).get('card.json');
+            if (!cardFile) {
+                throw new Error(`No card.json found in CHARX archive ${cardUrl}.`);
+            }
+            decoded = cardFile.toString('utf8').replace(/^\uFEFF/, '');
         }
 
-        const decoded = Buffer.from(base64Text, 'base64').toString('utf8');
-
         if (!decoded || decoded.length < 10) {
             throw new Error(`Decoded character data is empty or invalid in ${cardUrl}.`);
         }
 
-        // Temporarily parse to validate v1 or v2 spec
+        // Temporarily parse to validate v1, v2 or v3 spec
         let parsedData;
         try {
             parsedData = JSON.parse(decoded);
@@ -49,62 +51,210 @@ const characterCardParser = async (cardUrl, format = 'png', buffer = null) => {
             throw new Error(`Decoded character data is not valid JSON in ${cardUrl}.`);
         }
 
-        // Check for v1 or v2 spec compliance
-        const v1Errors = [];
-        const v2Errors = [];
+        validateCardData(parsedData, cardUrl);
 
-        // v1 field checks
-        if (!parsedData.name || typeof parsedData.name !== 'string' || parsedData.name.length === 0) {
-            v1Errors.push('name (missing, not a string, or empty)');
+        return JSON.stringify(fillV1Fields(parsedData)); // Return unparsed string as expected
+
+    } catch (err) {
+        logger.error(`Failed to parse ${format.toUpperCase()} card: ${err.message}`);
+        throw err;
+    }
+};
+
+/**
+ * Find the embedded card text in a PNG, preferring `ccv3` over `chara`
+ * @param {Buffer} pngBuffer
+ * @param {string} cardUrl - Only used in error messages
+ * @returns {string} - Decoded JSON text
+ */
+function readPngCardText(pngBuffer, cardUrl) {
+    const textChunks = extract(pngBuffer)
+        .filter(chunk => chunk.name === 'tEXt')
+        .map(chunk => PNGtext.decode(chunk.data));
+
+    const cardChunk = textChunks.find(text => text.keyword === 'ccv3' && text.text)
+        ?? textChunks.find(text => text.keyword === 'chara' && text.text);
+
+    if (!cardChunk) {
+        throw new Error(`No embedded "chara" or "ccv3" metadata found in ${cardUrl}.`);
+    }
+
+    const base64Text = cardChunk.text.trim();
+
+    // Validate base64 format
+    if (!/^[A-Za-z0-9+/=\s]+$/.test(base64Text)) {
+        throw new Error(`Embedded "${cardChunk.keyword}" data is not valid base64 in ${cardUrl}.`);
+    }
+
+    return Buffer.from(base64Text, 'base64').toString('utf8');
+}
+
+/**
+ * Unpack files from a CHARX (zip) archive into a map of path -> file contents
+ * Only stored and deflated entries are supported, which covers every known CHARX writer.
+ * @param {Buffer} zipBuffer
+ * @param {string[]} wanted - Paths to unpack; every other entry is skipped without being inflated
+ * @returns {Map<string, Buffer>}
+ * @throws {Error} - If the archive is malformed or the wanted files unpack to more than CHARX_MAX_UNPACKED_BYTES
+ */
+function extractCharxFiles(zipBuffer, wanted) {
+    const wantedPaths = new Set(wanted);
+    let unpackedBytes = 0;
+    // The end of central directory record sits in the last 22 bytes plus an optional comment
+    let eocd = -1;
+    for (let i = zipBuffer.length - 22; i >= Math.max(0, zipBuffer.length - 22 - 0xFFFF); i--) {
+        if (zipBuffer.readUInt32LE(i) === 0x06054b50) {
+            eocd = i;
+            break;
         }
-        if (parsedData.description && typeof parsedData.description !== 'string') {
-            v1Errors.push('description (not a string)');
+    }
+    if (eocd === -1) {
+        throw new Error('CHARX file is not a valid zip archive.');
+    }
+
+    const entryCount = zipBuffer.readUInt16LE(eocd + 10);
+    let offset = zipBuffer.readUInt32LE(eocd + 16);
+    const files = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (zipBuffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw new Error('CHARX central directory is corrupt.');
         }
-        if (parsedData.first_mes && typeof parsedData.first_mes !== 'string') {
-            v1Errors.push('first_mes (not a string)');
+        const method = zipBuffer.readUInt16LE(offset + 10);
+        const compressedSize = zipBuffer.readUInt32LE(offset + 20);
+        const nameLength = zipBuffer.readUInt16LE(offset + 28);
+        const extraLength = zipBuffer.readUInt16LE(offset + 30);
+        const commentLength = zipBuffer.readUInt16LE(offset + 32);
+        const localHeader = zipBuffer.readUInt32LE(offset + 42);
+        const name = zipBuffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/') || !wantedPaths.has(name) || files.has(name)) continue;
+
+        const dataStart = localHeader + 30 + zipBuffer.readUInt16LE(localHeader + 26) + zipBuffer.readUInt16LE(localHeader + 28);
+        const data = zipBuffer.subarray(dataStart, dataStart + compressedSize);
+        const remainingBytes = CHARX_MAX_UNPACKED_BYTES - unpackedBytes;
+        let file;
+        if (method === 0) {
+            file = data;
+        } else if (method === 8) {
+            try {
+                file = zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, remainingBytes) });
+            } catch (err) {
+                if (err.code !== 'ERR_BUFFER_TOO_LARGE') throw new Error(`CHARX entry ${name} could not be unpacked: ${err.message}`);
+                file = null;
+            }
+        } else {
+            logger.warn(`Skipping CHARX entry ${name}: unsupported compression method ${method}`);
+            continue;
         }
-        const hasV1Fields = v1Errors.length === 0;
+        if (!file || file.length > remainingBytes) {
+            throw new Error(`CHARX contents are too large (over ${CHARX_MAX_UNPACKED_BYTES / 1024 / 1024} MB unpacked).`);
+        }
+        unpackedBytes += file.length;
+        files.set(name, file);
+    }
+
+    return files;
+}
+
+/**
+ * Throw unless the card conforms to at least one of the v1, v2 or v3 specs
+ * @param {Object} parsedData
+ * @param {string} cardUrl - Only used in error messages
+ */
+function validateCardData(parsedData, cardUrl) {
+    const v1Errors = [];
+    const v2Errors = [];
+    const v3Errors = [];
 
-        // v2 field checks
-        if (!parsedData.spec || parsedData.spec !== 'chara_card_v2') {
-            v2Errors.push('spec (missing or not "chara_card_v2")');
+    // v1 field checks
+    if (!parsedData.name || typeof parsedData.name !== 'string' || parsedData.name.length === 0) {
+        v1Errors.push('name (missing, not a string, or empty)');
+    }
+    if (parsedData.description && typeof parsedData.description !== 'string') {
+        v1Errors.push('description (not a string)');
+    }
+    if (parsedData.first_mes && typeof parsedData.first_mes !== 'string') {
+        v1Errors.push('first_mes (not a string)');
+    }
+    const hasV1Fields = v1Errors.length === 0;
+
+    // v2 and v3 share the shape of the data object
+    const dataErrors = [];
+    if (!parsedData.data || typeof parsedData.data !== 'object' || parsedData.data === null) {
+        dataErrors.push('data (missing or not an object)');
+    } else {
+        const data = parsedData.data;
+        if (!data.name || typeof data.name !== 'string' || data.name.length === 0) {
+            dataErrors.push('data.name (missing, not a string, or empty)');
         }
-        if (!parsedData.spec_version || parsedData.spec_version !== '2.0') {
-            v2Errors.push('spec_version (missing or not "2.0")');
+        if (data.description && typeof data.description !== 'string') {
+            dataErrors.push('data.description (not a string)');
         }
-        if (!parsedData.data || typeof parsedData.data !== 'object' || parsedData.data === null) {
-            v2Errors.push('data (missing or not an object)');
-        } else {
-            if (!parsedData.data.name || typeof parsedData.data.name !== 'string' || parsedData.data.name.length === 0) {
-                v2Errors.push('data.name (missing, not a string, or empty)');
-            }
-            if (parsedData.data.description && typeof parsedData.data.description !== 'string') {
-                v2Errors.push('data.description (not a string)');
-            }
-            if (parsedData.data.first_mes && typeof parsedData.data.first_mes !== 'string') {
-                v2Errors.push('data.first_mes (not a string)');
-            }
+        if (data.first_mes && typeof data.first_mes !== 'string') {
+            dataErrors.push('data.first_mes (not a string)');
         }
-        const hasV2Fields = v2Errors.length === 0;
+    }
 
-        if (!hasV1Fields && !hasV2Fields) {
-            const errorMessage = `Character data does not conform to v1 or v2 spec in ${cardUrl}:\n` +
-                `v1 errors: ${v1Errors.length ? v1Errors.join(', ') : 'none'}\n` +
-                `v2 errors: ${v2Errors.length ? v2Errors.join(', ') : 'none'}`;
-            logger.error(`Invalid character data: ${JSON.stringify(parsedData, null, 2)}`);
-            throw new Error(errorMessage);
-        }
+    // v2 field checks
+    if (!parsedData.spec || parsedData.spec !== 'chara_card_v2') {
+        v2Errors.push('spec (missing or not "chara_card_v2")');
+    }
+    if (!parsedData.spec_version || parsedData.spec_version !== '2.0') {
+        v2Errors.push('spec_version (missing or not "2.0")');
+    }
+    v2Errors.push(...dataErrors);
+    const hasV2Fields = v2Errors.length === 0;
 
-        return decoded; // Return unparsed string as expected
+    // v3 field checks
+    if (!parsedData.spec || parsedData.spec !== 'chara_card_v3') {
+        v3Errors.push('spec (missing or not "chara_card_v3")');
+    }
+    if (!/^3\.\d+$/.test(String(parsedData.spec_version ?? ''))) {
+        v3Errors.push('spec_version (missing or not "3.x")');
+    }
+    v3Errors.push(...dataErrors);
+    if (!dataErrors.length) {
+        const data = parsedData.data;
+        if (data.assets !== undefined && !Array.isArray(data.assets)) {
+            v3Errors.push('data.assets (not an array)');
+        }
+        if (data.group_only_greetings !== undefined && !Array.isArray(data.group_only_greetings)) {
+            v3Errors.push('data.group_only_greetings (not an array)');
+        }
+        if (data.nickname !== undefined && typeof data.nickname !== 'string') {
+            v3Errors.push('data.nickname (not a string)');
+        }
+        if (data.creator_notes_multilingual !== undefined && (typeof data.creator_notes_multilingual !== 'object' || data.creator_notes_multilingual === null)) {
+            v3Errors.push('data.creator_notes_multilingual (not an object)');
+        }
+    }
+    const hasV3Fields = v3Errors.length === 0;
 
-    } catch (err) {
-        logger.error(`Failed to parse PNG metadata: ${err.message}`);
-        throw err;
+    if (!hasV1Fields && !hasV2Fields && !hasV3Fields) {
+        const errorMessage = `Character data does not conform to v1, v2 or v3 spec in ${cardUrl}:\n` +
+            `v1 errors: ${v1Errors.length ? v1Errors.join(', ') : 'none'}\n` +
+            `v2 errors: ${v2Errors.length ? v2Errors.join(', ') : 'none'}\n` +
+            `v3 errors: ${v3Errors.length ? v3Errors.join(', ') : 'none'}`;
+        logger.error(`Invalid character data: ${JSON.stringify(parsedData, null, 2)}`);
+        throw new Error(errorMessage);
     }
-};
+}
 
+// v3 cards usually ship only `data`; everything else here reads the v1 fields off the top level
+function fillV1Fields(parsedData) {
+    if (!parsedData.data || typeof parsedData.data !== 'object') return parsedData;
+    for (const field of V1_FIELDS) {
+        if (parsedData[field] === undefined && parsedData.data[field] !== undefined) {
+            parsedData[field] = parsedData.data[field];
+        }
+    }
+    return parsedData;
+}
 
 export default characterCardParser;
+export { extractCharxFiles };
 
 /* sample character data schema as exported from SillyTavern on 20250608
 
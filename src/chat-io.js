@@ -0,0 +1,219 @@
+/**
+ * Chat Import / Export
+ *
+ * Converts AI chat sessions to SillyTavern's .jsonl chat format, Markdown and
+ * standalone HTML, and imports SillyTavern .jsonl chats as new sessions.
+ */
+
+import db from './db.js';
+import { logger } from './log.js';
+
+const EXPORT_FORMATS = {
+    jsonl: { extension: 'jsonl', mimeType: 'application/jsonl' },
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    html: { extension: 'html', mimeType: 'text/html' }
+};
+
+function escapeHtml(str) {
+    return String(str ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ST names chat files and stamps create_date as YYYY-MM-DD@HHhMMmSSs
+function humanizedDateTime(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `@${pad(date.getHours())}h${pad(date.getMinutes())}m${pad(date.getSeconds())}s`;
+}
+
+/**
+ * Read a message date from an ST chat line
+ * ST has written send_date as epoch ms, ISO strings and "June 8, 2025 3:45pm" over the years
+ * @param {*} sendDate - The send_date value from the file
+ * @returns {string|null} - An ISO timestamp, or null if it can't be read
+ */
+function parseSendDate(sendDate) {
+    if (typeof sendDate === 'number') {
+        const date = new Date(sendDate);
+        return isNaN(date) ? null : date.toISOString();
+    }
+    if (typeof sendDate !== 'string' || !sendDate.trim()) return null;
+    const parsed = Date.parse(sendDate.replace(/(\d)(am|pm)$/i, '$1 $2'));
+    return isNaN(parsed) ? null : new Date(parsed).toISOString();
+}
+
+// The first user and AI names in the chat, for ST's header line and document titles
+function chatParticipants(messages) {
+    return {
+        userName: messages.find(m => m.entity === 'user')?.username || 'User',
+        characterName: messages.find(m => m.entity === 'AI')?.username || 'Assistant'
+    };
+}
+
+function toSTJsonl(messages) {
+    const { userName, characterName } = chatParticipants(messages);
+    const header = {
+        user_name: userName,
+        character_name: characterName,
+        create_date: humanizedDateTime(messages[0]?.timestamp ? new Date(messages[0].timestamp) : new Date()),
+        chat_metadata: {}
+    };
+    const lines = messages.map(message => {
+        const line = {
+            name: message.username,
+            is_user: message.entity === 'user',
+            is_system: false,
+            send_date: message.timestamp,
+            mes: message.content,
+            extra: {}
+        };
+        if (message.swipes.length > 1) {
+            line.swipes = message.swipes;
+            line.swipe_id = message.swipeIndex;
+            line.swipe_info = message.swipes.map(() => ({ send_date: message.timestamp, extra: {} }));
+        }
+        return line;
+    });
+    return [header, ...lines].map(line => JSON.stringify(line)).join('\n');
+}
+
+function toMarkdown(messages) {
+    const { characterName } = chatParticipants(messages);
+    const blocks = messages.map(message => {
+        const time = message.timestamp ? ` _(${new Date(message.timestamp).toLocaleString()})_` : '';
+        return `### ${message.username}${time}\n\n${message.content}`;
+    });
+    return `# Chat with ${characterName}\n\n${blocks.join('\n\n---\n\n')}\n`;
+}
+
+function toHTML(messages, makeHtml) {
+    const { characterName } = chatParticipants(messages);
+    const body = messages.map(message => {
+        const time = message.timestamp ? new Date(message.timestamp).toLocaleString() : '';
+        return `<div class="message ${message.entity === 'AI' ? 'ai' : 'user'}">
+<div class="header"><span class="name" style="color:${escapeHtml(message.userColor || 'inherit')}">${escapeHtml(message.username)}</span><small>${escapeHtml(time)}</small></div>
+<div class="content">${makeHtml(message.content)}</div>
+</div>`;
+    }).join('\n');
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Chat with ${escapeHtml(characterName)}</title>
+<style>
+body { background: #222; color: #ddd; font-family: sans-serif; max-width: 50em; margin: 1em auto; padding: 0 1em; }
+.message { border-bottom: 1px solid #444; padding: 0.5em 0; }
+.message.ai { background: #2a2a2a; }
+.header { display: flex; justify-content: space-between; font-weight: bold; }
+.header small { font-weight: normal; opacity: 0.6; }
+.content p { margin: 0.4em 0; }
+</style>
+</head>
+<body>
+<h1>Chat with ${escapeHtml(characterName)}</h1>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build a downloadable export of an AI chat session
+ * @param {number} sessionID - The session to export
+ * @param {string} format - One of EXPORT_FORMATS: 'jsonl', 'markdown' or 'html'
+ * @param {Function} makeHtml - Markdown renderer for the HTML export (the server's purifier)
+ * @returns {Promise<Object|null>} - { filename, mimeType, data }, or null if the session has no messages
+ * @throws {Error} - If the format is unknown
+ */
+async function exportChat(sessionID, format, makeHtml) {
+    const formatInfo = EXPORT_FORMATS[format];
+    if (!formatInfo) throw new Error(`Unknown chat export format: ${format}`);
+
+    const messages = JSON.parse(await db.exportSession(sessionID));
+    if (messages.length === 0) return null;
+
+    let data;
+    if (format === 'jsonl') data = toSTJsonl(messages);
+    else if (format === 'markdown') data = toMarkdown(messages);
+    else data = toHTML(messages, makeHtml);
+
+    const { characterName } = chatParticipants(messages);
+    const filename = `${characterName} - ${humanizedDateTime(new Date(messages[0].timestamp || Date.now()))}.${formatInfo.extension}`;
+    logger.info(`Exported session ${sessionID} as ${format}`);
+    return { filename, mimeType: formatInfo.mimeType, data };
+}
+
+/**
+ * Resolve who wrote an imported message
+ * Names of known users and characters reuse their ids (and so their colors);
+ * unknown user names are credited to the importing host, unknown characters keep their name as id.
+ */
+async function resolveAuthor(name, isUser, importerId, cache) {
+    const cacheKey = `${isUser ? 'user' : 'AI'}:${name}`;
+    if (!cache.has(cacheKey)) {
+        if (isUser) {
+            cache.set(cacheKey, (await db.getUserByUsername(name))?.user_id || importerId);
+        } else {
+            cache.set(cacheKey, (await db.getCharacterByName(name))?.char_id || name);
+        }
+    }
+    return cache.get(cacheKey);
+}
+
+/**
+ * Import a SillyTavern .jsonl chat as a new past chat of a room
+ * @param {string} content - The file contents
+ * @param {string} roomId - Room the chat should appear in
+ * @param {string} importerId - UUID of the host importing it
+ * @returns {Promise<Object>} - { sessionID, messageCount }
+ * @throws {Error} - If the file isn't an ST chat or has no messages
+ */
+async function importSTChat(content, roomId, importerId) {
+    const lines = String(content || '').split(/\r?\n/).filter(line => line.trim());
+    const parsed = [];
+    for (const line of lines) {
+        try {
+            parsed.push(JSON.parse(line));
+        } catch {
+            throw new Error('That file is not a SillyTavern .jsonl chat.');
+        }
+    }
+
+    // The header line carries chat metadata, not a message
+    const stMessages = parsed.filter(line => line && typeof line.mes === 'string' && line.name);
+    if (stMessages.length === 0) {
+        throw new Error('No messages found in this chat file.');
+    }
+
+    const authorCache = new Map();
+    const importedAt = Date.now();
+    const messages = [];
+    for (const [index, stMessage] of stMessages.entries()) {
+        const isUser = stMessage.is_user === true;
+        const swipes = Array.isArray(stMessage.swipes) ? stMessage.swipes.filter(s => typeof s === 'string') : [];
+        const swipeIndex = Number.isInteger(stMessage.swipe_id) && swipes[stMessage.swipe_id] !== undefined ? stMessage.swipe_id : 0;
+        messages.push({
+            username: stMessage.name,
+            userId: await resolveAuthor(stMessage.name, isUser, importerId, authorCache),
+            entity: isUser ? 'user' : 'AI',
+            content: stMessage.mes,
+            // keep file order even when dates are missing, since chats are read back sorted by timestamp
+            timestamp: parseSendDate(stMessage.send_date) || new Date(importedAt + index).toISOString(),
+            swipes: swipes.length > 1 ? swipes : null,
+            swipeIndex
+        });
+    }
+
+    const sessionID = await db.importSession(messages, roomId);
+    if (!sessionID) throw new Error('The chat could not be saved.');
+    return { sessionID, messageCount: messages.length };
+}
+
+export default {
+    EXPORT_FORMATS,
+    exportChat,
+    importSTChat
+};
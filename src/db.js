@@ -1,9 +1,12 @@
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 import { dbLogger as logger } from './log.js';
-import apiCalls from './api-calls.js';
 import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+import sessionTokens from './session-tokens.js';
 
+// Sessions created before rooms existed (and clients that never pick a room) land here
+const DEFAULT_ROOM_ID = 'default';
 
 // Connect to the SQLite database
 const dbPromise = open({
@@ -28,6 +31,8 @@ const schemaDictionary = {
         persona: "TEXT",
         password_hash: "TEXT", // bcrypt hashed password (null for legacy/anonymous users)
         email: "TEXT", // Optional email for account recovery
+        muted: "BOOLEAN DEFAULT FALSE", // set by hosts and mods; muted users can't post
+        disabled: "BOOLEAN DEFAULT FALSE", // set by the host; disabled accounts can't log in
         created_at: "DATETIME DEFAULT CURRENT_TIMESTAMP",
         last_seen_at: "DATETIME DEFAULT CURRENT_TIMESTAMP"
     },
@@ -51,9 +56,11 @@ const schemaDictionary = {
         session_id: "INTEGER",
         user_id: "TEXT",
         username: "TEXT",
-        message: "TEXT",
+        message: "TEXT", // the selected swipe; this is what prompts and exports read
         entity: "TEXT",
         timestamp: "DATETIME DEFAULT CURRENT_TIMESTAMP",
+        swipes: "TEXT", // JSON array of alternative generations, NULL until the message is first regenerated
+        swipe_index: "INTEGER DEFAULT 0",
         foreignKeys: {
             session_id: "sessions(session_id)",
             user_id: "users(user_id)"
@@ -64,6 +71,7 @@ const schemaDictionary = {
         session_id: "INTEGER",
         user_id: "TEXT",
         message: "TEXT",
+        entity: "TEXT DEFAULT 'user'", // 'dice' for posted dice rolls
         timestamp: "DATETIME DEFAULT CURRENT_TIMESTAMP",
         active: "BOOLEAN DEFAULT TRUE",
         foreignKeys: {
@@ -71,17 +79,29 @@ const schemaDictionary = {
             user_id: "users(user_id)"
         }
     },
+    rooms: {
+        room_id: "TEXT UNIQUE PRIMARY KEY",
+        name: "TEXT",
+        description: "TEXT",
+        settings: "TEXT DEFAULT '{}'", // JSON object of per-room overrides
+        created_by: "TEXT",
+        created_at: "DATETIME DEFAULT CURRENT_TIMESTAMP"
+    },
     sessions: {
         session_id: "INTEGER PRIMARY KEY",
         started_at: "DATETIME DEFAULT CURRENT_TIMESTAMP",
         ended_at: "DATETIME",
-        is_active: "BOOLEAN DEFAULT TRUE"
+        is_active: "BOOLEAN DEFAULT TRUE",
+        room_id: "TEXT DEFAULT 'default'", // each room has its own active session
+        parent_session_id: "INTEGER", // set on branches: the session they were forked from
+        branch_point_message_id: "INTEGER" // last message of the parent that the branch copied
     },
     userSessions: {
         session_id: "INTEGER PRIMARY KEY",
         started_at: "DATETIME DEFAULT CURRENT_TIMESTAMP",
         ended_at: "DATETIME",
-        is_active: "BOOLEAN DEFAULT TRUE"
+        is_active: "BOOLEAN DEFAULT TRUE",
+        room_id: "TEXT DEFAULT 'default'"
     },
     apis: {
         name: "TEXT UNIQUE PRIMARY KEY",
@@ -102,6 +122,8 @@ const schemaDictionary = {
         enabled: "BOOLEAN DEFAULT TRUE",
         scan_depth: "INTEGER DEFAULT 5",
         token_budget: "INTEGER DEFAULT 500",
+        max_recursion: "INTEGER DEFAULT 3", // how many passes over activated entry content may activate more entries
+        source: "TEXT", // where an imported lorebook came from, e.g. 'card:<character name>'; NULL if made or imported by hand
         created_at: "DATETIME DEFAULT CURRENT_TIMESTAMP"
     },
     lorebook_entries: {
@@ -109,6 +131,10 @@ const schemaDictionary = {
         lorebook_id: "TEXT",
         title: "TEXT",
         keys: "TEXT", // JSON array of trigger keywords
+        secondary_keys: "TEXT", // JSON array, checked against the same buffer once a primary key matches
+        selective_logic: "TEXT DEFAULT 'andAny'", // 'andAny', 'andAll', 'notAny', or 'notAll'
+        case_sensitive: "BOOLEAN DEFAULT FALSE",
+        match_whole_words: "BOOLEAN DEFAULT TRUE", // keys written as /pattern/flags ignore this and case_sensitive
         content: "TEXT",
         enabled: "BOOLEAN DEFAULT TRUE",
         strategy: "TEXT DEFAULT 'keyword'", // 'constant', 'keyword', or 'disabled'
@@ -116,10 +142,96 @@ const schemaDictionary = {
         insertion_order: "INTEGER DEFAULT 100",
         depth: "INTEGER",
         trigger_percent: "INTEGER DEFAULT 100",
+        prevent_recursion: "BOOLEAN DEFAULT FALSE", // content of this entry is never scanned for further activations
+        sticky: "INTEGER DEFAULT 0", // stays active for this many messages after it triggers
+        cooldown: "INTEGER DEFAULT 0", // can't trigger for this many messages once it (and any sticky window) ends
+        delay: "INTEGER DEFAULT 0", // can't trigger until the chat has at least this many messages
         created_at: "DATETIME DEFAULT CURRENT_TIMESTAMP",
         foreignKeys: {
             lorebook_id: "lorebooks(lorebook_id)"
         }
+    },
+    // A lorebook with no links applies everywhere; once linked it only applies where a link matches
+    lorebook_links: {
+        link_id: "INTEGER PRIMARY KEY",
+        lorebook_id: "TEXT",
+        target_type: "TEXT", // 'character' (characters.char_id), 'user' (users.user_id) or 'session' (sessions.session_id)
+        target_id: "TEXT",
+        created_at: "DATETIME DEFAULT CURRENT_TIMESTAMP",
+        foreignKeys: {
+            lorebook_id: "lorebooks(lorebook_id)"
+        }
+    },
+    // Running sticky/cooldown windows, counted in messages of the session they started in
+    lorebook_timed_effects: {
+        effect_id: "INTEGER PRIMARY KEY",
+        session_id: "INTEGER",
+        entry_id: "TEXT",
+        effect: "TEXT", // 'sticky' or 'cooldown'
+        start_at: "INTEGER", // chat length when the window opens
+        end_at: "INTEGER", // last chat length the window covers
+        foreignKeys: {
+            entry_id: "lorebook_entries(entry_id)"
+        }
+    },
+    // Chat state set by {{setvar}}/{{incvar}} macros or the host's variables panel
+    session_variables: {
+        variable_id: "INTEGER PRIMARY KEY",
+        session_id: "INTEGER",
+        name: "TEXT",
+        value: "TEXT",
+        updated_at: "DATETIME DEFAULT CURRENT_TIMESTAMP"
+    },
+    // Running summary of the messages that no longer fit in a session's prompt
+    session_summaries: {
+        session_id: "INTEGER UNIQUE PRIMARY KEY",
+        summary: "TEXT",
+        summarized_through: "INTEGER", // message_id of the last message the summary covers
+        updated_at: "DATETIME DEFAULT CURRENT_TIMESTAMP"
+    },
+    // Embeddings of chat messages and lorebook entries, for recalling old messages by meaning
+    memory_vectors: {
+        vector_id: "INTEGER PRIMARY KEY",
+        source_type: "TEXT", // 'message' (aichats.message_id) or 'entry' (lorebook_entries.entry_id)
+        source_id: "TEXT",
+        method: "TEXT", // 'local' or 'api:<embedding model>'; vectors from different methods can't be compared
+        content_hash: "TEXT", // the text is embedded again once this no longer matches
+        vector: "TEXT", // JSON number array, or { term: count } for 'local'
+        created_at: "DATETIME DEFAULT CURRENT_TIMESTAMP"
+    },
+    // Bans and timeouts, checked whenever someone connects or logs in
+    bans: {
+        ban_id: "INTEGER PRIMARY KEY",
+        target_type: "TEXT", // 'uuid' (anonymous user), 'account' (registered user) or 'ip'
+        target: "TEXT", // users.user_id, or the IP address
+        username: "TEXT", // who it was when banned, for the ban list
+        reason: "TEXT",
+        banned_by: "TEXT",
+        banned_by_role: "TEXT", // so only someone ranked at least as high can lift it
+        target_role: "TEXT", // the banned user's role at the time
+        created_at: "DATETIME DEFAULT CURRENT_TIMESTAMP",
+        expires_at: "DATETIME" // null for bans; timeouts end here
+    },
+    // One-time codes the host gives out so someone who forgot their password can set a new one
+    password_resets: {
+        code_hash: "TEXT UNIQUE PRIMARY KEY", // sha256 of the code; the code itself is only shown to the host
+        user_id: "TEXT",
+        created_by: "TEXT",
+        created_at: "DATETIME DEFAULT CURRENT_TIMESTAMP",
+        expires_at: "DATETIME",
+        foreignKeys: {
+            user_id: "users(user_id)"
+        }
+    },
+    // Login sessions behind session tokens; deleting a row revokes its token
+    auth_sessions: {
+        session_id: "TEXT UNIQUE PRIMARY KEY",
+        user_id: "TEXT",
+        created_at: "DATETIME DEFAULT CURRENT_TIMESTAMP",
+        expires_at: "DATETIME",
+        foreignKeys: {
+            user_id: "users(user_id)"
+        }
     }
 };
 
@@ -171,12 +283,12 @@ async function processWriteQueue() {
     }
 }
 
-// Optional: Monitor queue length to detect bottlenecks
+// Optional: Monitor queue length to detect bottlenecks (without keeping the process alive by itself)
 setInterval(() => {
     if (writeQueue.length > 0) {
         logger.warn(`Database write queue length: ${writeQueue.length}`);
     }
-}, 60 * 1000);
+}, 60 * 1000).unref();
 
 
 async function ensureDatabaseSchema(schemaDictionary) {
@@ -214,18 +326,21 @@ async function ensureDatabaseSchema(schemaDictionary) {
         }
     }
     await db.run(`INSERT OR IGNORE INTO apis (name, endpoint, key, type, claude) VALUES ('Default', 'localhost:5000', '', 'TC', FALSE)`);
+    await db.run(`INSERT OR IGNORE INTO rooms (room_id, name, description, settings) VALUES (?, 'Main Lobby', '', '{}')`, [DEFAULT_ROOM_ID]);
+    // User links were first called persona links, though they always pointed at users
+    await db.run(`UPDATE lorebook_links SET target_type = 'user' WHERE target_type = 'persona'`);
 }
 
 
 // Write the session ID of whatever the active session in the sessions table is
-async function writeUserChatMessage(userId, message) {
+async function writeUserChatMessage(userId, message, roomId = DEFAULT_ROOM_ID, entity = 'user') {
     logger.debug('Writing user chat message to database...');
-    return queueDatabaseWrite(async (db) => {
+    return queueDatabaseWrite(async (db, roomId) => {
         let insertQuery = '';
         let params = [];
 
-        // Retrieve the active user session
-        const activeSession = await db.get('SELECT session_id FROM userSessions WHERE is_active = TRUE');
+        // Retrieve the active user session for this room
+        const activeSession = await db.get('SELECT session_id FROM userSessions WHERE is_active = TRUE AND room_id = ?', [roomId]);
         let session_id;
 
         if (activeSession) {
@@ -235,8 +350,8 @@ async function writeUserChatMessage(userId, message) {
             const maxSession = await db.get('SELECT MAX(session_id) AS max_session_id FROM userSessions');
             session_id = maxSession.max_session_id ? maxSession.max_session_id + 1 : 1;
             await db.run(
-                'INSERT INTO userSessions (session_id, is_active, started_at) VALUES (?, ?, ?)',
-                [session_id, 1, new Date().toISOString()]
+                'INSERT INTO userSessions (session_id, is_active, started_at, room_id) VALUES (?, ?, ?, ?)',
+                [session_id, 1, new Date().toISOString(), roomId]
             );
             logger.debug(`Created new user session_id: ${session_id}`);
         }
@@ -246,31 +361,32 @@ async function writeUserChatMessage(userId, message) {
 
         // Insert new message
         insertQuery = `
-            INSERT INTO userchats (user_id, message, timestamp, active, session_id)
-            VALUES (?, ?, ?, ?, ?)
+            INSERT INTO userchats (user_id, message, entity, timestamp, active, session_id)
+            VALUES (?, ?, ?, ?, ?, ?)
         `;
-        params = [userId, message, timestamp, 1, session_id];
+        params = [userId, message, entity, timestamp, 1, session_id];
         const result = await db.run(insertQuery, params);
 
         const message_id = result.lastID;
         logger.debug(`Inserted user chat message ${message_id} with session_id ${session_id}`);
         return { message_id, session_id, user_id: userId, message, timestamp };
-    }, []);
+    }, [roomId]);
 }
 
 
-async function getPastChats(type) {
-    logger.debug(`Getting data for all past ${type} chats...`);
+async function getPastChats(type, roomId = DEFAULT_ROOM_ID) {
+    logger.debug(`Getting data for all past ${type} chats in room ${roomId}...`);
     const db = await dbPromise;
     try {
         const rows = await db.all(`
-            SELECT s.session_id, s.started_at, s.ended_at, s.is_active, a.user_id, a.timestamp,
+            SELECT s.session_id, s.started_at, s.ended_at, s.is_active, s.parent_session_id, s.branch_point_message_id, a.user_id, a.timestamp,
             strftime('%Y-%m-%d %H:%M:%S', a.timestamp, 'localtime') AS local_timestamp
             FROM sessions s
             JOIN aichats a ON s.session_id = a.session_id
             JOIN sessions s2 ON s.session_id = s2.session_id
+            WHERE s.room_id = ?
             ORDER BY s.started_at ASC
-        `);
+        `, [roomId]);
 
         const result = {};
 
@@ -284,6 +400,8 @@ async function getPastChats(type) {
                     started_at: row.started_at,
                     ended_at: row.ended_at,
                     is_active: row.is_active,
+                    parent_session_id: row.parent_session_id,
+                    branch_point_message_id: row.branch_point_message_id,
                     aiName: null,
                     messageCount: 0,
                     latestTimestamp: null
@@ -315,6 +433,86 @@ async function getPastChats(type) {
     }
 }
 
+// Write a chat imported from another frontend into a new, inactive session of the room
+// Each message is {username, userId, entity, content, timestamp, swipes, swipeIndex}
+async function importSession(messages, roomId = DEFAULT_ROOM_ID) {
+    logger.info(`Importing a chat of ${messages.length} messages into room ${roomId}...`);
+    return queueDatabaseWrite(async (db) => {
+        try {
+            const sessionID = (await db.run(
+                'INSERT INTO sessions (room_id, is_active, ended_at) VALUES (?, FALSE, CURRENT_TIMESTAMP)',
+                [roomId]
+            )).lastID;
+            for (const message of messages) {
+                const hasSwipes = Array.isArray(message.swipes) && message.swipes.length > 1;
+                await db.run(
+                    'INSERT INTO aichats (session_id, user_id, username, message, entity, timestamp, swipes, swipe_index) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                    [sessionID, message.userId, message.username, message.content, message.entity, message.timestamp,
+                        hasSwipes ? JSON.stringify(message.swipes) : null, hasSwipes ? message.swipeIndex : 0]
+                );
+            }
+            logger.info(`Imported chat was saved as session ${sessionID}`);
+            return sessionID;
+        } catch (err) {
+            logger.error('Error importing chat:', err);
+            return null;
+        }
+    }, []);
+}
+
+// Fork a session: copy its AI chat up to and including messageID into a new active session of the same room
+async function branchSession(sessionID, messageID, roomId = DEFAULT_ROOM_ID) {
+    logger.info(`Branching session ${sessionID} from message ${messageID}...`);
+    return queueDatabaseWrite(async (db) => {
+        try {
+            const source = await db.get('SELECT session_id FROM sessions WHERE session_id = ? AND room_id = ?', [sessionID, roomId]);
+            const branchPoint = await db.get('SELECT message_id FROM aichats WHERE message_id = ? AND session_id = ?', [messageID, sessionID]);
+            if (!source || !branchPoint) {
+                logger.warn(`Cannot branch: message ${messageID} not found in session ${sessionID} of room ${roomId}`);
+                return null;
+            }
+
+            await db.run('UPDATE sessions SET is_active = FALSE, ended_at = CURRENT_TIMESTAMP WHERE is_active = TRUE AND room_id = ?', [roomId]);
+            const newSessionID = (await db.run(
+                'INSERT INTO sessions (room_id, parent_session_id, branch_point_message_id) VALUES (?, ?, ?)',
+                [roomId, sessionID, messageID]
+            )).lastID;
+            await db.run(`
+                INSERT INTO aichats (session_id, user_id, username, message, entity, timestamp, swipes, swipe_index)
+                SELECT ?, user_id, username, message, entity, timestamp, swipes, swipe_index
+                FROM aichats WHERE session_id = ? AND message_id <= ?
+                ORDER BY message_id ASC
+            `, [newSessionID, sessionID, messageID]);
+            // The branch starts from the story state the original chat has now
+            await db.run(`
+                INSERT INTO session_variables (session_id, name, value)
+                SELECT ?, name, value FROM session_variables WHERE session_id = ?
+            `, [newSessionID, sessionID]);
+            // A summary only carries over if it ends before the branch point; the copies have new ids, so point it at the matching copy
+            const summary = await db.get('SELECT summary, summarized_through FROM session_summaries WHERE session_id = ? AND summarized_through <= ?', [sessionID, messageID]);
+            if (summary) {
+                const { covered } = await db.get('SELECT COUNT(*) AS covered FROM aichats WHERE session_id = ? AND message_id <= ?', [sessionID, summary.summarized_through]);
+                const copy = await db.get('SELECT message_id FROM aichats WHERE session_id = ? ORDER BY message_id ASC LIMIT 1 OFFSET ?', [newSessionID, Math.max(0, covered - 1)]);
+                await db.run(
+                    'INSERT INTO session_summaries (session_id, summary, summarized_through) VALUES (?, ?, ?)',
+                    [newSessionID, summary.summary, copy?.message_id ?? null]
+                );
+            }
+            // Lorebooks linked to the original chat apply to its branches too
+            await db.run(`
+                INSERT INTO lorebook_links (lorebook_id, target_type, target_id)
+                SELECT lorebook_id, target_type, ? FROM lorebook_links WHERE target_type = 'session' AND target_id = ?
+            `, [String(newSessionID), String(sessionID)]);
+
+            logger.info(`Session ${newSessionID} was branched from session ${sessionID} at message ${messageID}`);
+            return newSessionID;
+        } catch (err) {
+            logger.error('Error branching session:', err);
+            return null;
+        }
+    }, []);
+}
+
 async function deletePastChat(sessionID) {
 
     logger.debug('Deleting past chat... ' + sessionID);
@@ -324,11 +522,17 @@ async function deletePastChat(sessionID) {
         try {
             const row = await db.get('SELECT * FROM sessions WHERE session_id = ?', [sessionID]);
             if (row) {
+                await db.run(`DELETE FROM memory_vectors WHERE source_type = 'message' AND source_id IN (SELECT CAST(message_id AS TEXT) FROM aichats WHERE session_id = ?)`, [sessionID]);
                 await db.run('DELETE FROM aichats WHERE session_id = ?', [sessionID]);
+                await db.run('DELETE FROM lorebook_timed_effects WHERE session_id = ?', [sessionID]);
+                await db.run('DELETE FROM session_variables WHERE session_id = ?', [sessionID]);
+                await db.run('DELETE FROM session_summaries WHERE session_id = ?', [sessionID]);
                 if (row.is_active) {
                     wasActive = true;
                 }
                 await db.run('DELETE FROM sessions WHERE session_id = ?', [row.session_id]);
+                // Branches of the deleted chat become standalone chats
+                await db.run('UPDATE sessions SET parent_session_id = NULL, branch_point_message_id = NULL WHERE parent_session_id = ?', [row.session_id]);
                 logger.debug(`Session ${sessionID} was deleted`);
             }
             return ['ok', wasActive];
@@ -394,8 +598,8 @@ async function deleteAPI(APIName) {
     }, [APIName]);
 }
 
-// Only read the user chat messages that are active
-async function readUserChat() {
+// Only read the user chat messages that are active in the given room
+async function readUserChat(roomId = DEFAULT_ROOM_ID) {
     //logger.debug('Reading user chat...');
     const db = await dbPromise;
     let foundSessionID;
@@ -406,16 +610,18 @@ async function readUserChat() {
                 u.username,
                 u.username_color,
                 uc.message,
+                uc.entity,
                 uc.message_id,
                 uc.session_id,
                 ur.role AS userRole,
                 uc.timestamp
             FROM userchats uc 
+            JOIN userSessions us ON uc.session_id = us.session_id
             LEFT JOIN users u ON uc.user_id = u.user_id
             LEFT JOIN user_roles ur ON uc.user_id = ur.user_id
-            WHERE uc.active = TRUE
+            WHERE uc.active = TRUE AND us.room_id = ?
             ORDER BY uc.timestamp ASC 
-        `);
+        `, [roomId]);
 
         if (rows.length === 0) {
             logger.warn('No active user chats found.');
@@ -428,6 +634,7 @@ async function readUserChat() {
             messageID: row.message_id,
             sessionID: row.session_id,
             role: row.userRole || null,
+            entity: row.entity || 'user',
             timestamp: row.timestamp
         })));
 
@@ -445,13 +652,13 @@ async function readUserChat() {
 }
 
 
-//Remove last AI chat in the current session from the database
-async function removeLastAIChatMessage() {
+//Remove last AI chat in the room's current session from the database
+async function removeLastAIChatMessage(roomId = DEFAULT_ROOM_ID) {
     logger.info('Removing last AI chat message...');
     //const db = await dbPromise;
-    return queueDatabaseWrite(async (db) => {
+    return queueDatabaseWrite(async (db, roomId) => {
         try {
-            const session = await db.get('SELECT session_id FROM sessions WHERE is_active = 1 LIMIT 1');
+            const session = await db.get('SELECT session_id FROM sessions WHERE is_active = 1 AND room_id = ? LIMIT 1', [roomId]);
             if (!session) {
                 logger.error('Tried to remove last message from AIChat, but no active session found. Returning null.');
                 return null;
@@ -468,27 +675,35 @@ async function removeLastAIChatMessage() {
             return null;
 
         }
-    }, []);
+    }, [roomId]);
 }
 
-async function setActiveChat(sessionID) {
+// Returns false, changing nothing, if the session isn't one of the room's own chats
+async function setActiveChat(sessionID, roomId = DEFAULT_ROOM_ID) {
     logger.info('Setting session ' + sessionID + ' as active...');
     //const db = await dbPromise;
     return queueDatabaseWrite(async (db) => {
         try {
-            await db.run('UPDATE sessions SET is_active = 0 WHERE is_active = 1');
+            const session = await db.get('SELECT session_id FROM sessions WHERE session_id = ? AND room_id = ?', [sessionID, roomId]);
+            if (!session) {
+                logger.warn(`Session ${sessionID} is not a chat of room ${roomId}; not setting it as active.`);
+                return false;
+            }
+            await db.run('UPDATE sessions SET is_active = 0 WHERE is_active = 1 AND room_id = ?', [roomId]);
             await db.run('UPDATE sessions SET is_active = 1 WHERE session_id = ?', [sessionID]);
             logger.info(`Session ${sessionID} was set as active.`);
+            return true;
         } catch (err) {
             logger.error(`Error setting session ${sessionID} as active:`, err);
+            return false;
         }
-    }, [sessionID]);
+    }, [sessionID, roomId]);
 }
 
-async function getActiveChat() {
+async function getActiveChat(roomId = DEFAULT_ROOM_ID) {
     const db = await dbPromise;
     try {
-        const row = await db.get('SELECT session_id FROM sessions WHERE is_active = 1 LIMIT 1');
+        const row = await db.get('SELECT session_id FROM sessions WHERE is_active = 1 AND room_id = ? LIMIT 1', [roomId]);
         if (!row) {
             logger.error('Tried to get active session, but no active session found. Returning null.');
             return null;
@@ -514,20 +729,19 @@ function collapseNewlines(x) {
 }
 
 // Write an AI chat message to the database
-async function writeAIChatMessage(username, userId, message, entity) {
+async function writeAIChatMessage(username, userId, message, entity, roomId = DEFAULT_ROOM_ID) {
     logger.info('Writing AI chat message...Username: ' + username + ', User ID: ' + userId + ', Entity: ' + entity);
 
     //logger.debug('Writing AI chat message...Username: ' + username + ', User ID: ' + userId + ', Entity: ' + entity);
     //const db = await dbPromise;
-    return queueDatabaseWrite(async (db) => {
+    return queueDatabaseWrite(async (db, roomId) => {
         collapseNewlines(message)
         try {
             let sessionId;
-            const row = await db.get('SELECT session_id FROM sessions WHERE is_active = TRUE');
+            const row = await db.get('SELECT session_id FROM sessions WHERE is_active = TRUE AND room_id = ?', [roomId]);
             if (!row) {
-                logger.warn('No active session found, creating a new session...');
-                await db.run('INSERT INTO sessions DEFAULT VALUES');
-                sessionId = (await db.get('SELECT session_id FROM sessions WHERE is_active = TRUE')).session_id;
+                logger.warn(`No active session found in room ${roomId}, creating a new session...`);
+                sessionId = (await db.run('INSERT INTO sessions (room_id) VALUES (?)', [roomId])).lastID;
                 logger.info(`A new session was created with session_id ${sessionId}`);
             } else {
                 sessionId = row.session_id;
@@ -544,36 +758,35 @@ async function writeAIChatMessage(username, userId, message, entity) {
         } catch (err) {
             logger.error('Error writing AI chat message:', err);
         }
-    }, [username, userId, message, entity]);
+    }, [roomId]);
 }
 
-// Update all messages in the current session to a new session ID and clear the current session
-async function newSession() {
-    logger.info('Creating a new session...');
+// End the room's current session and start a fresh one in its place
+async function newSession(roomId = DEFAULT_ROOM_ID) {
+    logger.info(`Creating a new session in room ${roomId}...`);
     //const db = await dbPromise;
-    return queueDatabaseWrite(async (db) => {
+    return queueDatabaseWrite(async (db, roomId) => {
         try {
-            await db.run('UPDATE sessions SET is_active = FALSE, ended_at = CURRENT_TIMESTAMP WHERE is_active = TRUE');
-            await db.run('INSERT INTO sessions DEFAULT VALUES');
-            const newSessionID = (await db.get('SELECT session_id FROM sessions WHERE is_active = TRUE')).session_id;
+            await db.run('UPDATE sessions SET is_active = FALSE, ended_at = CURRENT_TIMESTAMP WHERE is_active = TRUE AND room_id = ?', [roomId]);
+            const newSessionID = (await db.run('INSERT INTO sessions (room_id) VALUES (?)', [roomId])).lastID;
             logger.info('Creating a new session with session_id ' + newSessionID + '...');
             return newSessionID;
         } catch (error) {
             logger.error('Error creating a new session:', error);
         }
-    }, []);
+    }, [roomId]);
 }
 
-// mark currently active user chat entries as inactive
-async function newUserChatSession() {
-    logger.info('Creating a new user chat session...');
-    return queueDatabaseWrite(async function newUserChatSessionOP(db) {
+// mark the room's currently active user chat entries as inactive
+async function newUserChatSession(roomId = DEFAULT_ROOM_ID) {
+    logger.info(`Creating a new user chat session in room ${roomId}...`);
+    return queueDatabaseWrite(async function newUserChatSessionOP(db, roomId) {
         // Deactivate userchats
-        const userChatResult = await db.run('UPDATE userchats SET active = FALSE WHERE active = TRUE');
+        const userChatResult = await db.run('UPDATE userchats SET active = FALSE WHERE active = TRUE AND session_id IN (SELECT session_id FROM userSessions WHERE room_id = ?)', [roomId]);
         logger.debug(`Deactivated ${userChatResult.changes} user chat rows.`);
 
         // Deactivate userSessions
-        const sessionResult = await db.run('UPDATE userSessions SET is_active = FALSE WHERE is_active = TRUE');
+        const sessionResult = await db.run('UPDATE userSessions SET is_active = FALSE WHERE is_active = TRUE AND room_id = ?', [roomId]);
         logger.debug(`Deactivated ${sessionResult.changes} user session rows.`);
 
         return {
@@ -581,10 +794,20 @@ async function newUserChatSession() {
             userChatChanges: userChatResult.changes,
             userSessionChanges: sessionResult.changes
         };
-    }, []);
+    }, [roomId]);
 }
 
 // Create or update the user in the database
+async function updateLastSeen(uuid) {
+    return queueDatabaseWrite(async (db) => {
+        try {
+            await db.run('UPDATE users SET last_seen_at = CURRENT_TIMESTAMP WHERE user_id = ?', [uuid]);
+        } catch (err) {
+            logger.error('Error updating last seen time:', err);
+        }
+    }, [uuid]);
+}
+
 async function upsertUser(uuid, username, color, persona = '') {
     logger.info('Adding/updating user...' + uuid);
 
@@ -597,7 +820,15 @@ async function upsertUser(uuid, username, color, persona = '') {
             
             logger.debug(`[upsertUser] UUID: ${uuid}, incoming persona: "${persona}", existing: "${existing?.persona}", saving: "${personaToSave}"`);
             
-            await db.run('INSERT OR REPLACE INTO users (user_id, username, username_color, persona, last_seen_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)', [uuid, username, color, personaToSave]);
+            // Update in place so the password, mute and creation date survive
+            await db.run(`
+                INSERT INTO users (user_id, username, username_color, persona, last_seen_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+                ON CONFLICT(user_id) DO UPDATE SET
+                    username = excluded.username,
+                    username_color = excluded.username_color,
+                    persona = excluded.persona,
+                    last_seen_at = CURRENT_TIMESTAMP
+            `, [uuid, username, color, personaToSave]);
             logger.debug('A user was upserted');
         } catch (err) {
             logger.error('Error writing user:', err);
@@ -620,6 +851,17 @@ async function upsertUserRole(uuid, role) {
     }, [uuid, role]);
 }
 
+async function setUserMuted(uuid, muted) {
+    logger.info(`${muted ? 'Muting' : 'Unmuting'} user ${uuid}`);
+    return queueDatabaseWrite(async (db) => {
+        try {
+            await db.run('UPDATE users SET muted = ? WHERE user_id = ?', [muted ? 1 : 0, uuid]);
+        } catch (err) {
+            logger.error('Error setting user mute:', err);
+        }
+    }, [uuid, muted]);
+}
+
 // Create or update the character in the database
 async function upsertChar(char_id, displayname, color) {
     logger.debug(`Adding/updating ${displayname} (${char_id})`);
@@ -648,6 +890,21 @@ async function upsertChar(char_id, displayname, color) {
     }, [char_id, displayname, color]); // Explicitly pass empty params array
 }
 
+// Find a character by the name it is shown with in chat
+async function getCharacterByName(displayname) {
+    const db = await dbPromise;
+    try {
+        const row = await db.get(
+            'SELECT char_id, displayname, display_color FROM characters WHERE LOWER(displayname) = LOWER(?) ORDER BY last_seen_at DESC LIMIT 1',
+            [displayname]
+        );
+        return row || null;
+    } catch (err) {
+        logger.error('Error getting character by name:', err);
+        return null;
+    }
+}
+
 // Retrieve the character with the most recent last_seen_at value
 async function getLatestCharacter() {
     logger.debug('Retrieving the character with the most recent last_seen_at value');
@@ -666,7 +923,7 @@ async function getUser(uuid) {
     logger.debug('Getting user...' + uuid);
     const db = await dbPromise;
     try {
-        return await db.get('SELECT u.user_id, u.username, u.username_color, u.persona, u.created_at, u.last_seen_at, ur.role FROM users u LEFT JOIN user_roles ur ON u.user_id = ur.user_id WHERE u.user_id = ?', [uuid]);
+        return await db.get('SELECT u.user_id, u.username, u.username_color, u.persona, u.muted, u.disabled, u.password_hash IS NOT NULL AS registered, u.created_at, u.last_seen_at, ur.role FROM users u LEFT JOIN user_roles ur ON u.user_id = ur.user_id WHERE u.user_id = ?', [uuid]);
     } catch (err) {
         logger.error('Error getting user:', err);
         throw err;
@@ -674,12 +931,13 @@ async function getUser(uuid) {
 }
 
 // Read AI chat data from the SQLite database
-async function readAIChat(sessionID = null) {
+// When no sessionID is given, the room's active session is used
+async function readAIChat(sessionID = null, roomId = DEFAULT_ROOM_ID) {
     const db = await dbPromise;
     let wasAutoDiscovered = false;
 
     if (!sessionID) {
-        const activeSession = await db.get('SELECT session_id FROM sessions WHERE is_active = 1 LIMIT 1');
+        const activeSession = await db.get('SELECT session_id FROM sessions WHERE is_active = 1 AND room_id = ? LIMIT 1', [roomId]);
         if (!activeSession) return [JSON.stringify([]), null];
         sessionID = activeSession.session_id;
         wasAutoDiscovered = true;
@@ -700,7 +958,9 @@ async function readAIChat(sessionID = null) {
             a.entity,
             ur.role AS userRole,
             u.persona AS userPersona,
-            a.timestamp
+            a.timestamp,
+            a.swipe_index,
+            COALESCE(json_array_length(a.swipes), 1) AS swipe_count
         FROM aichats a
         LEFT JOIN users u ON a.user_id = u.user_id
         LEFT JOIN user_roles ur ON a.user_id = ur.user_id
@@ -717,7 +977,9 @@ async function readAIChat(sessionID = null) {
         entity: row.entity,
         role: row.userRole ?? null,
         persona: row.userPersona || '',
-        timestamp: row.timestamp
+        timestamp: row.timestamp,
+        swipeIndex: row.swipe_index ?? 0,
+        swipeCount: row.swipe_count
     })
     ));
 
@@ -799,6 +1061,8 @@ async function editMessage(sessionID, mesID, newMessage) {
     logger.info('Editing AIChat message... ' + mesID);
     return queueDatabaseWrite(async (db, sessionID, mesID, newMessage) => {
         await db.run('UPDATE aichats SET message = ? WHERE message_id = ?', [newMessage, mesID]);
+        // Keep the selected swipe in step with the edit
+        await db.run('UPDATE aichats SET swipes = json_set(swipes, \'$[\' || swipe_index || \']\', ?) WHERE message_id = ? AND swipes IS NOT NULL', [newMessage, mesID]);
         logger.info(`Message ${mesID} was edited.`);
         //let sessionID = await getActiveChat()
         let proof = await getMessage(mesID, sessionID);
@@ -807,6 +1071,21 @@ async function editMessage(sessionID, mesID, newMessage) {
     }, [sessionID, mesID, newMessage]);
 }
 
+async function editUserChatMessage(mesID, newMessage) {
+    logger.info('Editing user chat message... ' + mesID);
+    return queueDatabaseWrite(async (db) => {
+        try {
+            const result = await db.run('UPDATE userchats SET message = ? WHERE message_id = ?', [newMessage, mesID]);
+            if (result.changes === 0) return 'error';
+            logger.info(`User chat message ${mesID} was edited.`);
+            return 'ok';
+        } catch (err) {
+            logger.error('Error editing user chat message:', err);
+            return 'error';
+        }
+    }, [mesID, newMessage]);
+}
+
 
 //takes an object with keys in this order: name, endpoint, key, type, claude, modelList (array), selectedModel
 async function upsertAPI(apiData) {
@@ -921,7 +1200,7 @@ async function getAPI(name) {
     }
 }
 
-//currently unused...exports a JSON object of all messages in a session
+// Exports a JSON array of all messages in a session, used by the chat exporters in chat-io.js
 async function exportSession(sessionID) {
     logger.debug('Exporting session...' + sessionID);
     const db = await dbPromise;
@@ -937,11 +1216,15 @@ async function exportSession(sessionID) {
                         u.username_color
                 END AS userColor,
                 a.message_id,
-                a.entity
+                a.entity,
+                a.user_id,
+                a.timestamp,
+                a.swipes,
+                a.swipe_index
             FROM aichats a
             LEFT JOIN users u ON a.user_id = u.user_id
             WHERE a.session_id = ?
-            ORDER BY a.timestamp ASC
+            ORDER BY a.timestamp ASC, a.message_id ASC
         `, [sessionID]);
 
         const result = JSON.stringify(rows.map(row => ({
@@ -949,7 +1232,11 @@ async function exportSession(sessionID) {
             content: row.message,
             userColor: row.userColor,
             messageID: row.message_id,
-            entity: row.entity
+            entity: row.entity,
+            userId: row.user_id,
+            timestamp: row.timestamp,
+            swipes: row.swipes ? JSON.parse(row.swipes) : [row.message],
+            swipeIndex: row.swipe_index ?? 0
         })));
 
         return result;
@@ -965,16 +1252,93 @@ async function getAIChatMessageRow(messageID, sessionID) {
     try {
         const row = await db.get('SELECT * FROM aichats WHERE message_id = ? AND session_id = ?', [messageID, sessionID]);
         if (!row) {
-            dbLogger.warn(`getAIChatMessageRow: No row for message_id ${messageID}, session ${sessionID}`);
+            logger.warn(`getAIChatMessageRow: No row for message_id ${messageID}, session ${sessionID}`);
         }
         return row || null;
     } catch (err) {
-        dbLogger.error('getAIChatMessageRow error:', err);
+        logger.error('getAIChatMessageRow error:', err);
         return null;
     }
 }
     // return full AI chat message row (including username, entity, etc)}
 
+// The newest AI reply in the room's active session, e.g. for /retry
+async function getLastAIChatMessageRow(roomId = DEFAULT_ROOM_ID) {
+    const db = await dbPromise;
+    try {
+        const row = await db.get(`SELECT a.* FROM aichats a
+            JOIN sessions s ON a.session_id = s.session_id
+            WHERE s.is_active = 1 AND s.room_id = ? AND a.entity = 'AI'
+            ORDER BY a.message_id DESC LIMIT 1`, [roomId]);
+        return row || null;
+    } catch (err) {
+        logger.error('getLastAIChatMessageRow error:', err);
+        return null;
+    }
+}
+
+// A message from the room's current AI or user chat, with its author and timestamp, e.g. to check a guest's edit
+async function getActiveChatMessageRow(chatType, messageID, roomId = DEFAULT_ROOM_ID) {
+    const db = await dbPromise;
+    const query = chatType === 'userChat'
+        ? `SELECT uc.message_id, uc.session_id, uc.user_id, u.username, ur.role AS user_role, uc.message, uc.entity, uc.timestamp FROM userchats uc
+            JOIN userSessions us ON uc.session_id = us.session_id
+            LEFT JOIN users u ON uc.user_id = u.user_id
+            LEFT JOIN user_roles ur ON uc.user_id = ur.user_id
+            WHERE uc.message_id = ? AND uc.active = TRUE AND us.room_id = ?`
+        : `SELECT a.message_id, a.session_id, a.user_id, a.username, ur.role AS user_role, a.message, a.entity, a.timestamp FROM aichats a
+            JOIN sessions s ON a.session_id = s.session_id
+            LEFT JOIN user_roles ur ON a.user_id = ur.user_id
+            WHERE a.message_id = ? AND s.is_active = 1 AND s.room_id = ?`;
+    try {
+        return await db.get(query, [messageID, roomId]) || null;
+    } catch (err) {
+        logger.error('getActiveChatMessageRow error:', err);
+        return null;
+    }
+}
+
+// Add a regenerated reply to an AI message as a new swipe and select it
+async function addAIChatSwipe(sessionID, messageID, content) {
+    logger.info(`Adding swipe to AIChat message ${messageID}...`);
+    return queueDatabaseWrite(async (db) => {
+        try {
+            const row = await db.get('SELECT message, swipes FROM aichats WHERE message_id = ? AND session_id = ?', [messageID, sessionID]);
+            if (!row) {
+                logger.warn(`Cannot add swipe: message ${messageID} not found in session ${sessionID}`);
+                return null;
+            }
+            // The first regeneration turns the original reply into swipe 0
+            const swipes = row.swipes ? JSON.parse(row.swipes) : [row.message];
+            swipes.push(content);
+            const swipeIndex = swipes.length - 1;
+            await db.run('UPDATE aichats SET message = ?, swipes = ?, swipe_index = ? WHERE message_id = ?', [content, JSON.stringify(swipes), swipeIndex, messageID]);
+            return { swipeIndex, swipeCount: swipes.length };
+        } catch (err) {
+            logger.error('Error adding swipe:', err);
+            return null;
+        }
+    }, []);
+}
+
+// Select which swipe of an AI message is shown and used in prompts
+async function selectAIChatSwipe(sessionID, messageID, swipeIndex) {
+    logger.info(`Selecting swipe ${swipeIndex} of AIChat message ${messageID}...`);
+    return queueDatabaseWrite(async (db) => {
+        try {
+            const row = await db.get('SELECT swipes FROM aichats WHERE message_id = ? AND session_id = ?', [messageID, sessionID]);
+            if (!row?.swipes) return null;
+            const swipes = JSON.parse(row.swipes);
+            if (!Number.isInteger(swipeIndex) || swipeIndex < 0 || swipeIndex >= swipes.length) return null;
+            await db.run('UPDATE aichats SET message = ?, swipe_index = ? WHERE message_id = ?', [swipes[swipeIndex], swipeIndex, messageID]);
+            return { content: swipes[swipeIndex], swipeIndex, swipeCount: swipes.length };
+        } catch (err) {
+            logger.error('Error selecting swipe:', err);
+            return null;
+        }
+    }, []);
+}
+
 // ===============================
 // LOREBOOK / WORLD INFO FUNCTIONS
 // ===============================
@@ -989,29 +1353,43 @@ function generateUUID() {
 }
 
 // Create a new lorebook
-async function createLorebook(name, description = '') {
+async function createLorebook(name, description = '', source = null) {
     logger.info('Creating lorebook: ' + name);
     return queueDatabaseWrite(async (db) => {
         const lorebook_id = generateUUID();
         const created_at = new Date().toISOString();
         await db.run(
-            'INSERT INTO lorebooks (lorebook_id, name, description, enabled, scan_depth, token_budget, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
-            [lorebook_id, name, description, 1, 5, 500, created_at]
+            'INSERT INTO lorebooks (lorebook_id, name, description, enabled, scan_depth, token_budget, max_recursion, source, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [lorebook_id, name, description, 1, 5, 500, 3, source, created_at]
         );
         logger.info('Lorebook created with ID: ' + lorebook_id);
-        return { lorebook_id, name, description, enabled: true, scan_depth: 5, token_budget: 500, created_at };
+        return { lorebook_id, name, description, enabled: true, scan_depth: 5, token_budget: 500, max_recursion: 3, source, created_at };
     }, []);
 }
 
+// The lorebook an earlier import from the same source made under this name, if there is one
+async function findImportedLorebook(source, name) {
+    const db = await dbPromise;
+    try {
+        const row = await db.get('SELECT lorebook_id FROM lorebooks WHERE source = ? AND name = ? LIMIT 1', [source, name]);
+        return row ? await getLorebook(row.lorebook_id) : null;
+    } catch (err) {
+        logger.error('Error finding imported lorebook:', err);
+        return null;
+    }
+}
+
 // Get all lorebooks
 async function getLorebooks() {
     logger.debug('Getting all lorebooks...');
     const db = await dbPromise;
     try {
         const rows = await db.all('SELECT * FROM lorebooks ORDER BY name ASC');
+        const links = await getLorebookLinks();
         return rows.map(row => ({
             ...row,
-            enabled: !!row.enabled
+            enabled: !!row.enabled,
+            links: links.filter(link => link.lorebook_id === row.lorebook_id)
         }));
     } catch (err) {
         logger.error('Error getting lorebooks:', err);
@@ -1027,6 +1405,7 @@ async function getLorebook(lorebookId) {
         const row = await db.get('SELECT * FROM lorebooks WHERE lorebook_id = ?', [lorebookId]);
         if (row) {
             row.enabled = !!row.enabled;
+            row.links = await getLorebookLinks(lorebookId);
         }
         return row || null;
     } catch (err) {
@@ -1047,6 +1426,7 @@ async function updateLorebook(lorebookId, updates) {
         if (updates.enabled !== undefined) { fields.push('enabled = ?'); values.push(updates.enabled ? 1 : 0); }
         if (updates.scan_depth !== undefined) { fields.push('scan_depth = ?'); values.push(updates.scan_depth); }
         if (updates.token_budget !== undefined) { fields.push('token_budget = ?'); values.push(updates.token_budget); }
+        if (updates.max_recursion !== undefined) { fields.push('max_recursion = ?'); values.push(updates.max_recursion); }
         
         if (fields.length === 0) return null;
         
@@ -1061,8 +1441,11 @@ async function updateLorebook(lorebookId, updates) {
 async function deleteLorebook(lorebookId) {
     logger.info('Deleting lorebook: ' + lorebookId);
     return queueDatabaseWrite(async (db) => {
-        // Delete all entries first
+        // Delete all entries, their timers and links first
+        await db.run('DELETE FROM lorebook_timed_effects WHERE entry_id IN (SELECT entry_id FROM lorebook_entries WHERE lorebook_id = ?)', [lorebookId]);
+        await db.run(`DELETE FROM memory_vectors WHERE source_type = 'entry' AND source_id IN (SELECT entry_id FROM lorebook_entries WHERE lorebook_id = ?)`, [lorebookId]);
         await db.run('DELETE FROM lorebook_entries WHERE lorebook_id = ?', [lorebookId]);
+        await db.run('DELETE FROM lorebook_links WHERE lorebook_id = ?', [lorebookId]);
         // Then delete the lorebook
         await db.run('DELETE FROM lorebooks WHERE lorebook_id = ?', [lorebookId]);
         logger.info('Lorebook and entries deleted: ' + lorebookId);
@@ -1070,6 +1453,84 @@ async function deleteLorebook(lorebookId) {
     }, []);
 }
 
+// Get links for one lorebook, or for all of them, with a readable label for each target
+async function getLorebookLinks(lorebookId = null) {
+    const db = await dbPromise;
+    try {
+        const rows = await db.all(`
+            SELECT k.link_id, k.lorebook_id, k.target_type,
+                -- user ids are identities, so user links only carry their label
+                CASE WHEN k.target_type = 'user' THEN NULL ELSE k.target_id END AS target_id,
+                CASE k.target_type
+                    WHEN 'character' THEN (SELECT c.displayname FROM characters c WHERE c.char_id = k.target_id)
+                    WHEN 'user' THEN (SELECT u.username FROM users u WHERE u.user_id = k.target_id)
+                    ELSE NULL
+                END AS label
+            FROM lorebook_links k
+            ${lorebookId ? 'WHERE k.lorebook_id = ?' : ''}
+            ORDER BY k.target_type ASC, k.link_id ASC
+        `, lorebookId ? [lorebookId] : []);
+        return rows.map(row => ({ ...row, label: row.label || row.target_id || 'Unknown' }));
+    } catch (err) {
+        logger.error('Error getting lorebook links:', err);
+        return [];
+    }
+}
+
+// Attach a lorebook to a character, user or session; linking twice is a no-op
+async function linkLorebook(lorebookId, targetType, targetId) {
+    logger.info(`Linking lorebook ${lorebookId} to ${targetType} ${targetId}`);
+    return queueDatabaseWrite(async (db) => {
+        try {
+            const existing = await db.get(
+                'SELECT link_id FROM lorebook_links WHERE lorebook_id = ? AND target_type = ? AND target_id = ?',
+                [lorebookId, targetType, String(targetId)]
+            );
+            if (!existing) {
+                await db.run(
+                    'INSERT INTO lorebook_links (lorebook_id, target_type, target_id, created_at) VALUES (?, ?, ?, ?)',
+                    [lorebookId, targetType, String(targetId), new Date().toISOString()]
+                );
+            }
+            return true;
+        } catch (err) {
+            logger.error('Error linking lorebook:', err);
+            return false;
+        }
+    }, []);
+}
+
+// Remove a single link from a lorebook
+async function unlinkLorebook(lorebookId, linkId) {
+    logger.info(`Unlinking ${linkId} from lorebook ${lorebookId}`);
+    return queueDatabaseWrite(async (db) => {
+        try {
+            await db.run('DELETE FROM lorebook_links WHERE lorebook_id = ? AND link_id = ?', [lorebookId, linkId]);
+            return true;
+        } catch (err) {
+            logger.error('Error unlinking lorebook:', err);
+            return false;
+        }
+    }, []);
+}
+
+// Parse the JSON and boolean columns of a lorebook_entries row
+function parseLorebookEntryRow(row) {
+    if (!row) return row;
+    return {
+        ...row,
+        keys: JSON.parse(row.keys || '[]'),
+        secondary_keys: JSON.parse(row.secondary_keys || '[]'),
+        enabled: !!row.enabled,
+        case_sensitive: !!row.case_sensitive,
+        match_whole_words: !!row.match_whole_words,
+        prevent_recursion: !!row.prevent_recursion,
+        sticky: row.sticky || 0,
+        cooldown: row.cooldown || 0,
+        delay: row.delay || 0
+    };
+}
+
 // Create a new lorebook entry
 async function createLorebookEntry(lorebookId, entryData) {
     logger.info('Creating entry in lorebook: ' + lorebookId);
@@ -1077,23 +1538,32 @@ async function createLorebookEntry(lorebookId, entryData) {
         const entry_id = generateUUID();
         const created_at = new Date().toISOString();
         const keys = JSON.stringify(entryData.keys || []);
+        const secondary_keys = JSON.stringify(entryData.secondary_keys || []);
         
         await db.run(
             `INSERT INTO lorebook_entries 
-            (entry_id, lorebook_id, title, keys, content, enabled, strategy, position, insertion_order, depth, trigger_percent, created_at) 
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            (entry_id, lorebook_id, title, keys, secondary_keys, selective_logic, case_sensitive, match_whole_words, content, enabled, strategy, position, insertion_order, depth, trigger_percent, prevent_recursion, sticky, cooldown, delay, created_at) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [
                 entry_id,
                 lorebookId,
                 entryData.title || '',
                 keys,
+                secondary_keys,
+                entryData.selective_logic || 'andAny',
+                entryData.case_sensitive ? 1 : 0,
+                entryData.match_whole_words !== false ? 1 : 0,
                 entryData.content || '',
                 entryData.enabled !== false ? 1 : 0,
                 entryData.strategy || 'keyword',
                 entryData.position || 'afterCharDefs',
-                entryData.insertion_order || 100,
-                entryData.depth || null,
-                entryData.trigger_percent || 100,
+                entryData.insertion_order ?? 100,
+                entryData.depth ?? null,
+                entryData.trigger_percent ?? 100,
+                entryData.prevent_recursion ? 1 : 0,
+                entryData.sticky || 0,
+                entryData.cooldown || 0,
+                entryData.delay || 0,
                 created_at
             ]
         );
@@ -1103,13 +1573,21 @@ async function createLorebookEntry(lorebookId, entryData) {
             lorebook_id: lorebookId,
             title: entryData.title || '',
             keys: entryData.keys || [],
+            secondary_keys: entryData.secondary_keys || [],
+            selective_logic: entryData.selective_logic || 'andAny',
+            case_sensitive: !!entryData.case_sensitive,
+            match_whole_words: entryData.match_whole_words !== false,
             content: entryData.content || '',
             enabled: entryData.enabled !== false,
             strategy: entryData.strategy || 'keyword',
             position: entryData.position || 'afterCharDefs',
-            insertion_order: entryData.insertion_order || 100,
-            depth: entryData.depth || null,
-            trigger_percent: entryData.trigger_percent || 100,
+            insertion_order: entryData.insertion_order ?? 100,
+            depth: entryData.depth ?? null,
+            trigger_percent: entryData.trigger_percent ?? 100,
+            prevent_recursion: !!entryData.prevent_recursion,
+            sticky: entryData.sticky || 0,
+            cooldown: entryData.cooldown || 0,
+            delay: entryData.delay || 0,
             created_at
         };
     }, []);
@@ -1124,11 +1602,7 @@ async function getLorebookEntries(lorebookId) {
             'SELECT * FROM lorebook_entries WHERE lorebook_id = ? ORDER BY insertion_order ASC, title ASC',
             [lorebookId]
         );
-        return rows.map(row => ({
-            ...row,
-            keys: JSON.parse(row.keys || '[]'),
-            enabled: !!row.enabled
-        }));
+        return rows.map(parseLorebookEntryRow);
     } catch (err) {
         logger.error('Error getting lorebook entries:', err);
         return [];
@@ -1136,22 +1610,38 @@ async function getLorebookEntries(lorebookId) {
 }
 
 // Get all entries from all enabled lorebooks (for activation scanning)
-async function getAllEnabledEntries() {
+// With a context, linked lorebooks are only included when one of their links matches it:
+// the responding character, the requesting user or anyone who has posted in the session, or the session itself
+async function getAllEnabledEntries(context = null) {
     logger.debug('Getting all enabled entries from enabled lorebooks...');
     const db = await dbPromise;
     try {
+        let linkFilter = '';
+        let params = [];
+        if (context) {
+            linkFilter = `
+            AND (
+                NOT EXISTS (SELECT 1 FROM lorebook_links k WHERE k.lorebook_id = l.lorebook_id)
+                OR EXISTS (
+                    SELECT 1 FROM lorebook_links k
+                    WHERE k.lorebook_id = l.lorebook_id AND (
+                        (k.target_type = 'character' AND k.target_id = ?)
+                        OR (k.target_type = 'user' AND (k.target_id = ? OR k.target_id IN (SELECT user_id FROM aichats WHERE session_id = ?)))
+                        OR (k.target_type = 'session' AND k.target_id = ?)
+                    )
+                )
+            )`;
+            const sessionId = context.sessionId ?? null;
+            params = [context.characterId ?? null, context.userId ?? null, sessionId, sessionId === null ? null : String(sessionId)];
+        }
         const rows = await db.all(`
-            SELECT e.*, l.scan_depth AS lorebook_scan_depth, l.token_budget AS lorebook_token_budget
+            SELECT e.*, l.name AS lorebook_name, l.scan_depth AS lorebook_scan_depth, l.token_budget AS lorebook_token_budget, l.max_recursion AS lorebook_max_recursion
             FROM lorebook_entries e
             JOIN lorebooks l ON e.lorebook_id = l.lorebook_id
-            WHERE l.enabled = 1 AND e.enabled = 1
+            WHERE l.enabled = 1 AND e.enabled = 1${linkFilter}
             ORDER BY e.insertion_order ASC
-        `);
-        return rows.map(row => ({
-            ...row,
-            keys: JSON.parse(row.keys || '[]'),
-            enabled: !!row.enabled
-        }));
+        `, params);
+        return rows.map(parseLorebookEntryRow);
     } catch (err) {
         logger.error('Error getting all enabled entries:', err);
         return [];
@@ -1167,6 +1657,10 @@ async function updateLorebookEntry(entryId, updates) {
         
         if (updates.title !== undefined) { fields.push('title = ?'); values.push(updates.title); }
         if (updates.keys !== undefined) { fields.push('keys = ?'); values.push(JSON.stringify(updates.keys)); }
+        if (updates.secondary_keys !== undefined) { fields.push('secondary_keys = ?'); values.push(JSON.stringify(updates.secondary_keys)); }
+        if (updates.selective_logic !== undefined) { fields.push('selective_logic = ?'); values.push(updates.selective_logic); }
+        if (updates.case_sensitive !== undefined) { fields.push('case_sensitive = ?'); values.push(updates.case_sensitive ? 1 : 0); }
+        if (updates.match_whole_words !== undefined) { fields.push('match_whole_words = ?'); values.push(updates.match_whole_words ? 1 : 0); }
         if (updates.content !== undefined) { fields.push('content = ?'); values.push(updates.content); }
         if (updates.enabled !== undefined) { fields.push('enabled = ?'); values.push(updates.enabled ? 1 : 0); }
         if (updates.strategy !== undefined) { fields.push('strategy = ?'); values.push(updates.strategy); }
@@ -1174,6 +1668,10 @@ async function updateLorebookEntry(entryId, updates) {
         if (updates.insertion_order !== undefined) { fields.push('insertion_order = ?'); values.push(updates.insertion_order); }
         if (updates.depth !== undefined) { fields.push('depth = ?'); values.push(updates.depth); }
         if (updates.trigger_percent !== undefined) { fields.push('trigger_percent = ?'); values.push(updates.trigger_percent); }
+        if (updates.prevent_recursion !== undefined) { fields.push('prevent_recursion = ?'); values.push(updates.prevent_recursion ? 1 : 0); }
+        if (updates.sticky !== undefined) { fields.push('sticky = ?'); values.push(updates.sticky); }
+        if (updates.cooldown !== undefined) { fields.push('cooldown = ?'); values.push(updates.cooldown); }
+        if (updates.delay !== undefined) { fields.push('delay = ?'); values.push(updates.delay); }
         
         if (fields.length === 0) return null;
         
@@ -1183,11 +1681,7 @@ async function updateLorebookEntry(entryId, updates) {
         
         // Return updated entry
         const row = await db.get('SELECT * FROM lorebook_entries WHERE entry_id = ?', [entryId]);
-        if (row) {
-            row.keys = JSON.parse(row.keys || '[]');
-            row.enabled = !!row.enabled;
-        }
-        return row;
+        return parseLorebookEntryRow(row);
     }, []);
 }
 
@@ -1195,12 +1689,163 @@ async function updateLorebookEntry(entryId, updates) {
 async function deleteLorebookEntry(entryId) {
     logger.info('Deleting entry: ' + entryId);
     return queueDatabaseWrite(async (db) => {
+        await db.run('DELETE FROM lorebook_timed_effects WHERE entry_id = ?', [entryId]);
+        await db.run(`DELETE FROM memory_vectors WHERE source_type = 'entry' AND source_id = ?`, [entryId]);
         await db.run('DELETE FROM lorebook_entries WHERE entry_id = ?', [entryId]);
         logger.info('Entry deleted: ' + entryId);
         return 'ok';
     }, []);
 }
 
+// Get the sticky/cooldown windows of a session that cover the given chat length
+async function getTimedEffects(sessionId, chatLength) {
+    const db = await dbPromise;
+    try {
+        return await db.all(
+            'SELECT entry_id, effect, start_at, end_at FROM lorebook_timed_effects WHERE session_id = ? AND start_at <= ? AND end_at >= ?',
+            [sessionId, chatLength, chatLength]
+        );
+    } catch (err) {
+        logger.error('Error getting timed effects:', err);
+        return [];
+    }
+}
+
+// Record new sticky/cooldown windows for a session, dropping the ones that have run out
+async function addTimedEffects(sessionId, effects) {
+    return queueDatabaseWrite(async (db) => {
+        const chatLength = Math.min(...effects.map(effect => effect.start_at));
+        await db.run('DELETE FROM lorebook_timed_effects WHERE session_id = ? AND end_at < ?', [sessionId, chatLength]);
+        for (const effect of effects) {
+            // A retrigger replaces whatever window of the same kind the entry still had
+            await db.run('DELETE FROM lorebook_timed_effects WHERE session_id = ? AND entry_id = ? AND effect = ?', [sessionId, effect.entry_id, effect.effect]);
+            await db.run(
+                'INSERT INTO lorebook_timed_effects (session_id, entry_id, effect, start_at, end_at) VALUES (?, ?, ?, ?, ?)',
+                [sessionId, effect.entry_id, effect.effect, effect.start_at, effect.end_at]
+            );
+        }
+        logger.debug(`Recorded ${effects.length} timed effect(s) for session ${sessionId}`);
+        return 'ok';
+    }, []);
+}
+
+// Get a session's chat variables as a { name: value } object
+async function getSessionVariables(sessionId) {
+    const db = await dbPromise;
+    try {
+        const rows = await db.all('SELECT name, value FROM session_variables WHERE session_id = ? ORDER BY name', [sessionId]);
+        return Object.fromEntries(rows.map(row => [row.name, row.value]));
+    } catch (err) {
+        logger.error('Error getting session variables:', err);
+        return {};
+    }
+}
+
+// Write several chat variables of a session at once; a null value deletes the variable
+async function setSessionVariables(sessionId, variables) {
+    return queueDatabaseWrite(async (db) => {
+        try {
+            for (const [name, value] of Object.entries(variables)) {
+                await db.run('DELETE FROM session_variables WHERE session_id = ? AND name = ?', [sessionId, name]);
+                if (value === null || value === undefined) continue;
+                await db.run(
+                    'INSERT INTO session_variables (session_id, name, value, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)',
+                    [sessionId, name, String(value)]
+                );
+            }
+            logger.debug(`Saved ${Object.keys(variables).length} variable(s) for session ${sessionId}`);
+            return 'ok';
+        } catch (err) {
+            logger.error('Error saving session variables:', err);
+            return null;
+        }
+    }, []);
+}
+
+// Get a session's summary as { summary, summarizedThrough, updatedAt }, or null if it has none
+async function getSessionSummary(sessionId) {
+    const db = await dbPromise;
+    try {
+        const row = await db.get('SELECT summary, summarized_through, updated_at FROM session_summaries WHERE session_id = ?', [sessionId]);
+        if (!row) return null;
+        return { summary: row.summary || '', summarizedThrough: row.summarized_through, updatedAt: row.updated_at };
+    } catch (err) {
+        logger.error('Error getting session summary:', err);
+        return null;
+    }
+}
+
+// Save a session's summary; summarizedThrough is left as it was when not given (e.g. after a hand edit)
+async function setSessionSummary(sessionId, summary, summarizedThrough = undefined) {
+    return queueDatabaseWrite(async (db) => {
+        try {
+            await db.run(`
+                INSERT INTO session_summaries (session_id, summary, summarized_through, updated_at)
+                VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+                ON CONFLICT(session_id) DO UPDATE SET
+                    summary = excluded.summary,
+                    summarized_through = COALESCE(?, session_summaries.summarized_through),
+                    updated_at = CURRENT_TIMESTAMP
+            `, [sessionId, summary, summarizedThrough ?? null, summarizedThrough ?? null]);
+            logger.debug(`Saved summary for session ${sessionId}`);
+            return 'ok';
+        } catch (err) {
+            logger.error('Error saving session summary:', err);
+            return null;
+        }
+    }, []);
+}
+
+/**
+ * Stored memory vectors made with one method
+ * @param {string} method - 'local' or 'api:<model>'
+ * @param {number|null} sessionId - Only messages of this session (lorebook entry vectors are always included)
+ * @returns {Promise<Map>} - 'type:id' -> { contentHash, vector }
+ */
+async function getMemoryVectors(method, sessionId = null) {
+    const db = await dbPromise;
+    const vectors = new Map();
+    try {
+        const rows = await db.all(`
+            SELECT source_type, source_id, content_hash, vector FROM memory_vectors
+            WHERE method = ? AND (
+                source_type = 'entry'
+                OR (source_type = 'message' AND source_id IN (SELECT CAST(message_id AS TEXT) FROM aichats WHERE session_id = ?))
+            )
+        `, [method, sessionId]);
+        for (const row of rows) {
+            vectors.set(`${row.source_type}:${row.source_id}`, { contentHash: row.content_hash, vector: JSON.parse(row.vector) });
+        }
+    } catch (err) {
+        logger.error('Error getting memory vectors:', err);
+    }
+    return vectors;
+}
+
+/**
+ * Save memory vectors, replacing older ones for the same source and method
+ * @param {string} method - 'local' or 'api:<model>'
+ * @param {Object[]} items - [{ sourceType, sourceId, contentHash, vector }]
+ */
+async function setMemoryVectors(method, items) {
+    return queueDatabaseWrite(async (db) => {
+        try {
+            for (const item of items) {
+                await db.run('DELETE FROM memory_vectors WHERE source_type = ? AND source_id = ? AND method = ?', [item.sourceType, String(item.sourceId), method]);
+                await db.run(
+                    'INSERT INTO memory_vectors (source_type, source_id, method, content_hash, vector) VALUES (?, ?, ?, ?, ?)',
+                    [item.sourceType, String(item.sourceId), method, item.contentHash, JSON.stringify(item.vector)]
+                );
+            }
+            logger.debug(`Saved ${items.length} memory vectors (${method})`);
+            return 'ok';
+        } catch (err) {
+            logger.error('Error saving memory vectors:', err);
+            return null;
+        }
+    }, []);
+}
+
 // ===============================
 // USER AUTHENTICATION FUNCTIONS
 // ===============================
@@ -1235,7 +1880,7 @@ async function getUserByUsername(username) {
     const db = await dbPromise;
     try {
         const row = await db.get(
-            `SELECT u.user_id, u.username, u.username_color, u.persona, u.password_hash, u.email, u.created_at, u.last_seen_at, ur.role 
+            `SELECT u.user_id, u.username, u.username_color, u.persona, u.password_hash, u.email, u.disabled, u.created_at, u.last_seen_at, ur.role 
              FROM users u 
              LEFT JOIN user_roles ur ON u.user_id = ur.user_id 
              WHERE LOWER(u.username) = LOWER(?)`, 
@@ -1278,6 +1923,7 @@ async function registerUser(username, password, email = null) {
             logger.info('User registered successfully: ' + username + ' (ID: ' + user_id + ')');
             return { 
                 success: true, 
+                token: await insertAuthSession(db, user_id),
                 user: {
                     user_id,
                     username,
@@ -1316,6 +1962,10 @@ async function authenticateUser(username, password) {
             logger.warn('Authentication failed - wrong password: ' + username);
             return { success: false, error: 'Invalid username or password' };
         }
+        if (user.disabled) {
+            logger.warn('Authentication failed - account disabled: ' + username);
+            return { success: false, error: 'This account has been disabled by the host.' };
+        }
         
         // Update last_seen_at
         const db = await dbPromise;
@@ -1324,6 +1974,7 @@ async function authenticateUser(username, password) {
         logger.info('User authenticated successfully: ' + username);
         return {
             success: true,
+            token: await createSessionToken(user.user_id),
             user: {
                 user_id: user.user_id,
                 username: user.username,
@@ -1340,42 +1991,506 @@ async function authenticateUser(username, password) {
     }
 }
 
-ensureDatabaseSchema(schemaDictionary);
+// ===============================
+// ACCOUNT MANAGEMENT FUNCTIONS
+// ===============================
+
+const RESET_CODE_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I to misread
+const RESET_CODE_LENGTH = 8;
+const RESET_CODE_LIFETIME_HOURS = 24;
+
+function hashResetCode(code) {
+    return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toUpperCase()).digest('hex');
+}
+
+// Registered accounts for the host's account list, by name
+async function getAccounts() {
+    const db = await dbPromise;
+    try {
+        return await db.all(`
+            SELECT u.user_id, u.username, u.username_color, u.disabled, u.created_at, u.last_seen_at, ur.role
+            FROM users u
+            LEFT JOIN user_roles ur ON u.user_id = ur.user_id
+            WHERE u.password_hash IS NOT NULL
+            ORDER BY LOWER(u.username)
+        `);
+    } catch (err) {
+        logger.error('Error getting accounts:', err);
+        return [];
+    }
+}
+
+// Whether a password is an account's, for changes that need it re-entered
+async function verifyPassword(userId, password) {
+    const db = await dbPromise;
+    try {
+        const row = await db.get('SELECT password_hash FROM users WHERE user_id = ?', [userId]);
+        return !!row?.password_hash && typeof password === 'string' && await bcrypt.compare(password, row.password_hash);
+    } catch (err) {
+        logger.error('Error checking password:', err);
+        return false;
+    }
+}
+
+/**
+ * Change an account's password after checking the current one
+ * @returns {Promise<Object>} - { success } or { success: false, error }
+ */
+async function changePassword(userId, currentPassword, newPassword) {
+    logger.info('Changing password for user: ' + userId);
+    try {
+        if (!await verifyPassword(userId, currentPassword)) {
+            logger.warn('Password change failed - wrong password: ' + userId);
+            return { success: false, error: 'Your current password is wrong' };
+        }
+        const password_hash = await bcrypt.hash(newPassword, BCRYPT_SALT_ROUNDS);
+        return queueDatabaseWrite(async (db) => {
+            await db.run('UPDATE users SET password_hash = ? WHERE user_id = ?', [password_hash, userId]);
+            return { success: true };
+        }, []);
+    } catch (err) {
+        logger.error('Error changing password:', err);
+        return { success: false, error: 'Database error while changing the password' };
+    }
+}
+
+/**
+ * Make a one-time password reset code for an account, replacing any it had
+ * @param {string} userId - users.user_id of the account
+ * @param {string} createdBy - Username of the host
+ * @returns {Promise<Object|null>} - { code, expiresAt }
+ */
+async function createPasswordResetCode(userId, createdBy) {
+    logger.info('Creating password reset code for user: ' + userId);
+    const code = Array.from({ length: RESET_CODE_LENGTH }, () => RESET_CODE_CHARACTERS[crypto.randomInt(RESET_CODE_CHARACTERS.length)]).join('');
+    return queueDatabaseWrite(async (db) => {
+        try {
+            await db.run('DELETE FROM password_resets WHERE user_id = ? OR expires_at <= CURRENT_TIMESTAMP', [userId]);
+            await db.run(
+                "INSERT INTO password_resets (code_hash, user_id, created_by, expires_at) VALUES (?, ?, ?, datetime('now', ?))",
+                [hashResetCode(code), userId, createdBy, `+${RESET_CODE_LIFETIME_HOURS} hours`]
+            );
+            const row = await db.get('SELECT expires_at FROM password_resets WHERE code_hash = ?', [hashResetCode(code)]);
+            return { code: `${code.slice(0, 4)}-${code.slice(4)}`, expiresAt: row.expires_at };
+        } catch (err) {
+            logger.error('Error creating password reset code:', err);
+            return null;
+        }
+    }, []);
+}
+
+/**
+ * Set a new password with a reset code; the code works once
+ * @returns {Promise<Object>} - { success, userId } or { success: false, error }
+ */
+async function resetPasswordWithCode(username, code, newPassword) {
+    logger.info('Resetting password with a code for: ' + username);
+    const user = await getUserByUsername(username);
+    const invalid = { success: false, error: 'That reset code is wrong or has expired' };
+    if (!user?.password_hash || typeof code !== 'string') return invalid;
+    const codeCondition = 'code_hash = ? AND user_id = ? AND expires_at > CURRENT_TIMESTAMP';
+    const codeParams = [hashResetCode(code), user.user_id];
+    // Hashing is slow on purpose, so wrong codes are turned away before any time is spent on it
+    const db = await dbPromise;
+    if (!await db.get(`SELECT 1 FROM password_resets WHERE ${codeCondition}`, codeParams)) {
+        logger.warn('Password reset failed - bad code for: ' + username);
+        return invalid;
+    }
+    const password_hash = await bcrypt.hash(newPassword, BCRYPT_SALT_ROUNDS);
+    return queueDatabaseWrite(async (db) => {
+        try {
+            // the code is used up here, in case it was used or taken back while the password was hashing
+            const result = await db.run(`DELETE FROM password_resets WHERE ${codeCondition}`, codeParams);
+            if (result.changes === 0) {
+                logger.warn('Password reset failed - code no longer valid for: ' + username);
+                return invalid;
+            }
+            await db.run('UPDATE users SET password_hash = ? WHERE user_id = ?', [password_hash, user.user_id]);
+            logger.info('Password reset for: ' + username);
+            return { success: true, userId: user.user_id };
+        } catch (err) {
+            logger.error('Error resetting password:', err);
+            return { success: false, error: 'Database error while resetting the password' };
+        }
+    }, []);
+}
+
+async function setUserDisabled(userId, disabled) {
+    logger.info(`${disabled ? 'Disabling' : 'Enabling'} account ${userId}`);
+    return queueDatabaseWrite(async (db) => {
+        try {
+            await db.run('UPDATE users SET disabled = ? WHERE user_id = ?', [disabled ? 1 : 0, userId]);
+        } catch (err) {
+            logger.error('Error setting account disabled:', err);
+        }
+    }, []);
+}
+
+// Delete an account: its login details, persona, role and sessions go, and its messages stay under "Deleted user".
+// The row stays disabled so its UUID can't be used to connect again.
+async function deleteAccount(userId) {
+    logger.info('Deleting account: ' + userId);
+    return queueDatabaseWrite(async (db) => {
+        try {
+            await db.run('DELETE FROM auth_sessions WHERE user_id = ?', [userId]);
+            await db.run('DELETE FROM password_resets WHERE user_id = ?', [userId]);
+            await db.run('DELETE FROM user_roles WHERE user_id = ?', [userId]);
+            await db.run(
+                "UPDATE users SET username = 'Deleted user', persona = '', password_hash = NULL, email = NULL, disabled = TRUE WHERE user_id = ?",
+                [userId]
+            );
+            return true;
+        } catch (err) {
+            logger.error('Error deleting account:', err);
+            return false;
+        }
+    }, []);
+}
+
+// ===============================
+// SESSION TOKEN FUNCTIONS
+// ===============================
+
+// Adds the auth_sessions row for a new token; takes the handle so it can run inside a queued write
+async function insertAuthSession(db, userId) {
+    const sid = crypto.randomBytes(16).toString('hex');
+    const exp = Date.now() + sessionTokens.TOKEN_LIFETIME_DAYS * 24 * 60 * 60 * 1000;
+    await db.run(
+        "INSERT INTO auth_sessions (session_id, user_id, expires_at) VALUES (?, ?, datetime(?, 'unixepoch'))",
+        [sid, userId, Math.floor(exp / 1000)]
+    );
+    return sessionTokens.sign({ sid, uid: userId, exp });
+}
+
+/**
+ * Start a login session for a user
+ * @param {string} userId - users.user_id
+ * @returns {Promise<string|null>} - The session token, or null if it couldn't be saved
+ */
+async function createSessionToken(userId) {
+    logger.info('Creating session for user: ' + userId);
+    return queueDatabaseWrite(async (db) => {
+        try {
+            return await insertAuthSession(db, userId);
+        } catch (err) {
+            logger.error('Error creating session:', err);
+            return null;
+        }
+    }, []);
+}
+
+/**
+ * Check a session token against its signature, expiry and session row
+ * @param {string} token
+ * @returns {Promise<Object|null>} - { sessionId, userId }, or null if the token isn't valid (any more)
+ */
+async function verifySessionToken(token) {
+    const payload = sessionTokens.verify(token);
+    if (!payload) return null;
+    const db = await dbPromise;
+    try {
+        const row = await db.get(
+            'SELECT session_id, user_id FROM auth_sessions WHERE session_id = ? AND user_id = ? AND expires_at > CURRENT_TIMESTAMP',
+            [payload.sid, payload.uid]
+        );
+        return row ? { sessionId: row.session_id, userId: row.user_id } : null;
+    } catch (err) {
+        logger.error('Error checking session:', err);
+        return null;
+    }
+}
+
+// End one login session, so its token stops working
+async function revokeSession(sessionId) {
+    logger.info('Revoking session: ' + sessionId);
+    return queueDatabaseWrite(async (db) => {
+        try {
+            await db.run('DELETE FROM auth_sessions WHERE session_id = ?', [sessionId]);
+        } catch (err) {
+            logger.error('Error revoking session:', err);
+        }
+    }, []);
+}
+
+// End every login session of a user, optionally keeping one; also clears out expired sessions
+async function revokeUserSessions(userId, exceptSessionId = null) {
+    logger.info('Revoking sessions for user: ' + userId);
+    return queueDatabaseWrite(async (db) => {
+        try {
+            const result = await db.run(
+                'DELETE FROM auth_sessions WHERE (user_id = ? AND session_id IS NOT ?) OR expires_at <= CURRENT_TIMESTAMP',
+                [userId, exceptSessionId]
+            );
+            return result.changes;
+        } catch (err) {
+            logger.error('Error revoking sessions:', err);
+            return 0;
+        }
+    }, []);
+}
+
+// ===============================
+// ROOM FUNCTIONS
+// ===============================
+
+// Rows store settings as a JSON string; callers always get an object back
+function parseRoomRow(row) {
+    if (!row) return null;
+    let settings = {};
+    try {
+        settings = row.settings ? JSON.parse(row.settings) : {};
+    } catch (err) {
+        logger.warn(`Room ${row.room_id} has unreadable settings, ignoring them.`);
+    }
+    return { ...row, settings };
+}
+
+// Create a new room
+async function createRoom(name, description = '', createdBy = null) {
+    logger.info('Creating room: ' + name);
+    return queueDatabaseWrite(async (db) => {
+        try {
+            const room_id = generateUUID();
+            const created_at = new Date().toISOString();
+            await db.run(
+                'INSERT INTO rooms (room_id, name, description, settings, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+                [room_id, name, description, '{}', createdBy, created_at]
+            );
+            logger.info('Room created with ID: ' + room_id);
+            return { room_id, name, description, settings: {}, created_by: createdBy, created_at };
+        } catch (err) {
+            logger.error('Error creating room:', err);
+            return null;
+        }
+    }, []);
+}
+
+// Get all rooms, the default room first
+async function getRooms() {
+    logger.debug('Getting all rooms...');
+    const db = await dbPromise;
+    try {
+        const rows = await db.all('SELECT * FROM rooms ORDER BY room_id = ? DESC, created_at ASC', [DEFAULT_ROOM_ID]);
+        return rows.map(parseRoomRow);
+    } catch (err) {
+        logger.error('Error getting rooms:', err);
+        return [];
+    }
+}
+
+// Get a single room by ID
+async function getRoom(roomId) {
+    logger.debug('Getting room: ' + roomId);
+    const db = await dbPromise;
+    try {
+        const row = await db.get('SELECT * FROM rooms WHERE room_id = ?', [roomId]);
+        return parseRoomRow(row);
+    } catch (err) {
+        logger.error('Error getting room:', err);
+        return null;
+    }
+}
+
+// Update a room's name, description and/or settings
+async function updateRoom(roomId, updates) {
+    logger.info('Updating room: ' + roomId);
+    return queueDatabaseWrite(async (db) => {
+        try {
+            const fields = [];
+            const values = [];
+
+            if (updates.name !== undefined) { fields.push('name = ?'); values.push(updates.name); }
+            if (updates.description !== undefined) { fields.push('description = ?'); values.push(updates.description); }
+            if (updates.settings !== undefined) { fields.push('settings = ?'); values.push(JSON.stringify(updates.settings || {})); }
+
+            if (fields.length > 0) {
+                values.push(roomId);
+                await db.run(`UPDATE rooms SET ${fields.join(', ')} WHERE room_id = ?`, values);
+                logger.info('Room updated: ' + roomId);
+            }
+            return parseRoomRow(await db.get('SELECT * FROM rooms WHERE room_id = ?', [roomId]));
+        } catch (err) {
+            logger.error('Error updating room:', err);
+            return null;
+        }
+    }, []);
+}
+
+// Delete a room along with every AI chat and user chat session it owns
+async function deleteRoom(roomId) {
+    logger.info('Deleting room: ' + roomId);
+    if (roomId === DEFAULT_ROOM_ID) {
+        logger.warn('Refusing to delete the default room.');
+        return { success: false, error: 'The default room cannot be deleted' };
+    }
+    return queueDatabaseWrite(async (db) => {
+        try {
+            const room = await db.get('SELECT room_id FROM rooms WHERE room_id = ?', [roomId]);
+            if (!room) {
+                return { success: false, error: 'Room not found' };
+            }
+            await db.run(`DELETE FROM memory_vectors WHERE source_type = 'message' AND source_id IN (SELECT CAST(message_id AS TEXT) FROM aichats WHERE session_id IN (SELECT session_id FROM sessions WHERE room_id = ?))`, [roomId]);
+            await db.run('DELETE FROM aichats WHERE session_id IN (SELECT session_id FROM sessions WHERE room_id = ?)', [roomId]);
+            await db.run('DELETE FROM lorebook_timed_effects WHERE session_id IN (SELECT session_id FROM sessions WHERE room_id = ?)', [roomId]);
+            await db.run('DELETE FROM session_variables WHERE session_id IN (SELECT session_id FROM sessions WHERE room_id = ?)', [roomId]);
+            await db.run('DELETE FROM session_summaries WHERE session_id IN (SELECT session_id FROM sessions WHERE room_id = ?)', [roomId]);
+            await db.run('DELETE FROM sessions WHERE room_id = ?', [roomId]);
+            await db.run('DELETE FROM userchats WHERE session_id IN (SELECT session_id FROM userSessions WHERE room_id = ?)', [roomId]);
+            await db.run('DELETE FROM userSessions WHERE room_id = ?', [roomId]);
+            await db.run('DELETE FROM rooms WHERE room_id = ?', [roomId]);
+            logger.info('Room deleted: ' + roomId);
+            return { success: true };
+        } catch (err) {
+            logger.error('Error deleting room:', err);
+            return { success: false, error: err.message };
+        }
+    }, []);
+}
+
+// ===============================
+// BAN FUNCTIONS
+// ===============================
+
+const ACTIVE_BAN_CONDITION = '(expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)';
+
+/**
+ * Ban a user or an IP address, or time them out
+ * @param {Object} ban
+ * @param {string} ban.targetType - 'uuid', 'account' or 'ip'
+ * @param {string} ban.target - The user's ID, or the IP address
+ * @param {string} [ban.username] - Who is being banned, for the ban list
+ * @param {string} [ban.reason]
+ * @param {string} [ban.bannedBy] - Username of the moderator
+ * @param {string} [ban.bannedByRole] - The moderator's role
+ * @param {string} [ban.targetRole] - The banned user's role
+ * @param {number|null} [ban.minutes] - How long a timeout lasts; null bans until lifted
+ * @returns {Promise<Object|null>} - The new bans row
+ */
+async function addBan({ targetType, target, username = null, reason = null, bannedBy = null, bannedByRole = null, targetRole = null, minutes = null }) {
+    logger.info(`Adding ${minutes ? `${minutes} minute` : 'permanent'} ${targetType} ban for ${username || target}`);
+    return queueDatabaseWrite(async (db) => {
+        try {
+            const result = await db.run(
+                `INSERT INTO bans (target_type, target, username, reason, banned_by, banned_by_role, target_role, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now', ?))`,
+                [targetType, target, username, reason || null, bannedBy, bannedByRole, targetRole, minutes ? `+${minutes} minutes` : null]
+            );
+            return await db.get('SELECT * FROM bans WHERE ban_id = ?', [result.lastID]);
+        } catch (err) {
+            logger.error('Error adding ban:', err);
+            return null;
+        }
+    }, []);
+}
+
+// Bans and timeouts that haven't run out, newest first
+async function getActiveBans() {
+    const db = await dbPromise;
+    try {
+        return await db.all(`SELECT * FROM bans WHERE ${ACTIVE_BAN_CONDITION} ORDER BY created_at DESC, ban_id DESC`);
+    } catch (err) {
+        logger.error('Error getting bans:', err);
+        return [];
+    }
+}
+
+/**
+ * The ban that keeps a user or IP address out, if any; bans come before timeouts, then the longest timeout
+ * @param {string|null} userId - users.user_id
+ * @param {string|null} ip - IP address
+ * @returns {Promise<Object|undefined>} - The bans row
+ */
+async function findActiveBan(userId, ip) {
+    const db = await dbPromise;
+    try {
+        return await db.get(`
+            SELECT * FROM bans
+            WHERE ${ACTIVE_BAN_CONDITION}
+            AND ((target_type IN ('uuid', 'account') AND target = ?) OR (target_type = 'ip' AND target = ?))
+            ORDER BY expires_at IS NOT NULL, expires_at DESC
+            LIMIT 1
+        `, [userId, ip]);
+    } catch (err) {
+        logger.error('Error checking bans:', err);
+        return undefined;
+    }
+}
+
+async function getBan(banId) {
+    const db = await dbPromise;
+    try {
+        return await db.get('SELECT * FROM bans WHERE ban_id = ?', [banId]) || null;
+    } catch (err) {
+        logger.error('Error getting ban:', err);
+        return null;
+    }
+}
+
+// Lift a ban or timeout; returns the removed row, or null if there was none
+async function removeBan(banId) {
+    logger.info('Removing ban: ' + banId);
+    return queueDatabaseWrite(async (db) => {
+        try {
+            const ban = await db.get('SELECT * FROM bans WHERE ban_id = ?', [banId]);
+            if (!ban) return null;
+            await db.run('DELETE FROM bans WHERE ban_id = ?', [banId]);
+            return ban;
+        } catch (err) {
+            logger.error('Error removing ban:', err);
+            return null;
+        }
+    }, []);
+}
+
+// Resolves once every table and column exists; anything run before then may find a table missing
+const schemaReady = ensureDatabaseSchema(schemaDictionary);
 
 
 
 export default {
+    DEFAULT_ROOM_ID,
+    schemaReady,
     writeUserChatMessage,
     writeAIChatMessage,
     newSession,
     upsertUser,
+    updateLastSeen,
     getUser,
     readAIChat,
     readUserChat,
     upsertChar,
     removeLastAIChatMessage,
     getPastChats,
+    branchSession,
+    importSession,
     deleteAIChatMessage,
     deleteUserChatMessage,
     getMessage,
     getAIChatMessageRow,
+    getLastAIChatMessageRow,
+    getActiveChatMessageRow,
+    addAIChatSwipe,
+    selectAIChatSwipe,
     deletePastChat,
     getUserColor,
     upsertUserRole,
+    setUserMuted,
     getCharacterColor,
     upsertAPI,
     getAPIs,
     getAPI,
     newUserChatSession,
     getLatestCharacter,
+    getCharacterByName,
     deleteAPI,
     editMessage,
+    editUserChatMessage,
     getNextMessageID,
     setActiveChat,
     getActiveChat,
     exportSession,
     // Lorebook / World Info functions
     createLorebook,
+    findImportedLorebook,
     getLorebooks,
     getLorebook,
     updateLorebook,
@@ -1383,11 +2498,45 @@ export default {
     createLorebookEntry,
     getLorebookEntries,
     getAllEnabledEntries,
+    getLorebookLinks,
+    linkLorebook,
+    unlinkLorebook,
     updateLorebookEntry,
     deleteLorebookEntry,
+    getTimedEffects,
+    addTimedEffects,
+    getSessionVariables,
+    setSessionVariables,
+    getSessionSummary,
+    setSessionSummary,
+    getMemoryVectors,
+    setMemoryVectors,
+    // Room functions
+    createRoom,
+    getRooms,
+    getRoom,
+    updateRoom,
+    deleteRoom,
+    // Ban functions
+    addBan,
+    getActiveBans,
+    findActiveBan,
+    getBan,
+    removeBan,
     // User Authentication functions
     checkUsernameAvailable,
     getUserByUsername,
     registerUser,
-    authenticateUser
+    authenticateUser,
+    getAccounts,
+    verifyPassword,
+    changePassword,
+    createPasswordResetCode,
+    resetPasswordWithCode,
+    setUserDisabled,
+    deleteAccount,
+    createSessionToken,
+    verifySessionToken,
+    revokeSession,
+    revokeUserSessions
 }
\ No newline at end of file
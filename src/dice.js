@@ -0,0 +1,162 @@
+/**
+ * Dice Roller
+ *
+ * Rolls tabletop dice notation for /roll and the {{roll}} macro:
+ * 3d6+2, d20 (one die), d% (d100), 4d6kh3 / 2d20kl1 (keep highest / lowest),
+ * 3d6! (exploding: a die showing its maximum adds another die),
+ * and "adv" / "dis" after a formula to roll its first d20 with advantage or disadvantage.
+ *
+ * Posted rolls are stored in aichats (or userchats) with entity DICE_ENTITY, so they show
+ * as system messages and reach the AI with the rest of the chat history.
+ */
+
+const DICE_ENTITY = 'dice';
+
+const MAX_DICE = 100;
+const MAX_SIDES = 1000;
+// Cap on extra dice one exploding term can add, so a long streak can't run away
+const MAX_EXPLOSIONS = 100;
+
+const TERM_PATTERN = /^(\d*)d(\d+|%)(!?)(?:k([hl]?)(\d+))?$/;
+const MODE_WORDS = {
+    adv: 'advantage',
+    advantage: 'advantage',
+    dis: 'disadvantage',
+    disadv: 'disadvantage',
+    disadvantage: 'disadvantage'
+};
+
+function rollDie(sides) {
+    return Math.floor(Math.random() * sides) + 1;
+}
+
+/**
+ * Read one dice term such as 4d6kh3
+ * @returns {Object|null} - { count, sides, explode, keep, keepCount }, or null if it isn't a dice term
+ */
+function parseDiceTerm(term) {
+    const match = TERM_PATTERN.exec(term.toLowerCase());
+    if (!match) return null;
+    const count = match[1] ? parseInt(match[1], 10) : 1;
+    const sides = match[2] === '%' ? 100 : parseInt(match[2], 10);
+    const keepCount = match[5] ? parseInt(match[5], 10) : null;
+    if (count < 1 || count > MAX_DICE || sides < 1 || sides > MAX_SIDES) return null;
+    // a one-sided exploding die would never stop
+    if (match[3] && sides < 2) return null;
+    if (keepCount !== null && (keepCount < 1 || keepCount > count)) return null;
+    return {
+        count,
+        sides,
+        explode: match[3] === '!',
+        keep: keepCount === null ? null : match[4] === 'l' ? 'lowest' : 'highest',
+        keepCount
+    };
+}
+
+function rollDiceTerm({ count, sides, explode, keep, keepCount }) {
+    const rolls = [];
+    let explosions = 0;
+    for (let i = 0; i < count; i++) {
+        let value = rollDie(sides);
+        rolls.push({ value, exploded: false, kept: true });
+        while (explode && value === sides && explosions < MAX_EXPLOSIONS) {
+            rolls[rolls.length - 1].exploded = true;
+            value = rollDie(sides);
+            rolls.push({ value, exploded: false, kept: true });
+            explosions++;
+        }
+    }
+    if (keep) {
+        const order = rolls.map((roll, index) => index)
+            .sort((a, b) => keep === 'highest' ? rolls[b].value - rolls[a].value : rolls[a].value - rolls[b].value);
+        for (const index of order.slice(keepCount)) rolls[index].kept = false;
+    }
+    const subtotal = rolls.filter(roll => roll.kept).reduce((sum, roll) => sum + roll.value, 0);
+    return { rolls, subtotal };
+}
+
+// "1d20+5 adv" rolls its first d20 twice and keeps the higher one
+function applyMode(terms, mode) {
+    const d20 = terms.find(term => term.dice?.sides === 20 && !term.dice.keep);
+    if (d20) {
+        d20.dice = { ...d20.dice, count: 2 * d20.dice.count, keep: mode === 'advantage' ? 'highest' : 'lowest', keepCount: d20.dice.count };
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Roll a dice formula
+ * @param {string} formula - e.g. "3d6+2", "2d20kh1", "1d20+4 adv"; empty means 1d20
+ * @returns {Object|null} - { formula, mode, total, terms: [{ notation, sign, rolls?, value }] }, where formula
+ *   is the notation without spaces or the advantage word; null if the formula can't be read
+ */
+function roll(formula) {
+    let text = String(formula ?? '').trim().toLowerCase();
+    let mode = null;
+    const words = text.split(/\s+/);
+    if (MODE_WORDS[words[words.length - 1]]) {
+        mode = MODE_WORDS[words.pop()];
+        text = words.join('');
+    }
+    text = text.replace(/\s+/g, '') || '1d20';
+
+    const pieces = text.match(/[+-]?[^+-]+/g);
+    if (!pieces || pieces.join('') !== text) return null;
+
+    const terms = [];
+    for (const piece of pieces) {
+        const sign = piece.startsWith('-') ? -1 : 1;
+        const notation = piece.replace(/^[+-]/, '');
+        if (/^\d+$/.test(notation)) {
+            terms.push({ notation, sign, value: parseInt(notation, 10) });
+            continue;
+        }
+        const dice = parseDiceTerm(notation);
+        if (!dice) return null;
+        terms.push({ notation, sign, dice });
+    }
+    if (mode && !applyMode(terms, mode)) return null;
+
+    let total = 0;
+    for (const term of terms) {
+        if (term.dice) {
+            const { rolls, subtotal } = rollDiceTerm(term.dice);
+            term.rolls = rolls;
+            term.value = subtotal;
+            delete term.dice;
+        }
+        total += term.sign * term.value;
+    }
+    return { formula: text, mode, total, terms };
+}
+
+// Shows every die so the AI (and players) can see how the total came about, e.g. [6!, 4, (1)] + 2 = 11
+function describeTerms(terms) {
+    return terms.map((term, index) => {
+        const sign = term.sign < 0 ? '- ' : index > 0 ? '+ ' : '';
+        if (!term.rolls) return `${sign}${term.value}`;
+        const dice = term.rolls.map(roll => {
+            const shown = `${roll.value}${roll.exploded ? '!' : ''}`;
+            return roll.kept ? shown : `(${shown})`;
+        });
+        return `${sign}[${dice.join(', ')}]`;
+    }).join(' ');
+}
+
+/**
+ * The chat message for a roll
+ * @param {Object} result - What roll() returned
+ * @param {string} roller - Who rolled
+ * @returns {string} - Markdown, e.g. "🎲 Ann rolled 1d20+3 with advantage: [14, (6)] + 3 = **17**"
+ */
+function describeRoll(result, roller) {
+    const mode = result.mode ? ` with ${result.mode}` : '';
+    return `🎲 ${roller} rolled ${result.formula}${mode}: ${describeTerms(result.terms)} = **${result.total}**`;
+}
+
+export default {
+    DICE_ENTITY,
+    roll,
+    describeRoll
+};
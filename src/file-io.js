@@ -23,7 +23,7 @@ const remoteApp = express();
 localApp.use(express.static('public'));
 remoteApp.use(express.static('public'));
 
-import characterCardParser from './character-card-parser.js';
+import characterCardParser, { extractCharxFiles } from './character-card-parser.js';
 
 const charnameColors = [
     '#FF8A8A',  // Light Red
@@ -77,6 +77,104 @@ function getUniqueFilename(dir, baseName, ext) {
     return candidate;
 }
 
+// Card formats accepted for upload, by file extension
+const CARD_UPLOAD_FORMATS = {
+    '.png': 'png',
+    '.json': 'json',
+    '.charx': 'charx'
+};
+
+// Card text chunks that get rewritten whenever a card is saved
+function isCardChunkKeyword(keyword) {
+    return keyword === 'chara' || keyword === 'ccv3' || keyword.startsWith('chara-ext-asset_');
+}
+
+/**
+ * Swap the card chunks of a PNG for fresh ones.
+ * Every card gets a `chara` chunk (as v2 for older readers); v3 cards also get a `ccv3` chunk.
+ * @param {Array} chunks - Chunks from png-chunks-extract
+ * @param {Object} card - Parsed card data
+ * @param {Array} assetChunks - Encoded `chara-ext-asset_:N` chunks to carry along
+ * @returns {Array} - Chunks ready for png-chunks-encode
+ */
+function embedCardChunks(chunks, card, assetChunks = []) {
+    const keptChunks = chunks.filter(chunk => chunk.name !== 'tEXt' || !isCardChunkKeyword(PNGtext.decode(chunk.data).keyword));
+    const toBase64 = (data) => Buffer.from(JSON.stringify(data), 'utf8').toString('base64');
+    const isV3 = card.spec === 'chara_card_v3';
+
+    const cardChunks = [PNGtext.encode('chara', toBase64(isV3 ? { ...card, spec: 'chara_card_v2', spec_version: '2.0' } : card))];
+    if (isV3) {
+        cardChunks.push(PNGtext.encode('ccv3', toBase64(card)));
+    }
+    keptChunks.splice(-1, 0, ...cardChunks, ...assetChunks);
+    return keptChunks;
+}
+
+// CHARX cards point at files inside the archive as embeded://path (sic) or embedded://path
+function charxAssetPath(uri) {
+    const match = typeof uri === 'string' ? uri.match(/^embedd?ed:\/\/(.+)$/) : null;
+    return match ? match[1] : null;
+}
+
+// Every asset chunk is read back whenever the card is, so only this many, this big in total, are kept
+const MAX_EMBEDDED_ASSETS = 16;
+const MAX_EMBEDDED_ASSET_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Turn a JSON or CHARX card into a PNG card so it lists and edits like any other.
+ * A CHARX icon becomes the image; its other embedded assets ride along as `chara-ext-asset_:N` chunks,
+ * up to MAX_EMBEDDED_ASSETS of them and MAX_EMBEDDED_ASSET_BYTES in total.
+ * @param {Object} card - Parsed card data (assets are rewritten in place)
+ * @param {Buffer|null} charxBuffer - The archive, for CHARX cards; only card.json's assets are unpacked from it
+ * @returns {Promise<Buffer>}
+ */
+async function buildPNGCard(card, charxBuffer = null) {
+    const assets = Array.isArray(card.data?.assets) ? card.data.assets : [];
+    const assetChunks = [];
+    let iconBuffer = null;
+
+    if (charxBuffer) {
+        const charxFiles = extractCharxFiles(charxBuffer, assets.map(asset => charxAssetPath(asset?.uri)).filter(Boolean));
+        const icon = assets.find(asset => asset?.type === 'icon' && asset.name === 'main') ?? assets.find(asset => asset?.type === 'icon');
+        let embeddedBytes = 0;
+        assets.forEach((asset, index) => {
+            const assetPath = charxAssetPath(asset?.uri);
+            if (!assetPath) return;
+            const file = charxFiles.get(assetPath);
+            if (!file) {
+                logger.warn(`CHARX asset ${asset.uri} is missing from the archive`);
+                return;
+            }
+            if (asset === icon) {
+                iconBuffer = file;
+                asset.uri = 'ccdefault:'; // the PNG itself
+                return;
+            }
+            if (assetChunks.length >= MAX_EMBEDDED_ASSETS || embeddedBytes + file.length > MAX_EMBEDDED_ASSET_BYTES) {
+                logger.warn(`Leaving out CHARX asset ${asset.uri}: the card already carries as many assets as it may`);
+                return;
+            }
+            embeddedBytes += file.length;
+            assetChunks.push(PNGtext.encode(`chara-ext-asset_:${index}`, file.toString('base64')));
+            asset.uri = `__asset:${index}`;
+        });
+    }
+
+    let image = null;
+    if (iconBuffer) {
+        try {
+            image = await jimp.read(iconBuffer);
+        } catch (err) {
+            logger.warn(`CHARX icon could not be read, using a blank image: ${err.message}`);
+        }
+    }
+    image ??= await jimp.read(400, 600, 0x2b2b2bff);
+
+    const pngBuffer = await image.getBufferAsync(jimp.MIME_PNG);
+    return Buffer.from(encode(embedCardChunks(extract(pngBuffer), card, assetChunks)));
+}
+
+// Accepts PNG, JSON and CHARX cards; the latter two are saved as PNG cards
 async function validateAndAcceptPNGUploads(uploadMessage) {
     logger.info('[[validateAndAcceptPNGUploads]] STARTING...');
 
@@ -84,47 +182,68 @@ async function validateAndAcceptPNGUploads(uploadMessage) {
     const CHARACTER_UPLOAD_DIR = path.join(ROOT_DIR, 'public', 'characters');
     const MAX_SIZE = 1 * 1024 * 1024;
     const buffer = Buffer.from(content, 'base64');
+    const safeName = sanitizeFilename(path.basename(filename));
+    const ext = path.extname(safeName).toLowerCase();
+    const format = CARD_UPLOAD_FORMATS[ext];
     let responseMessage, status, validatedDefs;
 
     // 1. Validate type
-    if (mimeType !== "image/png") {
-        responseMessage = `❌ PNG Card upload failed: Only PNGs are allowed. ${filename} (${mimeType})`;
+    if (!format || (format === 'png' && mimeType !== "image/png")) {
+        responseMessage = `❌ Card upload failed: Only PNG, JSON or CHARX cards are allowed. ${filename} (${mimeType})`;
         logger.warn(responseMessage);
         return { response: responseMessage, status: 'error' };
     }
 
     // 2. Validate size
     if (buffer.length > MAX_SIZE) {
-        responseMessage = `❌ PNG Card upload failed: File Too Large. ${filename} (${buffer.length} bytes)`;
+        responseMessage = `❌ Card upload failed: File Too Large. ${filename} (${buffer.length} bytes)`;
         logger.warn(responseMessage);
         return { response: responseMessage, status: 'error' };
     }
 
     // 3. Validate metadata
     try {
-        validatedDefs = await characterCardParser('', 'png', buffer);
+        validatedDefs = await characterCardParser('', format, buffer);
         if (!validatedDefs) {
             throw new Error('Embedded character data missing or unreadable.');
         }
     } catch (err) {
-        responseMessage = `❌ PNG Card rejected: ${err.message}`;
+        responseMessage = `❌ Card rejected: ${err.message}`;
         logger.warn(responseMessage);
         return { response: responseMessage, status: 'error' };
     }
 
-    // 4. Save to disk
-    const safeName = sanitizeFilename(path.basename(filename));
-    const ext = path.extname(safeName).toLowerCase();
+    // 4. Save to disk (always as a PNG card)
+    const parsedDefs = JSON.parse(validatedDefs);
+    let cardBuffer = buffer;
+    if (format !== 'png') {
+        try {
+            cardBuffer = await buildPNGCard(parsedDefs, format === 'charx' ? buffer : null);
+        } catch (err) {
+            responseMessage = `❌ Card rejected: Could not convert ${filename} to PNG: ${err.message}`;
+            logger.warn(responseMessage);
+            return { response: responseMessage, status: 'error' };
+        }
+    }
     const baseName = path.basename(safeName, ext);
-    const finalName = getUniqueFilename(CHARACTER_UPLOAD_DIR, baseName, ext);
+    const finalName = getUniqueFilename(CHARACTER_UPLOAD_DIR, baseName, '.png');
     const filePath = path.join(CHARACTER_UPLOAD_DIR, finalName);
-    fs.writeFileSync(filePath, buffer);
+    fs.writeFileSync(filePath, cardBuffer);
 
-    responseMessage = `✅ Card uploaded: ${JSON.parse(validatedDefs).name}`;
+    responseMessage = `✅ Card uploaded: ${parsedDefs.name}`;
     validatedDefs = ''
 
+    // 5. Hand back any embedded lorebook so it can be imported alongside the card
+    const characterBook = parsedDefs.data?.character_book;
+    const hasCharacterBook = characterBook && typeof characterBook.entries === 'object' && characterBook.entries !== null;
+
     logger.info(responseMessage);
-    return { response: responseMessage, status: 'ok' };
+    return {
+        response: responseMessage,
+        status: 'ok',
+        characterName: parsedDefs.data?.name || parsedDefs.name,
+        characterBook: hasCharacterBook ? characterBook : null
+    };
 }
 
 
@@ -307,6 +426,10 @@ async function charaWrite(img_url, data) {
         const pngBuffer = await tryReadImage(img_url);
         const chunks = extract(pngBuffer);
 
+        // Re-encoding drops text chunks, so carry embedded v3 assets over from the original file
+        const assetChunks = extract(fs.readFileSync(img_url))
+            .filter(chunk => chunk.name === 'tEXt' && PNGtext.decode(chunk.data).keyword.startsWith('chara-ext-asset_'));
+
         // Get the embedded character data (returns unparsed JSON string)
         const embeddedDataString = await characterCardParser(img_url);
 
@@ -318,7 +441,7 @@ async function charaWrite(img_url, data) {
             throw new Error(`Failed to parse embedded character data: ${err.message}`);
         }
 
-        // Fields to update (v1 and v2)
+        // Fields to update (v1, v2 and v3)
         const fieldsToUpdate = [
             'name', 
             'description', 
@@ -329,7 +452,10 @@ async function charaWrite(img_url, data) {
             'post_history_instructions',
             'creator_notes',
             'mes_example',
-            'alternate_greetings'
+            'alternate_greetings',
+            'group_only_greetings',
+            'nickname',
+            'creator_notes_multilingual'
         ];
 
         // Update top-level v1 fields (only core fields exist at v1 level)
@@ -347,6 +473,15 @@ async function charaWrite(img_url, data) {
                     embeddedData.data[field] = data[field];
                 }
             }
+
+            // v3: the English creator notes mirror creator_notes
+            const notes = embeddedData.data.creator_notes_multilingual;
+            if (data.creator_notes !== undefined && data.creator_notes_multilingual === undefined && notes && typeof notes === 'object') {
+                notes.en = data.creator_notes;
+            }
+            if (embeddedData.spec === 'chara_card_v3') {
+                embeddedData.data.modification_date = Math.floor(Date.now() / 1000);
+            }
         }
 
 
@@ -368,10 +503,7 @@ async function charaWrite(img_url, data) {
         //console.warn(cleanEmbeddedData);
 
 
-        // Take the cleanEmbeddedData object, stringify it, put it into a buffer, and then do base64 encoding
-        const base64EncodedData = Buffer.from(JSON.stringify(cleanEmbeddedData), 'utf8').toString('base64');
-        chunks.splice(-1, 0, PNGtext.encode('chara', base64EncodedData));
-        await writeFileAsync(img_url, Buffer.from(encode(chunks), 'binary'));
+        await writeFileAsync(img_url, Buffer.from(encode(embedCardChunks(chunks, cleanEmbeddedData, assetChunks)), 'binary'));
         releaseLock();
         logger.debug('Done writing character definitions');
         return true;
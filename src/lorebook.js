@@ -3,11 +3,26 @@
  * 
  * This module handles scanning chat history for keywords and returning
  * activated lorebook entries to inject into the AI prompt.
+ * It also converts lorebooks to and from SillyTavern's World Info format.
  */
 
 import db from './db.js';
 import { apiLogger as logger } from './log.js';
 
+/**
+ * Where an activated entry can be placed in the prompt.
+ * 'atDepth' entries are inserted into the chat history, `depth` messages from the end.
+ */
+const ENTRY_POSITIONS = ['beforeSystem', 'afterSystem', 'beforeCharDefs', 'afterCharDefs', 'authorsNote', 'atDepth'];
+const DEFAULT_ENTRY_POSITION = 'afterCharDefs';
+const DEFAULT_ENTRY_DEPTH = 4;
+
+// How a matched entry treats its secondary keys
+const SELECTIVE_LOGIC = ['andAny', 'andAll', 'notAny', 'notAll'];
+const DEFAULT_MAX_RECURSION = 3;
+// Hard stop for recursive scanning regardless of lorebook settings
+const RECURSION_HARD_LIMIT = 10;
+
 /**
  * Approximate token count from character length
  * Uses a simple heuristic of ~4 chars per token
@@ -17,26 +32,103 @@ function approxTokensFromChars(text) {
     return Math.ceil(text.length / 4);
 }
 
+/**
+ * Parse a `/pattern/flags` key into a RegExp
+ * @param {string} keyword - The key as typed in the entry editor
+ * @returns {RegExp|null} - The regex, or null if the key is a plain keyword
+ * @throws {SyntaxError} - If the key looks like a regex but doesn't compile
+ */
+function parseRegexKey(keyword) {
+    const match = /^\/(.+)\/([a-z]*)$/s.exec(keyword || '');
+    if (!match) return null;
+    // 'g' and 'y' make test() stateful, and we only ever ask "does it match"
+    const flags = match[2].replace(/[gy]/g, '');
+    return new RegExp(match[1], flags);
+}
+
+/**
+ * Check every key in a list compiles, so bad regexes are caught when the entry is saved
+ * @param {Array} keys - Keys to check
+ * @returns {string|null} - An error message for the first invalid key, or null if all are valid
+ */
+function validateKeys(keys) {
+    for (const key of keys || []) {
+        try {
+            parseRegexKey(key);
+        } catch (err) {
+            return `Invalid regex key ${key}: ${err.message}`;
+        }
+    }
+    return null;
+}
+
 /**
  * Check if a keyword matches in the text buffer
- * Uses whole-word matching with word boundaries
+ * Keys written as /pattern/flags are matched as regexes and ignore the other options
  * @param {string} keyword - The keyword to search for
  * @param {string} textBuffer - The text to search in
  * @param {boolean} caseSensitive - Whether matching is case-sensitive
+ * @param {boolean} wholeWords - Whether the keyword must sit between word boundaries
  * @returns {boolean} - True if keyword matches
  */
-function keywordMatches(keyword, textBuffer, caseSensitive = false) {
+function keywordMatches(keyword, textBuffer, caseSensitive = false, wholeWords = true) {
     if (!keyword || !textBuffer) return false;
-    
-    const flags = caseSensitive ? 'g' : 'gi';
-    // Escape special regex characters in keyword
-    const escapedKeyword = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    // Create word boundary regex
-    const regex = new RegExp(`\\b${escapedKeyword}\\b`, flags);
-    
+
+    let regex;
+    try {
+        regex = parseRegexKey(keyword);
+    } catch (err) {
+        logger.warn(`[WorldInfo] Skipping invalid regex key ${keyword}: ${err.message}`);
+        return false;
+    }
+
+    if (!regex) {
+        const flags = caseSensitive ? '' : 'i';
+        // Escape special regex characters in keyword
+        const escapedKeyword = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        regex = new RegExp(wholeWords ? `\\b${escapedKeyword}\\b` : escapedKeyword, flags);
+    }
+
     return regex.test(textBuffer);
 }
 
+/**
+ * Check a key against the buffer using the entry's own matching options
+ * @param {Object} entry - Lorebook entry with case_sensitive and match_whole_words
+ * @param {string} keyword - The keyword to search for
+ * @param {string} textBuffer - The text to search in
+ * @param {boolean} caseSensitive - Scan-wide case sensitivity, used when the entry doesn't ask for it
+ * @returns {boolean} - True if keyword matches
+ */
+function entryKeyMatches(entry, keyword, textBuffer, caseSensitive = false) {
+    return keywordMatches(keyword, textBuffer, caseSensitive || !!entry.case_sensitive, entry.match_whole_words !== false);
+}
+
+/**
+ * Check an entry's secondary keys against the buffer its primary key matched in
+ * @param {Object} entry - Lorebook entry with secondary_keys and selective_logic
+ * @param {string} textBuffer - The text to search in
+ * @param {boolean} caseSensitive - Whether matching is case-sensitive
+ * @returns {boolean} - True if the entry may activate
+ */
+function secondaryKeysPass(entry, textBuffer, caseSensitive = false) {
+    const secondaryKeys = (entry.secondary_keys || []).filter(Boolean);
+    if (secondaryKeys.length === 0) return true;
+
+    const hits = secondaryKeys.filter(key => entryKeyMatches(entry, key, textBuffer, caseSensitive)).length;
+    switch (SELECTIVE_LOGIC.includes(entry.selective_logic) ? entry.selective_logic : 'andAny') {
+        case 'andAll':
+            return hits === secondaryKeys.length;
+        case 'notAny':
+            return hits === 0;
+        case 'notAll':
+            return hits < secondaryKeys.length;
+        case 'andAny':
+        default:
+            return hits > 0;
+    }
+}
+
 /**
  * Build a text buffer from chat history for scanning
  * @param {Array} chatHistory - Array of chat message objects
@@ -68,21 +160,27 @@ function buildScanBuffer(chatHistory, scanDepth, includeNames = true) {
  * @param {number} options.tokenBudget - Max tokens for World Info (default: 500)
  * @param {boolean} options.caseSensitive - Case-sensitive matching (default: false)
  * @param {boolean} options.includeNames - Include names in scan buffer (default: true)
- * @returns {Promise<Object>} - Object with activatedEntries array and metadata
+ * @param {Object} options.context - { characterId, userId, sessionId } used to pick linked lorebooks (default: all lorebooks)
+ * @param {Array} options.recalledEntries - Entries long-term memory found by meaning; they activate as if a key matched
+ * Sticky, cooldown and delay are counted in chat messages and tracked per context.sessionId.
+ * Activated entries are scanned again for keys (up to each lorebook's max_recursion) unless they prevent recursion.
+ * @returns {Promise<Object>} - Object with activatedEntries array and metadata (matched, skippedForBudget, failedRolls)
  */
 async function getActivatedEntries(chatHistory, options = {}) {
     const {
         scanDepth = 5,
         tokenBudget = 500,
         caseSensitive = false,
-        includeNames = true
+        includeNames = true,
+        context = null,
+        recalledEntries = []
     } = options;
 
     logger.info(`[WorldInfo] Scanning with depth=${scanDepth}, budget=${tokenBudget} tokens`);
 
     try {
         // Get all enabled entries from enabled lorebooks
-        const allEntries = await db.getAllEnabledEntries();
+        const allEntries = await db.getAllEnabledEntries(context);
         
         if (allEntries.length === 0) {
             logger.debug('[WorldInfo] No enabled entries found');
@@ -101,6 +199,9 @@ async function getActivatedEntries(chatHistory, options = {}) {
 
         const activatedEntries = [];
         const matchedKeywords = [];
+        // Entries whose keys matched but didn't make it into the prompt, for the host's activation inspector
+        const skippedForBudget = [];
+        const failedRolls = [];
         let totalTokens = 0;
 
         // Sort entries by insertion_order (higher = later in prompt = more impact)
@@ -108,70 +209,166 @@ async function getActivatedEntries(chatHistory, options = {}) {
             return (a.insertion_order || 100) - (b.insertion_order || 100);
         });
 
-        for (const entry of sortedEntries) {
-            // Skip if we've exceeded token budget
-            const entryTokens = approxTokensFromChars(entry.content);
-            if (totalTokens + entryTokens > tokenBudget) {
-                logger.debug(`[WorldInfo] Token budget exceeded, skipping entry: ${entry.title}`);
-                continue;
+        // Timed effects are measured against the number of messages in the session
+        const chatLength = Array.isArray(chatHistory) ? chatHistory.length : 0;
+        const sessionId = context?.sessionId ?? null;
+        const stickyIds = new Set();
+        const cooldownIds = new Set();
+        if (sessionId !== null) {
+            for (const effect of await db.getTimedEffects(sessionId, chatLength)) {
+                (effect.effect === 'sticky' ? stickyIds : cooldownIds).add(effect.entry_id);
             }
+        }
+        const newTimedEffects = [];
+        const blockedByTimers = [];
+        const recalledIds = new Set((recalledEntries || []).map(entry => entry.entry_id));
+
+        // Entries that activated, failed their trigger roll, or didn't fit the budget are settled for this scan
+        const settledIds = new Set();
+        // Pass 0 scans the chat; every later pass scans the content of entries the previous pass activated
+        let scanBuffer = textBuffer;
+        const maxRecursion = Math.min(
+            RECURSION_HARD_LIMIT,
+            Math.max(0, ...sortedEntries.map(entry => entry.lorebook_max_recursion ?? DEFAULT_MAX_RECURSION))
+        );
+
+        for (let pass = 0; pass <= maxRecursion && scanBuffer; pass++) {
+            const activatedThisPass = [];
+
+            for (const entry of sortedEntries) {
+                if (settledIds.has(entry.entry_id)) continue;
+                // Each lorebook decides how deep recursion may reach into it
+                if (pass > 0 && pass > (entry.lorebook_max_recursion ?? DEFAULT_MAX_RECURSION)) continue;
 
-            let shouldActivate = false;
-            let matchedKey = null;
-
-            // Handle different strategies
-            switch (entry.strategy) {
-                case 'constant':
-                    // Always activate constant entries
-                    shouldActivate = true;
-                    matchedKey = '(constant)';
-                    break;
-
-                case 'disabled':
-                    // Never activate disabled entries
-                    shouldActivate = false;
-                    break;
-
-                case 'keyword':
-                default:
-                    // Check if any key matches
-                    const keys = entry.keys || [];
-                    for (const key of keys) {
-                        if (keywordMatches(key, textBuffer, caseSensitive)) {
+                let shouldActivate = false;
+                let matchedKey = null;
+                const isSticky = stickyIds.has(entry.entry_id);
+
+                // Handle different strategies
+                switch (isSticky && entry.strategy !== 'disabled' ? 'sticky' : entry.strategy) {
+                    case 'sticky':
+                        // Still inside its sticky window, whether or not the key is in the scan buffer
+                        shouldActivate = pass === 0;
+                        matchedKey = '(sticky)';
+                        break;
+
+                    case 'constant':
+                        // Constant entries always activate, on the first pass only
+                        shouldActivate = pass === 0;
+                        matchedKey = '(constant)';
+                        break;
+
+                    case 'disabled':
+                        // Never activate disabled entries
+                        shouldActivate = false;
+                        break;
+
+                    case 'keyword':
+                    default:
+                        // Check if any key matches
+                        const keys = entry.keys || [];
+                        for (const key of keys) {
+                            if (entryKeyMatches(entry, key, scanBuffer, caseSensitive)) {
+                                shouldActivate = true;
+                                matchedKey = key;
+                                break;
+                            }
+                        }
+                        if (shouldActivate && !secondaryKeysPass(entry, scanBuffer, caseSensitive)) {
+                            logger.debug(`[WorldInfo] Entry "${entry.title}" matched "${matchedKey}" but failed its secondary keys`);
+                            shouldActivate = false;
+                        }
+                        // Memory recalled it for what it says, so it stands in for a key match
+                        if (!shouldActivate && pass === 0 && recalledIds.has(entry.entry_id)) {
                             shouldActivate = true;
-                            matchedKey = key;
-                            break;
+                            matchedKey = '(recalled)';
                         }
-                    }
-                    break;
-            }
+                        break;
+                }
+
+                if (!shouldActivate) continue;
+                settledIds.add(entry.entry_id);
+
+                if (!isSticky && cooldownIds.has(entry.entry_id)) {
+                    logger.debug(`[WorldInfo] Entry "${entry.title}" is on cooldown`);
+                    blockedByTimers.push({ title: entry.title, lorebook: entry.lorebook_name, key: matchedKey, reason: 'cooldown' });
+                    continue;
+                }
+                if ((entry.delay || 0) > chatLength) {
+                    logger.debug(`[WorldInfo] Entry "${entry.title}" is delayed until ${entry.delay} messages`);
+                    blockedByTimers.push({ title: entry.title, lorebook: entry.lorebook_name, key: matchedKey, reason: `delay ${entry.delay}` });
+                    continue;
+                }
 
-            if (shouldActivate) {
-                // Apply trigger probability
+                // Skip if we've exceeded token budget
+                const entryTokens = approxTokensFromChars(entry.content);
+                if (totalTokens + entryTokens > tokenBudget) {
+                    logger.debug(`[WorldInfo] Token budget exceeded, skipping entry: ${entry.title}`);
+                    skippedForBudget.push({ title: entry.title, lorebook: entry.lorebook_name, key: matchedKey, tokens: entryTokens });
+                    continue;
+                }
+
+                // Apply trigger probability (sticky entries already won their roll)
                 const triggerPercent = entry.trigger_percent ?? 100;
-                if (triggerPercent < 100) {
+                if (!isSticky && triggerPercent < 100) {
                     const roll = Math.random() * 100;
                     if (roll > triggerPercent) {
                         logger.debug(`[WorldInfo] Entry "${entry.title}" failed trigger roll (${roll.toFixed(1)} > ${triggerPercent})`);
+                        failedRolls.push({ title: entry.title, lorebook: entry.lorebook_name, key: matchedKey, roll: Number(roll.toFixed(1)), chance: triggerPercent });
                         continue;
                     }
                 }
 
-                // Entry is activated!
+                // Entry is activated! A fresh activation starts its sticky window, then its cooldown
+                if (!isSticky && sessionId !== null) {
+                    const sticky = entry.sticky || 0;
+                    const cooldown = entry.cooldown || 0;
+                    if (sticky > 0) {
+                        newTimedEffects.push({ entry_id: entry.entry_id, effect: 'sticky', start_at: chatLength, end_at: chatLength + sticky });
+                    }
+                    if (cooldown > 0) {
+                        newTimedEffects.push({ entry_id: entry.entry_id, effect: 'cooldown', start_at: chatLength + sticky + 1, end_at: chatLength + sticky + cooldown });
+                    }
+                }
                 activatedEntries.push(entry);
-                matchedKeywords.push({ title: entry.title, key: matchedKey });
+                activatedThisPass.push(entry);
+                matchedKeywords.push({
+                    title: entry.title,
+                    lorebook: entry.lorebook_name,
+                    key: matchedKey,
+                    recursionLevel: pass,
+                    tokens: entryTokens,
+                    position: entry.position || DEFAULT_ENTRY_POSITION,
+                    depth: entry.depth ?? null
+                });
                 totalTokens += entryTokens;
 
-                logger.info(`[WorldInfo] Activated: "${entry.title}" via key "${matchedKey}" (~${entryTokens} tokens)`);
+                logger.info(`[WorldInfo] Activated: "${entry.title}" via key "${matchedKey}"${pass > 0 ? ` at recursion level ${pass}` : ''} (~${entryTokens} tokens)`);
             }
+
+            scanBuffer = activatedThisPass
+                .filter(entry => !entry.prevent_recursion)
+                .map(entry => entry.content || '')
+                .join('\n');
+        }
+
+        if (newTimedEffects.length > 0) {
+            await db.addTimedEffects(sessionId, newTimedEffects);
         }
 
+        // Recursion appends out of order; keep the prompt in insertion_order
+        activatedEntries.sort((a, b) => (a.insertion_order || 100) - (b.insertion_order || 100));
+
         logger.info(`[WorldInfo] Activated ${activatedEntries.length} entries using ~${totalTokens} tokens`);
 
         return {
             activatedEntries,
             totalTokens,
-            matched: matchedKeywords
+            tokenBudget,
+            matched: matchedKeywords,
+            skippedForBudget,
+            failedRolls,
+            blockedByTimers
         };
 
     } catch (err) {
@@ -207,10 +404,226 @@ function formatEntriesForPrompt(entries, options = {}) {
     return result;
 }
 
+/**
+ * Split activated entries into their insertion points and format each group
+ * @param {Array} entries - Array of activated entry objects
+ * @param {Object} options - Formatting options, passed through to formatEntriesForPrompt
+ * @returns {Object} - One formatted string per position, plus depthInjections as [{ depth, content }] sorted shallowest first
+ */
+function buildPositionedWorldInfo(entries, options = {}) {
+    const groups = {};
+    ENTRY_POSITIONS.forEach(position => { groups[position] = []; });
+    const depthGroups = new Map();
+
+    (entries || []).forEach(entry => {
+        const position = ENTRY_POSITIONS.includes(entry.position) ? entry.position : DEFAULT_ENTRY_POSITION;
+        if (position === 'atDepth') {
+            const depth = Number.isInteger(entry.depth) && entry.depth >= 0 ? entry.depth : DEFAULT_ENTRY_DEPTH;
+            if (!depthGroups.has(depth)) depthGroups.set(depth, []);
+            depthGroups.get(depth).push(entry);
+        } else {
+            groups[position].push(entry);
+        }
+    });
+
+    const result = {};
+    ENTRY_POSITIONS.filter(position => position !== 'atDepth').forEach(position => {
+        result[position] = formatEntriesForPrompt(groups[position], options);
+    });
+    result.depthInjections = [...depthGroups.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([depth, depthEntries]) => ({ depth, content: formatEntriesForPrompt(depthEntries, options) }))
+        .filter(injection => injection.content.length > 0);
+
+    return result;
+}
+
+// ================================
+// SILLYTAVERN WORLD INFO IMPORT / EXPORT
+// ================================
+
+// ST world_info_position values: 0 before char, 1 after char, 2/3 top/bottom of AN, 4 at depth, 5/6 around example messages
+const ST_POSITION_TO_ENTRY = { 0: 'beforeCharDefs', 1: 'afterCharDefs', 2: 'authorsNote', 3: 'authorsNote', 4: 'atDepth' };
+// ST has no system prompt slots, so those export as the nearest char def slot
+const ENTRY_POSITION_TO_ST = { beforeSystem: 0, afterSystem: 0, beforeCharDefs: 0, afterCharDefs: 1, authorsNote: 2, atDepth: 4 };
+// Index is ST's selectiveLogic value
+const ST_SELECTIVE_LOGIC = ['andAny', 'notAll', 'notAny', 'andAll'];
+// ST gives the budget to the highest order first; ours goes lowest first, so orders are flipped within 1-999
+const ST_DEFAULT_ORDER = 100;
+const MAX_ORDER = 999;
+
+function flipOrder(order) {
+    const number = Number(order);
+    return MAX_ORDER + 1 - Math.min(MAX_ORDER, Math.max(1, Number.isFinite(number) ? Math.round(number) : ST_DEFAULT_ORDER));
+}
+
+// ST stores unset timers as null or 0
+function toTimerValue(value) {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : 0;
+}
+
+/**
+ * Convert one SillyTavern entry into lorebook_entries fields
+ * Accepts both World Info file entries and v2 card character_book entries
+ * @param {Object} stEntry - The entry as found in the ST JSON
+ * @returns {Object} - entryData for db.createLorebookEntry
+ */
+function fromSTEntry(stEntry) {
+    // character_book entries use snake_case and keep ST-only settings under extensions
+    const isBookEntry = Array.isArray(stEntry.keys);
+    const ext = stEntry.extensions || {};
+    const pick = (worldInfoField, bookValue) => isBookEntry ? bookValue : stEntry[worldInfoField];
+
+    const cleanKeys = (keys) => (Array.isArray(keys) ? keys : [])
+        .map(key => String(key).trim())
+        .filter(key => {
+            if (!key) return false;
+            const error = validateKeys([key]);
+            if (error) logger.warn(`[WorldInfo] Import dropped key: ${error}`);
+            return !error;
+        });
+
+    const bookPosition = ext.position ?? (stEntry.position === 'before_char' ? 0 : 1);
+    const position = ST_POSITION_TO_ENTRY[pick('position', bookPosition)] || DEFAULT_ENTRY_POSITION;
+    const depth = pick('depth', ext.depth);
+    const order = pick('order', stEntry.insertion_order);
+    const useProbability = pick('useProbability', ext.useProbability);
+    const probability = Number(pick('probability', ext.probability) ?? 100);
+    const secondaryKeys = cleanKeys(pick('keysecondary', stEntry.secondary_keys));
+
+    return {
+        title: stEntry.comment || stEntry.name || '',
+        keys: cleanKeys(pick('key', stEntry.keys)),
+        // ST ignores secondary keys unless the entry is marked selective
+        secondary_keys: stEntry.selective === false ? [] : secondaryKeys,
+        selective_logic: ST_SELECTIVE_LOGIC[pick('selectiveLogic', ext.selectiveLogic)] || 'andAny',
+        case_sensitive: !!pick('caseSensitive', stEntry.case_sensitive ?? ext.case_sensitive),
+        match_whole_words: pick('matchWholeWords', ext.match_whole_words) !== false,
+        content: stEntry.content || '',
+        enabled: isBookEntry ? stEntry.enabled !== false : !stEntry.disable,
+        strategy: stEntry.constant ? 'constant' : 'keyword',
+        position,
+        insertion_order: flipOrder(order),
+        depth: position === 'atDepth' ? (Number.isInteger(depth) && depth >= 0 ? depth : DEFAULT_ENTRY_DEPTH) : null,
+        trigger_percent: useProbability === false || !Number.isFinite(probability) ? 100 : Math.min(100, Math.max(0, probability)),
+        prevent_recursion: !!pick('preventRecursion', ext.prevent_recursion),
+        sticky: toTimerValue(pick('sticky', ext.sticky)),
+        cooldown: toTimerValue(pick('cooldown', ext.cooldown)),
+        delay: toTimerValue(pick('delay', ext.delay))
+    };
+}
+
+/**
+ * Convert one of our entries into a SillyTavern World Info file entry
+ * @param {Object} entry - Parsed lorebook_entries row
+ * @param {number} uid - Index of the entry within the exported file
+ * @returns {Object} - ST World Info entry
+ */
+function toSTEntry(entry, uid) {
+    const secondaryKeys = entry.secondary_keys || [];
+    return {
+        uid,
+        key: entry.keys || [],
+        keysecondary: secondaryKeys,
+        comment: entry.title || '',
+        content: entry.content || '',
+        constant: entry.strategy === 'constant',
+        selective: secondaryKeys.length > 0,
+        selectiveLogic: Math.max(0, ST_SELECTIVE_LOGIC.indexOf(entry.selective_logic)),
+        order: flipOrder(entry.insertion_order ?? 100),
+        position: ENTRY_POSITION_TO_ST[entry.position] ?? ENTRY_POSITION_TO_ST[DEFAULT_ENTRY_POSITION],
+        depth: entry.depth ?? DEFAULT_ENTRY_DEPTH,
+        disable: !entry.enabled || entry.strategy === 'disabled',
+        probability: entry.trigger_percent ?? 100,
+        useProbability: true,
+        excludeRecursion: false,
+        preventRecursion: !!entry.prevent_recursion,
+        sticky: entry.sticky || 0,
+        cooldown: entry.cooldown || 0,
+        delay: entry.delay || 0,
+        caseSensitive: !!entry.case_sensitive,
+        matchWholeWords: entry.match_whole_words !== false,
+        addMemo: true,
+        displayIndex: uid
+    };
+}
+
+/**
+ * Create a lorebook from a SillyTavern World Info file or a card's character_book
+ * @param {Object} data - Parsed JSON: a World Info file, a character_book, or a whole v2 card
+ * @param {string} fallbackName - Name to use when the data doesn't carry one
+ * @param {string|null} source - Where the data came from, e.g. 'card:<character name>'. A lorebook already
+ *   imported from the same source under the same name is returned as it is instead of being imported again.
+ * @returns {Promise<Object>} - { lorebook, entryCount, alreadyImported }
+ * @throws {Error} - If the data has no entries to import
+ */
+async function importLorebook(data, fallbackName = 'Imported Lorebook', source = null) {
+    const book = data?.data?.character_book || data?.character_book || data;
+    if (!book || typeof book.entries !== 'object' || book.entries === null) {
+        throw new Error('No World Info entries found in this file.');
+    }
+    // World Info files key entries by uid; character books use a plain array
+    const stEntries = Array.isArray(book.entries) ? book.entries : Object.values(book.entries);
+
+    const name = book.name || fallbackName;
+    const existing = source ? await db.findImportedLorebook(source, name) : null;
+    if (existing) {
+        logger.info(`[WorldInfo] "${name}" was already imported from ${source}; keeping that copy`);
+        return { lorebook: existing, entryCount: 0, alreadyImported: true };
+    }
+
+    const created = await db.createLorebook(name, book.description || '', source);
+    const settings = {};
+    if (Number.isInteger(book.scan_depth) && book.scan_depth > 0) settings.scan_depth = book.scan_depth;
+    if (Number.isInteger(book.token_budget) && book.token_budget > 0) settings.token_budget = book.token_budget;
+    if (book.recursive_scanning === false) settings.max_recursion = 0;
+    if (Object.keys(settings).length > 0) {
+        await db.updateLorebook(created.lorebook_id, settings);
+    }
+
+    let entryCount = 0;
+    for (const stEntry of stEntries) {
+        if (!stEntry || typeof stEntry !== 'object') continue;
+        await db.createLorebookEntry(created.lorebook_id, fromSTEntry(stEntry));
+        entryCount++;
+    }
+
+    logger.info(`[WorldInfo] Imported "${created.name}" with ${entryCount} entries`);
+    return { lorebook: await db.getLorebook(created.lorebook_id), entryCount, alreadyImported: false };
+}
+
+/**
+ * Build a SillyTavern World Info file for a lorebook
+ * @param {string} lorebookId - The lorebook to export
+ * @returns {Promise<Object|null>} - { name, data } ready to be saved as JSON, or null if the lorebook doesn't exist
+ */
+async function exportLorebook(lorebookId) {
+    const book = await db.getLorebook(lorebookId);
+    if (!book) return null;
+
+    const entries = await db.getLorebookEntries(lorebookId);
+    const data = { name: book.name, entries: {} };
+    entries.forEach((entry, uid) => {
+        data.entries[uid] = toSTEntry(entry, uid);
+    });
+    return { name: book.name, data };
+}
+
 export default {
+    ENTRY_POSITIONS,
+    DEFAULT_ENTRY_POSITION,
+    DEFAULT_ENTRY_DEPTH,
+    SELECTIVE_LOGIC,
     getActivatedEntries,
     formatEntriesForPrompt,
+    buildPositionedWorldInfo,
+    importLorebook,
+    exportLorebook,
     buildScanBuffer,
     keywordMatches,
+    parseRegexKey,
+    validateKeys,
+    secondaryKeysPass,
     approxTokensFromChars
 };
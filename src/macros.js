@@ -0,0 +1,176 @@
+/**
+ * Macro Registry
+ *
+ * Expands SillyTavern-style {{macros}} in prompt parts and first messages.
+ * Macros are looked up by name (case-insensitive) in a registry, so other
+ * modules can add their own with registerMacro().
+ *
+ * Syntax: {{name}}, {{name:args}} or {{name::arg1::arg2}}, and {{// comment}} which expands to nothing.
+ * Unknown macros are left in the text untouched.
+ *
+ * Macros that return text users wrote (names, personas, chat messages, variables) are registered as literal:
+ * their values are held back until every pass is done, so macros typed into them never run.
+ */
+
+import dice from './dice.js';
+import { apiLogger as logger } from './log.js';
+
+const registry = new Map();
+
+// Inner macros expand first, so {{random:{{user}},{{char}}}} works; this caps how deep that goes
+const MAX_PASSES = 5;
+const MACRO_PATTERN = /\{\{([^{}]*)\}\}/g;
+// Stands in for a literal value until the passes are over; private-use characters so it can't look like a macro
+const LITERAL_PATTERN = /\uE000(\d+)\uE001/g;
+
+/**
+ * Add a macro to the registry, replacing any macro with the same name
+ * @param {string} name - Name used inside the braces
+ * @param {Function} handler - (args, context) => string; return undefined to leave the macro as written
+ * @param {Object} [options]
+ * @param {boolean} [options.literal] - The value is user text and must not be expanded itself
+ */
+function registerMacro(name, handler, { literal = false } = {}) {
+    registry.set(name.toLowerCase(), { handler, literal });
+}
+
+function unregisterMacro(name) {
+    registry.delete(name.toLowerCase());
+}
+
+function listMacros() {
+    return [...registry.keys()];
+}
+
+// Args come after the first ':' and are split on '::' when present, otherwise on ','
+function splitArgs(rawArgs) {
+    if (rawArgs === null) return [];
+    if (rawArgs.startsWith(':')) return rawArgs.slice(1).split('::');
+    return rawArgs.split(',');
+}
+
+function expandMacro(match, body, context, literals) {
+    if (body.trimStart().startsWith('//')) return '';
+
+    const separator = body.indexOf(':');
+    const name = (separator === -1 ? body : body.slice(0, separator)).trim().toLowerCase();
+    const macro = registry.get(name);
+    if (!macro) return match;
+
+    const rawArgs = separator === -1 ? null : body.slice(separator + 1);
+    try {
+        const value = macro.handler(splitArgs(rawArgs), context, rawArgs);
+        if (value === undefined || value === null) return match;
+        if (!macro.literal) return String(value);
+        literals.push(String(value));
+        return `\uE000${literals.length - 1}\uE001`;
+    } catch (err) {
+        logger.warn(`[Macros] {{${name}}} failed: ${err.message}`);
+        return match;
+    }
+}
+
+/**
+ * Expand every registered macro in a string
+ * @param {string} text - Text that may contain macros
+ * @param {Object} context - What the macros can read: { user, char, persona, group, chatHistory, variables }
+ *   Variable macros write to context.variables and note each write in context.variableUpdates so the caller can save them
+ * @returns {string} - The text with macros expanded
+ */
+function replaceMacros(text, context = {}) {
+    if (typeof text !== 'string' || !text.includes('{{')) return text;
+    const literals = [];
+    let result = text;
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+        const next = result.replace(MACRO_PATTERN, (match, body) => expandMacro(match, body, context, literals));
+        if (next === result) break;
+        result = next;
+    }
+    if (literals.length === 0) return result;
+
+    // A variable set from a literal, e.g. {{setvar::last::{{lastMessage}}}}, stores the text itself
+    // ...and {{getvar}} can hand that stored text back before it was restored, so this repeats
+    const restore = value => {
+        if (typeof value !== 'string') return value;
+        for (let depth = 0; depth <= literals.length && value.includes('\uE000'); depth++) {
+            value = value.replace(LITERAL_PATTERN, (match, index) => literals[index] ?? match);
+        }
+        return value;
+    };
+    for (const store of [context.variables, context.variableUpdates]) {
+        if (!store) continue;
+        for (const name of Object.keys(store)) store[name] = restore(store[name]);
+    }
+    return restore(result);
+}
+
+// ST reports idle time as the time since the user's previous message, not the one just sent
+function idleDuration(chatHistory, now = Date.now()) {
+    const userMessages = (chatHistory || []).filter(m => m.entity === 'user' && m.timestamp);
+    const previous = userMessages[userMessages.length - 2];
+    if (!previous) return 'just now';
+    const seconds = Math.max(0, (now - Date.parse(previous.timestamp)) / 1000);
+    if (isNaN(seconds) || seconds < 45) return 'just now';
+    const units = [['day', 86400], ['hour', 3600], ['minute', 60]];
+    for (const [unit, size] of units) {
+        const amount = Math.round(seconds / size);
+        if (amount >= 1) return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+    }
+    return 'a minute';
+}
+
+registerMacro('user', (args, context) => context.user ?? undefined, { literal: true });
+registerMacro('char', (args, context) => context.char ?? undefined, { literal: true });
+registerMacro('persona', (args, context) => context.persona || '', { literal: true });
+registerMacro('group', (args, context) => {
+    const names = (context.group || []).filter(Boolean);
+    return names.length > 0 ? names.join(', ') : context.char ?? undefined;
+}, { literal: true });
+registerMacro('time', () => new Date().toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }));
+registerMacro('date', () => new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }));
+registerMacro('idle_duration', (args, context) => idleDuration(context.chatHistory));
+registerMacro('lastMessage', (args, context) => {
+    const history = context.chatHistory || [];
+    return history.length > 0 ? history[history.length - 1].content ?? '' : '';
+}, { literal: true });
+registerMacro('random', (args) => {
+    const choices = args.map(choice => choice.trim());
+    if (choices.length === 0) return undefined;
+    return choices[Math.floor(Math.random() * choices.length)];
+});
+registerMacro('roll', (args, context, rawArgs) => {
+    const result = dice.roll(rawArgs?.replace(/^:/, ''));
+    return result === null ? undefined : result.total;
+});
+
+// Chat variables only exist where the caller loaded the session's store into the context
+function writeVariable(context, name, value) {
+    context.variables[name] = value;
+    if (context.variableUpdates) context.variableUpdates[name] = value;
+}
+
+registerMacro('getvar', ([name], context) => {
+    if (!context.variables || !name?.trim()) return undefined;
+    return context.variables[name.trim()] ?? '';
+}, { literal: true });
+registerMacro('setvar', ([name, ...value], context, rawArgs) => {
+    if (!context.variables || !name?.trim()) return undefined;
+    // the value is everything after the name, separators included
+    writeVariable(context, name.trim(), value.join(rawArgs.startsWith(':') ? '::' : ','));
+    return '';
+});
+registerMacro('incvar', ([name], context) => {
+    if (!context.variables || !name?.trim()) return undefined;
+    const current = Number(context.variables[name.trim()]);
+    const next = (Number.isFinite(current) ? current : 0) + 1;
+    writeVariable(context, name.trim(), String(next));
+    return next;
+});
+
+export default {
+    registerMacro,
+    unregisterMacro,
+    listMacros,
+    replaceMacros,
+    idleDuration
+};
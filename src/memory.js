@@ -0,0 +1,261 @@
+/**
+ * Long-term Memory
+ *
+ * Finds old chat messages (and lorebook entries) that relate to what is being talked about now,
+ * so addCharDefsToPrompt can bring back specific events that have fallen out of the context window.
+ *
+ * Two ways to compare texts:
+ *   'api'   - embeddings from the selected API's OpenAI-compatible /embeddings endpoint, ranked by cosine similarity
+ *   'local' - term counts ranked with BM25; no API needed, and what 'api' falls back to when the endpoint fails
+ *
+ * Vectors are stored in memory_vectors and only made again when a text changes.
+ * Settings live in liveConfig.memory.
+ */
+
+import crypto from 'crypto';
+import db from './db.js';
+import lorebook from './lorebook.js';
+import api from './api-calls.js';
+import { approxTokensFromChars } from './localTokenizer.js';
+import { apiLogger as logger } from './log.js';
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    method: 'local',
+    embeddingModel: '',
+    // How many old messages (and, separately, lorebook entries) to bring back
+    topK: 3,
+    includeLorebook: true,
+    position: 'afterCharDefs',
+    depth: 4
+};
+const METHODS = ['local', 'api'];
+
+// The newest messages make up the query
+const QUERY_MESSAGES = 3;
+const EMBEDDING_BATCH_SIZE = 64;
+// Cosine similarity below this isn't worth a place in the prompt
+const MIN_SIMILARITY = 0.3;
+// BM25 tuning
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+    'our', 'out', 'has', 'him', 'his', 'how', 'its', 'may', 'now', 'she', 'than', 'that', 'them', 'then',
+    'there', 'these', 'they', 'this', 'those', 'what', 'when', 'where', 'which', 'who', 'will', 'with',
+    'would', 'could', 'should', 'from', 'have', 'into', 'just', 'like', 'more', 'some', 'such', 'very',
+    'were', 'been', 'being', 'about', 'also', 'did', 'does', 'each', 'even', 'here', 'over', 'too', 'yes'
+]);
+
+/**
+ * The memory settings with defaults filled in
+ * @param {Object} liveConfig - Server config
+ * @returns {Object} - { enabled, method, embeddingModel, topK, includeLorebook, position, depth }
+ */
+function getSettings(liveConfig) {
+    const settings = { ...DEFAULT_SETTINGS, ...(liveConfig?.memory || {}) };
+    settings.enabled = settings.enabled === true;
+    settings.includeLorebook = settings.includeLorebook === true;
+    if (!METHODS.includes(settings.method)) settings.method = DEFAULT_SETTINGS.method;
+    settings.embeddingModel = typeof settings.embeddingModel === 'string' ? settings.embeddingModel.trim() : '';
+    if (!lorebook.ENTRY_POSITIONS.includes(settings.position)) settings.position = DEFAULT_SETTINGS.position;
+    for (const key of ['topK', 'depth']) {
+        const value = Number(settings[key]);
+        settings[key] = Number.isInteger(value) && value >= 0 ? value : DEFAULT_SETTINGS[key];
+    }
+    return settings;
+}
+
+function formatMessage(message) {
+    return `${message.username}: ${message.content}`;
+}
+
+function hashText(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+function termCounts(text) {
+    const counts = {};
+    for (const term of (text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || []) {
+        if (term.length < 3 || STOP_WORDS.has(term)) continue;
+        counts[term] = (counts[term] || 0) + 1;
+    }
+    return counts;
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Terms of the newest message count fully and older ones much less, so a long earlier message can't drown out the latest
+function queryTermWeights(queryMessages) {
+    const weights = {};
+    [...queryMessages].reverse().forEach((message, age) => {
+        for (const term of Object.keys(termCounts(formatMessage(message)))) {
+            weights[term] = Math.max(weights[term] || 0, 1 / (age + 1) ** 2);
+        }
+    });
+    return weights;
+}
+
+// BM25 over just the candidate documents, so document frequencies come from this chat and lorebook
+function bm25Scores(queryWeights, docVectors) {
+    const lengths = docVectors.map(counts => Object.values(counts).reduce((sum, count) => sum + count, 0));
+    const averageLength = lengths.reduce((sum, length) => sum + length, 0) / (lengths.length || 1) || 1;
+    const documentFrequency = {};
+    for (const counts of docVectors) {
+        for (const term of Object.keys(counts)) documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+    }
+    return docVectors.map((counts, index) => {
+        let score = 0;
+        for (const [term, weight] of Object.entries(queryWeights)) {
+            const frequency = counts[term];
+            if (!frequency) continue;
+            const idf = Math.log(1 + (docVectors.length - documentFrequency[term] + 0.5) / (documentFrequency[term] + 0.5));
+            score += weight * idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * lengths[index] / averageLength));
+        }
+        return score;
+    });
+}
+
+/**
+ * Vectors for the documents, reusing stored ones and making (and storing) the rest
+ * @returns {Promise<Array|null>} - One vector per document, or null if the embedding API failed
+ */
+async function vectorsFor(docs, method, sessionId, embed) {
+    const stored = await db.getMemoryVectors(method, sessionId);
+    const vectors = [];
+    const missing = [];
+    docs.forEach((doc, index) => {
+        const existing = stored.get(`${doc.sourceType}:${doc.sourceId}`);
+        if (existing && existing.contentHash === doc.contentHash) {
+            vectors[index] = existing.vector;
+        } else {
+            missing.push(index);
+        }
+    });
+
+    const made = [];
+    for (let start = 0; start < missing.length; start += EMBEDDING_BATCH_SIZE) {
+        const batch = missing.slice(start, start + EMBEDDING_BATCH_SIZE);
+        const batchVectors = await embed(batch.map(index => docs[index].text));
+        if (!batchVectors) return null;
+        batch.forEach((index, i) => {
+            vectors[index] = batchVectors[i];
+            made.push({ ...docs[index], vector: batchVectors[i] });
+        });
+    }
+    if (made.length > 0) {
+        logger.info(`[Memory] Stored ${made.length} new ${method} vectors`);
+        await db.setMemoryVectors(method, made);
+    }
+    return vectors;
+}
+
+async function scoreWithAPI(docs, queryText, sessionId, liveAPI, settings) {
+    if (!settings.embeddingModel) {
+        logger.warn('[Memory] No embedding model set; using local matching');
+        return null;
+    }
+    const embed = texts => api.requestEmbeddings(liveAPI, settings.embeddingModel, texts);
+    const vectors = await vectorsFor(docs, `api:${settings.embeddingModel}`, sessionId, embed);
+    const queryVector = vectors ? (await embed([queryText]))?.[0] : null;
+    if (!queryVector) {
+        logger.warn('[Memory] The embedding API failed; using local matching');
+        return null;
+    }
+    return vectors.map(vector => {
+        const similarity = cosineSimilarity(queryVector, vector);
+        return similarity >= MIN_SIMILARITY ? similarity : 0;
+    });
+}
+
+async function scoreLocally(docs, queryMessages, sessionId) {
+    const vectors = await vectorsFor(docs, 'local', sessionId, async texts => texts.map(termCounts));
+    return bm25Scores(queryTermWeights(queryMessages), vectors);
+}
+
+// Walks back from the newest message with the same rough token estimate the prompt builder uses
+function outOfContextMessages(chatHistory, historyBudget) {
+    let remaining = historyBudget;
+    for (let i = chatHistory.length - 1; i >= 0; i--) {
+        remaining -= approxTokensFromChars(formatMessage(chatHistory[i]));
+        if (remaining < 0) return chatHistory.slice(0, i + 1);
+    }
+    return [];
+}
+
+/**
+ * Find the old messages and lorebook entries that relate to the latest messages
+ * @param {Object} options
+ * @param {Object} options.liveConfig - The room's config
+ * @param {Object} options.liveAPI - API for embeddings
+ * @param {Object[]} options.chatHistory - The chat, oldest first
+ * @param {number|null} options.sessionId - Chat session
+ * @param {number} options.historyBudget - Tokens the prompt has for chat history; older messages are the ones recalled
+ * @param {Object|null} options.context - Lorebook link context, as for getActivatedEntries
+ * @returns {Promise<Object>} - { messages (oldest first), entries }
+ */
+async function recall({ liveConfig, liveAPI, chatHistory, sessionId, historyBudget, context = null }) {
+    const settings = getSettings(liveConfig);
+    const none = { messages: [], entries: [] };
+    if (!settings.enabled || settings.topK === 0 || !Array.isArray(chatHistory) || chatHistory.length === 0) return none;
+
+    const queryMessages = chatHistory.slice(-QUERY_MESSAGES);
+    const docs = outOfContextMessages(chatHistory, historyBudget).map(message => ({
+        sourceType: 'message',
+        sourceId: String(message.messageID),
+        text: formatMessage(message),
+        item: message
+    }));
+    if (settings.includeLorebook) {
+        for (const entry of await db.getAllEnabledEntries(context)) {
+            if (entry.strategy === 'disabled' || !entry.content) continue;
+            docs.push({ sourceType: 'entry', sourceId: entry.entry_id, text: `${entry.title || ''}\n${entry.content}`, item: entry });
+        }
+    }
+    if (docs.length === 0) return none;
+    for (const doc of docs) doc.contentHash = hashText(doc.text);
+
+    let scores = null;
+    if (settings.method === 'api' && liveConfig?.promptConfig?.engineMode !== 'horde') {
+        scores = await scoreWithAPI(docs, queryMessages.map(formatMessage).join('\n'), sessionId, liveAPI, settings);
+    }
+    if (!scores) scores = await scoreLocally(docs, queryMessages, sessionId);
+
+    const ranked = docs
+        .map((doc, index) => ({ doc, score: scores[index] }))
+        .filter(scored => scored.score > 0)
+        .sort((a, b) => b.score - a.score);
+    const best = sourceType => ranked.filter(scored => scored.doc.sourceType === sourceType).slice(0, settings.topK).map(scored => scored.doc.item);
+    const messages = best('message').sort((a, b) => a.messageID - b.messageID);
+    const entries = best('entry');
+    if (messages.length > 0 || entries.length > 0) {
+        logger.info(`[Memory] Recalled ${messages.length} old messages and ${entries.length} lorebook entries`);
+    }
+    return { messages, entries };
+}
+
+/**
+ * The prompt text for recalled messages
+ * @param {Object[]} messages - What recall() returned as messages
+ * @returns {string} - Empty if there is nothing to add
+ */
+function formatRecalledMessages(messages) {
+    if (!messages || messages.length === 0) return '';
+    return `[Relevant earlier messages:\n${messages.map(formatMessage).join('\n')}]`;
+}
+
+export default {
+    DEFAULT_SETTINGS,
+    getSettings,
+    recall,
+    formatRecalledMessages
+};
@@ -0,0 +1,52 @@
+/**
+ * Role Permissions
+ *
+ * Which roles may take the moderation actions that aren't host-only. Hosts can do everything;
+ * anything not listed here (model, API, character and other config changes) stays with the host.
+ * Guests can still change their own recent messages, which is checked separately in server.js.
+ *
+ * Moderators only act on people ranked below them: mods on guests, hosts on mods and guests.
+ */
+
+const PERMISSIONS = {
+    moderateMessages: ['host', 'mod'], // edit or delete other people's messages
+    muteUsers: ['host', 'mod'],
+    kickUsers: ['host', 'mod'],
+    banUsers: ['host', 'mod'], // time out, ban and unban
+    toggleGuestInput: ['host', 'mod'],
+    retry: ['host', 'mod']
+};
+
+const ROLE_RANKS = { guest: 0, mod: 1, host: 2 };
+
+/**
+ * Whether a role may take an action
+ * @param {string} role - 'host', 'mod' or 'guest'
+ * @param {string} action - A key of PERMISSIONS
+ * @returns {boolean}
+ */
+function can(role, action) {
+    return role === 'host' || (PERMISSIONS[action] || []).includes(role);
+}
+
+/**
+ * Whether someone may moderate another user or that user's messages
+ * @param {string} role - The moderator's role
+ * @param {string|null} targetRole - The other user's role; users without one are guests
+ * @returns {boolean}
+ */
+function canActOn(role, targetRole) {
+    return (ROLE_RANKS[role] ?? 0) > (ROLE_RANKS[targetRole] ?? 0);
+}
+
+// The actions a role may take, for the client to show the matching controls
+function permissionsFor(role) {
+    return Object.keys(PERMISSIONS).filter(action => can(role, action));
+}
+
+export default {
+    PERMISSIONS,
+    can,
+    canActOn,
+    permissionsFor
+};
@@ -0,0 +1,123 @@
+/**
+ * Rate Limits
+ *
+ * Token buckets that cap how fast guests and mods can post, make the AI write and upload cards,
+ * whatever their client's cooldown timers say, and how fast anyone can try passwords and reset codes.
+ * Each action has a bucket per user and one per IP address; a bucket holds up to `burst` tokens,
+ * refills at `perMinute`, and every action takes a token from both.
+ *
+ * Limits live in liveConfig.crowdControl.rateLimits. A burst or perMinute of 0 turns that limit off.
+ */
+
+const ACTIONS = ['chat', 'AI', 'upload', 'auth'];
+
+const DEFAULT_LIMITS = {
+    chat: { burst: 5, perMinute: 20 }, // chat messages and slash commands
+    AI: { burst: 3, perMinute: 10 }, // anything that makes the AI write a reply
+    upload: { burst: 2, perMinute: 4 }, // character card uploads
+    auth: { burst: 3, perMinute: 2 }, // logins and password resets; only an IP bucket, so times IPMultiplier
+    // an IP address gets this many users' worth of each limit, for people sharing a connection
+    IPMultiplier: 3
+};
+
+// Buckets that have refilled are dropped this often, so the map doesn't keep every visitor forever
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+const buckets = new Map(); // 'action|user:<uuid>' or 'action|ip:<address>' -> { tokens, updatedAt, limit }
+let lastPrunedAt = Date.now();
+
+function toCount(value, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * The rate limits with defaults filled in
+ * @param {Object} liveConfig - Server config
+ * @returns {Object} - { chat, AI, upload, auth: { burst, perMinute }, IPMultiplier }
+ */
+function getLimits(liveConfig) {
+    const configured = liveConfig?.crowdControl?.rateLimits || {};
+    const limits = { IPMultiplier: Math.max(1, toCount(configured.IPMultiplier, DEFAULT_LIMITS.IPMultiplier)) };
+    for (const action of ACTIONS) {
+        limits[action] = {
+            burst: toCount(configured[action]?.burst, DEFAULT_LIMITS[action].burst),
+            perMinute: toCount(configured[action]?.perMinute, DEFAULT_LIMITS[action].perMinute)
+        };
+    }
+    return limits;
+}
+
+function refill(bucket, now) {
+    bucket.tokens = Math.min(bucket.limit.burst, bucket.tokens + (now - bucket.updatedAt) * bucket.limit.perMinute / 60000);
+    bucket.updatedAt = now;
+}
+
+function getBucket(key, limit, now) {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+        bucket = { tokens: limit.burst, updatedAt: now, limit };
+        buckets.set(key, bucket);
+    }
+    bucket.limit = limit; // the host may have changed it since
+    refill(bucket, now);
+    return bucket;
+}
+
+function pruneBuckets(now) {
+    if (now - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+    lastPrunedAt = now;
+    for (const [key, bucket] of buckets) {
+        refill(bucket, now);
+        if (bucket.tokens >= bucket.limit.burst) buckets.delete(key);
+    }
+}
+
+/**
+ * Take a token for each action from the user's and their IP address's buckets, or none if any bucket is empty
+ * @param {string[]} actions - Some of 'chat', 'AI', 'upload' and 'auth'
+ * @param {Object} who - { uuid, ip }
+ * @param {Object} liveConfig - Server config, for the limits
+ * @returns {Object|null} - null if allowed, otherwise { action, retryAfter } with the seconds until a token is back
+ */
+function take(actions, who, liveConfig) {
+    const now = Date.now();
+    pruneBuckets(now);
+    const limits = getLimits(liveConfig);
+    const wanted = [];
+    for (const action of actions) {
+        const limit = limits[action];
+        if (!limit || limit.burst === 0 || limit.perMinute === 0) continue;
+        const IPLimit = { burst: limit.burst * limits.IPMultiplier, perMinute: limit.perMinute * limits.IPMultiplier };
+        if (who.uuid) wanted.push({ action, bucket: getBucket(`${action}|user:${who.uuid}`, limit, now) });
+        if (who.ip) wanted.push({ action, bucket: getBucket(`${action}|ip:${who.ip}`, IPLimit, now) });
+    }
+
+    const empty = wanted.filter(({ bucket }) => bucket.tokens < 1);
+    if (empty.length > 0) {
+        const waits = empty.map(({ action, bucket }) => ({ action, retryAfter: Math.ceil((1 - bucket.tokens) * 60 / bucket.limit.perMinute) }));
+        return waits.reduce((longest, wait) => wait.retryAfter > longest.retryAfter ? wait : longest);
+    }
+    for (const { bucket } of wanted) bucket.tokens -= 1;
+    return null;
+}
+
+// How many buckets are being kept, for seeing that pruning works
+function bucketCount() {
+    return buckets.size;
+}
+
+// What someone who hit a limit is told
+function describeLimit({ action, retryAfter }) {
+    const doing = { chat: 'sending messages', AI: 'asking the AI for replies', upload: 'uploading cards', auth: 'trying to log in' }[action] || 'doing that';
+    return `You are ${doing} too quickly. Please wait ${retryAfter} second${retryAfter === 1 ? '' : 's'} and try again.`;
+}
+
+export default {
+    ACTIONS,
+    DEFAULT_LIMITS,
+    getLimits,
+    take,
+    bucketCount,
+    describeLimit
+};
@@ -0,0 +1,65 @@
+/**
+ * Session Tokens
+ *
+ * Signed tokens proving a client logged in to an account (or entered the host or mod key) as a user,
+ * so knowing someone's UUID is no longer enough to connect as them.
+ *
+ * A token is "<payload>.<signature>": base64url JSON { sid, uid, exp } and its HMAC-SHA256 under
+ * the server's secret (sessionSecret in secrets.json). Every token also has an auth_sessions row in
+ * the database, which is what logging out and revoking delete.
+ */
+
+import crypto from 'crypto';
+
+const TOKEN_LIFETIME_DAYS = 30;
+
+let secret = null;
+
+function setSecret(newSecret) {
+    secret = newSecret;
+}
+
+function signPayload(encodedPayload) {
+    return crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Make a token
+ * @param {Object} payload - { sid, uid, exp } with exp in ms since the epoch
+ * @returns {string}
+ */
+function sign(payload) {
+    if (!secret) throw new Error('No session secret set');
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${encodedPayload}.${signPayload(encodedPayload)}`;
+}
+
+/**
+ * Check a token's signature and expiry
+ * @param {string} token
+ * @returns {Object|null} - The payload { sid, uid, exp }, or null if the token is forged, malformed or expired
+ */
+function verify(token) {
+    if (!secret || typeof token !== 'string') return null;
+    const [encodedPayload, signature, extra] = token.split('.');
+    if (!encodedPayload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(signPayload(encodedPayload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        if (typeof payload.sid !== 'string' || typeof payload.uid !== 'string' || !(payload.exp > Date.now())) return null;
+        return payload;
+    } catch (err) {
+        return null;
+    }
+}
+
+export default {
+    TOKEN_LIFETIME_DAYS,
+    setSecret,
+    sign,
+    verify
+};
@@ -0,0 +1,360 @@
+/**
+ * Slash Commands
+ *
+ * Chat input starting with "/" runs a command instead of being posted, e.g. /roll 1d20 or /retry.
+ * Commands live in a registry like macros do, so other modules can add their own with registerCommand().
+ * Starting a message with "//" posts it with a single leading slash.
+ *
+ * Hosts can run every command. Guests and mods can run the ones the host allows
+ * (crowdControl.guestCommands in config.json, changed with /allow and /deny), and mods also
+ * the ones their role's permissions cover (see permissions.js).
+ */
+
+import db from './db.js';
+import lorebook from './lorebook.js';
+import dice from './dice.js';
+import permissions from './permissions.js';
+import { logger } from './log.js';
+
+const registry = new Map();
+
+// What guests can run until the host changes it
+const DEFAULT_GUEST_COMMANDS = ['help', 'roll', 'persona'];
+const MAX_LORE_RESULTS = 5;
+const LORE_PREVIEW_LENGTH = 200;
+
+/**
+ * Add a command to the registry, replacing any command with the same name
+ * @param {Object} command - { name, usage, description, hostOnly, permission, run(args, argText, ctx) }
+ *   hostOnly commands can't be allowed for guests; a permission lets the roles that have it run the command anyway
+ */
+function registerCommand(command) {
+    registry.set(command.name.toLowerCase(), { hostOnly: false, ...command, name: command.name.toLowerCase() });
+}
+
+function unregisterCommand(name) {
+    registry.delete(name.toLowerCase());
+}
+
+/**
+ * Split chat input into a command name and its arguments
+ * @param {string} text - What the user typed
+ * @returns {Object|null} - { name, args, argText }, or null if the text isn't a command
+ */
+function parseCommand(text) {
+    if (typeof text !== 'string') return null;
+    const match = /^\/([^\s/]\S*)\s*([\s\S]*)$/.exec(text.trim());
+    if (!match) return null;
+    const argText = match[2].trim();
+    return { name: match[1].toLowerCase(), args: argText ? argText.split(/\s+/) : [], argText };
+}
+
+// "//text" is posted as "/text"
+function unescapeSlash(text) {
+    if (typeof text !== 'string' || !text.trimStart().startsWith('//')) return text;
+    return text.trimStart().slice(1);
+}
+
+function getGuestCommands(liveConfig) {
+    const allowed = liveConfig?.crowdControl?.guestCommands;
+    return Array.isArray(allowed) ? allowed : DEFAULT_GUEST_COMMANDS;
+}
+
+function canRun(command, role, guestCommands) {
+    if (role === 'host') return true;
+    if (command.permission && permissions.can(role, command.permission)) return true;
+    return !command.hostOnly && guestCommands.includes(command.name);
+}
+
+/**
+ * The commands someone can run, for /help and the client's autocomplete
+ * @param {string} role - 'host', 'mod' or 'guest'
+ * @param {string[]} guestCommands - Commands the host allows for everyone else
+ * @returns {Object[]} - [{ name, usage, description }]
+ */
+function listCommands(role, guestCommands) {
+    return [...registry.values()]
+        .filter(command => canRun(command, role, guestCommands))
+        .map(({ name, usage, description }) => ({ name, usage, description }));
+}
+
+/**
+ * Run chat input as a command if it is one
+ * @param {string} text - What the user typed
+ * @param {Object} ctx - Who ran it and what commands can do, built by the server:
+ *   { username, role, roomId, chatID, persona, guestCommands, reply(text), announce(text), getLorebookContexts,
+ *     postRoll, setPersona, toggleMute, toggleUserMute, kickUser, banUser, continueChat, retry, clearChat, setGuestCommands }
+ * @returns {Promise<boolean>} - True if the text was a command (so it shouldn't be posted)
+ */
+async function runCommand(text, ctx) {
+    const parsed = parseCommand(text);
+    if (!parsed) return false;
+
+    const command = registry.get(parsed.name);
+    if (!command) {
+        ctx.reply(`Unknown command /${parsed.name}. Type /help to see the commands you can use.`);
+        return true;
+    }
+    if (!canRun(command, ctx.role, ctx.guestCommands)) {
+        logger.warn(`[SlashCommands] ${ctx.username} (${ctx.role}) is not allowed to run /${command.name}`);
+        ctx.reply(`The host hasn't allowed /${command.name}.`);
+        return true;
+    }
+
+    logger.info(`[SlashCommands] ${ctx.username} ran /${command.name} ${parsed.argText}`);
+    try {
+        await command.run(parsed.args, parsed.argText, ctx);
+    } catch (err) {
+        logger.error(`[SlashCommands] /${command.name} failed:`, err);
+        ctx.reply(`/${command.name} failed: ${err.message}`);
+    }
+    return true;
+}
+
+registerCommand({
+    name: 'help',
+    usage: '/help',
+    description: 'List the commands you can use',
+    run: (args, argText, ctx) => {
+        const lines = listCommands(ctx.role, ctx.guestCommands).map(command => `${command.usage} — ${command.description}`);
+        ctx.reply(`Commands:\n${lines.join('\n')}`);
+    }
+});
+
+registerCommand({
+    name: 'roll',
+    usage: '/roll [dice]',
+    description: 'Roll dice such as 3d6+2, 4d6kh3, 3d6! or 1d20+5 adv (default 1d20)',
+    run: async (args, argText, ctx) => {
+        const result = dice.roll(argText);
+        if (!result) {
+            ctx.reply(`Can't read the dice "${argText}". Try something like 3d6+2, 4d6kh3, 3d6! or 1d20+5 adv.`);
+            return;
+        }
+        await ctx.postRoll(dice.describeRoll(result, ctx.username));
+    }
+});
+
+registerCommand({
+    name: 'persona',
+    usage: '/persona [description]',
+    description: 'Set your persona, or show it when no description is given',
+    run: async (args, argText, ctx) => {
+        if (!argText) {
+            ctx.reply(ctx.persona ? `Your persona: ${ctx.persona}` : 'You have no persona set.');
+            return;
+        }
+        await ctx.setPersona(argText);
+        ctx.reply('Persona updated.');
+    }
+});
+
+registerCommand({
+    name: 'lore',
+    usage: '/lore <keyword>',
+    description: 'Look up lorebook entries by title or key',
+    run: async (args, argText, ctx) => {
+        if (!argText) {
+            ctx.reply('Usage: /lore <keyword>');
+            return;
+        }
+        const query = argText.toLowerCase();
+        // Only lorebooks the room's prompts could use: one lookup per character in the room, for the sender and the current chat
+        const entries = new Map();
+        for (const context of await ctx.getLorebookContexts()) {
+            for (const entry of await db.getAllEnabledEntries(context)) entries.set(entry.entry_id, entry);
+        }
+        const matches = [...entries.values()].filter(entry =>
+            (entry.title || '').toLowerCase().includes(query) ||
+            (entry.keys || []).some(key => key.toLowerCase().includes(query) || lorebook.keywordMatches(key, argText))
+        );
+        if (matches.length === 0) {
+            ctx.reply(`No lorebook entries found for "${argText}".`);
+            return;
+        }
+        const shown = matches.slice(0, MAX_LORE_RESULTS).map(entry => {
+            const content = entry.content || '';
+            const preview = content.length > LORE_PREVIEW_LENGTH ? `${content.slice(0, LORE_PREVIEW_LENGTH)}…` : content;
+            return `📚 ${entry.title || '(untitled)'} [${(entry.keys || []).join(', ')}]\n${preview}`;
+        });
+        const more = matches.length > MAX_LORE_RESULTS ? `\n…and ${matches.length - MAX_LORE_RESULTS} more` : '';
+        ctx.reply(`${shown.join('\n\n')}${more}`);
+    }
+});
+
+registerCommand({
+    name: 'mute',
+    usage: '/mute <character>',
+    description: 'Mute or unmute one of the room\'s characters',
+    run: async (args, argText, ctx) => {
+        if (!argText) {
+            ctx.reply('Usage: /mute <character>');
+            return;
+        }
+        const result = await ctx.toggleMute(argText);
+        if (!result) {
+            ctx.reply(`No character named "${argText}" in this room.`);
+            return;
+        }
+        ctx.announce(`🔇 ${ctx.username} ${result.isMuted ? 'muted' : 'unmuted'} ${result.displayName}.`);
+    }
+});
+
+registerCommand({
+    name: 'muteuser',
+    usage: '/muteuser <user>',
+    description: 'Mute or unmute a user in this room',
+    hostOnly: true,
+    permission: 'muteUsers',
+    run: async (args, argText, ctx) => {
+        if (!argText) {
+            ctx.reply('Usage: /muteuser <user>');
+            return;
+        }
+        const result = await ctx.toggleUserMute(argText);
+        if (result.error) ctx.reply(result.error);
+    }
+});
+
+registerCommand({
+    name: 'kick',
+    usage: '/kick <user>',
+    description: 'Disconnect a user from the server',
+    hostOnly: true,
+    permission: 'kickUsers',
+    run: async (args, argText, ctx) => {
+        if (!argText) {
+            ctx.reply('Usage: /kick <user>');
+            return;
+        }
+        const result = await ctx.kickUser(argText);
+        if (result.error) ctx.reply(result.error);
+    }
+});
+
+registerCommand({
+    name: 'timeout',
+    usage: '/timeout <minutes> <user>',
+    description: 'Disconnect a user and keep them out for a while',
+    hostOnly: true,
+    permission: 'banUsers',
+    run: async (args, argText, ctx) => {
+        const minutes = Math.round(Number(args[0]));
+        const target = argText.slice((args[0] || '').length).trim();
+        if (!(minutes > 0) || !target) {
+            ctx.reply('Usage: /timeout <minutes> <user>');
+            return;
+        }
+        const result = await ctx.banUser(target, { minutes });
+        if (result.error) ctx.reply(result.error);
+    }
+});
+
+registerCommand({
+    name: 'ban',
+    usage: '/ban <user>',
+    description: 'Disconnect a user and keep them out until unbanned',
+    hostOnly: true,
+    permission: 'banUsers',
+    run: async (args, argText, ctx) => {
+        if (!argText) {
+            ctx.reply('Usage: /ban <user>');
+            return;
+        }
+        const result = await ctx.banUser(argText);
+        if (result.error) ctx.reply(result.error);
+    }
+});
+
+registerCommand({
+    name: 'banip',
+    usage: '/banip <user>',
+    description: 'Ban a user and everyone connecting from their IP address',
+    hostOnly: true,
+    permission: 'banUsers',
+    run: async (args, argText, ctx) => {
+        if (!argText) {
+            ctx.reply('Usage: /banip <user>');
+            return;
+        }
+        const result = await ctx.banUser(argText, { byIP: true });
+        if (result.error) ctx.reply(result.error);
+    }
+});
+
+registerCommand({
+    name: 'continue',
+    usage: '/continue',
+    description: 'Have the AI continue the chat',
+    run: async (args, argText, ctx) => {
+        await ctx.continueChat();
+    }
+});
+
+registerCommand({
+    name: 'retry',
+    usage: '/retry',
+    description: 'Regenerate the last AI reply as a new swipe',
+    permission: 'retry',
+    run: async (args, argText, ctx) => {
+        if (!await ctx.retry()) ctx.reply('There is no AI reply to retry.');
+    }
+});
+
+registerCommand({
+    name: 'clear',
+    usage: '/clear [ai|user]',
+    description: 'Save and clear the AI chat or user chat (default: the chat you typed in)',
+    run: async (args, argText, ctx) => {
+        const which = (args[0] || (ctx.chatID === 'userChat' ? 'user' : 'ai')).toLowerCase();
+        if (which !== 'ai' && which !== 'user') {
+            ctx.reply('Usage: /clear [ai|user]');
+            return;
+        }
+        if (!await ctx.clearChat(which === 'ai' ? '#AIChat' : '#userChat')) {
+            ctx.reply('That chat is already being cleared.');
+        }
+    }
+});
+
+function setGuestPermission(allow) {
+    return async (args, argText, ctx) => {
+        const name = (args[0] || '').replace(/^\//, '').toLowerCase();
+        const command = registry.get(name);
+        if (!command || command.hostOnly) {
+            ctx.reply(name ? `/${name} can't be given to guests.` : `Usage: /${allow ? 'allow' : 'deny'} <command>`);
+            return;
+        }
+        const allowed = ctx.guestCommands.filter(existing => existing !== name);
+        if (allow) allowed.push(name);
+        await ctx.setGuestCommands(allowed);
+        ctx.reply(`Guests can ${allow ? 'now' : 'no longer'} use /${name}.`);
+    };
+}
+
+registerCommand({
+    name: 'allow',
+    usage: '/allow <command>',
+    description: 'Let guests use a command',
+    hostOnly: true,
+    run: setGuestPermission(true)
+});
+
+registerCommand({
+    name: 'deny',
+    usage: '/deny <command>',
+    description: 'Stop guests from using a command',
+    hostOnly: true,
+    run: setGuestPermission(false)
+});
+
+export default {
+    DEFAULT_GUEST_COMMANDS,
+    registerCommand,
+    unregisterCommand,
+    parseCommand,
+    unescapeSlash,
+    getGuestCommands,
+    listCommands,
+    runCommand
+};
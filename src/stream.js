@@ -8,13 +8,20 @@ import { EventEmitter } from 'events';
 import iconv from 'iconv-lite';
 import purify from './purify.js';
 
-// Emits incremental text tokens for streaming responses
-const textEmitter = new EventEmitter();
+// Emits incremental text tokens for streaming responses, one emitter per room
+// so two rooms generating at the same time never receive each other's tokens
+const textEmitters = new Map();
 // Emits 'responseComplete' when an AI response (streamed or non-streamed) has fully finished
 export const responseLifecycleEmitter = new EventEmitter();
 
 var isStreaming = true
-let accumulatedStreamOutput = ''
+
+function getTextEmitter(roomId = db.DEFAULT_ROOM_ID) {
+    if (!textEmitters.has(roomId)) {
+        textEmitters.set(roomId, new EventEmitter());
+    }
+    return textEmitters.get(roomId);
+}
 
 // Heuristic fixer: if final text ends with unmatched quotes or markdown
 // delimiters, append the closing counterpart(s) at the end. This runs on the
@@ -88,7 +95,10 @@ function autoMendMarkdown(text) {
 }
 
 // Text listener that emits streamed token messages and finalizes at end
-const createTextListener = async (parsedMessage, liveConfig, AIChatUserList, user, sessionID, messageID, shouldContinue, lastInContextMessageID) => {
+const createTextListener = async (parsedMessage, liveConfig, AIChatUserList, user, sessionID, messageID, shouldContinue, lastInContextMessageID, onResponseEnd = null) => {
+    const roomId = parsedMessage?.roomId || db.DEFAULT_ROOM_ID;
+    const textEmitter = getTextEmitter(roomId);
+    let accumulatedStreamOutput = '';
     let currentlyStreaming;
     let contentBeforeContinue;
     // Track mid-stream fenced code block state for stable rendering
@@ -115,6 +125,8 @@ const createTextListener = async (parsedMessage, liveConfig, AIChatUserList, use
         contentBeforeContinue = await db.getMessage(targetMessageID, targetSessionID);
     }
 
+    let swipeMeta = null;
+
     const endResponse = async () => {
 
         //logger.error('AIChatUserList in text Listener EndResponse')
@@ -135,8 +147,10 @@ const createTextListener = async (parsedMessage, liveConfig, AIChatUserList, use
                 const targetMessageID = parsedMessage?.continueTarget?.mesID || (messageID - 1);
                 logger.warn('Editing message ID at end of stream: ', targetMessageID, ' in session ', targetSessionID);
                 await db.editMessage(targetSessionID, targetMessageID, trimmed);
+            } else if (parsedMessage?.swipeTarget) {
+                swipeMeta = await db.addAIChatSwipe(sessionID, messageID, trimmed);
             } else {
-                await db.writeAIChatMessage(liveConfig.promptConfig.selectedCharacterDisplayName, 'AI', trimmed, 'AI');
+                await db.writeAIChatMessage(liveConfig.promptConfig.selectedCharacterDisplayName, 'AI', trimmed, 'AI', roomId);
             }
         } catch (e) {
             logger.warn('Failed to persist streamed response to DB:', e?.message || e);
@@ -160,17 +174,21 @@ const createTextListener = async (parsedMessage, liveConfig, AIChatUserList, use
                 // preserve targeting so client can finalize the correct node
                 sessionID: parsedMessage?.continueTarget?.sessionID || sessionID,
                 messageID: parsedMessage?.continueTarget?.mesID || messageID,
-                    timestamp: new Date().toISOString()
+                    timestamp: new Date().toISOString(),
+            swipeIndex: swipeMeta?.swipeIndex,
+            swipeCount: swipeMeta?.swipeCount
         };
         //logger.warn('sending stream end')
-        broadcast(streamEndToken); // Emit the event to clients
+        broadcast(streamEndToken, 'all', roomId); // Emit the event to clients
         // Notify queue manager / server that this character's response is complete
         responseLifecycleEmitter.emit('responseComplete', {
             characterDisplayName: liveConfig.promptConfig.selectedCharacterDisplayName,
             characterValue: liveConfig.promptConfig.selectedCharacter,
             chatID: parsedMessage.chatID,
+            roomId,
             streamed: true
         });
+        if (onResponseEnd) onResponseEnd();
         //}
     };
 
@@ -216,13 +234,14 @@ const createTextListener = async (parsedMessage, liveConfig, AIChatUserList, use
             username: liveConfig.promptConfig.selectedCharacterDisplayName,
             type: 'streamedAIResponse',
             isContinue: shouldContinue,
+            isSwipe: !!parsedMessage?.swipeTarget,
             color: user?.color || 'red', //if red, then we have a problem somewhere. AI dont have colors atm, defaulting to white in frontend.
             sessionID: parsedMessage?.continueTarget?.sessionID || sessionID,
             messageID: parsedMessage?.continueTarget?.mesID || messageID,
             lastInContextMessageID: lastInContextMessageID,
             timestamp: new Date().toISOString()
         };
-        await broadcast(streamedTokenMessage);
+        await broadcast(streamedTokenMessage, 'all', roomId);
         currentlyStreaming = true;
     };
 };
@@ -235,20 +254,21 @@ async function handleResponse(parsedMessage, selectedAPI, hordeKey, engineMode,
     isStreaming = engineMode === 'horde' ? false : isStreaming;
     let activeSessionID;
     if (sessionID) activeSessionID = sessionID;
+    const roomId = parsedMessage?.roomId || db.DEFAULT_ROOM_ID;
 
     logger.warn('handle response sees sessionID: ', activeSessionID)
     // logger.warn(`isStreaming: ${isStreaming}, engineMode: ${engineMode}, selectedAPI: ${selectedAPI}`);
 
     if (isStreaming) {
         logger.warn('Preparing to stream response (single-pass)...');
-    const [activeChatJSON, foundSessionID] = await db.readAIChat(sessionID);
-        const newMessageID = await db.getNextMessageID();
+    const [activeChatJSON, foundSessionID] = await db.readAIChat(sessionID, roomId);
+        // A swipe streams into the message it belongs to
+        const newMessageID = parsedMessage?.swipeTarget ? Number(parsedMessage.swipeTarget.mesID) : await db.getNextMessageID();
 
         // Pre-initialize listener using a callback invoked by getAIResponse before the network request
         let textListener = null;
-        const preInit = async ({ AIChatUserList, lastInContextMessageID }) => {
-            // Reset accumulator for this new stream just before attaching listener
-            accumulatedStreamOutput = '';
+        const preInit = async ({ AIChatUserList, lastInContextMessageID, onResponseEnd }) => {
+            // Each listener carries its own accumulator, so a fresh one starts this stream empty
             textListener = await createTextListener(
                 parsedMessage,
                 liveConfig,
@@ -257,8 +277,10 @@ async function handleResponse(parsedMessage, selectedAPI, hordeKey, engineMode,
                 foundSessionID,
                 newMessageID,
                 shouldContinue,
-                lastInContextMessageID
+                lastInContextMessageID,
+                onResponseEnd
             );
+            const textEmitter = getTextEmitter(roomId);
             textEmitter.removeAllListeners('text');
             textEmitter.on('text', textListener);
         };
@@ -296,28 +318,42 @@ async function handleResponse(parsedMessage, selectedAPI, hordeKey, engineMode,
         };
 
         const trimmed = api.trimIncompleteSentences(AIResponse);
-        // Persist and capture DB-assigned message_id and timestamp
-        const writeMeta = await db.writeAIChatMessage(
-            liveConfig.promptConfig.selectedCharacterDisplayName, 'AI', trimmed, 'AI'
-        );
-        if (writeMeta) {
-            AIResponseMessage.sessionID = writeMeta.sessionId;
-            AIResponseMessage.messageID = writeMeta.message_id;
-            AIResponseMessage.timestamp = writeMeta.timestamp;
+        if (parsedMessage?.swipeTarget) {
+            // Regenerated reply: store it as a new swipe of the target message instead of a new row
+            const { sessionID: swipeSessionID, mesID } = parsedMessage.swipeTarget;
+            const swipeMeta = await db.addAIChatSwipe(swipeSessionID, Number(mesID), trimmed);
+            Object.assign(AIResponseMessage, swipeMeta, {
+                type: 'AIChatSwipe',
+                content: purifier.makeHtml(trimmed),
+                sessionID: swipeSessionID,
+                messageID: Number(mesID)
+            });
+        } else {
+            // Persist and capture DB-assigned message_id and timestamp
+            const writeMeta = await db.writeAIChatMessage(
+                liveConfig.promptConfig.selectedCharacterDisplayName, 'AI', trimmed, 'AI', roomId
+            );
+            if (writeMeta) {
+                AIResponseMessage.sessionID = writeMeta.sessionId;
+                AIResponseMessage.messageID = writeMeta.message_id;
+                AIResponseMessage.timestamp = writeMeta.timestamp;
+            }
         }
-        await broadcast(AIResponseMessage);
+        await broadcast(AIResponseMessage, 'all', roomId);
         // Non-streamed completion notification
         responseLifecycleEmitter.emit('responseComplete', {
             characterDisplayName: liveConfig.promptConfig.selectedCharacterDisplayName,
             characterValue: liveConfig.promptConfig.selectedCharacter,
             chatID: parsedMessage.chatID,
+            roomId,
             streamed: false
         });
     }
 }
 
 
-async function processStreamedResponse(response, isCCSelected, isTest, isClaude, lastInContextMessageID = null) {
+async function processStreamedResponse(response, isCCSelected, isTest, isClaude, lastInContextMessageID = null, roomId = db.DEFAULT_ROOM_ID) {
+    const textEmitter = getTextEmitter(roomId);
     let stream = response.body;
     let data = '';
     let text;
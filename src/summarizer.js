@@ -0,0 +1,198 @@
+/**
+ * Chat Summarization
+ *
+ * Long chats outgrow the context window, and addCharDefsToPrompt drops the oldest messages first.
+ * After each AI reply, once enough messages have fallen out of context they are folded into a
+ * running summary of the chat (written by the room's selected API), which the prompt then carries
+ * at the configured position instead.
+ *
+ * One summary is kept per chat session. Settings live in liveConfig.summarization; the host can
+ * read, edit and regenerate the summary from the control panel.
+ */
+
+import db from './db.js';
+import lorebook from './lorebook.js';
+import api from './api-calls.js';
+import { approxTokensFromChars } from './localTokenizer.js';
+import { broadcast } from '../server.js';
+import { apiLogger as logger } from './log.js';
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    position: 'afterCharDefs',
+    depth: 4,
+    // How many messages have to fall out of context before a pass runs
+    interval: 10,
+    responseLength: 400,
+    prompt: 'Summarize the roleplay below so it can be remembered later. If a summary so far is given, rewrite it to include the new messages. Keep important events, decisions, characters, places, items and unresolved plot threads; leave out small talk. Reply with the summary only.'
+};
+
+// Room for the instruct sequences and labels around the instruction and transcript
+const PROMPT_OVERHEAD_TOKENS = 64;
+const MIN_CHUNK_TOKENS = 256;
+
+// Sessions with a pass running, so two replies in a row don't summarize the same messages twice
+const inProgress = new Set();
+
+/**
+ * The summarization settings with defaults filled in
+ * @param {Object} liveConfig - Server config
+ * @returns {Object} - { enabled, position, depth, interval, responseLength, prompt }
+ */
+function getSettings(liveConfig) {
+    const settings = { ...DEFAULT_SETTINGS, ...(liveConfig?.summarization || {}) };
+    settings.enabled = settings.enabled === true;
+    if (!lorebook.ENTRY_POSITIONS.includes(settings.position)) settings.position = DEFAULT_SETTINGS.position;
+    for (const key of ['depth', 'interval', 'responseLength']) {
+        const value = Number(settings[key]);
+        settings[key] = Number.isInteger(value) && value >= 0 ? value : DEFAULT_SETTINGS[key];
+    }
+    settings.interval = Math.max(1, settings.interval);
+    if (typeof settings.prompt !== 'string' || !settings.prompt.trim()) settings.prompt = DEFAULT_SETTINGS.prompt;
+    return settings;
+}
+
+function formatMessage(message) {
+    return `${message.username}: ${message.content}`;
+}
+
+function buildTranscript(previousSummary, lines) {
+    const summaryPart = previousSummary ? `[Summary so far]\n${previousSummary}\n\n[New messages]\n` : '';
+    return `${summaryPart}${lines.join('\n')}`;
+}
+
+/**
+ * Fold messages into a summary, a context-sized chunk at a time
+ * @returns {Promise<Object>} - { summary, summarizedThrough }; summarizedThrough is null if nothing could be summarized
+ */
+async function foldIntoSummary(summary, messages, liveConfig, liveAPI, settings) {
+    const contextSize = Number(liveConfig.promptConfig.contextSize);
+    const budget = Math.max(MIN_CHUNK_TOKENS,
+        contextSize - settings.responseLength - approxTokensFromChars(settings.prompt) - PROMPT_OVERHEAD_TOKENS);
+
+    let summarizedThrough = null;
+    let chunk = [];
+    let chunkTokens = 0;
+    const flush = async () => {
+        const result = await api.requestSummary(liveConfig, liveAPI, settings.prompt, buildTranscript(summary, chunk.map(formatMessage)), settings.responseLength);
+        if (!result) return false;
+        summary = result;
+        summarizedThrough = chunk[chunk.length - 1].messageID;
+        chunk = [];
+        chunkTokens = 0;
+        return true;
+    };
+
+    for (const message of messages) {
+        const tokens = approxTokensFromChars(formatMessage(message));
+        if (chunk.length > 0 && approxTokensFromChars(summary) + chunkTokens + tokens > budget) {
+            if (!await flush()) return { summary, summarizedThrough };
+        }
+        chunk.push(message);
+        chunkTokens += tokens;
+    }
+    if (chunk.length > 0) await flush();
+    return { summary, summarizedThrough };
+}
+
+/**
+ * The chatSummary message the host's panel shows
+ * @param {number} sessionId - Chat session
+ * @param {Object} liveConfig - Server config, for the settings
+ * @returns {Promise<Object>}
+ */
+async function buildSummaryMessage(sessionId, liveConfig) {
+    const stored = sessionId ? await db.getSessionSummary(sessionId) : null;
+    return {
+        type: 'chatSummary',
+        sessionID: sessionId ?? null,
+        summary: stored?.summary || '',
+        summarizedThrough: stored?.summarizedThrough ?? null,
+        updatedAt: stored?.updatedAt ?? null,
+        settings: getSettings(liveConfig)
+    };
+}
+
+async function saveAndBroadcast(sessionId, roomId, summary, summarizedThrough, liveConfig) {
+    await db.setSessionSummary(sessionId, summary, summarizedThrough);
+    broadcast(await buildSummaryMessage(sessionId, liveConfig), 'host', roomId);
+}
+
+/**
+ * Summarize the messages that have fallen out of context, if enough of them have piled up
+ * @param {string} roomId - Room whose active chat to check
+ * @param {number|null} boundaryId - Oldest message that made it into the last prompt
+ * @param {Object} liveConfig - The room's config
+ * @param {Object} liveAPI - The API that wrote the last reply
+ * @returns {Promise<boolean>} - True if the summary was updated
+ */
+async function summarizeIfDue(roomId, boundaryId, liveConfig, liveAPI) {
+    const settings = getSettings(liveConfig);
+    if (!settings.enabled || boundaryId === null || boundaryId === undefined) return false;
+    if (liveConfig?.promptConfig?.engineMode === 'horde') return false;
+
+    const [data, sessionId] = await db.readAIChat(null, roomId);
+    if (!sessionId || inProgress.has(sessionId)) return false;
+
+    const history = JSON.parse(data);
+    const boundaryIndex = history.findIndex(message => message.messageID === boundaryId);
+    if (boundaryIndex <= 0) return false;
+
+    const existing = await db.getSessionSummary(sessionId);
+    const through = existing?.summarizedThrough ?? null;
+    const pending = history.slice(0, boundaryIndex).filter(message => through === null || message.messageID > through);
+    if (pending.length < settings.interval) return false;
+
+    inProgress.add(sessionId);
+    try {
+        logger.info(`[Summary] Summarizing ${pending.length} messages that fell out of context in session ${sessionId}`);
+        const result = await foldIntoSummary(existing?.summary || '', pending, liveConfig, liveAPI, settings);
+        if (result.summarizedThrough === null) {
+            logger.warn(`[Summary] Could not summarize session ${sessionId}; will try again after the next reply`);
+            return false;
+        }
+        await saveAndBroadcast(sessionId, roomId, result.summary, result.summarizedThrough, liveConfig);
+        return true;
+    } finally {
+        inProgress.delete(sessionId);
+    }
+}
+
+/**
+ * Rewrite a chat's summary from scratch
+ * Covers the same messages as the current summary, or the whole chat if it has none yet.
+ * @param {string} roomId - Room whose active chat to summarize
+ * @param {Object} liveConfig - The room's config
+ * @param {Object} liveAPI - API to write the summary with
+ * @returns {Promise<string|null>} - The new summary, or null if it couldn't be written
+ */
+async function regenerateSummary(roomId, liveConfig, liveAPI) {
+    const [data, sessionId] = await db.readAIChat(null, roomId);
+    if (!sessionId) return null;
+    if (inProgress.has(sessionId)) throw new Error('A summary is already being written for this chat');
+
+    const history = JSON.parse(data);
+    const existing = await db.getSessionSummary(sessionId);
+    const through = existing?.summarizedThrough ?? null;
+    const messages = through === null ? history : history.filter(message => message.messageID <= through);
+    if (messages.length === 0) return null;
+
+    inProgress.add(sessionId);
+    try {
+        logger.info(`[Summary] Regenerating the summary of ${messages.length} messages in session ${sessionId}`);
+        const result = await foldIntoSummary('', messages, liveConfig, liveAPI, getSettings(liveConfig));
+        if (result.summarizedThrough === null) return null;
+        await saveAndBroadcast(sessionId, roomId, result.summary, result.summarizedThrough, liveConfig);
+        return result.summary;
+    } finally {
+        inProgress.delete(sessionId);
+    }
+}
+
+export default {
+    DEFAULT_SETTINGS,
+    getSettings,
+    buildSummaryMessage,
+    summarizeIfDue,
+    regenerateSummary
+};
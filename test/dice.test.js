@@ -0,0 +1,144 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import dice from '../src/dice.js';
+
+const { roll } = dice;
+
+// Math.random is stubbed so each test says which faces come up; a face is read as a fraction of the die it lands on
+let faces = [];
+function rollFaces(sides, ...values) {
+    faces.push(...values.map(value => (value - 0.5) / sides));
+}
+
+beforeEach(() => {
+    faces = [];
+    mock.method(Math, 'random', () => faces.length ? faces.shift() : 0);
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+const values = (term) => term.rolls.map(die => die.value);
+
+describe('notation', () => {
+    test('NdS+M adds the dice and the modifier', () => {
+        rollFaces(6, 3, 5, 1);
+        const result = roll('3d6+2');
+        assert.equal(result.formula, '3d6+2');
+        assert.equal(result.total, 11);
+        assert.deepEqual(values(result.terms[0]), [3, 5, 1]);
+        assert.deepEqual(result.terms[1], { notation: '2', sign: 1, value: 2 });
+    });
+
+    test('a missing count means one die', () => {
+        rollFaces(20, 17);
+        assert.equal(roll('d20').total, 17);
+    });
+
+    test('d% is a d100', () => {
+        rollFaces(100, 42);
+        const result = roll('d%');
+        assert.equal(result.total, 42);
+    });
+
+    test('an empty formula rolls 1d20', () => {
+        rollFaces(20, 9);
+        const result = roll('');
+        assert.equal(result.formula, '1d20');
+        assert.equal(result.total, 9);
+    });
+
+    test('spaces and case are ignored', () => {
+        rollFaces(8, 4, 4);
+        const result = roll(' 2D8 - 3 ');
+        assert.equal(result.formula, '2d8-3');
+        assert.equal(result.total, 5);
+        assert.equal(result.terms[1].sign, -1);
+    });
+
+    test('kh keeps the highest dice and kl the lowest', () => {
+        rollFaces(6, 2, 6, 1, 4);
+        const highest = roll('4d6kh3');
+        assert.equal(highest.total, 12);
+        assert.deepEqual(highest.terms[0].rolls.map(die => die.kept), [true, true, false, true]);
+
+        rollFaces(20, 15, 3);
+        assert.equal(roll('2d20kl1').total, 3);
+    });
+
+    test('describeRoll shows every die and the total', () => {
+        rollFaces(6, 6, 2, 3);
+        const result = roll('2d6!+1');
+        assert.equal(dice.describeRoll(result, 'Ann'), '🎲 Ann rolled 2d6!+1: [6!, 2, 3] + 1 = **12**');
+    });
+});
+
+describe('invalid input', () => {
+    for (const formula of ['banana', '3d', 'd', '2d6+', '1d6++2', '0d6', '1d0', '2d6kh3', '2d6kh0', '1d1!', '1d6 sideways', '1d6 * 2']) {
+        test(`"${formula}" returns null`, () => {
+            assert.equal(roll(formula), null);
+        });
+    }
+});
+
+describe('limits', () => {
+    test('up to MAX_DICE dice with up to MAX_SIDES sides', () => {
+        const result = roll('100d1000');
+        assert.equal(result.terms[0].rolls.length, 100);
+        assert.equal(result.total, 100);
+    });
+
+    test('more dice or sides than that returns null', () => {
+        assert.equal(roll('101d6'), null);
+        assert.equal(roll('1d1001'), null);
+    });
+});
+
+describe('exploding dice', () => {
+    test('a die showing its maximum adds another die', () => {
+        rollFaces(6, 6, 6, 2, 3);
+        const result = roll('2d6!');
+        assert.deepEqual(values(result.terms[0]), [6, 6, 2, 3]);
+        assert.deepEqual(result.terms[0].rolls.map(die => die.exploded), [true, true, false, false]);
+        assert.equal(result.total, 17);
+    });
+
+    test('one term adds at most MAX_EXPLOSIONS extra dice', () => {
+        mock.method(Math, 'random', () => 0.99);
+        const result = roll('1d6!');
+        assert.equal(result.terms[0].rolls.length, 101);
+        assert.equal(result.total, 606);
+    });
+});
+
+describe('advantage and disadvantage', () => {
+    test('adv rolls the d20 twice and keeps the higher', () => {
+        rollFaces(20, 7, 18);
+        const result = roll('1d20+3 adv');
+        assert.equal(result.mode, 'advantage');
+        assert.equal(result.formula, '1d20+3');
+        assert.deepEqual(values(result.terms[0]), [7, 18]);
+        assert.equal(result.total, 21);
+    });
+
+    test('dis keeps the lower', () => {
+        rollFaces(20, 7, 18);
+        const result = roll('d20 disadvantage');
+        assert.equal(result.mode, 'disadvantage');
+        assert.equal(result.total, 7);
+        assert.equal(dice.describeRoll(result, 'Bob'), '🎲 Bob rolled d20 with disadvantage: [7, (18)] = **7**');
+    });
+
+    test('only the first d20 is doubled', () => {
+        rollFaces(20, 2, 11, 5);
+        const result = roll('d20+d20 adv');
+        assert.equal(result.terms[0].rolls.length, 2);
+        assert.equal(result.terms[1].rolls.length, 1);
+        assert.equal(result.total, 16);
+    });
+
+    test('a formula without a d20 can\'t take advantage', () => {
+        assert.equal(roll('2d6 adv'), null);
+    });
+});
@@ -0,0 +1,136 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// lorebook.js loads db.js, which opens ./stmp.db, so it's loaded from inside a scratch directory
+const originalCwd = process.cwd();
+let tempDir;
+let lorebook;
+
+before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stmp-lorebook-'));
+    process.chdir(tempDir);
+    lorebook = (await import('../src/lorebook.js')).default;
+    // let it finish creating its tables before the directory goes away
+    await (await import('../src/db.js')).default.schemaReady;
+});
+
+after(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('parseRegexKey', () => {
+    test('plain keywords are not regexes', () => {
+        assert.equal(lorebook.parseRegexKey('dragon'), null);
+        assert.equal(lorebook.parseRegexKey('/dragon'), null);
+        assert.equal(lorebook.parseRegexKey(''), null);
+    });
+
+    test('/pattern/flags keys become regexes', () => {
+        const regex = lorebook.parseRegexKey('/drag(on|oon)s?/i');
+        assert.equal(regex.source, 'drag(on|oon)s?');
+        assert.equal(regex.flags, 'i');
+    });
+
+    test('g and y are stripped so matching stays stateless', () => {
+        const regex = lorebook.parseRegexKey('/dragon/giy');
+        assert.equal(regex.flags, 'i');
+        assert.ok(regex.test('a Dragon'));
+        assert.ok(regex.test('a Dragon'));
+    });
+
+    test('a regex that doesn\'t compile throws', () => {
+        assert.throws(() => lorebook.parseRegexKey('/drag(on/'), SyntaxError);
+        assert.throws(() => lorebook.parseRegexKey('/dragon/q'), SyntaxError);
+    });
+});
+
+describe('validateKeys', () => {
+    test('valid keys pass', () => {
+        assert.equal(lorebook.validateKeys(['dragon', '/drag(on|oon)/i']), null);
+        assert.equal(lorebook.validateKeys(undefined), null);
+    });
+
+    test('the first invalid regex is reported', () => {
+        assert.match(lorebook.validateKeys(['dragon', '/[unclosed/', '/(/']), /^Invalid regex key \/\[unclosed\/: /);
+    });
+});
+
+describe('keywordMatches', () => {
+    test('plain keys ignore case unless asked not to', () => {
+        assert.ok(lorebook.keywordMatches('dragon', 'A DRAGON appears'));
+        assert.ok(!lorebook.keywordMatches('dragon', 'A DRAGON appears', true));
+    });
+
+    test('whole words by default, anywhere with match_whole_words off', () => {
+        assert.ok(!lorebook.keywordMatches('Al', 'Alice wears a ring'));
+        assert.ok(!lorebook.keywordMatches('ring', 'the string broke'));
+        assert.ok(lorebook.keywordMatches('Al', 'Alice wears a ring', false, false));
+        assert.ok(lorebook.keywordMatches('ring', 'the string broke', false, false));
+        assert.ok(lorebook.keywordMatches('Al', 'Al wears a ring'));
+    });
+
+    test('regex characters in plain keys are literal', () => {
+        assert.ok(lorebook.keywordMatches('c++', 'I write c++ code', false, false));
+        assert.ok(!lorebook.keywordMatches('a.c', 'abc'));
+    });
+
+    test('regex keys use their own flags and ignore the other options', () => {
+        assert.ok(lorebook.keywordMatches('/ring/', 'the string broke', false, true));
+        assert.ok(!lorebook.keywordMatches('/Dragon/', 'a dragon'));
+        assert.ok(lorebook.keywordMatches('/Dragon/i', 'a dragon', true));
+    });
+
+    test('an invalid regex key never matches', () => {
+        assert.equal(lorebook.keywordMatches('/drag(on/', 'drag(on'), false);
+    });
+
+    test('nothing matches an empty key or buffer', () => {
+        assert.equal(lorebook.keywordMatches('', 'dragon'), false);
+        assert.equal(lorebook.keywordMatches('dragon', ''), false);
+    });
+});
+
+describe('secondaryKeysPass', () => {
+    const buffer = 'The knight draws his sword';
+    const entry = (selective_logic, secondary_keys = ['sword', 'shield']) => ({ selective_logic, secondary_keys });
+
+    test('no secondary keys always pass', () => {
+        assert.ok(lorebook.secondaryKeysPass(entry('andAll', []), buffer));
+        assert.ok(lorebook.secondaryKeysPass({}, buffer));
+    });
+
+    test('andAny needs one of them', () => {
+        assert.ok(lorebook.secondaryKeysPass(entry('andAny'), buffer));
+        assert.ok(!lorebook.secondaryKeysPass(entry('andAny', ['shield', 'helm']), buffer));
+    });
+
+    test('andAll needs all of them', () => {
+        assert.ok(!lorebook.secondaryKeysPass(entry('andAll'), buffer));
+        assert.ok(lorebook.secondaryKeysPass(entry('andAll', ['sword', 'knight']), buffer));
+    });
+
+    test('notAny needs none of them', () => {
+        assert.ok(!lorebook.secondaryKeysPass(entry('notAny'), buffer));
+        assert.ok(lorebook.secondaryKeysPass(entry('notAny', ['shield', 'helm']), buffer));
+    });
+
+    test('notAll needs at least one missing', () => {
+        assert.ok(lorebook.secondaryKeysPass(entry('notAll'), buffer));
+        assert.ok(!lorebook.secondaryKeysPass(entry('notAll', ['sword', 'knight']), buffer));
+    });
+
+    test('unknown logic falls back to andAny', () => {
+        assert.ok(lorebook.secondaryKeysPass(entry('sometimes'), buffer));
+        assert.ok(!lorebook.secondaryKeysPass(entry(undefined, ['shield']), buffer));
+    });
+
+    test('secondary keys follow the entry\'s matching options', () => {
+        assert.ok(!lorebook.secondaryKeysPass({ secondary_keys: ['Sword'], case_sensitive: true }, buffer));
+        assert.ok(!lorebook.secondaryKeysPass({ secondary_keys: ['swo'] }, buffer));
+        assert.ok(lorebook.secondaryKeysPass({ secondary_keys: ['swo'], match_whole_words: false }, buffer));
+    });
+});
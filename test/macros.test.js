@@ -0,0 +1,209 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import macros from '../src/macros.js';
+
+const { replaceMacros } = macros;
+
+describe('name macros', () => {
+    test('{{user}} and {{char}} use the context names', () => {
+        assert.equal(replaceMacros('{{user}} meets {{char}}', { user: 'Ann', char: 'Bob' }), 'Ann meets Bob');
+    });
+
+    test('{{user}} and {{char}} stay as written without a name', () => {
+        assert.equal(replaceMacros('{{user}} meets {{char}}', {}), '{{user}} meets {{char}}');
+    });
+
+    test('names are matched case-insensitively', () => {
+        assert.equal(replaceMacros('{{USER}} / {{Char}}', { user: 'Ann', char: 'Bob' }), 'Ann / Bob');
+    });
+
+    test('{{persona}} is the persona text, or nothing', () => {
+        assert.equal(replaceMacros('[{{persona}}]', { persona: 'A tall knight' }), '[A tall knight]');
+        assert.equal(replaceMacros('[{{persona}}]', {}), '[]');
+    });
+
+    test('{{group}} lists the group members', () => {
+        assert.equal(replaceMacros('{{group}}', { group: ['Bob', null, 'Cid'], char: 'Bob' }), 'Bob, Cid');
+    });
+
+    test('{{group}} falls back to {{char}} outside a group', () => {
+        assert.equal(replaceMacros('{{group}}', { group: [], char: 'Bob' }), 'Bob');
+        assert.equal(replaceMacros('{{group}}', {}), '{{group}}');
+    });
+});
+
+describe('time macros', () => {
+    test('{{time}} is the current time', () => {
+        const result = replaceMacros('{{time}}');
+        assert.match(result, /^\d{1,2}:\d{2}\s[AP]M$/);
+    });
+
+    test('{{date}} is the current date', () => {
+        const expected = new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+        assert.equal(replaceMacros('{{date}}'), expected);
+    });
+
+    test('{{idle_duration}} counts from the user\'s previous message', () => {
+        const now = Date.now();
+        const chatHistory = [
+            { entity: 'user', content: 'hi', timestamp: new Date(now - 3 * 3600 * 1000).toISOString() },
+            { entity: 'AI', content: 'hello', timestamp: new Date(now - 3 * 3600 * 1000).toISOString() },
+            { entity: 'user', content: 'back', timestamp: new Date(now).toISOString() }
+        ];
+        assert.equal(replaceMacros('{{idle_duration}}', { chatHistory }), '3 hours');
+    });
+
+    test('{{idle_duration}} is "just now" without an earlier message', () => {
+        const chatHistory = [{ entity: 'user', content: 'hi', timestamp: new Date().toISOString() }];
+        assert.equal(replaceMacros('{{idle_duration}}', { chatHistory }), 'just now');
+        assert.equal(replaceMacros('{{idle_duration}}', {}), 'just now');
+    });
+
+    test('idleDuration rounds to the largest unit', () => {
+        const now = Date.parse('2024-01-10T12:00:00Z');
+        const at = (ms) => ({ entity: 'user', timestamp: new Date(now - ms).toISOString() });
+        assert.equal(macros.idleDuration([at(2 * 86400 * 1000), at(0)], now), '2 days');
+        assert.equal(macros.idleDuration([at(60 * 1000), at(0)], now), '1 minute');
+        assert.equal(macros.idleDuration([at(10 * 1000), at(0)], now), 'just now');
+    });
+});
+
+describe('chat macros', () => {
+    test('{{lastMessage}} is the newest message in the history', () => {
+        const chatHistory = [{ entity: 'user', content: 'first' }, { entity: 'AI', content: 'second' }];
+        assert.equal(replaceMacros('> {{lastMessage}}', { chatHistory }), '> second');
+    });
+
+    test('{{lastMessage}} is empty without a history', () => {
+        assert.equal(replaceMacros('> {{lastMessage}}', {}), '> ');
+    });
+});
+
+describe('random and roll', () => {
+    test('{{random}} picks one of its comma separated choices', () => {
+        for (let i = 0; i < 20; i++) {
+            assert.ok(['red', 'green', 'blue'].includes(replaceMacros('{{random:red, green,blue}}')));
+        }
+    });
+
+    test('{{random}} also splits on ::', () => {
+        for (let i = 0; i < 20; i++) {
+            assert.ok(['a, b', 'c'].includes(replaceMacros('{{random::a, b::c}}')));
+        }
+    });
+
+    test('{{random}} with no choices stays as written', () => {
+        assert.equal(replaceMacros('{{random}}'), '{{random}}');
+    });
+
+    test('{{roll}} is the total of a dice formula', () => {
+        assert.equal(replaceMacros('{{roll:2d1+3}}'), '5');
+        for (let i = 0; i < 20; i++) {
+            const total = Number(replaceMacros('{{roll:1d6}}'));
+            assert.ok(total >= 1 && total <= 6);
+        }
+    });
+
+    test('{{roll}} with a formula it can\'t read stays as written', () => {
+        assert.equal(replaceMacros('{{roll:banana}}'), '{{roll:banana}}');
+    });
+});
+
+describe('comments', () => {
+    test('{{// comment}} expands to nothing', () => {
+        assert.equal(replaceMacros('a{{// a note for the author}}b'), 'ab');
+        assert.equal(replaceMacros('a{{  //indented}}b'), 'ab');
+    });
+});
+
+describe('expansion', () => {
+    test('unknown macros are left as written', () => {
+        assert.equal(replaceMacros('{{nope}} {{nope:1,2}} {{user}}', { user: 'Ann' }), '{{nope}} {{nope:1,2}} Ann');
+    });
+
+    test('text without macros is returned as is', () => {
+        assert.equal(replaceMacros('plain text'), 'plain text');
+        assert.equal(replaceMacros(undefined), undefined);
+    });
+
+    test('inner macros expand first', () => {
+        for (let i = 0; i < 20; i++) {
+            assert.ok(['Ann', 'Bob'].includes(replaceMacros('{{random:{{user}},{{char}}}}', { user: 'Ann', char: 'Bob' })));
+        }
+    });
+
+    test('nesting stops after MAX_PASSES passes', () => {
+        macros.registerMacro('deeper', () => '{{deeper}}!');
+        try {
+            assert.equal(replaceMacros('{{deeper}}'), '{{deeper}}!!!!!');
+        } finally {
+            macros.unregisterMacro('deeper');
+        }
+    });
+
+    test('a macro that throws is left as written', () => {
+        macros.registerMacro('broken', () => { throw new Error('boom'); });
+        try {
+            assert.equal(replaceMacros('{{broken}}'), '{{broken}}');
+        } finally {
+            macros.unregisterMacro('broken');
+        }
+    });
+
+    test('registered macros are listed', () => {
+        const names = macros.listMacros();
+        for (const name of ['user', 'char', 'persona', 'group', 'time', 'date', 'idle_duration', 'lastmessage', 'random', 'roll', 'getvar', 'setvar', 'incvar']) {
+            assert.ok(names.includes(name), name);
+        }
+    });
+});
+
+describe('variable macros', () => {
+    test('{{getvar}} reads a chat variable, or nothing when unset', () => {
+        const context = { variables: { mood: 'happy' } };
+        assert.equal(replaceMacros('{{getvar:mood}}/{{getvar:missing}}', context), 'happy/');
+    });
+
+    test('{{setvar}} stores the value and notes the write', () => {
+        const context = { variables: {}, variableUpdates: {} };
+        assert.equal(replaceMacros('{{setvar::greeting::hi, there}}{{getvar::greeting}}', context), 'hi, there');
+        assert.deepEqual(context.variables, { greeting: 'hi, there' });
+        assert.deepEqual(context.variableUpdates, { greeting: 'hi, there' });
+    });
+
+    test('{{setvar}} keeps commas in the value', () => {
+        const context = { variables: {} };
+        replaceMacros('{{setvar:list,a,b,c}}', context);
+        assert.equal(context.variables.list, 'a,b,c');
+    });
+
+    test('{{incvar}} adds one, starting from zero', () => {
+        const context = { variables: { count: '4' }, variableUpdates: {} };
+        assert.equal(replaceMacros('{{incvar:count}} {{incvar:fresh}}', context), '5 1');
+        assert.deepEqual(context.variableUpdates, { count: '5', fresh: '1' });
+    });
+
+    test('macros inside {{lastMessage}} are not run', () => {
+        const context = { variables: {}, variableUpdates: {}, chatHistory: [{ entity: 'user', content: '{{setvar::x::1}}' }] };
+        assert.equal(replaceMacros('> {{lastMessage}}', context), '> {{setvar::x::1}}');
+        assert.deepEqual(context.variables, {});
+        assert.deepEqual(context.variableUpdates, {});
+    });
+
+    test('macros inside a persona, a name or a variable are not run', () => {
+        const context = { user: '{{incvar::n}}', persona: '{{roll:1d6}}', variables: { note: '{{setvar::x::1}}' } };
+        assert.equal(replaceMacros('{{user}}|{{persona}}|{{getvar::note}}', context), '{{incvar::n}}|{{roll:1d6}}|{{setvar::x::1}}');
+        assert.deepEqual(context.variables, { note: '{{setvar::x::1}}' });
+    });
+
+    test('a variable set from user text stores the text itself', () => {
+        const context = { user: 'Ann', variables: {}, variableUpdates: {} };
+        assert.equal(replaceMacros('{{setvar::who::{{user}}}}', context), '');
+        assert.deepEqual(context.variableUpdates, { who: 'Ann' });
+        assert.equal(replaceMacros('{{getvar::who}}', context), 'Ann');
+    });
+
+    test('variable macros stay as written without a variable store', () => {
+        assert.equal(replaceMacros('{{getvar:a}}{{setvar:a,1}}{{incvar:a}}', {}), '{{getvar:a}}{{setvar:a,1}}{{incvar:a}}');
+    });
+});
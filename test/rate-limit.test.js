@@ -0,0 +1,128 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import rateLimit from '../src/rate-limit.js';
+
+// Date.now is stubbed with a clock that only moves when a test moves it
+let clock = Date.now();
+const advance = (ms) => { clock += ms; };
+
+before(() => {
+    mock.method(Date, 'now', () => clock);
+});
+
+after(() => {
+    mock.restoreAll();
+});
+
+const config = (rateLimits = {}) => ({ crowdControl: { rateLimits } });
+
+// Takes until refused and says how many got through
+function drain(actions, who, liveConfig = config()) {
+    let taken = 0;
+    while (!rateLimit.take(actions, who, liveConfig)) {
+        taken++;
+        if (taken > 1000) throw new Error('never refused');
+    }
+    return taken;
+}
+
+describe('getLimits', () => {
+    test('fills in the defaults', () => {
+        const limits = rateLimit.getLimits({});
+        assert.deepEqual(limits.chat, rateLimit.DEFAULT_LIMITS.chat);
+        assert.deepEqual(limits.auth, rateLimit.DEFAULT_LIMITS.auth);
+        assert.equal(limits.IPMultiplier, rateLimit.DEFAULT_LIMITS.IPMultiplier);
+    });
+
+    test('keeps valid settings and drops invalid ones', () => {
+        const limits = rateLimit.getLimits(config({ chat: { burst: 0, perMinute: 'lots' }, IPMultiplier: 0 }));
+        assert.deepEqual(limits.chat, { burst: 0, perMinute: rateLimit.DEFAULT_LIMITS.chat.perMinute });
+        assert.equal(limits.IPMultiplier, 1);
+    });
+});
+
+describe('buckets', () => {
+    test('a user gets a burst, then is told how long to wait', () => {
+        const who = { uuid: 'burst-user' };
+        assert.equal(drain(['chat'], who), 5);
+        assert.deepEqual(rateLimit.take(['chat'], who, config()), { action: 'chat', retryAfter: 3 });
+    });
+
+    test('buckets refill at perMinute, up to the burst', () => {
+        const who = { uuid: 'refill-user' };
+        drain(['chat'], who);
+        advance(3000);
+        assert.equal(rateLimit.take(['chat'], who, config()), null);
+        assert.ok(rateLimit.take(['chat'], who, config()));
+
+        advance(60 * 60 * 1000);
+        assert.equal(drain(['chat'], who), 5);
+    });
+
+    test('each action and each user has its own bucket', () => {
+        drain(['chat'], { uuid: 'busy-user' });
+        assert.equal(rateLimit.take(['AI'], { uuid: 'busy-user' }, config()), null);
+        assert.equal(rateLimit.take(['chat'], { uuid: 'quiet-user' }, config()), null);
+    });
+
+    test('a refused take uses up nothing', () => {
+        const who = { uuid: 'both-user' };
+        drain(['AI'], who);
+        assert.equal(rateLimit.take(['chat', 'AI'], who, config())?.action, 'AI');
+        assert.equal(drain(['chat'], who), 5);
+    });
+
+    test('a burst or perMinute of 0 turns the limit off', () => {
+        const off = config({ chat: { burst: 0 }, AI: { perMinute: 0 } });
+        for (let i = 0; i < 50; i++) {
+            assert.equal(rateLimit.take(['chat', 'AI'], { uuid: 'unlimited-user', ip: 'unlimited-ip' }, off), null);
+        }
+    });
+});
+
+describe('IP buckets', () => {
+    test('an address gets IPMultiplier users\' worth', () => {
+        const ip = 'shared-ip';
+        for (const uuid of ['ip-user-1', 'ip-user-2', 'ip-user-3']) {
+            assert.equal(drain(['chat'], { uuid, ip }), 5);
+        }
+        assert.deepEqual(rateLimit.take(['chat'], { uuid: 'ip-user-4', ip }, config()), { action: 'chat', retryAfter: 1 });
+        assert.equal(rateLimit.take(['chat'], { uuid: 'ip-user-4', ip: 'other-ip' }, config()), null);
+    });
+
+    test('the multiplier comes from the config', () => {
+        const single = config({ IPMultiplier: 1 });
+        assert.equal(drain(['chat'], { uuid: 'solo-user-1', ip: 'solo-ip' }, single), 5);
+        assert.ok(rateLimit.take(['chat'], { uuid: 'solo-user-2', ip: 'solo-ip' }, single));
+    });
+
+    test('auth only has an IP bucket', () => {
+        assert.equal(drain(['auth'], { ip: 'login-ip' }), 9);
+        assert.deepEqual(rateLimit.take(['auth'], { ip: 'login-ip' }, config()), { action: 'auth', retryAfter: 10 });
+    });
+});
+
+describe('pruning', () => {
+    test('buckets that have refilled are dropped every ten minutes', () => {
+        // one take after ten minutes leaves only buckets still refilling, plus its own
+        const slow = config({ upload: { burst: 1, perMinute: 0.01 } });
+        rateLimit.take(['upload'], { uuid: 'slow-user' }, slow);
+        rateLimit.take(['chat'], { uuid: 'idle-user' }, config());
+        advance(10 * 60 * 1000);
+        rateLimit.take(['chat'], { uuid: 'pruning-user' }, config());
+        assert.equal(rateLimit.bucketCount(), 2);
+
+        // the next prune is another ten minutes away
+        rateLimit.take(['chat'], { uuid: 'new-user' }, config());
+        advance(9 * 60 * 1000);
+        rateLimit.take(['chat'], { uuid: 'later-user' }, config());
+        assert.equal(rateLimit.bucketCount(), 4);
+    });
+});
+
+describe('describeLimit', () => {
+    test('says what was limited and how long to wait', () => {
+        assert.equal(rateLimit.describeLimit({ action: 'upload', retryAfter: 1 }), 'You are uploading cards too quickly. Please wait 1 second and try again.');
+        assert.equal(rateLimit.describeLimit({ action: 'chat', retryAfter: 3 }), 'You are sending messages too quickly. Please wait 3 seconds and try again.');
+    });
+});
@@ -0,0 +1,111 @@
+import { test, describe, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sessionTokens from '../src/session-tokens.js';
+
+const SECRET = 'test-secret';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const payload = (overrides = {}) => ({ sid: 'session-1', uid: 'user-1', exp: Date.now() + DAY_MS, ...overrides });
+
+describe('sign and verify', () => {
+    before(() => sessionTokens.setSecret(SECRET));
+    afterEach(() => sessionTokens.setSecret(SECRET));
+
+    test('a token verifies to its payload', () => {
+        const signed = payload();
+        assert.deepEqual(sessionTokens.verify(sessionTokens.sign(signed)), signed);
+    });
+
+    test('a changed payload fails the signature', () => {
+        const [, signature] = sessionTokens.sign(payload()).split('.');
+        const forged = Buffer.from(JSON.stringify(payload({ uid: 'someone-else' }))).toString('base64url');
+        assert.equal(sessionTokens.verify(`${forged}.${signature}`), null);
+    });
+
+    test('a changed signature fails', () => {
+        const [encodedPayload, signature] = sessionTokens.sign(payload()).split('.');
+        const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+        assert.equal(sessionTokens.verify(`${encodedPayload}.${flipped}`), null);
+        assert.equal(sessionTokens.verify(`${encodedPayload}.${signature.slice(1)}`), null);
+    });
+
+    test('malformed tokens fail', () => {
+        const token = sessionTokens.sign(payload());
+        for (const bad of [undefined, '', 'abc', `${token}.extra`, token.split('.')[0]]) {
+            assert.equal(sessionTokens.verify(bad), null);
+        }
+    });
+
+    test('an expired token fails', () => {
+        assert.equal(sessionTokens.verify(sessionTokens.sign(payload({ exp: Date.now() - 1000 }))), null);
+    });
+
+    test('a token signed under another secret fails', () => {
+        const token = sessionTokens.sign(payload());
+        sessionTokens.setSecret('another-secret');
+        assert.equal(sessionTokens.verify(token), null);
+    });
+
+    test('nothing signs or verifies without a secret', () => {
+        const token = sessionTokens.sign(payload());
+        sessionTokens.setSecret(null);
+        assert.throws(() => sessionTokens.sign(payload()), /No session secret/);
+        assert.equal(sessionTokens.verify(token), null);
+    });
+});
+
+describe('session rows', () => {
+    // db.js opens ./stmp.db, so it's loaded from inside a scratch directory
+    const originalCwd = process.cwd();
+    let tempDir;
+    let db;
+
+    before(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stmp-tokens-'));
+        process.chdir(tempDir);
+        db = (await import('../src/db.js')).default;
+        await db.schemaReady;
+        sessionTokens.setSecret(SECRET);
+        await db.upsertUser('user-1', 'Ann', '#ffffff');
+        await db.upsertUser('user-2', 'Bob', '#ffffff');
+    });
+
+    after(() => {
+        process.chdir(originalCwd);
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('a new token verifies against its row', async () => {
+        const token = await db.createSessionToken('user-1');
+        const session = await db.verifySessionToken(token);
+        assert.equal(session.userId, 'user-1');
+        assert.equal(session.sessionId, sessionTokens.verify(token).sid);
+    });
+
+    test('a validly signed token without a row fails', async () => {
+        assert.equal(await db.verifySessionToken(sessionTokens.sign(payload({ sid: 'never-saved' }))), null);
+    });
+
+    test('a revoked session stops verifying', async () => {
+        const token = await db.createSessionToken('user-1');
+        const other = await db.createSessionToken('user-1');
+        const { sessionId } = await db.verifySessionToken(token);
+        await db.revokeSession(sessionId);
+        assert.equal(await db.verifySessionToken(token), null);
+        assert.ok(await db.verifySessionToken(other));
+    });
+
+    test('revoking a user\'s sessions can keep one and leaves other users alone', async () => {
+        const kept = await db.createSessionToken('user-2');
+        const dropped = await db.createSessionToken('user-2');
+        const stranger = await db.createSessionToken('user-1');
+        const { sessionId } = await db.verifySessionToken(kept);
+        await db.revokeUserSessions('user-2', sessionId);
+        assert.ok(await db.verifySessionToken(kept));
+        assert.equal(await db.verifySessionToken(dropped), null);
+        assert.ok(await db.verifySessionToken(stranger));
+    });
+});